@@ -249,14 +249,17 @@
 
 	// FAQ Accordion
 	$('.accordion').find('.accordion-title').on('click', function(){
+		// Panel named by aria-controls, or the element after the title
+		var panel = $(this).attr('aria-controls') ? $('#' + $(this).attr('aria-controls')) : $(this).next();
 		// Adds Active Class
 		$(this).toggleClass('active');
+		$(this).filter('[aria-expanded]').attr('aria-expanded', $(this).hasClass('active') ? 'true' : 'false');
 		// Expand or Collapse This Panel
-		$(this).next().slideToggle('fast');
+		panel.slideToggle('fast');
 		// Hide The Other Panels
-		$('.accordion-content').not($(this).next()).slideUp('fast');
+		$('.accordion-content').not(panel).slideUp('fast');
 		// Removes Active Class From Other Titles
-		$('.accordion-title').not($(this)).removeClass('active');		
+		$('.accordion-title').not($(this)).removeClass('active').filter('[aria-expanded]').attr('aria-expanded', 'false');		
 	});
 
 	// Count Time 
@@ -0,0 +1,105 @@
+/**
+ * Job Board Filters
+ * Filters the job cards of the job board by keyword, location, job type and
+ * industry. Without JavaScript every opening stays visible.
+ */
+
+class JobFilter {
+  constructor(form) {
+    this.form = form;
+    this.jobs = Array.from(document.querySelectorAll('[data-job]'));
+    this.count = document.querySelector('[data-job-count]');
+    this.empty = document.querySelector('[data-job-empty]');
+
+    this.init();
+  }
+
+  /**
+   * Initialize filters
+   */
+  init() {
+    // Filters can be preset from the query string, e.g. jobs/index.html?location=delhi
+    const params = new URLSearchParams(window.location.search);
+    Array.from(this.form.elements).forEach(field => {
+      if (field.name && params.has(field.name)) {
+        field.value = params.get(field.name);
+      }
+    });
+
+    this.form.addEventListener('input', () => this.apply());
+    this.form.addEventListener('change', () => this.apply());
+    this.form.addEventListener('submit', (event) => {
+      event.preventDefault();
+      this.apply();
+    });
+
+    this.apply();
+  }
+
+  /**
+   * Current filter values
+   */
+  getFilters() {
+    const elements = this.form.elements;
+    return {
+      keyword: elements.q.value.trim().toLowerCase(),
+      location: elements.location.value,
+      type: elements.type.value,
+      industry: elements.industry.value
+    };
+  }
+
+  /**
+   * Check whether a job card matches the filters
+   */
+  matches(job, filters) {
+    const { location, type, industry } = job.dataset;
+
+    if (filters.location && location.split(' ').indexOf(filters.location) === -1) {
+      return false;
+    }
+    if (filters.type && type.split(' ').indexOf(filters.type) === -1) {
+      return false;
+    }
+    if (filters.industry && industry !== filters.industry) {
+      return false;
+    }
+    return !filters.keyword || job.textContent.toLowerCase().indexOf(filters.keyword) !== -1;
+  }
+
+  /**
+   * Show the matching jobs and update the count
+   */
+  apply() {
+    const filters = this.getFilters();
+    let visible = 0;
+
+    this.jobs.forEach(job => {
+      const match = this.matches(job, filters);
+      job.hidden = !match;
+      if (match) {
+        visible++;
+      }
+    });
+
+    if (this.count) {
+      this.count.textContent = this.count.dataset.template.replace('{count}', visible);
+    }
+    if (this.empty) {
+      this.empty.hidden = visible > 0;
+    }
+  }
+}
+
+// Auto-initialize when DOM is ready
+document.addEventListener('DOMContentLoaded', () => {
+  const form = document.querySelector('[data-job-filter]');
+  if (form) {
+    window.jobFilter = new JobFilter(form);
+  }
+});
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = JobFilter;
+}
@@ -2,24 +2,62 @@
 
 /**
  * Content Backup and Versioning System
- * Manages backups and version control for website content
+ * Manages backups and version control for website content.
+ *
+ * Backups are kept in a content-addressed store: every file is stored once
+ * under objects/ by its SHA-256 hash, and a backup is a manifest in
+ * manifests/ mapping each backed-up path to the hash of its content. A new
+ * backup only adds the files that changed since earlier ones.
+ *
+ * The same layout can be mirrored to other storage targets (a directory or
+ * an S3-compatible bucket, see backup-storage.js) and backups can be
+ * fetched back from them.
  */
 
 const fs = require('fs');
 const path = require('path');
 const crypto = require('crypto');
+const TarArchive = require('./tar-archive');
+const DryRun = require('../../scripts/dry-run');
+const BackupStorage = require('./backup-storage');
+
+const HASH_ALGORITHM = 'sha256';
+const CHECKSUMS_FILE = 'SHA256SUMS';
+
+// Used when content/data/backup-policy.json has no retention settings
+const DEFAULT_RETENTION = { keepLast: 3, daily: 7, weekly: 4, monthly: 12 };
 
 class BackupManager {
-    constructor() {
-        this.contentDir = path.join(__dirname, '..');
-        this.publicDir = path.join(__dirname, '../../public');
-        this.backupDir = path.join(this.contentDir, 'backups');
+    /**
+     * @param {Object} [options]
+     * @param {string} [options.contentDir] Directory with data/ and templates/
+     * @param {string} [options.publicDir] Generated site
+     * @param {string} [options.backupDir] Backup store
+     * @param {Object} [options.retention] Retention policy, see planRetention()
+     * @param {Object[]} [options.mirrors] Storage targets new backups are copied to
+     */
+    constructor(options = {}) {
+        this.contentDir = options.contentDir || path.join(__dirname, '..');
+        this.publicDir = options.publicDir || path.join(__dirname, '../../public');
+        this.backupDir = options.backupDir || path.join(this.contentDir, 'backups');
+        this.objectsDir = path.join(this.backupDir, 'objects');
+        this.manifestsDir = path.join(this.backupDir, 'manifests');
         this.versionsFile = path.join(this.backupDir, 'versions.json');
         
-        // Ensure backup directory exists
-        fs.mkdirSync(this.backupDir, { recursive: true });
+        const policy = this.loadPolicy();
+        this.retention = options.retention || { ...DEFAULT_RETENTION, ...policy.retention };
+        this.mirrors = options.mirrors || policy.mirrors || [];
+        // Objects and manifests are read and written through the same
+        // adapter the mirrors use
+        this.store = new BackupStorage.DirectoryStorage({ name: 'local', path: this.backupDir });
+        this.storages = new Map([['local', this.store]]);
+        
+        // Ensure backup directories exist
+        fs.mkdirSync(this.objectsDir, { recursive: true });
+        fs.mkdirSync(this.manifestsDir, { recursive: true });
         
         this.versions = this.loadVersions();
+        this.importLegacyBackups();
     }
 
     loadVersions() {
@@ -37,190 +75,857 @@ class BackupManager {
         };
     }
 
+    /**
+     * content/data/backup-policy.json: retention settings and mirrors
+     */
+    loadPolicy() {
+        const policyFile = path.join(this.contentDir, 'data', 'backup-policy.json');
+        try {
+            if (fs.existsSync(policyFile)) {
+                return JSON.parse(fs.readFileSync(policyFile, 'utf8'));
+            }
+        } catch (error) {
+            console.error('Error loading backup policy:', error.message);
+        }
+        return {};
+    }
+
     saveVersions() {
         fs.writeFileSync(this.versionsFile, JSON.stringify(this.versions, null, 2));
     }
 
     generateHash(content) {
-        return crypto.createHash('md5').update(content).digest('hex');
+        return crypto.createHash(HASH_ALGORITHM).update(content).digest('hex');
     }
 
-    createBackup(description = 'Manual backup') {
-        const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
-        const backupId = `backup-${timestamp}`;
-        const backupPath = path.join(this.backupDir, backupId);
-        
-        console.log(`🔄 Creating backup: ${backupId}`);
-        
-        // Create backup directory
-        fs.mkdirSync(backupPath, { recursive: true });
+    /**
+     * Directories that are backed up, keyed by their prefix in manifests.
+     * Only pages, the sitemap and robots.txt are taken from the public
+     * directory.
+     */
+    getSources() {
+        return {
+            data: { dir: path.join(this.contentDir, 'data'), include: () => true },
+            templates: { dir: path.join(this.contentDir, 'templates'), include: () => true },
+            public: {
+                dir: this.publicDir,
+                include: name => name.endsWith('.html') || name === 'sitemap.xml' || name === 'robots.txt'
+            }
+        };
+    }
+
+    /**
+     * Absolute path of a manifest path such as data/services.json. Throws
+     * when the path would end up outside its source directory.
+     */
+    resolveSourcePath(manifestPath) {
+        const [prefix, ...rest] = manifestPath.split('/');
+        const source = this.getSources()[prefix];
+        if (!source || rest.length === 0) {
+            throw new Error(`Unknown backup path: ${manifestPath}`);
+        }
         
-        // Backup content data files
-        const dataBackupPath = path.join(backupPath, 'data');
-        fs.mkdirSync(dataBackupPath, { recursive: true });
-        this.copyDirectory(path.join(this.contentDir, 'data'), dataBackupPath);
+        const sourceDir = path.resolve(source.dir);
+        const resolved = path.resolve(sourceDir, ...rest);
+        if (!resolved.startsWith(sourceDir + path.sep)) {
+            throw new Error(`Backup path leaves ${prefix}/: ${manifestPath}`);
+        }
+        return resolved;
+    }
+
+    static getObjectKey(hash) {
+        return `objects/${hash.slice(0, 2)}/${hash.slice(2)}`;
+    }
+
+    static getManifestKey(backupId) {
+        return `manifests/${path.basename(backupId)}.json`;
+    }
+
+    getObjectPath(hash) {
+        return this.store.resolveKey(BackupManager.getObjectKey(hash));
+    }
+
+    hasObject(hash) {
+        return this.store.hasSync(BackupManager.getObjectKey(hash));
+    }
+
+    /**
+     * Store content under its hash unless the store already has it. Returns
+     * the number of bytes added.
+     */
+    writeObject(hash, content) {
+        const key = BackupManager.getObjectKey(hash);
+        if (this.store.hasSync(key)) return 0;
         
-        // Backup templates
-        const templatesBackupPath = path.join(backupPath, 'templates');
-        fs.mkdirSync(templatesBackupPath, { recursive: true });
-        this.copyDirectory(path.join(this.contentDir, 'templates'), templatesBackupPath);
+        this.store.putSync(key, content);
+        return content.length;
+    }
+
+    readObject(hash) {
+        const content = this.store.getSync(BackupManager.getObjectKey(hash));
+        if (!content) {
+            throw new Error(`Object ${hash} is missing from the backup store`);
+        }
+        return content;
+    }
+
+    /**
+     * Manifest of a backup, or null when there is no such backup
+     */
+    readManifest(backupId) {
+        const content = this.store.getSync(BackupManager.getManifestKey(backupId));
+        return content ? JSON.parse(content.toString('utf8')) : null;
+    }
+
+    writeManifest(manifest) {
+        this.store.putSync(BackupManager.getManifestKey(manifest.id), JSON.stringify(manifest, null, 2));
+    }
+
+    /**
+     * @param {string} [description]
+     * @param {Object} [details] Extra fields for the entry in versions.json
+     * @param {Object} [options]
+     * @param {boolean} [options.retention] Apply the retention policy afterwards (default true)
+     */
+    createBackup(description = 'Manual backup', details = {}, options = {}) {
+        const timestamp = new Date().toISOString();
+        const baseId = `backup-${timestamp.replace(/[:.]/g, '-')}`;
+        let backupId = baseId;
+        // Backups made within the same millisecond get a numbered suffix
+        for (let suffix = 2; this.versions.versions.some(version => version.id === backupId) || this.readManifest(backupId); suffix++) {
+            backupId = `${baseId}-${suffix}`;
+        }
         
-        // Backup public HTML files
-        const publicBackupPath = path.join(backupPath, 'public');
-        fs.mkdirSync(publicBackupPath, { recursive: true });
-        this.backupHTMLFiles(this.publicDir, publicBackupPath);
+        console.log(`🔄 Creating backup: ${backupId}`);
         
-        // Generate backup manifest
-        const manifest = this.generateManifest(backupPath);
-        fs.writeFileSync(path.join(backupPath, 'manifest.json'), JSON.stringify(manifest, null, 2));
+        const manifest = this.generateManifest(backupId, description, timestamp);
+        this.writeManifest(manifest);
         
         // Update versions
         const version = {
             id: backupId,
-            timestamp: new Date().toISOString(),
+            timestamp,
             description: description,
-            hash: this.generateHash(JSON.stringify(manifest)),
+            hash: this.generateHash(JSON.stringify(manifest.files)),
             files: manifest.files.length,
-            size: manifest.totalSize
+            size: manifest.totalSize,
+            added: manifest.addedSize,
+            ...details
         };
         
         this.versions.versions.unshift(version);
         this.versions.current = backupId;
         
-        // Keep only last 10 backups
-        if (this.versions.versions.length > 10) {
-            const oldVersions = this.versions.versions.splice(10);
-            oldVersions.forEach(oldVersion => {
-                const oldBackupPath = path.join(this.backupDir, oldVersion.id);
-                if (fs.existsSync(oldBackupPath)) {
-                    this.removeDirectory(oldBackupPath);
-                    console.log(`🗑️  Removed old backup: ${oldVersion.id}`);
-                }
-            });
+        // Apply the retention policy
+        const expired = options.retention === false ? [] : this.planRetention().filter(entry => entry.reasons.length === 0);
+        if (expired.length > 0) {
+            this.removeBackups(expired.map(entry => entry.version));
+            expired.forEach(entry => console.log(`🗑️  Removed old backup: ${entry.version.id}`));
         }
         
         this.saveVersions();
         
         console.log(`✅ Backup created successfully: ${backupId}`);
-        console.log(`   Files: ${manifest.files.length}`);
-        console.log(`   Size: ${this.formatBytes(manifest.totalSize)}`);
+        console.log(`   Files: ${manifest.files.length} (${manifest.addedFiles} new or changed)`);
+        console.log(`   Size: ${this.formatBytes(manifest.totalSize)}, stored: ${this.formatBytes(manifest.addedSize)}`);
         
         return backupId;
     }
 
-    copyDirectory(source, destination) {
-        if (!fs.existsSync(source)) return;
+    /**
+     * Hash every backed-up file and store the contents the store does not
+     * have yet. Files whose size and modification time match the previous
+     * backup keep its hash without being read again.
+     */
+    generateManifest(backupId, description, timestamp) {
+        const previous = this.versions.current ? this.readManifest(this.versions.current) : null;
+        const known = new Map(previous ? previous.files.map(file => [file.path, file]) : []);
+        const manifest = {
+            id: backupId,
+            timestamp,
+            description,
+            algorithm: HASH_ALGORITHM,
+            files: [],
+            totalSize: 0,
+            addedFiles: 0,
+            addedSize: 0
+        };
         
-        const items = fs.readdirSync(source);
-        items.forEach(item => {
-            const sourcePath = path.join(source, item);
-            const destPath = path.join(destination, item);
-            const stat = fs.statSync(sourcePath);
-            
-            if (stat.isDirectory()) {
-                fs.mkdirSync(destPath, { recursive: true });
-                this.copyDirectory(sourcePath, destPath);
-            } else {
-                fs.copyFileSync(sourcePath, destPath);
-            }
+        Object.entries(this.getSources()).forEach(([prefix, source]) => {
+            this.scanDirectory(source.dir, source.include).forEach(({ relativePath, fullPath, stat }) => {
+                const manifestPath = `${prefix}/${relativePath}`;
+                const modified = stat.mtime.toISOString();
+                const last = known.get(manifestPath);
+                let hash;
+                
+                if (last && last.size === stat.size && last.modified === modified && this.hasObject(last.hash)) {
+                    hash = last.hash;
+                } else {
+                    const content = fs.readFileSync(fullPath);
+                    hash = this.generateHash(content);
+                    const added = this.writeObject(hash, content);
+                    if (added > 0) {
+                        manifest.addedFiles++;
+                        manifest.addedSize += added;
+                    }
+                }
+                
+                manifest.files.push({ path: manifestPath, size: stat.size, hash, modified });
+                manifest.totalSize += stat.size;
+            });
         });
+        
+        manifest.files.sort((a, b) => a.path.localeCompare(b.path));
+        return manifest;
     }
 
-    backupHTMLFiles(source, destination) {
-        const items = fs.readdirSync(source);
-        items.forEach(item => {
-            const sourcePath = path.join(source, item);
-            const stat = fs.statSync(sourcePath);
+    /**
+     * Files below a directory that pass the filter, with paths relative to it
+     */
+    scanDirectory(dirPath, include, basePath = dirPath) {
+        if (!fs.existsSync(dirPath)) return [];
+        
+        const files = [];
+        fs.readdirSync(dirPath).forEach(item => {
+            const fullPath = path.join(dirPath, item);
+            const stat = fs.statSync(fullPath);
             
             if (stat.isDirectory()) {
-                const destPath = path.join(destination, item);
-                fs.mkdirSync(destPath, { recursive: true });
-                this.backupHTMLFiles(sourcePath, destPath);
-            } else if (item.endsWith('.html') || item === 'sitemap.xml' || item === 'robots.txt') {
-                const destPath = path.join(destination, item);
-                fs.copyFileSync(sourcePath, destPath);
+                files.push(...this.scanDirectory(fullPath, include, basePath));
+            } else if (include(item)) {
+                files.push({ relativePath: path.relative(basePath, fullPath).replace(/\\/g, '/'), fullPath, stat });
             }
         });
+        return files;
     }
 
-    removeDirectory(dirPath) {
-        if (fs.existsSync(dirPath)) {
-            fs.rmSync(dirPath, { recursive: true, force: true });
-        }
+    removeManifest(backupId) {
+        this.store.deleteSync(BackupManager.getManifestKey(backupId));
     }
 
-    generateManifest(backupPath) {
-        const manifest = {
-            id: path.basename(backupPath),
-            timestamp: new Date().toISOString(),
-            files: [],
-            totalSize: 0
-        };
+    /**
+     * Delete stored objects no remaining backup refers to. Returns the
+     * number of bytes freed.
+     */
+    pruneObjects() {
+        const referenced = new Set();
+        this.store.listSync('manifests/').filter(key => key.endsWith('.json')).forEach(key => {
+            const manifest = JSON.parse(this.store.getSync(key).toString('utf8'));
+            manifest.files.forEach(entry => referenced.add(BackupManager.getObjectKey(entry.hash)));
+        });
         
-        this.scanDirectory(backupPath, backupPath, manifest);
-        return manifest;
+        let freed = 0;
+        this.store.listSync('objects/').forEach(key => {
+            if (!referenced.has(key)) {
+                freed += this.store.sizeSync(key) || 0;
+                this.store.deleteSync(key);
+            }
+        });
+        return freed;
     }
 
-    scanDirectory(dirPath, basePath, manifest) {
-        const items = fs.readdirSync(dirPath);
-        items.forEach(item => {
-            const fullPath = path.join(dirPath, item);
-            const relativePath = path.relative(basePath, fullPath);
-            const stat = fs.statSync(fullPath);
+    /**
+     * Move backups made as full directory copies into the store, so every
+     * backup can be listed, compared and restored the same way
+     */
+    importLegacyBackups() {
+        const legacy = this.versions.versions.filter(version =>
+            fs.existsSync(path.join(this.backupDir, version.id, 'manifest.json')) && !this.readManifest(version.id)
+        );
+        if (legacy.length === 0) return;
+        
+        console.log(`📦 Moving ${legacy.length} backup(s) into the content-addressed store...`);
+        legacy.forEach(version => {
+            const backupPath = path.join(this.backupDir, version.id);
+            const manifest = {
+                id: version.id,
+                timestamp: version.timestamp,
+                description: version.description,
+                algorithm: HASH_ALGORITHM,
+                files: [],
+                totalSize: 0
+            };
             
-            if (stat.isDirectory()) {
-                this.scanDirectory(fullPath, basePath, manifest);
-            } else {
+            this.scanDirectory(backupPath, name => name !== 'manifest.json').forEach(({ relativePath, fullPath, stat }) => {
                 const content = fs.readFileSync(fullPath);
-                manifest.files.push({
-                    path: relativePath.replace(/\\/g, '/'),
-                    size: stat.size,
-                    hash: this.generateHash(content),
-                    modified: stat.mtime.toISOString()
-                });
+                const hash = this.generateHash(content);
+                this.writeObject(hash, content);
+                manifest.files.push({ path: relativePath, size: stat.size, hash, modified: stat.mtime.toISOString() });
                 manifest.totalSize += stat.size;
-            }
+            });
+            manifest.files.sort((a, b) => a.path.localeCompare(b.path));
+            
+            this.writeManifest(manifest);
+            version.hash = this.generateHash(JSON.stringify(manifest.files));
+            fs.rmSync(backupPath, { recursive: true, force: true });
         });
+        this.saveVersions();
     }
 
-    restoreBackup(backupId) {
-        const backupPath = path.join(this.backupDir, backupId);
+    /**
+     * Restore the files of a backup that differ from the current tree.
+     * `only` limits the restore to some files: a path from the backup such
+     * as public/contact.html, a bare file name such as services.json or a
+     * directory such as templates. With `preview` the differences are
+     * printed and nothing is written. Otherwise a snapshot of the files
+     * about to be overwritten is taken first, which rollbackRestore() puts
+     * back.
+     */
+    restoreBackup(backupId, options = {}) {
+        const manifest = this.readManifest(backupId);
         
-        if (!fs.existsSync(backupPath)) {
+        if (!manifest) {
             console.error(`❌ Backup not found: ${backupId}`);
             return false;
         }
         
+        const { missing, altered } = this.checkBackup(manifest);
+        if (missing.length > 0 || altered.length > 0) {
+            console.error(`❌ Backup ${backupId} is damaged, run "verify ${backupId}" for details`);
+            return false;
+        }
+        
+        const selected = this.selectFiles(manifest, options.only);
+        if (!selected) return false;
+        
+        const changed = selected.filter(file => {
+            const targetPath = this.resolveSourcePath(file.path);
+            return !fs.existsSync(targetPath) || this.generateHash(fs.readFileSync(targetPath)) !== file.hash;
+        });
+        
+        if (options.preview) {
+            this.previewRestore(backupId, changed);
+            return true;
+        }
+        
+        if (changed.length === 0) {
+            console.log(`✅ Nothing to restore, the current files match ${backupId}`);
+            return true;
+        }
+        
         console.log(`🔄 Restoring backup: ${backupId}`);
         
-        // Create a backup of current state before restoring
-        this.createBackup(`Pre-restore backup before ${backupId}`);
+        // Read the contents before anything is written to the store
+        const contents = new Map(changed.map(file => [file.path, this.readObject(file.hash)]));
+        
+        // Snapshot the current state first, recording what the restore
+        // overwrites. Internal snapshots do not expire older backups, so the
+        // backup being restored stays in the store.
+        const snapshotId = this.createBackup(`Pre-restore snapshot before ${backupId}`, {
+            restore: { backupId, files: changed.map(file => file.path) }
+        }, { retention: false });
         
-        // Restore data files
-        const dataBackupPath = path.join(backupPath, 'data');
-        if (fs.existsSync(dataBackupPath)) {
-            this.copyDirectory(dataBackupPath, path.join(this.contentDir, 'data'));
+        changed.forEach(file => {
+            const targetPath = this.resolveSourcePath(file.path);
+            fs.mkdirSync(path.dirname(targetPath), { recursive: true });
+            fs.writeFileSync(targetPath, contents.get(file.path));
+            console.log(`   ${file.path}`);
+        });
+        
+        if (!options.only) {
+            this.versions.current = backupId;
         }
+        this.saveVersions();
         
-        // Restore templates
-        const templatesBackupPath = path.join(backupPath, 'templates');
-        if (fs.existsSync(templatesBackupPath)) {
-            this.copyDirectory(templatesBackupPath, path.join(this.contentDir, 'templates'));
+        console.log(`✅ Restored ${changed.length} of ${selected.length} file(s) from ${backupId}`);
+        console.log(`   Undo with: node content/scripts/backup-manager.js rollback ${snapshotId}`);
+        return true;
+    }
+
+    /**
+     * Files of a manifest matching the --only list, or all of them. Returns
+     * null when an entry of the list matches nothing.
+     */
+    selectFiles(manifest, only) {
+        if (!only || only.length === 0) return manifest.files;
+        
+        const selected = new Set();
+        const unmatched = [];
+        only.forEach(pattern => {
+            const name = pattern.replace(/\\/g, '/').replace(/^\.\//, '').replace(/\/$/, '');
+            const matches = manifest.files.filter(file =>
+                file.path === name ||
+                file.path.startsWith(`${name}/`) ||
+                (!name.includes('/') && path.posix.basename(file.path) === name)
+            );
+            if (matches.length === 0) unmatched.push(pattern);
+            matches.forEach(file => selected.add(file));
+        });
+        
+        if (unmatched.length > 0) {
+            console.error(`❌ Not in ${manifest.id}: ${unmatched.join(', ')}`);
+            return null;
         }
+        return manifest.files.filter(file => selected.has(file));
+    }
+
+    /**
+     * Print a unified diff of each file a restore would change, from the
+     * current file to the backed-up one
+     */
+    previewRestore(backupId, changed) {
+        console.log(`🔍 Previewing restore of ${backupId}\n`);
         
-        // Restore public HTML files
-        const publicBackupPath = path.join(backupPath, 'public');
-        if (fs.existsSync(publicBackupPath)) {
-            this.copyDirectory(publicBackupPath, this.publicDir);
+        let added = 0;
+        let removed = 0;
+        changed.forEach(file => {
+            const targetPath = this.resolveSourcePath(file.path);
+            const current = fs.existsSync(targetPath) ? fs.readFileSync(targetPath) : null;
+            const restored = this.readObject(file.hash);
+            
+            if ((current && current.includes(0)) || restored.includes(0)) {
+                console.log(`Binary file ${file.path} differs\n`);
+                return;
+            }
+            
+            const diff = DryRun.createUnifiedDiff(current ? current.toString('utf8') : '', restored.toString('utf8'), {
+                fromFile: current ? `a/${file.path}` : '/dev/null',
+                toFile: `b/${file.path}`
+            });
+            console.log(`${diff.text}\n`);
+            added += diff.added;
+            removed += diff.removed;
+        });
+        
+        console.log('🔍 Restore preview summary:');
+        console.log(`   Files that would change: ${changed.length}`);
+        console.log(`   Lines added: ${added}, lines removed: ${removed}`);
+        console.log('   No files were written.');
+    }
+
+    /**
+     * Undo a restore: put back the files it overwrote from its pre-restore
+     * snapshot and delete the files it created. Uses the latest restore
+     * that was not rolled back unless a snapshot id is given.
+     */
+    rollbackRestore(snapshotId = null) {
+        const version = snapshotId
+            ? this.versions.versions.find(entry => entry.id === snapshotId)
+            : this.versions.versions.find(entry => entry.restore && !entry.rolledBack);
+        
+        if (!version || !version.restore) {
+            console.error(snapshotId ? `❌ ${snapshotId} is not a pre-restore snapshot` : '❌ No restore to roll back');
+            return false;
+        }
+        if (version.rolledBack) {
+            console.error(`❌ The restore of ${version.restore.backupId} was already rolled back on ${new Date(version.rolledBack).toLocaleString()}`);
+            return false;
         }
         
-        this.versions.current = backupId;
+        const manifest = this.readManifest(version.id);
+        if (!manifest) {
+            console.error(`❌ Backup not found: ${version.id}`);
+            return false;
+        }
+        const files = new Map(manifest.files.map(file => [file.path, file]));
+        const snapshotFiles = version.restore.files.filter(filePath => files.has(filePath)).map(filePath => files.get(filePath));
+        const { missing, altered } = this.checkBackup({ files: snapshotFiles });
+        if (missing.length > 0 || altered.length > 0) {
+            console.error(`❌ Snapshot ${version.id} is damaged, run "verify ${version.id}" for details`);
+            return false;
+        }
+        
+        console.log(`⏪ Rolling back the restore of ${version.restore.backupId}`);
+        
+        version.restore.files.forEach(filePath => {
+            const targetPath = this.resolveSourcePath(filePath);
+            const file = files.get(filePath);
+            if (file) {
+                fs.writeFileSync(targetPath, this.readObject(file.hash));
+                console.log(`   ${filePath}`);
+            } else if (fs.existsSync(targetPath)) {
+                // The restore created this file
+                fs.unlinkSync(targetPath);
+                console.log(`   ${filePath} (removed)`);
+            }
+        });
+        
+        version.rolledBack = new Date().toISOString();
+        this.versions.current = version.id;
         this.saveVersions();
         
-        console.log(`✅ Backup restored successfully: ${backupId}`);
+        console.log(`✅ Rolled back ${version.restore.files.length} file(s) to ${version.id}`);
         return true;
     }
 
+    /**
+     * Re-hash the stored content of every file in a manifest. Returns the
+     * paths whose content is missing from the store or no longer matches
+     * its hash.
+     */
+    checkBackup(manifest) {
+        const missing = [];
+        const altered = [];
+        
+        manifest.files.forEach(file => {
+            if (!this.hasObject(file.hash)) {
+                missing.push(file.path);
+            } else if (this.generateHash(this.readObject(file.hash)) !== file.hash) {
+                altered.push(file.path);
+            }
+        });
+        
+        return { missing, altered };
+    }
+
+    verifyBackup(backupId) {
+        const manifest = this.readManifest(backupId);
+        
+        if (!manifest) {
+            console.error(`❌ Backup not found: ${backupId}`);
+            return false;
+        }
+        
+        console.log(`🔍 Verifying backup: ${backupId}`);
+        const { missing, altered } = this.checkBackup(manifest);
+        
+        if (missing.length === 0 && altered.length === 0) {
+            console.log(`✅ All ${manifest.files.length} files match the manifest`);
+            return true;
+        }
+        
+        if (missing.length > 0) {
+            console.error(`❌ Missing files (${missing.length}):`);
+            missing.forEach(filePath => console.error(`   ${filePath}`));
+        }
+        if (altered.length > 0) {
+            console.error(`❌ Altered files (${altered.length}):`);
+            altered.forEach(filePath => console.error(`   ${filePath}`));
+        }
+        return false;
+    }
+
+    /**
+     * Write a backup to a compressed tar archive: its manifest, its files
+     * under their backed-up paths and a SHA256SUMS file covering both, all
+     * in a directory named after the backup
+     */
+    exportBackup(backupId, outputFile = `${backupId}.tar.gz`) {
+        const manifest = this.readManifest(backupId);
+        
+        if (!manifest) {
+            console.error(`❌ Backup not found: ${backupId}`);
+            return false;
+        }
+        
+        const { missing, altered } = this.checkBackup(manifest);
+        if (missing.length > 0 || altered.length > 0) {
+            console.error(`❌ Backup ${backupId} is damaged, run "verify ${backupId}" for details`);
+            return false;
+        }
+        
+        console.log(`📦 Exporting backup: ${backupId}`);
+        
+        const manifestContent = Buffer.from(JSON.stringify(manifest, null, 2));
+        const checksums = [
+            `${this.generateHash(manifestContent)}  manifest.json`,
+            ...manifest.files.map(file => `${file.hash}  ${file.path}`)
+        ];
+        const mtime = new Date(manifest.timestamp);
+        const archive = TarArchive.create([
+            { name: `${backupId}/manifest.json`, content: manifestContent, mtime },
+            { name: `${backupId}/${CHECKSUMS_FILE}`, content: `${checksums.join('\n')}\n`, mtime },
+            ...manifest.files.map(file => ({
+                name: `${backupId}/${file.path}`,
+                content: this.readObject(file.hash),
+                mtime: new Date(file.modified)
+            }))
+        ]);
+        
+        fs.writeFileSync(outputFile, archive);
+        console.log(`✅ Backup exported to ${outputFile} (${this.formatBytes(archive.length)})`);
+        return true;
+    }
+
+    /**
+     * Add a backup from an archive written by exportBackup. Every file is
+     * checked against SHA256SUMS and the manifest before anything is
+     * stored. Returns the backup id, or null when the archive is rejected.
+     */
+    importBackup(inputFile) {
+        console.log(`📥 Importing backup from ${inputFile}`);
+        
+        let entries;
+        try {
+            entries = TarArchive.extract(fs.readFileSync(inputFile));
+        } catch (error) {
+            console.error(`❌ Cannot read ${inputFile}: ${error.message}`);
+            return null;
+        }
+        
+        const manifestEntry = entries.find(entry => /^[^/]+\/manifest\.json$/.test(entry.name));
+        if (!manifestEntry) {
+            console.error('❌ The archive has no backup manifest');
+            return null;
+        }
+        
+        const root = manifestEntry.name.split('/')[0];
+        const files = new Map(entries
+            .filter(entry => entry.name.startsWith(`${root}/`))
+            .map(entry => [entry.name.slice(root.length + 1), entry.content]));
+        const problems = [];
+        
+        const checksums = new Map();
+        (files.has(CHECKSUMS_FILE) ? files.get(CHECKSUMS_FILE).toString('utf8') : '').split('\n').forEach(line => {
+            const match = line.match(/^([0-9a-f]{64}) [ *](.+)$/);
+            if (match) checksums.set(match[2], match[1]);
+        });
+        if (checksums.size === 0) {
+            problems.push(`${CHECKSUMS_FILE} is missing or empty`);
+        }
+        checksums.forEach((hash, filePath) => {
+            if (!files.has(filePath)) {
+                problems.push(`${filePath} is missing`);
+            } else if (this.generateHash(files.get(filePath)) !== hash) {
+                problems.push(`${filePath} does not match its checksum`);
+            }
+        });
+        
+        let manifest = null;
+        try {
+            manifest = JSON.parse(manifestEntry.content.toString('utf8'));
+        } catch (error) {
+            problems.push(`manifest.json is not valid JSON: ${error.message}`);
+        }
+        if (manifest) {
+            if (manifest.id !== root || !Array.isArray(manifest.files)) {
+                problems.push('manifest.json does not describe this backup');
+            } else {
+                problems.push(...this.checkManifest(manifest));
+                manifest.files.forEach(file => {
+                    if (checksums.get(file.path) !== file.hash) {
+                        problems.push(`${file.path} is not covered by ${CHECKSUMS_FILE}`);
+                    }
+                });
+            }
+        }
+        
+        if (problems.length > 0) {
+            console.error(`❌ ${inputFile} was not imported:`);
+            problems.forEach(problem => console.error(`   ${problem}`));
+            return null;
+        }
+        
+        const existing = this.readManifest(manifest.id);
+        if (existing) {
+            if (JSON.stringify(existing.files) === JSON.stringify(manifest.files)) {
+                console.log(`✅ Backup ${manifest.id} is already in the store`);
+                return manifest.id;
+            }
+            console.error(`❌ A different backup named ${manifest.id} already exists`);
+            return null;
+        }
+        
+        let added = 0;
+        manifest.files.forEach(file => {
+            added += this.writeObject(file.hash, files.get(file.path));
+        });
+        this.writeManifest(manifest);
+        this.addVersion(manifest, added);
+        
+        console.log(`✅ Backup imported: ${manifest.id}`);
+        console.log(`   Files: ${manifest.files.length}, stored: ${this.formatBytes(added)}`);
+        return manifest.id;
+    }
+
+    /**
+     * Problems with a manifest that came from elsewhere: an id that is not
+     * a plain name, hashes that are not SHA-256, and paths that are
+     * absolute, contain . or .. segments or lead outside the backed-up
+     * directories
+     */
+    checkManifest(manifest) {
+        const problems = [];
+        if (typeof manifest.id !== 'string' || !/^[A-Za-z0-9][\w.-]*$/.test(manifest.id)) {
+            problems.push(`Invalid backup id: ${manifest.id}`);
+        }
+        if (!Array.isArray(manifest.files)) {
+            problems.push('The manifest lists no files');
+            return problems;
+        }
+        
+        manifest.files.forEach(file => {
+            const segments = String(file.path).split('/');
+            if (typeof file.path !== 'string' || path.isAbsolute(file.path) || file.path.includes('\\') ||
+                segments.some(segment => segment === '' || segment === '.' || segment === '..')) {
+                problems.push(`Unsafe backup path: ${file.path}`);
+            } else {
+                try {
+                    this.resolveSourcePath(file.path);
+                } catch (error) {
+                    problems.push(error.message);
+                }
+            }
+            if (!/^[0-9a-f]{64}$/.test(file.hash)) {
+                problems.push(`Invalid hash for ${file.path}`);
+            }
+        });
+        return problems;
+    }
+
+    /**
+     * List a backup that came from elsewhere in versions.json
+     */
+    addVersion(manifest, added) {
+        this.versions.versions = this.versions.versions.filter(version => version.id !== manifest.id);
+        this.versions.versions.push({
+            id: manifest.id,
+            timestamp: manifest.timestamp,
+            description: manifest.description,
+            hash: this.generateHash(JSON.stringify(manifest.files)),
+            files: manifest.files.length,
+            size: manifest.totalSize,
+            added
+        });
+        this.versions.versions.sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp));
+        this.saveVersions();
+    }
+
+    /**
+     * Storage adapter by name: "local" for content/backups, otherwise one
+     * of the configured mirrors
+     */
+    getStorage(name) {
+        if (!this.storages.has(name)) {
+            const target = this.mirrors.find(mirror => mirror.name === name);
+            if (!target) {
+                const known = ['local', ...this.mirrors.map(mirror => mirror.name)];
+                throw new Error(`Unknown storage "${name}", expected one of: ${known.join(', ')}`);
+            }
+            this.storages.set(name, BackupStorage.create(target));
+        }
+        return this.storages.get(name);
+    }
+
+    /**
+     * Copy a backup between two storages: the objects the destination
+     * lacks, each checked against its hash, then the manifest, so an
+     * interrupted copy never leaves a manifest without its files. Manifests
+     * are checked like imported ones, as mirrors are not trusted.
+     */
+    async copyBackup(backupId, source, destination) {
+        const manifestKey = BackupManager.getManifestKey(backupId);
+        const manifestContent = await source.get(manifestKey);
+        if (!manifestContent) {
+            throw new Error(`Backup not found in ${source.name}: ${backupId}`);
+        }
+        
+        let manifest;
+        try {
+            manifest = JSON.parse(manifestContent.toString('utf8'));
+        } catch (error) {
+            throw new Error(`${source.name} has a damaged manifest for ${backupId}: ${error.message}`);
+        }
+        const problems = manifest.id === backupId ? this.checkManifest(manifest) : [`the manifest describes ${manifest.id}`];
+        if (problems.length > 0) {
+            throw new Error(`${source.name} has an invalid manifest for ${backupId}: ${problems.join('; ')}`);
+        }
+        
+        let copied = 0;
+        let bytes = 0;
+        const hashes = Array.from(new Set(manifest.files.map(file => file.hash)));
+        for (const hash of hashes) {
+            const key = BackupManager.getObjectKey(hash);
+            if (await destination.has(key)) continue;
+            
+            const content = await source.get(key);
+            if (!content || this.generateHash(content) !== hash) {
+                throw new Error(`${source.name} has ${content ? 'a damaged' : 'no'} copy of object ${hash} of ${backupId}`);
+            }
+            await destination.put(key, content);
+            copied++;
+            bytes += content.length;
+        }
+        
+        await destination.put(manifestKey, manifestContent);
+        return { manifest, copied, bytes };
+    }
+
+    /**
+     * Copy local backups that a mirror does not have yet to it. Without a
+     * target name every configured mirror is updated. Returns false when a
+     * mirror could not be updated.
+     */
+    async syncMirrors(targetName = null) {
+        const targets = targetName ? [targetName] : this.mirrors.map(mirror => mirror.name);
+        let success = true;
+        
+        if (targets.length === 0) {
+            console.log('No mirrors are configured in content/data/backup-policy.json');
+        }
+        
+        for (const name of targets) {
+            try {
+                const storage = this.getStorage(name);
+                const remote = new Set((await storage.list('manifests/')).map(key => path.posix.basename(key, '.json')));
+                const missing = this.versions.versions.filter(version => !remote.has(version.id) && this.readManifest(version.id));
+                
+                if (missing.length === 0) {
+                    console.log(`✅ Mirror ${name} is up to date`);
+                    continue;
+                }
+                
+                console.log(`🔁 Mirroring ${missing.length} backup(s) to ${name} (${storage.describe()})`);
+                for (const version of missing.reverse()) {
+                    const { copied, bytes } = await this.copyBackup(version.id, this.getStorage('local'), storage);
+                    console.log(`   ${version.id}: ${copied} object(s), ${this.formatBytes(bytes)}`);
+                }
+            } catch (error) {
+                console.error(`❌ Mirroring to ${name} failed: ${error.message}`);
+                success = false;
+            }
+        }
+        return success;
+    }
+
+    /**
+     * Bring a backup from a mirror into the local store, replacing local
+     * objects that are missing or damaged, so it can be restored
+     */
+    async fetchBackup(backupId, targetName) {
+        const storage = this.getStorage(targetName);
+        const local = this.getStorage('local');
+        
+        // Damaged local copies would otherwise count as present
+        const existing = this.readManifest(backupId);
+        if (existing) {
+            const { altered } = this.checkBackup(existing);
+            existing.files.filter(file => altered.includes(file.path)).forEach(file => {
+                this.store.deleteSync(BackupManager.getObjectKey(file.hash));
+            });
+        }
+        
+        console.log(`📥 Fetching ${backupId} from ${targetName} (${storage.describe()})`);
+        const { manifest, copied, bytes } = await this.copyBackup(backupId, storage, local);
+        if (!this.findVersion(backupId)) {
+            this.addVersion(manifest, bytes);
+        }
+        
+        console.log(`✅ Fetched ${backupId}: ${copied} object(s), ${this.formatBytes(bytes)}`);
+        return true;
+    }
+
+    /**
+     * Backups kept in a mirror, newest first
+     */
+    async listMirrorBackups(targetName) {
+        const storage = this.getStorage(targetName);
+        const ids = (await storage.list('manifests/'))
+            .filter(key => key.endsWith('.json'))
+            .map(key => path.posix.basename(key, '.json'))
+            .sort()
+            .reverse();
+        
+        console.log(`📋 Backups in ${targetName} (${storage.describe()}):\n`);
+        if (ids.length === 0) {
+            console.log('No backups found.');
+        }
+        ids.forEach(id => {
+            console.log(`  ${id}${this.readManifest(id) ? '' : ' (not in the local store)'}`);
+        });
+        return ids;
+    }
+
     listBackups() {
         console.log('📋 Available Backups:\n');
         
@@ -237,29 +942,28 @@ class BackupManager {
             console.log(`${marker} ${index + 1}. ${version.id}`);
             console.log(`   Date: ${date}`);
             console.log(`   Description: ${version.description}`);
-            console.log(`   Files: ${version.files}, Size: ${this.formatBytes(version.size)}`);
+            if (version.pinned) {
+                console.log(`   📌 Pinned${version.label ? ` as "${version.label}"` : ''}`);
+            }
+            console.log(`   Files: ${version.files}, Size: ${this.formatBytes(version.size)}` +
+                (version.added !== undefined ? `, Stored: ${this.formatBytes(version.added)}` : ''));
             console.log('');
         });
     }
 
-    compareBackups(backupId1, backupId2) {
-        const backup1Path = path.join(this.backupDir, backupId1, 'manifest.json');
-        const backup2Path = path.join(this.backupDir, backupId2, 'manifest.json');
-        
-        if (!fs.existsSync(backup1Path) || !fs.existsSync(backup2Path)) {
-            console.error('❌ One or both backups not found');
-            return;
-        }
-        
-        const manifest1 = JSON.parse(fs.readFileSync(backup1Path, 'utf8'));
-        const manifest2 = JSON.parse(fs.readFileSync(backup2Path, 'utf8'));
-        
-        console.log(`📊 Comparing backups: ${backupId1} vs ${backupId2}\n`);
+    /**
+     * Added, deleted and modified paths between two backups, from their
+     * manifests. Returns null when a backup does not exist.
+     */
+    diffManifests(backupId1, backupId2) {
+        const manifest1 = this.readManifest(backupId1);
+        const manifest2 = this.readManifest(backupId2);
+        if (!manifest1 || !manifest2) return null;
         
         const files1 = new Map(manifest1.files.map(f => [f.path, f]));
         const files2 = new Map(manifest2.files.map(f => [f.path, f]));
         
-        const allPaths = new Set([...files1.keys(), ...files2.keys()]);
+        const allPaths = Array.from(new Set([...files1.keys(), ...files2.keys()])).sort();
         const changes = [];
         
         allPaths.forEach(filePath => {
@@ -275,6 +979,19 @@ class BackupManager {
             }
         });
         
+        return changes;
+    }
+
+    compareBackups(backupId1, backupId2) {
+        const changes = this.diffManifests(backupId1, backupId2);
+        
+        if (!changes) {
+            console.error('❌ One or both backups not found');
+            return;
+        }
+        
+        console.log(`📊 Comparing backups: ${backupId1} vs ${backupId2}\n`);
+        
         if (changes.length === 0) {
             console.log('✅ No differences found between backups.');
         } else {
@@ -302,30 +1019,159 @@ class BackupManager {
                 console.log('');
             }
         }
+        
+        return changes;
     }
 
-    cleanupOldBackups(keepCount = 5) {
-        console.log(`🧹 Cleaning up old backups (keeping ${keepCount})...`);
+    /**
+     * Decide which backups a retention policy keeps. Pinned backups and the
+     * newest `keepLast` are always kept; `daily`, `weekly` and `monthly`
+     * keep the newest backup of each of that many most recent days, weeks
+     * and months that have one. Returns { version, reasons } for every
+     * backup, newest first; backups without reasons are expired.
+     */
+    planRetention(policy = this.retention) {
+        const versions = this.versions.versions.slice()
+            .sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp));
+        const plan = versions.map(version => ({ version, reasons: [] }));
         
-        if (this.versions.versions.length <= keepCount) {
-            console.log('No cleanup needed.');
-            return;
+        plan.forEach((entry, index) => {
+            if (entry.version.pinned) {
+                entry.reasons.push(entry.version.label ? `pinned as "${entry.version.label}"` : 'pinned');
+            }
+            if (index < Math.max(policy.keepLast || 0, 1)) {
+                entry.reasons.push('latest');
+            }
+        });
+        
+        const periods = {
+            daily: date => date.toISOString().slice(0, 10),
+            weekly: date => BackupManager.getWeekStart(date),
+            monthly: date => date.toISOString().slice(0, 7)
+        };
+        Object.entries(periods).forEach(([name, getPeriod]) => {
+            const seen = new Set();
+            plan.forEach(entry => {
+                const period = getPeriod(new Date(entry.version.timestamp));
+                if (seen.has(period) || seen.size >= (policy[name] || 0)) return;
+                seen.add(period);
+                entry.reasons.push(`${name} ${period}`);
+            });
+        });
+        
+        return plan;
+    }
+
+    /**
+     * Monday of the UTC week a date falls in, as YYYY-MM-DD
+     */
+    static getWeekStart(date) {
+        const monday = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+        monday.setUTCDate(monday.getUTCDate() - ((monday.getUTCDay() + 6) % 7));
+        return monday.toISOString().slice(0, 10);
+    }
+
+    /**
+     * Drop backups from versions.json and the store. Returns the number of
+     * bytes freed.
+     */
+    removeBackups(versions) {
+        const ids = new Set(versions.map(version => version.id));
+        this.versions.versions = this.versions.versions.filter(version => !ids.has(version.id));
+        ids.forEach(id => this.removeManifest(id));
+        return this.pruneObjects();
+    }
+
+    /**
+     * Remove the backups the retention policy does not keep. With dryRun
+     * the backups are only listed.
+     */
+    cleanupOldBackups(policy = this.retention, options = {}) {
+        const rules = ['keepLast', 'daily', 'weekly', 'monthly']
+            .filter(name => policy[name])
+            .map(name => `${name} ${policy[name]}`);
+        console.log(`🧹 Cleaning up old backups (${rules.join(', ')}, pinned backups are kept)...`);
+        
+        const plan = this.planRetention(policy);
+        const expired = plan.filter(entry => entry.reasons.length === 0);
+        
+        if (expired.length === 0) {
+            console.log(`No cleanup needed, all ${plan.length} backups are kept.`);
+            return [];
         }
         
-        const toRemove = this.versions.versions.splice(keepCount);
-        let removedCount = 0;
+        console.log(`\nKept (${plan.length - expired.length}):`);
+        plan.filter(entry => entry.reasons.length > 0).forEach(entry => {
+            console.log(`   ${entry.version.id} (${entry.reasons.join(', ')})`);
+        });
         
-        toRemove.forEach(version => {
-            const backupPath = path.join(this.backupDir, version.id);
-            if (fs.existsSync(backupPath)) {
-                this.removeDirectory(backupPath);
-                removedCount++;
-                console.log(`🗑️  Removed: ${version.id}`);
-            }
+        console.log(`\n${options.dryRun ? 'Would delete' : 'Deleting'} (${expired.length}):`);
+        expired.forEach(entry => {
+            console.log(`🗑️  ${entry.version.id}  ${new Date(entry.version.timestamp).toLocaleString()}  ${entry.version.description}`);
         });
         
+        if (options.dryRun) {
+            console.log('\n🔍 Dry run: no backups were deleted.');
+            return expired.map(entry => entry.version.id);
+        }
+        
+        const freed = this.removeBackups(expired.map(entry => entry.version));
         this.saveVersions();
-        console.log(`✅ Cleanup completed. Removed ${removedCount} old backups.`);
+        console.log(`\n✅ Cleanup completed. Removed ${expired.length} old backups, freed ${this.formatBytes(freed)}.`);
+        return expired.map(entry => entry.version.id);
+    }
+
+    /**
+     * Exclude a backup from cleanup, optionally under a label that can be
+     * used in place of its id
+     */
+    pinBackup(backupId, label = null) {
+        const version = this.findVersion(backupId);
+        if (!version) {
+            console.error(`❌ Backup not found: ${backupId}`);
+            return false;
+        }
+        if (label && this.versions.versions.some(other => other !== version && other.label === label)) {
+            console.error(`❌ The label "${label}" is already used`);
+            return false;
+        }
+        
+        version.pinned = true;
+        if (label) version.label = label;
+        this.saveVersions();
+        
+        console.log(`📌 Pinned ${version.id}${version.label ? ` as "${version.label}"` : ''}`);
+        return true;
+    }
+
+    unpinBackup(backupId) {
+        const version = this.findVersion(backupId);
+        if (!version) {
+            console.error(`❌ Backup not found: ${backupId}`);
+            return false;
+        }
+        
+        delete version.pinned;
+        delete version.label;
+        this.saveVersions();
+        
+        console.log(`✅ Unpinned ${version.id}, it is now subject to cleanup`);
+        return true;
+    }
+
+    /**
+     * Entry in versions.json of a backup id or label
+     */
+    findVersion(idOrLabel) {
+        return this.versions.versions.find(version => version.id === idOrLabel || version.label === idOrLabel) || null;
+    }
+
+    /**
+     * Backup id of an id or label; unknown values are returned unchanged
+     */
+    resolveBackupId(idOrLabel) {
+        const version = this.findVersion(idOrLabel);
+        return version ? version.id : idOrLabel;
     }
 
     formatBytes(bytes) {
@@ -340,55 +1186,184 @@ class BackupManager {
 // CLI interface
 if (require.main === module) {
     const manager = new BackupManager();
-    const command = process.argv[2];
-    const arg1 = process.argv[3];
-    const arg2 = process.argv[4];
-    
-    switch (command) {
-        case 'create':
-            manager.createBackup(arg1 || 'Manual backup');
-            break;
-        case 'restore':
-            if (arg1) {
-                manager.restoreBackup(arg1);
-            } else {
-                console.error('❌ Please specify backup ID to restore');
-            }
-            break;
-        case 'list':
-            manager.listBackups();
-            break;
-        case 'compare':
-            if (arg1 && arg2) {
-                manager.compareBackups(arg1, arg2);
-            } else {
-                console.error('❌ Please specify two backup IDs to compare');
+    const args = process.argv.slice(2);
+    const getArg = name => {
+        const index = args.indexOf(`--${name}`);
+        return index !== -1 ? args[index + 1] : null;
+    };
+    const valueFlags = ['--only', '--keep-last', '--daily', '--weekly', '--monthly', '--from', '--to'];
+    const [command, arg1, arg2] = args.filter((arg, index) => !arg.startsWith('--') && !valueFlags.includes(args[index - 1]));
+    // Backups can be named by id or by label
+    const backupId = value => value && manager.resolveBackupId(value);
+
+    const run = async () => {
+        switch (command) {
+            case 'create':
+                manager.createBackup(arg1 || 'Manual backup');
+                break;
+            case 'restore':
+                if (arg1 && getArg('from') && getArg('from') !== 'local') {
+                    await manager.fetchBackup(arg1, getArg('from'));
+                }
+                if (arg1) {
+                    const restored = manager.restoreBackup(backupId(arg1), {
+                        only: getArg('only') ? getArg('only').split(',').map(item => item.trim()).filter(Boolean) : null,
+                        preview: args.includes('--preview')
+                    });
+                    if (!restored) process.exitCode = 1;
+                } else {
+                    console.error('❌ Please specify backup ID to restore');
+                }
+                break;
+            case 'rollback':
+                if (!manager.rollbackRestore(backupId(arg1))) process.exitCode = 1;
+                break;
+            case 'list':
+                if (getArg('from') && getArg('from') !== 'local') {
+                    await manager.listMirrorBackups(getArg('from'));
+                } else {
+                    manager.listBackups();
+                }
+                break;
+            case 'verify':
+                if (arg1) {
+                    if (!manager.verifyBackup(backupId(arg1))) process.exitCode = 1;
+                } else {
+                    console.error('❌ Please specify backup ID to verify');
+                }
+                break;
+            case 'export':
+                if (arg1) {
+                    if (!manager.exportBackup(backupId(arg1), arg2)) process.exitCode = 1;
+                } else {
+                    console.error('❌ Please specify backup ID to export');
+                }
+                break;
+            case 'import':
+                if (arg1) {
+                    if (!manager.importBackup(arg1)) process.exitCode = 1;
+                } else {
+                    console.error('❌ Please specify the archive to import');
+                }
+                break;
+            case 'compare':
+                if (arg1 && arg2) {
+                    manager.compareBackups(backupId(arg1), backupId(arg2));
+                } else {
+                    console.error('❌ Please specify two backup IDs to compare');
+                }
+                break;
+            case 'cleanup': {
+                // A bare number keeps that many backups, as before retention policies
+                const policy = arg1 ? { keepLast: parseInt(arg1) } : { ...manager.retention };
+                ['keep-last', 'daily', 'weekly', 'monthly'].forEach(flag => {
+                    if (getArg(flag) !== null) {
+                        policy[flag.replace(/-(\w)/g, (match, letter) => letter.toUpperCase())] = parseInt(getArg(flag));
+                    }
+                });
+                manager.cleanupOldBackups(policy, { dryRun: args.includes('--dry-run') });
+                break;
             }
-            break;
-        case 'cleanup':
-            const keepCount = arg1 ? parseInt(arg1) : 5;
-            manager.cleanupOldBackups(keepCount);
-            break;
-        default:
-            console.log(`
+            case 'pin':
+                if (arg1) {
+                    if (!manager.pinBackup(backupId(arg1), arg2)) process.exitCode = 1;
+                } else {
+                    console.error('❌ Please specify backup ID to pin');
+                }
+                break;
+            case 'unpin':
+                if (arg1) {
+                    if (!manager.unpinBackup(backupId(arg1))) process.exitCode = 1;
+                } else {
+                    console.error('❌ Please specify backup ID to unpin');
+                }
+                break;
+            case 'mirror':
+                // Without a backup id, copy every backup a mirror lacks
+                if (arg1) {
+                    const targets = getArg('to') ? [getArg('to')] : manager.mirrors.map(mirror => mirror.name);
+                    if (targets.length === 0) {
+                        console.error('❌ No mirrors are configured in content/data/backup-policy.json');
+                        process.exitCode = 1;
+                    }
+                    for (const target of targets) {
+                        const { copied, bytes } = await manager.copyBackup(backupId(arg1), manager.getStorage('local'), manager.getStorage(target));
+                        console.log(`✅ Mirrored ${backupId(arg1)} to ${target}: ${copied} object(s), ${manager.formatBytes(bytes)}`);
+                    }
+                } else if (!(await manager.syncMirrors(getArg('to')))) {
+                    process.exitCode = 1;
+                }
+                break;
+            default:
+                console.log(`
 Backup Manager Usage:
 
   node backup-manager.js <command> [arguments]
 
 Commands:
   create [description]     Create a new backup
-  restore <backup-id>      Restore from backup
-  list                     List all backups
+  restore <backup-id> [--only <files>] [--preview] [--from <mirror>]
+                           Restore from backup. --only takes a comma-separated
+                           list of paths (public/contact.html), file names
+                           (services.json) or directories (templates);
+                           --preview prints the changes without writing;
+                           --from fetches the backup from a mirror first
+  rollback [snapshot-id]   Undo the latest restore (or the one whose
+                           pre-restore snapshot is given)
+  list [--from <mirror>]   List all backups, or those kept in a mirror
   compare <id1> <id2>      Compare two backups
-  cleanup [keep-count]     Remove old backups (default: keep 5)
+  verify <backup-id>       Check every file of a backup against its manifest
+  export <backup-id> [file]
+                           Write a backup to a .tar.gz archive
+                           (default: <backup-id>.tar.gz)
+  import <file>            Add a backup from an exported archive
+  cleanup [keep-count] [--dry-run]
+                           Remove the backups the retention policy in
+                           content/data/backup-policy.json does not keep, or
+                           all but the newest keep-count. Override the policy
+                           with --keep-last, --daily, --weekly, --monthly;
+                           --dry-run only lists what would be deleted
+  pin <backup-id> [label]  Never remove a backup; the label can be used in
+                           place of its id
+  unpin <backup-id>        Make a pinned backup subject to cleanup again
+  mirror [backup-id] [--to <mirror>]
+                           Copy the backups the mirrors of backup-policy.json
+                           do not have yet to them (also done after create,
+                           restore and import), or only the given backup
+
+Backups are stored in content/backups/: file contents once each under
+objects/ by SHA-256 hash, and one manifest per backup under manifests/.
 
 Examples:
   node backup-manager.js create "Before major update"
   node backup-manager.js restore backup-2024-10-31T10-30-00-000Z
+  node backup-manager.js restore backup-2024-10-31T10-30-00-000Z --only services.json,public/contact.html --preview
+  node backup-manager.js rollback
   node backup-manager.js list
+  node backup-manager.js verify backup-2024-10-31T10-30-00-000Z
+  node backup-manager.js export backup-2024-10-31T10-30-00-000Z /tmp/snapshot.tar.gz
+  node backup-manager.js import /tmp/snapshot.tar.gz
+  node backup-manager.js pin backup-2024-10-31T10-30-00-000Z launch
+  node backup-manager.js cleanup --daily 14 --dry-run
   node backup-manager.js cleanup 3
-            `);
-    }
+  node backup-manager.js mirror
+  node backup-manager.js restore backup-2024-10-31T10-30-00-000Z --from offsite
+                `);
+        }
+    };
+
+    run()
+        .then(async () => {
+            // Every new backup (including pre-restore snapshots) goes to the mirrors
+            const created = ['create', 'restore', 'import'].includes(command) && !args.includes('--preview');
+            if (created && manager.mirrors.length > 0 && !(await manager.syncMirrors())) {
+                process.exitCode = 1;
+            }
+        })
+        .catch(error => {
+            console.error(`❌ ${error.message}`);
+            process.exit(1);
+        });
 }
 
-module.exports = BackupManager;
\ No newline at end of file
+module.exports = BackupManager;
@@ -0,0 +1,407 @@
+/**
+ * Backup Storage
+ * Places a backup store can live in. Every adapter keeps the same keys as
+ * content/backups (objects/ab/cdef..., manifests/<backup-id>.json) and
+ * offers the same asynchronous operations:
+ *
+ *   put(key, content)  store a Buffer, replacing an existing value
+ *   get(key)           the stored Buffer, or null when the key is missing
+ *   has(key)           whether the key exists
+ *   list(prefix)       keys starting with prefix
+ *   delete(key)        remove a key if it exists
+ *
+ * DirectoryStorage uses a local or mounted directory and also offers each
+ * operation synchronously (putSync, getSync, ...); S3Storage uses an
+ * S3-compatible bucket (AWS S3, MinIO, ...) with path-style requests signed
+ * with AWS Signature Version 4.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const http = require('http');
+const https = require('https');
+
+const EMPTY_HASH = crypto.createHash('sha256').update('').digest('hex');
+
+class DirectoryStorage {
+    /**
+     * @param {Object} options
+     * @param {string} options.path Directory holding the store
+     * @param {string} [options.name]
+     */
+    constructor(options) {
+        if (!options.path) {
+            throw new Error('Directory storage needs a "path"');
+        }
+        this.root = path.resolve(options.path);
+        this.name = options.name || this.root;
+    }
+
+    describe() {
+        return `directory ${this.root}`;
+    }
+
+    resolveKey(key) {
+        const file = path.resolve(this.root, key);
+        if (!file.startsWith(this.root + path.sep)) {
+            throw new Error(`Invalid storage key: ${key}`);
+        }
+        return file;
+    }
+
+    async put(key, content) {
+        this.putSync(key, content);
+    }
+
+    async get(key) {
+        return this.getSync(key);
+    }
+
+    async has(key) {
+        return this.hasSync(key);
+    }
+
+    async list(prefix = '') {
+        return this.listSync(prefix);
+    }
+
+    async delete(key) {
+        this.deleteSync(key);
+    }
+
+    // Synchronous variants, used for the local store of backup-manager.js
+
+    putSync(key, content) {
+        const file = this.resolveKey(key);
+        fs.mkdirSync(path.dirname(file), { recursive: true });
+        // Write under a temporary name so readers never see a partial file
+        const tempFile = `${file}.${process.pid}.tmp`;
+        fs.writeFileSync(tempFile, content);
+        fs.renameSync(tempFile, file);
+    }
+
+    getSync(key) {
+        try {
+            return fs.readFileSync(this.resolveKey(key));
+        } catch (error) {
+            if (error.code === 'ENOENT') return null;
+            throw error;
+        }
+    }
+
+    hasSync(key) {
+        try {
+            return fs.statSync(this.resolveKey(key)).isFile();
+        } catch (error) {
+            if (error.code === 'ENOENT') return false;
+            throw error;
+        }
+    }
+
+    /**
+     * Size in bytes of a stored value, or null when the key is missing
+     */
+    sizeSync(key) {
+        try {
+            return fs.statSync(this.resolveKey(key)).size;
+        } catch (error) {
+            if (error.code === 'ENOENT') return null;
+            throw error;
+        }
+    }
+
+    listSync(prefix = '') {
+        const keys = [];
+        const walk = dir => {
+            let entries;
+            try {
+                entries = fs.readdirSync(dir, { withFileTypes: true });
+            } catch (error) {
+                if (error.code === 'ENOENT') return;
+                throw error;
+            }
+            for (const entry of entries) {
+                const fullPath = path.join(dir, entry.name);
+                if (entry.isDirectory()) {
+                    walk(fullPath);
+                } else if (!entry.name.endsWith('.tmp')) {
+                    const key = path.relative(this.root, fullPath).replace(/\\/g, '/');
+                    if (key.startsWith(prefix)) keys.push(key);
+                }
+            }
+        };
+        walk(this.root);
+        return keys.sort();
+    }
+
+    /**
+     * Remove a key if it exists, along with directories it leaves empty
+     */
+    deleteSync(key) {
+        const file = this.resolveKey(key);
+        try {
+            fs.unlinkSync(file);
+        } catch (error) {
+            if (error.code !== 'ENOENT') throw error;
+        }
+
+        let dir = path.dirname(file);
+        while (dir.startsWith(this.root + path.sep) && fs.existsSync(dir) && fs.readdirSync(dir).length === 0) {
+            fs.rmdirSync(dir);
+            dir = path.dirname(dir);
+        }
+    }
+}
+
+class S3Storage {
+    /**
+     * @param {Object} options
+     * @param {string} options.endpoint e.g. https://s3.ap-south-1.amazonaws.com or http://localhost:9000
+     * @param {string} options.bucket
+     * @param {string} [options.region] Default us-east-1, which MinIO accepts
+     * @param {string} [options.prefix] Key prefix inside the bucket
+     * @param {string} options.accessKeyId
+     * @param {string} options.secretAccessKey
+     * @param {string} [options.sessionToken]
+     * @param {number} [options.timeout] Request timeout in milliseconds
+     */
+    constructor(options) {
+        ['endpoint', 'bucket', 'accessKeyId', 'secretAccessKey'].forEach(name => {
+            if (!options[name]) {
+                throw new Error(`S3 storage needs "${name}"`);
+            }
+        });
+        this.endpoint = new URL(options.endpoint);
+        this.bucket = options.bucket;
+        this.region = options.region || 'us-east-1';
+        this.prefix = options.prefix ? `${options.prefix.replace(/\/+$/, '')}/` : '';
+        this.accessKeyId = options.accessKeyId;
+        this.secretAccessKey = options.secretAccessKey;
+        this.sessionToken = options.sessionToken || null;
+        this.timeout = options.timeout || 30000;
+        this.name = options.name || `s3://${this.bucket}/${this.prefix}`;
+    }
+
+    describe() {
+        return `s3://${this.bucket}/${this.prefix} at ${this.endpoint.origin}`;
+    }
+
+    async put(key, content) {
+        await this.request('PUT', this.prefix + key, { body: content });
+    }
+
+    async get(key) {
+        const response = await this.request('GET', this.prefix + key, { allowMissing: true });
+        return response.statusCode === 404 ? null : response.body;
+    }
+
+    async has(key) {
+        const response = await this.request('HEAD', this.prefix + key, { allowMissing: true });
+        return response.statusCode !== 404;
+    }
+
+    async list(prefix = '') {
+        const keys = [];
+        let token = null;
+
+        do {
+            const query = { 'list-type': '2', prefix: this.prefix + prefix };
+            if (token) query['continuation-token'] = token;
+
+            const response = await this.request('GET', '', { query });
+            const xml = response.body.toString('utf8');
+            const contents = xml.match(/<Contents>[\s\S]*?<\/Contents>/g) || [];
+            contents.forEach(entry => {
+                const key = S3Storage.decodeXML(entry.match(/<Key>([\s\S]*?)<\/Key>/)[1]);
+                keys.push(key.slice(this.prefix.length));
+            });
+
+            const truncated = /<IsTruncated>true<\/IsTruncated>/.test(xml);
+            const next = xml.match(/<NextContinuationToken>([\s\S]*?)<\/NextContinuationToken>/);
+            token = truncated && next ? S3Storage.decodeXML(next[1]) : null;
+        } while (token);
+
+        return keys.sort();
+    }
+
+    async delete(key) {
+        await this.request('DELETE', this.prefix + key, { allowMissing: true });
+    }
+
+    /**
+     * Send a signed request for a key of the bucket (or the bucket itself
+     * when key is empty). Resolves with { statusCode, headers, body }.
+     */
+    request(method, key, options = {}) {
+        const body = options.body || Buffer.alloc(0);
+        const basePath = this.endpoint.pathname.replace(/\/+$/, '');
+        const requestPath = `${basePath}/${S3Storage.encodePath(this.bucket)}${key ? `/${S3Storage.encodePath(key)}` : ''}`;
+        const query = S3Storage.canonicalQuery(options.query || {});
+        const payloadHash = crypto.createHash('sha256').update(body).digest('hex');
+
+        const headers = {
+            host: this.endpoint.host,
+            'x-amz-content-sha256': payloadHash,
+            'x-amz-date': S3Storage.formatDate(new Date())
+        };
+        if (this.sessionToken) headers['x-amz-security-token'] = this.sessionToken;
+        headers.authorization = S3Storage.sign({
+            method,
+            path: requestPath,
+            query,
+            headers,
+            payloadHash,
+            region: this.region,
+            accessKeyId: this.accessKeyId,
+            secretAccessKey: this.secretAccessKey
+        });
+        if (method === 'PUT') headers['content-length'] = String(body.length);
+
+        const client = this.endpoint.protocol === 'https:' ? https : http;
+
+        return new Promise((resolve, reject) => {
+            const req = client.request({
+                protocol: this.endpoint.protocol,
+                hostname: this.endpoint.hostname,
+                port: this.endpoint.port || undefined,
+                method,
+                path: query ? `${requestPath}?${query}` : requestPath,
+                headers,
+                timeout: this.timeout
+            }, res => {
+                const chunks = [];
+                res.on('data', chunk => chunks.push(chunk));
+                res.on('end', () => {
+                    const response = { statusCode: res.statusCode, headers: res.headers, body: Buffer.concat(chunks) };
+                    if (res.statusCode >= 200 && res.statusCode < 300) {
+                        resolve(response);
+                    } else if (res.statusCode === 404 && options.allowMissing) {
+                        resolve(response);
+                    } else {
+                        const code = response.body.toString('utf8').match(/<Code>([^<]*)<\/Code>/);
+                        reject(new Error(`${method} ${key || this.bucket} failed: HTTP ${res.statusCode}${code ? ` ${code[1]}` : ''}`));
+                    }
+                });
+            });
+
+            req.on('timeout', () => {
+                req.destroy();
+                reject(new Error(`${method} ${key || this.bucket} timed out`));
+            });
+
+            req.on('error', reject);
+
+            req.end(body);
+        });
+    }
+
+    /**
+     * Authorization header of a request (AWS Signature Version 4, service s3).
+     * `headers` must contain host and x-amz-date; all of them are signed.
+     */
+    static sign({ method, path: requestPath, query = '', headers, payloadHash = EMPTY_HASH, region, accessKeyId, secretAccessKey }) {
+        const names = Object.keys(headers).map(name => name.toLowerCase()).sort();
+        const values = {};
+        Object.keys(headers).forEach(name => {
+            values[name.toLowerCase()] = String(headers[name]).trim().replace(/\s+/g, ' ');
+        });
+        const signedHeaders = names.join(';');
+        const canonicalRequest = [
+            method,
+            requestPath,
+            query,
+            ...names.map(name => `${name}:${values[name]}`),
+            '',
+            signedHeaders,
+            payloadHash
+        ].join('\n');
+
+        const amzDate = values['x-amz-date'];
+        const scope = `${amzDate.slice(0, 8)}/${region}/s3/aws4_request`;
+        const stringToSign = [
+            'AWS4-HMAC-SHA256',
+            amzDate,
+            scope,
+            crypto.createHash('sha256').update(canonicalRequest).digest('hex')
+        ].join('\n');
+
+        const hmac = (key, value) => crypto.createHmac('sha256', key).update(value).digest();
+        let signingKey = hmac(`AWS4${secretAccessKey}`, amzDate.slice(0, 8));
+        [region, 's3', 'aws4_request'].forEach(part => {
+            signingKey = hmac(signingKey, part);
+        });
+        const signature = crypto.createHmac('sha256', signingKey).update(stringToSign).digest('hex');
+
+        return `AWS4-HMAC-SHA256 Credential=${accessKeyId}/${scope}, SignedHeaders=${signedHeaders}, Signature=${signature}`;
+    }
+
+    /**
+     * RFC 3986 encoding of each path segment, as SigV4 expects
+     */
+    static encodePath(key) {
+        return key.split('/').map(S3Storage.encode).join('/');
+    }
+
+    static encode(value) {
+        return encodeURIComponent(value).replace(/[!'()*]/g, char => `%${char.charCodeAt(0).toString(16).toUpperCase()}`);
+    }
+
+    static canonicalQuery(query) {
+        return Object.keys(query).sort()
+            .map(name => `${S3Storage.encode(name)}=${S3Storage.encode(query[name])}`)
+            .join('&');
+    }
+
+    /**
+     * Date in the ISO 8601 basic format of x-amz-date: 20240131T093000Z
+     */
+    static formatDate(date) {
+        return date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+    }
+
+    static decodeXML(text) {
+        return text
+            .replace(/&lt;/g, '<')
+            .replace(/&gt;/g, '>')
+            .replace(/&quot;/g, '"')
+            .replace(/&apos;/g, "'")
+            .replace(/&amp;/g, '&');
+    }
+}
+
+class BackupStorage {
+    /**
+     * Adapter for a storage target of content/data/backup-policy.json:
+     * { name, type: "directory", path } or
+     * { name, type: "s3", endpoint, bucket, region, prefix }. S3 credentials
+     * come from the environment variables named by accessKeyIdEnv and
+     * secretAccessKeyEnv (default AWS_ACCESS_KEY_ID, AWS_SECRET_ACCESS_KEY).
+     */
+    static create(target, env = process.env) {
+        switch (target.type) {
+            case 'directory':
+                return new DirectoryStorage(target);
+            case 's3': {
+                const keyEnv = target.accessKeyIdEnv || 'AWS_ACCESS_KEY_ID';
+                const secretEnv = target.secretAccessKeyEnv || 'AWS_SECRET_ACCESS_KEY';
+                if (!env[keyEnv] || !env[secretEnv]) {
+                    throw new Error(`Set ${keyEnv} and ${secretEnv} for the S3 storage "${target.name}"`);
+                }
+                return new S3Storage({
+                    ...target,
+                    accessKeyId: env[keyEnv],
+                    secretAccessKey: env[secretEnv],
+                    sessionToken: env[target.sessionTokenEnv || 'AWS_SESSION_TOKEN']
+                });
+            }
+            default:
+                throw new Error(`Unknown storage type "${target.type}" for "${target.name}"`);
+        }
+    }
+}
+
+BackupStorage.DirectoryStorage = DirectoryStorage;
+BackupStorage.S3Storage = S3Storage;
+
+module.exports = BackupStorage;
@@ -0,0 +1,341 @@
+/**
+ * Blog Generator
+ * Builds the blog from the Markdown posts in content/posts: one page per post,
+ * paginated index and per-tag listings, and an Atom feed. Pages are rendered
+ * through page-template.html by the ContentUpdater.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const MarkdownRenderer = require('./markdown');
+const StructuredDataGenerator = require('../../scripts/structured-data-generator');
+
+const REQUIRED_FIELDS = ['title', 'date', 'author'];
+
+class BlogGenerator {
+    constructor(updater, options = {}) {
+        this.updater = updater;
+        this.postsDir = options.postsDir || path.join(updater.contentDir, 'posts');
+        this.settings = Object.assign({
+            title: 'Blog',
+            description: '',
+            path: 'blog',
+            postsPerPage: 6,
+            feedSize: 20
+        }, updater.siteConfig.blog);
+        this.outputDir = path.join(updater.publicDir, this.settings.path);
+        this.baseUrl = updater.siteConfig.site.baseUrl;
+        this.errors = [];
+    }
+
+    /**
+     * Read and render every post, newest first. Drafts are skipped and
+     * posts with invalid front matter are reported and skipped.
+     */
+    loadPosts() {
+        if (!this.posts) {
+            const files = fs.existsSync(this.postsDir) ? fs.readdirSync(this.postsDir) : [];
+
+            this.posts = files
+                .filter(file => file.endsWith('.md'))
+                .sort()
+                .map(file => this.loadPost(file))
+                .filter(post => post && !post.draft)
+                .sort((a, b) => b.date.localeCompare(a.date) || a.title.localeCompare(b.title));
+        }
+        return this.posts;
+    }
+
+    loadPost(file) {
+        const source = fs.readFileSync(path.join(this.postsDir, file), 'utf8');
+
+        let parsed;
+        try {
+            parsed = MarkdownRenderer.parseFrontMatter(source);
+        } catch (error) {
+            return this.reportError(file, error.message);
+        }
+
+        const data = parsed.data;
+        const missing = REQUIRED_FIELDS.filter(field => !data[field]);
+        if (missing.length > 0) {
+            return this.reportError(file, `missing front matter: ${missing.join(', ')}`);
+        }
+        for (const field of ['date', 'updated']) {
+            if (data[field] !== undefined && !BlogGenerator.isDate(data[field])) {
+                return this.reportError(file, `"${field}" must be a YYYY-MM-DD date, got "${data[field]}"`);
+            }
+        }
+
+        const slug = data.slug || path.basename(file, '.md');
+        const html = MarkdownRenderer.render(parsed.body);
+        const tags = (Array.isArray(data.tags) ? data.tags : [data.tags]).filter(Boolean);
+
+        return {
+            file,
+            slug,
+            title: data.title,
+            date: data.date,
+            updated: data.updated || data.date,
+            displayDate: this.formatDate(data.date),
+            author: data.author,
+            byline: this.formatString(this.strings.postedBy, { author: data.author }),
+            cover: data.cover,
+            description: data.description || BlogGenerator.excerpt(html),
+            draft: data.draft === true,
+            tags: tags.map(tag => ({ name: tag, slug: MarkdownRenderer.slugify(tag), url: this.getTagUrl(tag) })),
+            url: `${slug}.html`,
+            html
+        };
+    }
+
+    reportError(file, message) {
+        const error = `posts/${file}: ${message}`;
+        console.error(`❌ ${error}`);
+        this.errors.push(error);
+        return null;
+    }
+
+    get strings() {
+        return this.updater.getStrings(this.updater.defaultLocale);
+    }
+
+    formatString(text, values) {
+        return this.updater.formatString(text, values);
+    }
+
+    formatDate(date) {
+        return this.updater.formatDate(date);
+    }
+
+    getTagUrl(tag, page = 1) {
+        return this.getPageUrl(`tag-${MarkdownRenderer.slugify(tag)}`, page);
+    }
+
+    /**
+     * File name of a listing page; page 1 of "index" is index.html,
+     * later pages are index-page-2.html, ...
+     */
+    getPageUrl(baseName, page) {
+        return page === 1 ? `${baseName}.html` : `${baseName}-page-${page}.html`;
+    }
+
+    /**
+     * Site-relative URL of a file in the blog directory
+     */
+    getSiteUrl(file) {
+        return `${this.settings.path}/${file}`;
+    }
+
+    generate() {
+        console.log('🔄 Generating blog...\n');
+
+        const posts = this.loadPosts();
+        posts.forEach(post => this.generatePost(post));
+
+        this.generateListing('index', posts, {
+            title: this.settings.title,
+            description: this.settings.description,
+            intro: this.settings.description
+        });
+
+        const tags = this.getTags(posts);
+        tags.forEach(tag => {
+            const title = this.formatString(this.strings.postsTagged, { tag: tag.name });
+            this.generateListing(`tag-${tag.slug}`, tag.posts, {
+                title,
+                description: `${title} - ${this.settings.description}`.slice(0, 160),
+                breadcrumbs: [{ title: this.settings.title, url: 'index.html' }]
+            });
+        });
+
+        this.generateFeed(posts);
+
+        console.log(`\n✅ Generated ${posts.length} posts and ${tags.length} tag pages`);
+        return posts;
+    }
+
+    generatePost(post) {
+        const content = this.updater.renderTemplate('blog-post-template.html', { post, root: '../' });
+        if (content === null) return;
+
+        const pageContent = this.updater.renderTemplate('page-template.html', {
+            root: '../',
+            page: {
+                title: post.title,
+                description: post.description,
+                keywords: post.tags.map(tag => tag.name),
+                url: this.getSiteUrl(post.url),
+                ogType: 'article',
+                image: post.cover ? `${this.baseUrl}/assets/img/${post.cover}` : undefined,
+                breadcrumbs: [{ title: this.settings.title, url: 'index.html' }],
+                feedUrl: 'feed.xml',
+                feedTitle: this.settings.title,
+                structuredData: this.generateBlogPostingSchema(post),
+                content
+            }
+        });
+        if (pageContent === null) return;
+
+        this.writeFile(post.url, pageContent);
+        console.log(`✅ Generated blog post: ${this.getSiteUrl(post.url)}`);
+    }
+
+    /**
+     * Write the pages of a post listing, postsPerPage posts per page
+     */
+    generateListing(baseName, posts, options) {
+        const pageCount = Math.max(1, Math.ceil(posts.length / this.settings.postsPerPage));
+
+        for (let number = 1; number <= pageCount; number++) {
+            const start = (number - 1) * this.settings.postsPerPage;
+            const url = this.getPageUrl(baseName, number);
+            const pageLabel = this.formatString(this.strings.pageNumber, { page: number, pages: pageCount });
+
+            const content = this.updater.renderTemplate('blog-list-template.html', {
+                root: '../',
+                intro: number === 1 ? options.intro : undefined,
+                posts: posts.slice(start, start + this.settings.postsPerPage),
+                pagination: {
+                    label: pageLabel,
+                    previous: number > 1 ? this.getPageUrl(baseName, number - 1) : null,
+                    next: number < pageCount ? this.getPageUrl(baseName, number + 1) : null,
+                    pages: pageCount > 1
+                        ? Array.from({ length: pageCount }, (value, index) => ({
+                            number: index + 1,
+                            url: this.getPageUrl(baseName, index + 1),
+                            current: index + 1 === number
+                        }))
+                        : []
+                }
+            });
+            if (content === null) return;
+
+            const title = number === 1 ? options.title : `${options.title} - ${pageLabel}`;
+            const pageContent = this.updater.renderTemplate('page-template.html', {
+                root: '../',
+                page: {
+                    title,
+                    description: options.description,
+                    keywords: [],
+                    url: this.getSiteUrl(url),
+                    breadcrumbs: options.breadcrumbs || [],
+                    feedUrl: 'feed.xml',
+                    feedTitle: this.settings.title,
+                    content
+                }
+            });
+            if (pageContent === null) return;
+
+            this.writeFile(url, pageContent);
+            console.log(`✅ Generated blog listing: ${this.getSiteUrl(url)}`);
+        }
+    }
+
+    /**
+     * Tags in alphabetical order with their posts, newest first
+     */
+    getTags(posts) {
+        const tags = new Map();
+
+        posts.forEach(post => {
+            post.tags.forEach(tag => {
+                if (!tags.has(tag.slug)) {
+                    tags.set(tag.slug, { name: tag.name, slug: tag.slug, posts: [] });
+                }
+                tags.get(tag.slug).posts.push(post);
+            });
+        });
+
+        return Array.from(tags.values()).sort((a, b) => a.name.localeCompare(b.name));
+    }
+
+    generateBlogPostingSchema(post) {
+        const generator = new StructuredDataGenerator(this.updater.publicDir, this.baseUrl);
+        return generator.generateBlogPostingSchema({
+            title: post.title,
+            description: post.description,
+            url: `${this.baseUrl}/${this.getSiteUrl(post.url)}`,
+            image: post.cover ? `${this.baseUrl}/assets/img/${post.cover}` : null,
+            datePublished: post.date,
+            dateModified: post.updated,
+            author: post.author,
+            keywords: post.tags.map(tag => tag.name)
+        });
+    }
+
+    /**
+     * Atom feed of the most recent posts
+     */
+    generateFeed(posts) {
+        const escape = MarkdownRenderer.escapeHTML;
+        const blogUrl = `${this.baseUrl}/${this.settings.path}/`;
+        const entries = posts.slice(0, this.settings.feedSize);
+        const updated = entries.reduce((latest, post) => (post.updated > latest ? post.updated : latest), '1970-01-01');
+
+        const feed = `<?xml version="1.0" encoding="utf-8"?>
+<feed xmlns="http://www.w3.org/2005/Atom" xml:base="${blogUrl}">
+    <title>${escape(`${this.settings.title} - ${this.updater.siteConfig.site.name}`)}</title>
+    <subtitle>${escape(this.settings.description)}</subtitle>
+    <link href="${blogUrl}feed.xml" rel="self" type="application/atom+xml"/>
+    <link href="${blogUrl}index.html" rel="alternate" type="text/html"/>
+    <id>${blogUrl}</id>
+    <updated>${updated}T00:00:00Z</updated>
+${entries.map(post => [
+    '    <entry>',
+    `        <title>${escape(post.title)}</title>`,
+    `        <link href="${blogUrl}${post.url}" rel="alternate" type="text/html"/>`,
+    `        <id>${blogUrl}${post.url}</id>`,
+    `        <published>${post.date}T00:00:00Z</published>`,
+    `        <updated>${post.updated}T00:00:00Z</updated>`,
+    `        <author><name>${escape(post.author)}</name></author>`,
+    ...post.tags.map(tag => `        <category term="${escape(tag.name)}"/>`),
+    `        <summary>${escape(post.description)}</summary>`,
+    `        <content type="html">${escape(post.html)}</content>`,
+    '    </entry>'
+].join('\n')).join('\n')}
+</feed>
+`;
+
+        this.writeFile('feed.xml', feed);
+        console.log(`✅ Generated feed: ${this.getSiteUrl('feed.xml')}`);
+    }
+
+    /**
+     * Sitemap entries for the generated blog pages
+     */
+    getSitemapEntries() {
+        const posts = this.loadPosts();
+        if (posts.length === 0) return [];
+
+        const entries = [
+            { url: 'index.html', changeFreq: 'weekly', priority: 0.7 },
+            ...posts.map(post => ({ url: post.url, changeFreq: 'monthly', priority: 0.6 })),
+            ...this.getTags(posts).map(tag => ({ url: this.getTagUrl(tag.name), changeFreq: 'weekly', priority: 0.4 }))
+        ];
+
+        return entries
+            .filter(entry => fs.existsSync(path.join(this.outputDir, entry.url)))
+            .map(entry => Object.assign(entry, { url: this.getSiteUrl(entry.url) }));
+    }
+
+    writeFile(file, content) {
+        fs.mkdirSync(this.outputDir, { recursive: true });
+        fs.writeFileSync(path.join(this.outputDir, file), content);
+    }
+
+    static isDate(value) {
+        return /^\d{4}-\d{2}-\d{2}$/.test(value) && new Date(`${value}T00:00:00Z`).toISOString().startsWith(value);
+    }
+
+    /**
+     * First paragraph of a post as plain text, at most 160 characters
+     */
+    static excerpt(html) {
+        const paragraph = html.match(/<p>([\s\S]*?)<\/p>/);
+        const text = MarkdownRenderer.toPlainText(paragraph ? paragraph[1] : html);
+        return text.length <= 160 ? text : `${text.slice(0, 157).replace(/\s+\S*$/, '')}...`;
+    }
+}
+
+module.exports = BlogGenerator;
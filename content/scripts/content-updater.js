@@ -7,6 +7,30 @@
 
 const fs = require('fs');
 const path = require('path');
+const StructuredDataGenerator = require('../../scripts/structured-data-generator');
+const SitemapGenerator = require('../../scripts/sitemap-generator');
+const SiteHierarchy = require('../../scripts/site-hierarchy');
+const TemplateEngine = require('./template-engine');
+const SchemaValidator = require('./schema-validator');
+const LocaleOverlay = require('./locale-overlay');
+const BlogGenerator = require('./blog-generator');
+const MarkdownRenderer = require('./markdown');
+
+// ui strings used as labels for JobPosting employment types and salary units
+const EMPLOYMENT_TYPE_STRINGS = {
+    FULL_TIME: 'fullTime',
+    PART_TIME: 'partTime',
+    CONTRACTOR: 'contract',
+    TEMPORARY: 'temporary',
+    INTERN: 'internship'
+};
+const SALARY_UNIT_STRINGS = {
+    HOUR: 'perHour',
+    DAY: 'perDay',
+    WEEK: 'perWeek',
+    MONTH: 'perMonth',
+    YEAR: 'perYear'
+};
 
 class ContentUpdater {
     constructor() {
@@ -18,6 +42,18 @@ class ContentUpdater {
         this.siteConfig = this.loadJSON('site-config.json');
         this.servicesData = this.loadJSON('services.json');
         this.pagesData = this.loadJSON('pages.json');
+        this.locationsData = this.loadJSON('locations.json');
+        this.jobsData = this.loadJSON('jobs.json');
+        this.templateErrors = [];
+        this.blogErrors = [];
+        // Services, locations and jobs that were asked for but do not exist
+        this.lookupErrors = [];
+
+        // The site language lives at the root, other locales under /<locale>/
+        const site = this.siteConfig.site || {};
+        this.defaultLocale = site.language || 'en';
+        this.locales = site.locales || [this.defaultLocale];
+        this.localeData = {};
     }
 
     loadJSON(filename) {
@@ -40,128 +76,595 @@ class ContentUpdater {
         }
     }
 
-    replaceTemplateVariables(content, variables) {
-        let result = content;
-        
-        Object.keys(variables).forEach(key => {
-            const placeholder = `{{${key}}}`;
-            const value = variables[key] || '';
-            result = result.replace(new RegExp(placeholder, 'g'), value);
+    /**
+     * Data for a locale: the base data files with the locale's overlays
+     * (site-config.hi.json, services.hi.json, ...) merged over them.
+     * Only services present in a locale's overlay are published in that locale.
+     */
+    getLocaleData(locale = this.defaultLocale) {
+        if (!this.localeData[locale]) {
+            if (locale === this.defaultLocale) {
+                this.localeData[locale] = {
+                    siteConfig: this.siteConfig,
+                    services: this.servicesData.services,
+                    locations: this.locationsData.locations || []
+                };
+            } else {
+                const overlay = file => LocaleOverlay.load(this.dataDir, file, locale);
+                const servicesOverlay = overlay('services.json') || {};
+                const translatedIds = (servicesOverlay.services || []).map(service => service.id);
+
+                this.localeData[locale] = {
+                    siteConfig: LocaleOverlay.merge(this.siteConfig, overlay('site-config.json')),
+                    services: LocaleOverlay.merge(this.servicesData, servicesOverlay).services
+                        .filter(service => translatedIds.includes(service.id)),
+                    locations: LocaleOverlay.merge(this.locationsData, overlay('locations.json')).locations || []
+                };
+            }
+        }
+        return this.localeData[locale];
+    }
+
+    getServices(locale = this.defaultLocale) {
+        return this.getLocaleData(locale).services;
+    }
+
+    /**
+     * Locales a service page is published in
+     */
+    getServiceLocales(serviceId) {
+        return this.locales.filter(locale => this.getServices(locale).some(service => service.id === serviceId));
+    }
+
+    /**
+     * Path prefix of a locale's pages relative to the site root
+     */
+    getLocalePath(locale) {
+        return locale === this.defaultLocale ? '' : `${locale}/`;
+    }
+
+    getOutputPath(locale, url) {
+        const outputPath = path.join(this.publicDir, this.getLocalePath(locale), url);
+        fs.mkdirSync(path.dirname(outputPath), { recursive: true });
+        return outputPath;
+    }
+
+    /**
+     * hreflang alternates for a page published in the given locales
+     */
+    getAlternates(url, locales) {
+        if (locales.length < 2) return [];
+
+        const baseUrl = this.siteConfig.site.baseUrl;
+        return [
+            ...locales.map(locale => ({ hreflang: locale, href: `${baseUrl}/${this.getLocalePath(locale)}${url}` })),
+            { hreflang: 'x-default', href: `${baseUrl}/${url}` }
+        ];
+    }
+
+    /**
+     * Replace {name} placeholders in a UI string
+     */
+    formatString(text, values) {
+        return text.replace(/\{(\w+)\}/g, (placeholder, name) =>
+            values[name] !== undefined ? values[name] : placeholder
+        );
+    }
+
+    /**
+     * The locale's UI strings from site-config "ui", formatted for a page
+     */
+    getStrings(locale, values = {}) {
+        const strings = this.getLocaleData(locale).siteConfig.ui || {};
+        const formatted = {};
+        Object.keys(strings).forEach(key => {
+            formatted[key] = this.formatString(strings[key], values);
         });
-        
-        return result;
+        return formatted;
     }
 
-    generateServicePage(serviceId) {
-        const service = this.servicesData.services.find(s => s.id === serviceId);
+    formatDate(date, locale = this.defaultLocale) {
+        return new Date(`${date}T00:00:00Z`).toLocaleDateString(locale, {
+            day: 'numeric',
+            month: 'long',
+            year: 'numeric',
+            timeZone: 'UTC'
+        });
+    }
+
+    /**
+     * Template engine with the <template> blocks of content-blocks.html
+     * registered as partials
+     */
+    getTemplateEngine() {
+        if (!this.templateEngine) {
+            this.templateEngine = new TemplateEngine();
+            this.templateEngine.registerPartialsFromBlocks(this.loadTemplate('content-blocks.html'), 'content-blocks.html');
+        }
+        return this.templateEngine;
+    }
+
+    /**
+     * Render a template with the locale's site configuration (site, contact,
+     * analytics, ...) plus page-specific data as its context. `root` is the
+     * relative path from the page back to the site root.
+     * Returns null and records the error when the template cannot be rendered.
+     */
+    renderTemplate(templateName, data, locale = this.defaultLocale) {
+        const context = Object.assign({}, this.getLocaleData(locale).siteConfig, {
+            root: locale === this.defaultLocale ? '' : '../',
+            localePath: this.getLocalePath(locale),
+            alternates: [],
+            ui: this.getStrings(locale)
+        }, data);
+
+        try {
+            return this.getTemplateEngine().render(this.loadTemplate(templateName), context, templateName);
+        } catch (error) {
+            if (!(error instanceof TemplateEngine.TemplateError)) throw error;
+
+            console.error(`❌ Template error: ${error.message}`);
+            this.templateErrors.push(error);
+            return null;
+        }
+    }
+
+    generateServicePage(serviceId, locale = this.defaultLocale) {
+        const services = this.getServices(locale);
+        const service = services.find(s => s.id === serviceId);
         if (!service) {
-            console.error(`Service not found: ${serviceId}`);
+            console.error(`Service not found: ${serviceId}${locale === this.defaultLocale ? '' : ` (locale ${locale})`}`);
+            this.lookupErrors.push(`service ${serviceId}`);
             return;
         }
 
-        const template = this.loadTemplate('service-page-template.html');
-        const headerTemplate = this.loadTemplate('content-blocks.html');
-        
-        // Extract header and footer from content blocks
-        const headerContent = this.extractTemplate(headerTemplate, 'header-template');
-        const footerContent = this.extractTemplate(headerTemplate, 'footer-template');
-        
-        const variables = {
-            SERVICE_TITLE: service.title,
-            SERVICE_DESCRIPTION: service.description,
-            SERVICE_KEYWORDS: service.keywords.join(', '),
-            SERVICE_URL: service.url,
-            SERVICE_H1: service.title,
-            SERVICE_SUBTITLE: service.shortDescription,
-            SERVICE_OVERVIEW_TITLE: `About ${service.name}`,
-            SERVICE_OVERVIEW_CONTENT: service.description,
-            SERVICE_FEATURES_LIST: service.features.map(f => `<li>${f}</li>`).join('\n                                    '),
-            SERVICE_BENEFITS_CONTENT: this.generateBenefitsHTML(service.benefits),
-            SERVICE_IMAGE: service.image,
-            SERVICE_TYPE: service.serviceType,
-            HEADER_CONTENT: headerContent,
-            FOOTER_CONTENT: footerContent,
-            RELATED_SERVICES_CONTENT: this.generateRelatedServicesHTML(serviceId),
-            ANALYTICS_CODE: this.generateAnalyticsCode()
-        };
-
-        const pageContent = this.replaceTemplateVariables(template, variables);
-        const outputPath = path.join(this.publicDir, service.url);
-        
+        const pageContent = this.renderTemplate('service-page-template.html', {
+            service,
+            relatedServices: services.filter(s => s.id !== serviceId).slice(0, 3),
+            faqSchema: this.generateFAQPageSchema(service, locale),
+            ui: this.getStrings(locale, { service: service.name }),
+            alternates: this.getAlternates(service.url, this.getServiceLocales(service.id))
+        }, locale);
+        if (pageContent === null) return;
+
+        const outputPath = this.getOutputPath(locale, service.url);
+
         fs.writeFileSync(outputPath, pageContent);
-        console.log(`✅ Generated service page: ${service.url}`);
+        console.log(`✅ Generated service page: ${this.getLocalePath(locale)}${service.url}`);
     }
 
-    generateBenefitsHTML(benefits) {
-        return benefits.map(benefit => `
-                                    <div class="col-md-6">
-                                        <div class="benefit-item">
-                                            <i class="bx bx-check"></i>
-                                            <span>${benefit}</span>
-                                        </div>
-                                    </div>`).join('');
+    /**
+     * Find a location by id or city name (case-insensitive)
+     */
+    findLocation(nameOrId) {
+        const key = String(nameOrId).toLowerCase();
+        return (this.locationsData.locations || []).find(location =>
+            location.id === key || location.city.toLowerCase() === key
+        );
     }
 
-    generateRelatedServicesHTML(currentServiceId) {
-        const relatedServices = this.servicesData.services
-            .filter(s => s.id !== currentServiceId)
-            .slice(0, 3);
-        
-        return relatedServices.map(service => `
-                            <div class="col-lg-4">
-                                <div class="service-card">
-                                    <div class="service-icon">
-                                        <i class="${service.icon}"></i>
-                                    </div>
-                                    <h3>${service.name}</h3>
-                                    <p>${service.shortDescription}</p>
-                                    <a href="${service.url}" class="service-link">Learn More <i class="bx bx-right-arrow-alt"></i></a>
-                                </div>
-                            </div>`).join('');
-    }
-
-    extractTemplate(content, templateId) {
-        const regex = new RegExp(`<template id="${templateId}">(.*?)</template>`, 's');
-        const match = content.match(regex);
-        return match ? match[1].trim() : '';
-    }
-
-    generateAnalyticsCode() {
-        if (this.siteConfig.analytics && this.siteConfig.analytics.googleAnalytics) {
-            return `
-    <!-- Google Analytics -->
-    <script async src="https://www.googletagmanager.com/gtag/js?id=${this.siteConfig.analytics.googleAnalytics}"></script>
-    <script>
-        window.dataLayer = window.dataLayer || [];
-        function gtag(){dataLayer.push(arguments);}
-        gtag('js', new Date());
-        gtag('config', '${this.siteConfig.analytics.googleAnalytics}');
-    </script>`;
+    /**
+     * URL of the service page for a city. Hand-made pages that already rank
+     * for a service/city pair are kept via pageOverrides.
+     */
+    getLocationPageUrl(service, location) {
+        const override = (this.locationsData.pageOverrides || []).find(entry =>
+            entry.service === service.id && entry.location === location.id
+        );
+        if (override) {
+            return override.url;
         }
-        return '';
+
+        const pattern = this.locationsData.urlPattern || '{service}-in-{location}.html';
+        return pattern.replace('{service}', service.id).replace('{location}', location.id);
     }
 
-    updateSitemap() {
-        const allPages = [
-            ...this.pagesData.pages,
-            ...this.pagesData.servicePages
+    /**
+     * Every service × city combination listed in services.json that is
+     * published in the locale, with the locale's service and location data
+     */
+    getLocationPages(locale = this.defaultLocale) {
+        const pages = [];
+        const locations = this.getLocaleData(locale).locations;
+
+        this.getServices(locale).forEach(service => {
+            (service.locations || []).forEach(city => {
+                const location = this.findLocation(city);
+                if (location) {
+                    pages.push({
+                        service,
+                        location: locations.find(entry => entry.id === location.id),
+                        url: this.getLocationPageUrl(service, location)
+                    });
+                }
+            });
+        });
+
+        return pages;
+    }
+
+    generateLocationPage(serviceId, locationName, locale = this.defaultLocale) {
+        const service = this.getServices(locale).find(s => s.id === serviceId);
+        if (!service) {
+            console.error(`Service not found: ${serviceId}${locale === this.defaultLocale ? '' : ` (locale ${locale})`}`);
+            this.lookupErrors.push(`service ${serviceId}`);
+            return;
+        }
+
+        const baseLocation = this.findLocation(locationName);
+        if (!baseLocation) {
+            console.error(`Location not found in locations.json: ${locationName}`);
+            this.lookupErrors.push(`location ${locationName}`);
+            return;
+        }
+        const location = this.getLocaleData(locale).locations.find(entry => entry.id === baseLocation.id);
+
+        if (!(service.locations || []).some(city => this.findLocation(city) === baseLocation)) {
+            console.warn(`⚠️  ${baseLocation.city} is not listed in the locations of ${service.id}`);
+        }
+
+        const url = this.getLocationPageUrl(service, location);
+        const locationPages = this.getLocationPages(locale);
+        const address = location.address;
+        const strings = this.getLocaleData(locale).siteConfig.ui;
+        const ui = this.getStrings(locale, {
+            service: service.name,
+            shortDescription: service.shortDescription,
+            city: location.city,
+            region: location.region
+        });
+
+        const pageContent = this.renderTemplate('location-page-template.html', {
+            service,
+            location,
+            ui,
+            page: {
+                title: ui.locationPageTitle,
+                description: ui.locationPageDescription,
+                keywords: [
+                    ...service.keywords.map(keyword => `${keyword} ${location.city}`),
+                    this.formatString(strings.serviceInCity, { service: service.name.toLowerCase(), city: location.city })
+                ],
+                url
+            },
+            alternates: this.getAlternates(url, this.getServiceLocales(service.id)),
+            addressLines: [address.streetAddress, address.addressLocality, address.addressRegion, address.postalCode]
+                .filter(Boolean),
+            localBusinessSchema: this.generateLocalBusinessSchema(location, url, locale),
+            otherServices: locationPages
+                .filter(page => page.location.id === location.id && page.service.id !== service.id)
+                .map(page => Object.assign({}, page.service, {
+                    name: this.formatString(strings.serviceInCity, { service: page.service.name, city: location.city }),
+                    url: page.url
+                })),
+            otherLocations: locationPages
+                .filter(page => page.service.id === service.id && page.location.id !== location.id)
+                .map(page => ({
+                    label: this.formatString(strings.serviceInCity, { service: service.name, city: page.location.city }),
+                    url: page.url
+                }))
+        }, locale);
+        if (pageContent === null) return;
+
+        const outputPath = this.getOutputPath(locale, url);
+
+        fs.writeFileSync(outputPath, pageContent);
+        console.log(`✅ Generated location page: ${this.getLocalePath(locale)}${url}`);
+    }
+
+    generateAllLocationPages(locales = this.locales) {
+        console.log('🔄 Generating all location pages...\n');
+
+        let count = 0;
+        locales.forEach(locale => {
+            this.getLocationPages(locale).forEach(page => {
+                this.generateLocationPage(page.service.id, page.location.id, locale);
+                count++;
+            });
+        });
+
+        console.log(`\n✅ Generated ${count} location pages`);
+    }
+
+    /**
+     * LocalBusiness schema for a location, pointing at the generated page
+     */
+    generateLocalBusinessSchema(location, url, locale = this.defaultLocale) {
+        const generator = new StructuredDataGenerator(this.publicDir, this.siteConfig.site.baseUrl);
+        return generator.generateLocalBusinessSchema(location, {
+            url: `${this.siteConfig.site.baseUrl}/${this.getLocalePath(locale)}${url}`,
+            areaServed: location.areasServed
+        });
+    }
+
+    /**
+     * FAQPage schema matching the FAQ accordion of a service page, or null
+     * when the service has no FAQs
+     */
+    generateFAQPageSchema(service, locale = this.defaultLocale) {
+        if (!service.faqs || service.faqs.length === 0) return null;
+
+        const generator = new StructuredDataGenerator(this.publicDir, this.siteConfig.site.baseUrl);
+        return generator.generateFAQPageSchema(service.faqs, {
+            url: `${this.siteConfig.site.baseUrl}/${this.getLocalePath(locale)}${service.url}`
+        });
+    }
+
+    /**
+     * Today's date as YYYY-MM-DD, used to expire job openings
+     */
+    getToday() {
+        const now = new Date();
+        const pad = value => String(value).padStart(2, '0');
+        return `${now.getFullYear()}-${pad(now.getMonth() + 1)}-${pad(now.getDate())}`;
+    }
+
+    /**
+     * A job is open up to and including its validThrough date
+     */
+    isJobExpired(job) {
+        return job.validThrough < this.getToday();
+    }
+
+    /**
+     * Open jobs, most recently posted first
+     */
+    getActiveJobs() {
+        return (this.jobsData.jobs || [])
+            .filter(job => !this.isJobExpired(job))
+            .sort((a, b) => b.datePosted.localeCompare(a.datePosted) || a.title.localeCompare(b.title));
+    }
+
+    getJobsPath() {
+        return this.jobsData.path || 'jobs';
+    }
+
+    /**
+     * Template data for a job: the jobs.json entry with its optional fields
+     * filled in and display labels for location, job type and salary
+     */
+    getJobView(job) {
+        const strings = this.getStrings(this.defaultLocale);
+        const location = job.location ? this.findLocation(job.location) : null;
+        const salary = job.salary;
+
+        let salaryLabel = '';
+        if (salary) {
+            const format = amount => new Intl.NumberFormat('en-IN', {
+                style: 'currency',
+                currency: salary.currency,
+                maximumFractionDigits: 0
+            }).format(amount);
+            const amount = salary.max ? `${format(salary.min)} - ${format(salary.max)}` : format(salary.min);
+            salaryLabel = `${amount} ${strings[SALARY_UNIT_STRINGS[salary.unit]]}`;
+        }
+
+        return Object.assign({}, job, {
+            url: `${job.id}.html`,
+            companyLabel: job.company || this.siteConfig.site.name,
+            locationLabel: [location && location.city, job.remote && strings.remote].filter(Boolean).join(' / '),
+            filterLocation: [location && location.id, job.remote && 'remote'].filter(Boolean).join(' '),
+            employmentTypeLabel: job.employmentType.map(type => this.getEmploymentTypeLabel(type)).join(', '),
+            salaryLabel,
+            industry: job.industry || '',
+            experience: job.experience || '',
+            responsibilities: job.responsibilities || [],
+            requirements: job.requirements || [],
+            displayDatePosted: this.formatDate(job.datePosted),
+            displayValidThrough: this.formatDate(job.validThrough),
+            applyUrl: `mailto:${this.siteConfig.contact.email}?subject=${encodeURIComponent(
+                this.formatString(strings.applicationFor, { job: job.title }))}`,
+            address: location ? location.address : null
+        });
+    }
+
+    getEmploymentTypeLabel(type) {
+        const label = this.getStrings(this.defaultLocale)[EMPLOYMENT_TYPE_STRINGS[type]];
+        return label || type.charAt(0) + type.slice(1).toLowerCase().replace(/_/g, ' ');
+    }
+
+    generateJobPage(jobId) {
+        const job = (this.jobsData.jobs || []).find(entry => entry.id === jobId);
+        if (!job) {
+            console.error(`Job not found: ${jobId}`);
+            this.lookupErrors.push(`job ${jobId}`);
+            return;
+        }
+        if (this.isJobExpired(job)) {
+            console.warn(`⚠️  ${jobId} expired on ${job.validThrough}; not generating its page`);
+            this.removeExpiredJobPages();
+            return;
+        }
+
+        const view = this.getJobView(job);
+        const content = this.renderTemplate('job-post-template.html', { job: view, root: '../' });
+        if (content === null) return;
+
+        const pageContent = this.renderTemplate('page-template.html', {
+            root: '../',
+            page: {
+                title: view.locationLabel ? `${view.title} - ${view.locationLabel}` : view.title,
+                h1: view.title,
+                description: view.summary,
+                keywords: [view.title, view.locationLabel, view.industry].filter(Boolean),
+                url: `${this.getJobsPath()}/${view.url}`,
+                breadcrumbs: [{ title: this.jobsData.title, url: 'index.html' }],
+                structuredData: this.generateJobPostingSchema(view),
+                content
+            }
+        });
+        if (pageContent === null) return;
+
+        fs.writeFileSync(this.getOutputPath(this.defaultLocale, `${this.getJobsPath()}/${view.url}`), pageContent);
+        console.log(`✅ Generated job page: ${this.getJobsPath()}/${view.url}`);
+    }
+
+    /**
+     * Job board listing every open job, with filters for location,
+     * job type and industry (assets/js/job-filter.js)
+     */
+    generateJobListing() {
+        const jobs = this.getActiveJobs().map(job => this.getJobView(job));
+        const options = (values, label = value => value) => Array.from(new Set(values))
+            .map(value => ({ value, label: label(value) }))
+            .sort((a, b) => a.label.localeCompare(b.label));
+        const strings = this.getStrings(this.defaultLocale);
+
+        const content = this.renderTemplate('jobs-list-template.html', {
+            root: '../',
+            intro: this.jobsData.description,
+            jobs,
+            countLabel: this.formatString(strings.jobCount, { count: jobs.length }),
+            filters: {
+                locations: options(
+                    [].concat(...jobs.map(job => job.filterLocation.split(' '))),
+                    id => (id === 'remote' ? strings.remote : this.findLocation(id).city)
+                ),
+                employmentTypes: options(
+                    [].concat(...jobs.map(job => job.employmentType)),
+                    type => this.getEmploymentTypeLabel(type)
+                ),
+                industries: options(jobs.map(job => job.industry).filter(Boolean))
+            }
+        });
+        if (content === null) return;
+
+        const pageContent = this.renderTemplate('page-template.html', {
+            root: '../',
+            page: {
+                title: this.jobsData.title,
+                description: this.jobsData.description,
+                keywords: [],
+                url: `${this.getJobsPath()}/index.html`,
+                breadcrumbs: [],
+                scripts: ['assets/js/job-filter.js'],
+                content
+            }
+        });
+        if (pageContent === null) return;
+
+        fs.writeFileSync(this.getOutputPath(this.defaultLocale, `${this.getJobsPath()}/index.html`), pageContent);
+        console.log(`✅ Generated job board: ${this.getJobsPath()}/index.html (${jobs.length} open jobs)`);
+    }
+
+    /**
+     * Delete job pages that are no longer open: expired jobs and jobs
+     * removed from jobs.json
+     */
+    removeExpiredJobPages() {
+        const jobsDir = path.join(this.publicDir, this.getJobsPath());
+        if (!fs.existsSync(jobsDir)) return [];
+
+        const activePages = this.getActiveJobs().map(job => `${job.id}.html`);
+        const removed = fs.readdirSync(jobsDir)
+            .filter(file => file.endsWith('.html') && file !== 'index.html' && !activePages.includes(file));
+
+        removed.forEach(file => {
+            fs.unlinkSync(path.join(jobsDir, file));
+            console.log(`🗑️  Removed closed job page: ${this.getJobsPath()}/${file}`);
+        });
+        return removed;
+    }
+
+    generateAllJobPages() {
+        console.log('🔄 Generating job board...\n');
+
+        this.removeExpiredJobPages();
+        const jobs = this.getActiveJobs();
+        jobs.forEach(job => this.generateJobPage(job.id));
+        this.generateJobListing();
+
+        console.log(`\n✅ Generated ${jobs.length} job pages`);
+    }
+
+    generateJobPostingSchema(job) {
+        const generator = new StructuredDataGenerator(this.publicDir, this.siteConfig.site.baseUrl);
+        const strings = this.getStrings(this.defaultLocale);
+        const list = (title, items) => (items.length > 0
+            ? `<h3>${MarkdownRenderer.escapeHTML(title)}</h3><ul>${items.map(item => `<li>${MarkdownRenderer.escapeHTML(item)}</li>`).join('')}</ul>`
+            : '');
+
+        return generator.generateJobPostingSchema(Object.assign({}, job, {
+            url: `${this.siteConfig.site.baseUrl}/${this.getJobsPath()}/${job.url}`,
+            description: `<p>${MarkdownRenderer.escapeHTML(job.description)}</p>` +
+                list(strings.responsibilities, job.responsibilities) +
+                list(strings.requirements, job.requirements)
+        }));
+    }
+
+    /**
+     * Sitemap entries for the job board and the pages of open jobs
+     */
+    getJobSitemapEntries() {
+        const settings = this.jobsData.sitemap || {};
+        const entries = [
+            { url: 'index.html', priority: 0.7 },
+            ...this.getActiveJobs().map(job => ({ url: `${job.id}.html`, priority: settings.priority || 0.5 }))
+        ];
+
+        return entries
+            .filter(entry => fs.existsSync(path.join(this.publicDir, this.getJobsPath(), entry.url)))
+            .map(entry => Object.assign(entry, {
+                url: `${this.getJobsPath()}/${entry.url}`,
+                changeFreq: settings.changeFreq || 'daily'
+            }));
+    }
+
+    /**
+     * Priorities and change frequencies of the generated location, blog
+     * and job pages; registered pages take theirs from pages.json
+     */
+    getSitemapHints() {
+        return [
+            ...this.getLocationSitemapEntries(),
+            ...this.getBlogGenerator().getSitemapEntries(),
+            ...this.getJobSitemapEntries()
         ];
+    }
 
-        const sitemapXML = `<?xml version="1.0" encoding="UTF-8"?>
-<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">
-${allPages.map(page => `    <url>
-        <loc>${this.siteConfig.site.baseUrl}/${page.url}</loc>
-        <lastmod>${page.lastModified}</lastmod>
-        <changefreq>${page.changeFreq}</changefreq>
-        <priority>${page.priority}</priority>
-    </url>`).join('\n')}
-</urlset>`;
-
-        const sitemapPath = path.join(this.publicDir, 'sitemap.xml');
-        fs.writeFileSync(sitemapPath, sitemapXML);
+    /**
+     * Write sitemap.xml for every indexable page in public/
+     */
+    updateSitemap() {
+        const generator = new SitemapGenerator({
+            publicDir: this.publicDir,
+            baseUrl: this.siteConfig.site.baseUrl,
+            hints: this.getSitemapHints()
+        });
+        generator.generate();
         console.log('✅ Updated sitemap.xml');
     }
 
+    /**
+     * Sitemap entries for location pages that have been generated
+     */
+    getLocationSitemapEntries() {
+        const settings = this.locationsData.sitemap || {};
+
+        return this.getLocationPages()
+            .filter(page => fs.existsSync(path.join(this.publicDir, page.url)))
+            .map(page => ({
+                url: page.url,
+                changeFreq: settings.changeFreq || 'monthly',
+                priority: settings.priority || 0.6
+            }));
+    }
+
+    getBlogGenerator() {
+        if (!this.blogGenerator) {
+            this.blogGenerator = new BlogGenerator(this);
+            this.blogErrors = this.blogGenerator.errors;
+        }
+        return this.blogGenerator;
+    }
+
+    /**
+     * Generate the blog from the Markdown posts in content/posts
+     */
+    generateBlog() {
+        return this.getBlogGenerator().generate();
+    }
+
     updateRobotsTxt() {
         const robotsTxt = `User-agent: *
 Allow: /
@@ -185,11 +688,13 @@ Allow: /robots.txt`;
         console.log('✅ Updated robots.txt');
     }
 
-    generateAllServicePages() {
+    generateAllServicePages(locales = this.locales) {
         console.log('🔄 Generating all service pages...\n');
         
-        this.servicesData.services.forEach(service => {
-            this.generateServicePage(service.id);
+        locales.forEach(locale => {
+            this.getServices(locale).forEach(service => {
+                this.generateServicePage(service.id, locale);
+            });
         });
         
         console.log('\n✅ All service pages generated successfully!');
@@ -199,12 +704,23 @@ Allow: /robots.txt`;
         console.log('🔄 Updating all website content...\n');
         
         this.generateAllServicePages();
+        this.generateAllLocationPages();
+        this.generateBlog();
+        this.generateAllJobPages();
         this.updateSitemap();
         this.updateRobotsTxt();
         
         console.log('\n🎉 Content update completed successfully!');
     }
 
+    /**
+     * Check every data file against its schema in content/schemas
+     */
+    validateSchemas(options = {}) {
+        const validator = new SchemaValidator({ dataDir: this.dataDir });
+        return validator.validateAll(options);
+    }
+
     validateDataConsistency() {
         console.log('🔍 Validating data consistency...\n');
         
@@ -218,10 +734,86 @@ Allow: /robots.txt`;
             }
         });
         
+        // Check that every service location is defined in locations.json
+        this.servicesData.services.forEach(service => {
+            (service.locations || []).forEach(city => {
+                if (!this.findLocation(city)) {
+                    issues.push(`Location "${city}" of service "${service.id}" missing from locations.json`);
+                }
+            });
+        });
+
+        // Check that page overrides refer to known services and locations
+        (this.locationsData.pageOverrides || []).forEach(override => {
+            const service = this.servicesData.services.find(s => s.id === override.service);
+            if (!service || !this.findLocation(override.location)) {
+                issues.push(`Location page override "${override.url}" refers to an unknown service or location`);
+            }
+        });
+
+        // Check that structured data settings refer to known services and locations
+        [...this.pagesData.pages, ...this.pagesData.servicePages].forEach(page => {
+            const settings = page.structuredData || {};
+            if (settings.service && !this.servicesData.services.find(s => s.id === settings.service)) {
+                issues.push(`Page "${page.id}" uses unknown service "${settings.service}" for structured data`);
+            }
+            if (settings.location && !(this.locationsData.locations || []).find(location => location.id === settings.location)) {
+                issues.push(`Location "${settings.location}" of page "${page.id}" missing from locations.json`);
+            }
+            if ((settings.schemas || []).includes('LocalBusiness') && !settings.location) {
+                issues.push(`Page "${page.id}" needs structuredData.location for its LocalBusiness schema`);
+            }
+        });
+
+        // Check that every page and section leads back to the home page for its breadcrumb
+        const hierarchy = new SiteHierarchy({ contentUpdater: this });
+        hierarchy.getNodes().forEach(node => {
+            const { problem, broken } = hierarchy.traceTrail(node);
+            if (problem && broken === node) {
+                issues.push(`"${node.id}" (${node.url}) has no path to the home page: ${problem}`);
+            }
+        });
+
+        // Check that jobs refer to known services and locations
+        (this.jobsData.jobs || []).forEach(job => {
+            if (job.service && !this.servicesData.services.find(s => s.id === job.service)) {
+                issues.push(`Job "${job.id}" refers to unknown service "${job.service}"`);
+            }
+            if (job.location && !this.findLocation(job.location)) {
+                issues.push(`Location "${job.location}" of job "${job.id}" missing from locations.json`);
+            }
+            if (!job.location && !job.remote) {
+                issues.push(`Job "${job.id}" needs a location or "remote": true`);
+            }
+            if (job.validThrough < job.datePosted) {
+                issues.push(`Job "${job.id}" expires (${job.validThrough}) before it is posted (${job.datePosted})`);
+            }
+        });
+
+        const jobIds = (this.jobsData.jobs || []).map(job => job.id);
+        const duplicateJobs = jobIds.filter((id, index) => jobIds.indexOf(id) !== index);
+        if (duplicateJobs.length > 0) {
+            issues.push(`Duplicate job ids found: ${duplicateJobs.join(', ')}`);
+        }
+
+        // Check that the site language is one of the configured locales
+        if (!this.locales.includes(this.defaultLocale)) {
+            issues.push(`Site language "${this.defaultLocale}" is missing from site.locales`);
+        }
+
+        // Check that every locale overlay belongs to a configured locale
+        fs.readdirSync(this.dataDir).forEach(file => {
+            const overlay = LocaleOverlay.parseFileName(file);
+            if (overlay && !this.locales.includes(overlay.locale)) {
+                issues.push(`Overlay "${file}" is for locale "${overlay.locale}", which is not in site.locales`);
+            }
+        });
+
         // Check if all page URLs are unique
         const allUrls = [
             ...this.pagesData.pages.map(p => p.url),
-            ...this.pagesData.servicePages.map(p => p.url)
+            ...this.pagesData.servicePages.map(p => p.url),
+            ...this.getLocationPages().map(p => p.url)
         ];
         
         const duplicateUrls = allUrls.filter((url, index) => allUrls.indexOf(url) !== index);
@@ -243,15 +835,56 @@ Allow: /robots.txt`;
 // CLI interface
 if (require.main === module) {
     const updater = new ContentUpdater();
+    const localeIndex = process.argv.indexOf('--locale');
+    const onlyLocale = localeIndex !== -1 ? process.argv.splice(localeIndex, 2)[1] : null;
     const command = process.argv[2];
     const target = process.argv[3];
+
+    if (onlyLocale && !updater.locales.includes(onlyLocale)) {
+        console.error(`Unknown locale: ${onlyLocale}. Configured locales: ${updater.locales.join(', ')}`);
+        process.exit(1);
+    }
+
+    // Pages are generated in every locale they are published in unless --locale is given
+    const localesFor = serviceId => {
+        const locales = updater.getServiceLocales(serviceId).filter(locale => !onlyLocale || locale === onlyLocale);
+        return locales.length > 0 ? locales : [onlyLocale || updater.defaultLocale];
+    };
+    const allLocales = onlyLocale ? [onlyLocale] : updater.locales;
+
+    // Generating commands refuse to run on data that does not match its schema
+    if (['service', 'location', 'blog', 'jobs', 'sitemap', 'robots', 'all'].includes(command) && !updater.validateSchemas({ quiet: true })) {
+        console.error('Fix the data files above before updating content.');
+        process.exit(1);
+    }
     
     switch (command) {
         case 'service':
             if (target) {
-                updater.generateServicePage(target);
+                localesFor(target).forEach(locale => updater.generateServicePage(target, locale));
             } else {
-                updater.generateAllServicePages();
+                updater.generateAllServicePages(allLocales);
+            }
+            break;
+        case 'location':
+            if (target === 'all') {
+                updater.generateAllLocationPages(allLocales);
+            } else if (target && process.argv[4]) {
+                localesFor(target).forEach(locale => updater.generateLocationPage(target, process.argv[4], locale));
+            } else {
+                console.error('Usage: node content-updater.js location <service> <city> | location all');
+                process.exit(1);
+            }
+            break;
+        case 'blog':
+            updater.generateBlog();
+            break;
+        case 'jobs':
+            if (target) {
+                updater.generateJobPage(target);
+                updater.generateJobListing();
+            } else {
+                updater.generateAllJobPages();
             }
             break;
         case 'sitemap':
@@ -260,9 +893,14 @@ if (require.main === module) {
         case 'robots':
             updater.updateRobotsTxt();
             break;
-        case 'validate':
-            updater.validateDataConsistency();
+        case 'validate': {
+            const schemasValid = updater.validateSchemas();
+            console.log('');
+            if (!updater.validateDataConsistency() || !schemasValid) {
+                process.exitCode = 1;
+            }
             break;
+        }
         case 'all':
             updater.updateAllContent();
             break;
@@ -270,21 +908,40 @@ if (require.main === module) {
             console.log(`
 Content Updater Usage:
 
-  node content-updater.js <command> [target]
+  node content-updater.js <command> [target] [--locale <code>]
 
 Commands:
   service [id]    Generate service page(s)
+  location <service> <city>
+                  Generate the page for one service in one city
+  location all    Generate every service × city page
+  blog            Generate blog posts, listings and feed from content/posts
+  jobs [id]       Generate the job board and job pages from jobs.json;
+                  pages of expired jobs are removed
   sitemap         Update sitemap.xml
   robots          Update robots.txt
-  validate        Validate data consistency
+  validate        Validate data files against their schemas and
+                  check data consistency
   all             Update all content
 
+Pages are generated for every locale in site-config.json "locales" that
+translates the service (see services.<locale>.json). Use --locale to
+generate a single locale.
+
 Examples:
   node content-updater.js service permanent-recruitment
   node content-updater.js service
+  node content-updater.js location permanent-recruitment Delhi
+  node content-updater.js location all
+  node content-updater.js jobs
+  node content-updater.js service --locale hi
   node content-updater.js all
             `);
     }
+
+    if (updater.templateErrors.length > 0 || updater.blogErrors.length > 0 || updater.lookupErrors.length > 0) {
+        process.exitCode = 1;
+    }
 }
 
 module.exports = ContentUpdater;
\ No newline at end of file
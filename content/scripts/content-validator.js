@@ -2,20 +2,38 @@
 
 /**
  * Content Validation Script
- * Validates website content for consistency, SEO compliance, and quality
+ * Validates website content for consistency, SEO compliance, and quality,
+ * and reports pages whose body text is nearly the same as another page's
  */
 
 const fs = require('fs');
 const path = require('path');
 const { JSDOM } = require('jsdom');
 
+// Body text similarity: pages are compared as sets of word shingles,
+// estimated with MinHash signatures
+const SHINGLE_SIZE = 5;
+const MINHASH_PERMUTATIONS = 128;
+const MIN_WORDS = 50;
+const DEFAULT_SIMILARITY_THRESHOLD = 0.6;
+
+// Shared regions and text that is not part of the page's own content
+const EXCLUDED_REGIONS = 'header, footer, nav, script, style, noscript, template, .sr-only, [role="banner"], [role="contentinfo"], [role="navigation"]';
+const TEXT_BLOCKS = 'p, li, h1, h2, h3, h4, h5, h6, blockquote, td, dt, dd';
+
+// Paragraphs found on at least this share of pages are site-wide boilerplate
+const BOILERPLATE_RATIO = 0.5;
+
 class ContentValidator {
-    constructor() {
+    constructor(options = {}) {
         this.errors = [];
         this.warnings = [];
-        this.publicDir = path.join(__dirname, '../../public');
+        this.publicDir = options.publicDir || path.join(__dirname, '../../public');
         this.contentDir = path.join(__dirname, '..');
         this.siteConfig = this.loadSiteConfig();
+        this.similarityThreshold = options.similarityThreshold || DEFAULT_SIMILARITY_THRESHOLD;
+        this.bodyTexts = [];
+        this.similarity = null;
     }
 
     loadSiteConfig() {
@@ -50,6 +68,12 @@ class ContentValidator {
             // Validate links
             this.validateLinks(document, fileName);
 
+            // Keep the body text for the similarity analysis
+            this.bodyTexts.push({
+                file: path.relative(this.publicDir, filePath).replace(/\\/g, '/'),
+                paragraphs: this.extractParagraphs(document)
+            });
+
         } catch (error) {
             this.errors.push(`Error validating ${filePath}: ${error.message}`);
         }
@@ -246,6 +270,194 @@ class ContentValidator {
         });
     }
 
+    /**
+     * Text blocks of the page's own content, without the shared header,
+     * footer and navigation
+     */
+    extractParagraphs(document) {
+        const body = document.body.cloneNode(true);
+        body.querySelectorAll(EXCLUDED_REGIONS).forEach(element => element.remove());
+
+        return Array.from(body.querySelectorAll(TEXT_BLOCKS))
+            .filter(element => !element.querySelector(TEXT_BLOCKS))
+            .map(element => element.textContent.replace(/\s+/g, ' ').trim())
+            .filter(Boolean);
+    }
+
+    /**
+     * City, area and region names from locations.json, longest first, so
+     * pages that only swap the city name compare as equal
+     */
+    getLocationTerms() {
+        if (!this.locationTerms) {
+            let locations = [];
+            try {
+                const data = JSON.parse(fs.readFileSync(path.join(this.contentDir, 'data/locations.json'), 'utf8'));
+                locations = data.locations || [];
+            } catch (error) {
+                this.warnings.push(`Similarity analysis: could not read locations.json (${error.message})`);
+            }
+
+            const terms = new Set();
+            locations.forEach(location => {
+                const address = location.address || {};
+                [location.city, location.region, address.addressLocality, address.addressRegion, address.streetAddress,
+                    ...(location.areasServed || [])]
+                    .filter(Boolean)
+                    .forEach(term => terms.add(term.toLowerCase()));
+            });
+            this.locationTerms = Array.from(terms).sort((a, b) => b.length - a.length);
+        }
+        return this.locationTerms;
+    }
+
+    /**
+     * Lowercase words with location names replaced by a placeholder
+     */
+    normalizeText(text) {
+        let normalized = ` ${text.toLowerCase().replace(/[^a-z0-9\u0900-\u097f]+/g, ' ')} `;
+        this.getLocationTerms().forEach(term => {
+            const words = term.replace(/[^a-z0-9\u0900-\u097f]+/g, ' ').trim();
+            if (words) normalized = normalized.split(` ${words} `).join(' city ');
+        });
+        return normalized.replace(/\s+/g, ' ').trim();
+    }
+
+    /**
+     * 32-bit FNV-1a hashes of the SHINGLE_SIZE-word shingles of a text
+     */
+    static shingleHashes(words) {
+        const hashes = new Set();
+        for (let i = 0; i + SHINGLE_SIZE <= words.length; i++) {
+            hashes.add(ContentValidator.hashString(words.slice(i, i + SHINGLE_SIZE).join(' ')));
+        }
+        return hashes;
+    }
+
+    static hashString(text) {
+        let hash = 0x811c9dc5;
+        for (let i = 0; i < text.length; i++) {
+            hash ^= text.charCodeAt(i);
+            hash = Math.imul(hash, 0x01000193);
+        }
+        return hash >>> 0;
+    }
+
+    /**
+     * MurmurHash3 finalizer, used to derive the MinHash permutations
+     */
+    static mix(value) {
+        let hash = value;
+        hash ^= hash >>> 16;
+        hash = Math.imul(hash, 0x85ebca6b);
+        hash ^= hash >>> 13;
+        hash = Math.imul(hash, 0xc2b2ae35);
+        hash ^= hash >>> 16;
+        return hash >>> 0;
+    }
+
+    static minhashSignature(hashes) {
+        const signature = new Array(MINHASH_PERMUTATIONS).fill(0xffffffff);
+        hashes.forEach(hash => {
+            for (let i = 0; i < MINHASH_PERMUTATIONS; i++) {
+                const permuted = ContentValidator.mix(hash ^ Math.imul(i + 1, 0x9e3779b1));
+                if (permuted < signature[i]) signature[i] = permuted;
+            }
+        });
+        return signature;
+    }
+
+    /**
+     * Estimated Jaccard similarity of the shingle sets behind two signatures
+     */
+    static estimateSimilarity(a, b) {
+        const matches = a.reduce((count, value, index) => count + (value === b[index] ? 1 : 0), 0);
+        return matches / a.length;
+    }
+
+    /**
+     * Locale of a page: translations live under /<locale>/
+     */
+    getPageLocale(file) {
+        const site = this.siteConfig.site || {};
+        const locale = file.split('/')[0];
+        return file.includes('/') && (site.locales || []).includes(locale) ? locale : site.language;
+    }
+
+    /**
+     * Compare the body text of every pair of pages in the same locale and
+     * report pairs at or above the similarity threshold, together with the
+     * paragraphs that only one page of the pair has
+     */
+    analyzeSimilarity() {
+        const frequency = new Map();
+        this.bodyTexts.forEach(page => {
+            new Set(page.paragraphs.map(paragraph => this.normalizeText(paragraph))).forEach(key => {
+                frequency.set(key, (frequency.get(key) || 0) + 1);
+            });
+        });
+        const boilerplateCount = Math.max(3, Math.ceil(this.bodyTexts.length * BOILERPLATE_RATIO));
+
+        const pages = this.bodyTexts
+            .map(page => {
+                const paragraphs = page.paragraphs
+                    .map(text => ({ text, key: this.normalizeText(text) }))
+                    .filter(paragraph => paragraph.key && frequency.get(paragraph.key) < boilerplateCount);
+                const words = paragraphs.map(paragraph => paragraph.key).join(' ').split(' ').filter(Boolean);
+                return { file: page.file, locale: this.getPageLocale(page.file), paragraphs, words };
+            })
+            .filter(page => page.words.length >= MIN_WORDS);
+
+        pages.forEach(page => {
+            page.signature = ContentValidator.minhashSignature(ContentValidator.shingleHashes(page.words));
+        });
+
+        const pairs = [];
+        for (let i = 0; i < pages.length; i++) {
+            for (let j = i + 1; j < pages.length; j++) {
+                if (pages[i].locale !== pages[j].locale) continue;
+
+                const similarity = ContentValidator.estimateSimilarity(pages[i].signature, pages[j].signature);
+                if (similarity >= this.similarityThreshold) {
+                    pairs.push({ pages: [pages[i], pages[j]], similarity });
+                }
+            }
+        }
+        pairs.sort((a, b) => b.similarity - a.similarity);
+
+        const uniqueParagraphs = (page, other) => {
+            const keys = new Set(other.paragraphs.map(paragraph => paragraph.key));
+            const texts = page.paragraphs.filter(paragraph => !keys.has(paragraph.key)).map(paragraph => paragraph.text);
+            return Array.from(new Set(texts));
+        };
+
+        this.similarity = {
+            threshold: this.similarityThreshold,
+            shingleSize: SHINGLE_SIZE,
+            permutations: MINHASH_PERMUTATIONS,
+            pagesCompared: pages.length,
+            pairs: pairs.map(pair => {
+                const [a, b] = pair.pages;
+                return {
+                    pages: [a.file, b.file],
+                    similarity: Math.round(pair.similarity * 100) / 100,
+                    uniqueParagraphs: {
+                        [a.file]: uniqueParagraphs(a, b),
+                        [b.file]: uniqueParagraphs(b, a)
+                    }
+                };
+            })
+        };
+
+        this.similarity.pairs.forEach(pair => {
+            const [a, b] = pair.pages;
+            this.warnings.push(`${a} and ${b}: body text is ${Math.round(pair.similarity * 100)}% similar ` +
+                `(${pair.uniqueParagraphs[a].length} and ${pair.uniqueParagraphs[b].length} unique paragraph(s))`);
+        });
+
+        return this.similarity;
+    }
+
     validateAllFiles() {
         console.log('🔍 Starting content validation...\n');
         
@@ -256,6 +468,8 @@ class ContentValidator {
             console.log(`Validating: ${path.basename(file)}`);
             this.validateHTML(file);
         });
+
+        this.analyzeSimilarity();
         
         this.generateReport();
     }
@@ -278,6 +492,28 @@ class ContentValidator {
         return files;
     }
 
+    /**
+     * Near-duplicate pairs with the paragraphs copywriters can build on
+     */
+    printSimilarity() {
+        const preview = text => (text.length > 100 ? `${text.slice(0, 97)}...` : text);
+
+        console.log(`\n🔁 Near-duplicate pages (body text ${Math.round(this.similarity.threshold * 100)}% or more alike):`);
+        this.similarity.pairs.forEach(pair => {
+            console.log(`\n  ${pair.pages.join(' ↔ ')}: ${Math.round(pair.similarity * 100)}%`);
+            pair.pages.forEach(file => {
+                const unique = pair.uniqueParagraphs[file];
+                if (unique.length === 0) {
+                    console.log(`    ${file}: no unique paragraphs`);
+                    return;
+                }
+                console.log(`    ${file}: ${unique.length} unique paragraph(s)`);
+                unique.slice(0, 3).forEach(text => console.log(`      + ${preview(text)}`));
+                if (unique.length > 3) console.log(`      … and ${unique.length - 3} more in the report`);
+            });
+        });
+    }
+
     generateReport() {
         console.log('\n📊 Validation Report');
         console.log('='.repeat(50));
@@ -296,6 +532,10 @@ class ContentValidator {
             console.log(`\n⚠️  Warnings (${this.warnings.length}):`);
             this.warnings.forEach(warning => console.log(`  • ${warning}`));
         }
+
+        if (this.similarity && this.similarity.pairs.length > 0) {
+            this.printSimilarity();
+        }
         
         // Save report to file
         const report = {
@@ -306,7 +546,8 @@ class ContentValidator {
                 status: this.errors.length === 0 ? 'PASS' : 'FAIL'
             },
             errors: this.errors,
-            warnings: this.warnings
+            warnings: this.warnings,
+            similarity: this.similarity
         };
         
         const reportPath = path.join(this.contentDir, 'validation/validation-report.json');
@@ -324,7 +565,16 @@ class ContentValidator {
 
 // Run validation if called directly
 if (require.main === module) {
-    const validator = new ContentValidator();
+    const args = process.argv.slice(2);
+    const thresholdIndex = args.indexOf('--similarity-threshold');
+    const similarityThreshold = thresholdIndex !== -1 ? parseFloat(args[thresholdIndex + 1]) : undefined;
+
+    if (similarityThreshold !== undefined && !(similarityThreshold > 0 && similarityThreshold <= 1)) {
+        console.error('❌ --similarity-threshold must be a number between 0 and 1');
+        process.exit(1);
+    }
+
+    const validator = new ContentValidator({ similarityThreshold });
     validator.validateAllFiles();
 }
 
@@ -0,0 +1,94 @@
+/**
+ * Locale Overlays
+ * A locale overlay (e.g. services.hi.json) holds only the translated fields
+ * of a data file. It is merged over the base file: objects are merged key by
+ * key, arrays of objects with an "id" are merged item by item, and any other
+ * value in the overlay replaces the base value.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+class LocaleOverlay {
+    /**
+     * Overlay file name for a data file, e.g. services.json + hi → services.hi.json
+     */
+    static fileName(dataFile, locale) {
+        return dataFile.replace(/\.json$/, `.${locale}.json`);
+    }
+
+    /**
+     * Split an overlay file name into its data file and locale, or null
+     */
+    static parseFileName(fileName) {
+        const match = fileName.match(/^(.+)\.([a-z]{2}(?:-[A-Z]{2})?)\.json$/);
+        return match ? { dataFile: `${match[1]}.json`, locale: match[2] } : null;
+    }
+
+    /**
+     * Load the overlay for a data file, or null when the locale has none
+     */
+    static load(dataDir, dataFile, locale) {
+        const filePath = path.join(dataDir, LocaleOverlay.fileName(dataFile, locale));
+        if (!fs.existsSync(filePath)) return null;
+
+        return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    }
+
+    static merge(base, overlay) {
+        if (overlay === undefined || overlay === null) return base;
+
+        if (Array.isArray(base) && Array.isArray(overlay) && LocaleOverlay.isIdList(base) && LocaleOverlay.isIdList(overlay)) {
+            return base.map(item => {
+                const translated = overlay.find(entry => entry.id === item.id);
+                return translated ? LocaleOverlay.merge(item, translated) : item;
+            });
+        }
+
+        if (LocaleOverlay.isPlainObject(base) && LocaleOverlay.isPlainObject(overlay)) {
+            const merged = Object.assign({}, base);
+            Object.keys(overlay).forEach(key => {
+                merged[key] = LocaleOverlay.merge(base[key], overlay[key]);
+            });
+            return merged;
+        }
+
+        return overlay;
+    }
+
+    /**
+     * Ids of list entries in an overlay that have no counterpart in the base
+     * data, reported as 'services[id="..."]' so typos in overlays do not go unnoticed
+     */
+    static findUnmatchedIds(base, overlay, prefix = '') {
+        const unmatched = [];
+
+        if (Array.isArray(base) && Array.isArray(overlay) && LocaleOverlay.isIdList(overlay)) {
+            overlay.forEach(entry => {
+                const original = base.find(item => item && item.id === entry.id);
+                const entryPath = `${prefix}[id=${JSON.stringify(entry.id)}]`;
+                if (!original) {
+                    unmatched.push(entryPath);
+                } else {
+                    unmatched.push(...LocaleOverlay.findUnmatchedIds(original, entry, entryPath));
+                }
+            });
+        } else if (LocaleOverlay.isPlainObject(base) && LocaleOverlay.isPlainObject(overlay)) {
+            Object.keys(overlay).forEach(key => {
+                unmatched.push(...LocaleOverlay.findUnmatchedIds(base[key], overlay[key], prefix ? `${prefix}.${key}` : key));
+            });
+        }
+
+        return unmatched;
+    }
+
+    static isIdList(list) {
+        return list.length > 0 && list.every(item => LocaleOverlay.isPlainObject(item) && typeof item.id === 'string');
+    }
+
+    static isPlainObject(value) {
+        return value !== null && typeof value === 'object' && !Array.isArray(value);
+    }
+}
+
+module.exports = LocaleOverlay;
@@ -0,0 +1,204 @@
+/**
+ * Markdown Renderer
+ * Converts the Markdown used by blog posts to HTML and reads their
+ * front matter. Supports headings, paragraphs, lists, block quotes, fenced
+ * code, horizontal rules, links, images, emphasis and inline code.
+ * Raw HTML in the source is escaped.
+ */
+
+const ESCAPES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+
+class MarkdownRenderer {
+    static escapeHTML(text) {
+        return String(text).replace(/[&<>"']/g, char => ESCAPES[char]);
+    }
+
+    /**
+     * Split "---" delimited front matter from the body.
+     * Values are strings, booleans, or lists written as [a, b] or "- item" lines.
+     * Returns { data, body, bodyLine } where bodyLine is the 1-based line the body starts on.
+     */
+    static parseFrontMatter(source) {
+        const lines = source.replace(/\r\n/g, '\n').split('\n');
+        if (lines[0].trim() !== '---') {
+            return { data: {}, body: lines.join('\n'), bodyLine: 1 };
+        }
+
+        const end = lines.findIndex((line, index) => index > 0 && line.trim() === '---');
+        if (end === -1) {
+            throw new Error('Front matter is not closed with "---"');
+        }
+
+        const data = {};
+        let listKey = null;
+
+        lines.slice(1, end).forEach((line, index) => {
+            if (!line.trim() || line.trim().startsWith('#')) return;
+
+            const item = line.match(/^\s+-\s+(.*)$/) || line.match(/^-\s+(.*)$/);
+            if (item && listKey) {
+                data[listKey].push(MarkdownRenderer.parseScalar(item[1]));
+                return;
+            }
+
+            const pair = line.match(/^([A-Za-z][\w-]*):\s*(.*)$/);
+            if (!pair) {
+                throw new Error(`Invalid front matter on line ${index + 2}: ${line.trim()}`);
+            }
+
+            const [, key, value] = pair;
+            listKey = null;
+
+            if (value === '') {
+                data[key] = [];
+                listKey = key;
+            } else if (/^\[.*\]$/.test(value)) {
+                data[key] = value.slice(1, -1).split(',').map(entry => entry.trim()).filter(Boolean)
+                    .map(entry => MarkdownRenderer.parseScalar(entry));
+            } else {
+                data[key] = MarkdownRenderer.parseScalar(value);
+            }
+        });
+
+        return { data, body: lines.slice(end + 1).join('\n'), bodyLine: end + 2 };
+    }
+
+    static parseScalar(value) {
+        const trimmed = value.trim();
+        if (trimmed === 'true') return true;
+        if (trimmed === 'false') return false;
+
+        const quoted = trimmed.match(/^"(.*)"$/) || trimmed.match(/^'(.*)'$/);
+        return quoted ? quoted[1] : trimmed;
+    }
+
+    static render(markdown) {
+        return MarkdownRenderer.renderBlocks(markdown.replace(/\r\n/g, '\n').split('\n')).join('\n');
+    }
+
+    static renderBlocks(lines) {
+        const html = [];
+        let i = 0;
+
+        while (i < lines.length) {
+            const line = lines[i];
+
+            if (!line.trim()) {
+                i++;
+                continue;
+            }
+
+            const fence = line.match(/^```\s*([\w-]*)\s*$/);
+            if (fence) {
+                const code = [];
+                i++;
+                while (i < lines.length && !/^```\s*$/.test(lines[i])) {
+                    code.push(lines[i]);
+                    i++;
+                }
+                i++;
+                const className = fence[1] ? ` class="language-${fence[1]}"` : '';
+                html.push(`<pre><code${className}>${MarkdownRenderer.escapeHTML(code.join('\n'))}</code></pre>`);
+                continue;
+            }
+
+            const heading = line.match(/^(#{1,6})\s+(.*?)\s*#*\s*$/);
+            if (heading) {
+                const level = heading[1].length;
+                const id = MarkdownRenderer.slugify(heading[2]);
+                html.push(`<h${level} id="${id}">${MarkdownRenderer.renderInline(heading[2])}</h${level}>`);
+                i++;
+                continue;
+            }
+
+            if (/^(\*\s*){3,}$|^(-\s*){3,}$|^(_\s*){3,}$/.test(line.trim())) {
+                html.push('<hr>');
+                i++;
+                continue;
+            }
+
+            if (/^>/.test(line)) {
+                const quote = [];
+                while (i < lines.length && /^>/.test(lines[i])) {
+                    quote.push(lines[i].replace(/^>\s?/, ''));
+                    i++;
+                }
+                html.push(`<blockquote>\n${MarkdownRenderer.renderBlocks(quote).join('\n')}\n</blockquote>`);
+                continue;
+            }
+
+            const listMarker = /^\s{0,3}([-*+]|\d+[.)])\s+/;
+            if (listMarker.test(line)) {
+                const ordered = /^\s{0,3}\d/.test(line);
+                const items = [];
+                while (i < lines.length && lines[i].trim()) {
+                    if (listMarker.test(lines[i])) {
+                        items.push(lines[i].replace(listMarker, ''));
+                    } else {
+                        // Continuation of the previous item
+                        items[items.length - 1] += ` ${lines[i].trim()}`;
+                    }
+                    i++;
+                }
+                const tag = ordered ? 'ol' : 'ul';
+                html.push(`<${tag}>\n${items.map(item => `<li>${MarkdownRenderer.renderInline(item)}</li>`).join('\n')}\n</${tag}>`);
+                continue;
+            }
+
+            const paragraph = [];
+            while (i < lines.length && lines[i].trim() && !MarkdownRenderer.startsBlock(lines[i])) {
+                paragraph.push(lines[i]);
+                i++;
+            }
+            html.push(`<p>${MarkdownRenderer.renderInline(paragraph.join('\n'))}</p>`);
+        }
+
+        return html;
+    }
+
+    static startsBlock(line) {
+        return /^(#{1,6}\s|```|>|\s{0,3}([-*+]|\d+[.)])\s)/.test(line);
+    }
+
+    static renderInline(text) {
+        // Code spans are set aside so their content is not formatted
+        const codeSpans = [];
+        let html = text.replace(/`([^`]+)`/g, (match, code) => {
+            codeSpans.push(`<code>${MarkdownRenderer.escapeHTML(code)}</code>`);
+            return `\u0000${codeSpans.length - 1}\u0000`;
+        });
+
+        html = MarkdownRenderer.escapeHTML(html)
+            .replace(/!\[([^\]]*)\]\(([^)\s]+)(?:\s+&quot;([^"]*?)&quot;)?\)/g, (match, alt, src, title) =>
+                `<img src="${src}" alt="${alt}"${title ? ` title="${title}"` : ''}>`)
+            .replace(/\[([^\]]+)\]\(([^)\s]+)(?:\s+&quot;([^"]*?)&quot;)?\)/g, (match, label, href, title) =>
+                `<a href="${href}"${title ? ` title="${title}"` : ''}>${label}</a>`)
+            .replace(/\*\*(?=\S)([\s\S]*?\S)\*\*|__(?=\S)([\s\S]*?\S)__/g, (match, a, b) => `<strong>${a || b}</strong>`)
+            .replace(/\*(?=\S)([\s\S]*?\S)\*|\b_(?=\S)([\s\S]*?\S)_\b/g, (match, a, b) => `<em>${a || b}</em>`)
+            .replace(/ {2,}\n/g, '<br>\n');
+
+        return html.replace(/\u0000(\d+)\u0000/g, (match, index) => codeSpans[index]);
+    }
+
+    static slugify(text) {
+        return String(text)
+            .toLowerCase()
+            .replace(/<[^>]*>|[`*_]/g, '')
+            .replace(/&/g, ' and ')
+            .replace(/[^\wऀ-ॿ]+/g, '-')
+            .replace(/^-+|-+$/g, '');
+    }
+
+    /**
+     * Plain text of rendered HTML, for excerpts and feed summaries
+     */
+    static toPlainText(html) {
+        return html
+            .replace(/<[^>]*>/g, ' ')
+            .replace(/&lt;/g, '<').replace(/&gt;/g, '>').replace(/&quot;/g, '"').replace(/&#39;/g, "'").replace(/&amp;/g, '&')
+            .replace(/\s+/g, ' ')
+            .trim();
+    }
+}
+
+module.exports = MarkdownRenderer;
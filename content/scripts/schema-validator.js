@@ -0,0 +1,330 @@
+#!/usr/bin/env node
+
+/**
+ * Schema Validator
+ * Validates the content data files against the JSON Schemas in content/schemas
+ * and reports every violation with the JSON path where it occurs.
+ *
+ * Supports the subset of JSON Schema (draft-07) used by those schemas:
+ * type, enum, const, required, properties, additionalProperties, items,
+ * minItems, maxItems, uniqueItems, minLength, maxLength, pattern, minimum,
+ * maximum, format (date, uri, email), anyOf and local $ref.
+ *
+ * Locale overlays (services.hi.json, ...) are validated merged over their
+ * base file, so paths in their errors refer to the merged data.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const LocaleOverlay = require('./locale-overlay');
+
+// Keywords that only document a schema and never cause a violation
+const ANNOTATIONS = ['$schema', '$id', 'title', 'description', 'definitions', 'default', 'examples', '$comment'];
+
+const FORMATS = {
+    date: value => /^\d{4}-\d{2}-\d{2}$/.test(value) && !isNaN(Date.parse(value)) &&
+        new Date(value).toISOString().startsWith(value),
+    uri: value => /^[a-z][a-z0-9+.-]*:\/\/[^\s/?#]+[^\s]*$/i.test(value),
+    email: value => /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(value)
+};
+
+// Data file → schema file
+const DATA_SCHEMAS = {
+    'services.json': 'services.schema.json',
+    'pages.json': 'pages.schema.json',
+    'site-config.json': 'site-config.schema.json',
+    'locations.json': 'locations.schema.json',
+    'jobs.json': 'jobs.schema.json',
+    'backup-policy.json': 'backup-policy.schema.json'
+};
+
+class SchemaValidator {
+    constructor(options = {}) {
+        this.schemasDir = options.schemasDir || path.join(__dirname, '../schemas');
+        this.dataDir = options.dataDir || path.join(__dirname, '../data');
+    }
+
+    /**
+     * Validate a value against a schema.
+     * Returns a list of { path, message } objects, empty when the value is valid.
+     */
+    validate(value, schema) {
+        const errors = [];
+        this.validateNode(value, schema, '$', schema, errors);
+        return errors;
+    }
+
+    validateNode(value, schema, jsonPath, root, errors) {
+        if (schema === true) return;
+        if (schema === false) {
+            errors.push({ path: jsonPath, message: 'is not allowed' });
+            return;
+        }
+
+        if (schema.$ref) {
+            this.validateNode(value, this.resolveRef(schema.$ref, root), jsonPath, root, errors);
+            return;
+        }
+
+        Object.keys(schema).forEach(keyword => {
+            if (!ANNOTATIONS.includes(keyword) && !SchemaValidator.KEYWORDS.includes(keyword)) {
+                throw new Error(`Unsupported schema keyword "${keyword}" at ${jsonPath}`);
+            }
+        });
+
+        if (schema.type !== undefined) {
+            const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+            if (!types.some(type => SchemaValidator.matchesType(value, type))) {
+                errors.push({ path: jsonPath, message: `should be ${types.join(' or ')}, got ${SchemaValidator.typeOf(value)}` });
+                // Further keywords would only repeat the type mismatch
+                return;
+            }
+        }
+
+        if (schema.enum && !schema.enum.some(option => SchemaValidator.equal(option, value))) {
+            errors.push({ path: jsonPath, message: `should be one of ${schema.enum.map(option => JSON.stringify(option)).join(', ')}, got ${JSON.stringify(value)}` });
+        }
+
+        if (schema.const !== undefined && !SchemaValidator.equal(schema.const, value)) {
+            errors.push({ path: jsonPath, message: `should be ${JSON.stringify(schema.const)}` });
+        }
+
+        if (schema.anyOf && !schema.anyOf.some(option => {
+            const optionErrors = [];
+            this.validateNode(value, option, jsonPath, root, optionErrors);
+            return optionErrors.length === 0;
+        })) {
+            errors.push({ path: jsonPath, message: 'does not match any of the allowed forms' });
+        }
+
+        if (typeof value === 'string') {
+            this.validateString(value, schema, jsonPath, errors);
+        } else if (typeof value === 'number') {
+            this.validateNumber(value, schema, jsonPath, errors);
+        } else if (Array.isArray(value)) {
+            this.validateArray(value, schema, jsonPath, root, errors);
+        } else if (value !== null && typeof value === 'object') {
+            this.validateObject(value, schema, jsonPath, root, errors);
+        }
+    }
+
+    validateString(value, schema, jsonPath, errors) {
+        if (schema.minLength !== undefined && value.length < schema.minLength) {
+            errors.push({ path: jsonPath, message: schema.minLength === 1 ? 'should not be empty' : `should be at least ${schema.minLength} characters, got ${value.length}` });
+        }
+        if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+            errors.push({ path: jsonPath, message: `should be at most ${schema.maxLength} characters, got ${value.length}` });
+        }
+        if (schema.pattern !== undefined && !new RegExp(schema.pattern).test(value)) {
+            errors.push({ path: jsonPath, message: `${JSON.stringify(value)} does not match pattern ${schema.pattern}` });
+        }
+        if (schema.format !== undefined) {
+            const check = FORMATS[schema.format];
+            if (!check) {
+                throw new Error(`Unsupported format "${schema.format}" at ${jsonPath}`);
+            }
+            if (!check(value)) {
+                errors.push({ path: jsonPath, message: `${JSON.stringify(value)} is not a valid ${schema.format}` });
+            }
+        }
+    }
+
+    validateNumber(value, schema, jsonPath, errors) {
+        if (schema.minimum !== undefined && value < schema.minimum) {
+            errors.push({ path: jsonPath, message: `should be >= ${schema.minimum}, got ${value}` });
+        }
+        if (schema.maximum !== undefined && value > schema.maximum) {
+            errors.push({ path: jsonPath, message: `should be <= ${schema.maximum}, got ${value}` });
+        }
+    }
+
+    validateArray(value, schema, jsonPath, root, errors) {
+        if (schema.minItems !== undefined && value.length < schema.minItems) {
+            errors.push({ path: jsonPath, message: `should have at least ${schema.minItems} item(s), got ${value.length}` });
+        }
+        if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+            errors.push({ path: jsonPath, message: `should have at most ${schema.maxItems} item(s), got ${value.length}` });
+        }
+        if (schema.uniqueItems) {
+            value.forEach((item, index) => {
+                if (value.findIndex(other => SchemaValidator.equal(other, item)) < index) {
+                    errors.push({ path: `${jsonPath}[${index}]`, message: `duplicates an earlier item: ${JSON.stringify(item)}` });
+                }
+            });
+        }
+        if (schema.items !== undefined) {
+            value.forEach((item, index) => {
+                this.validateNode(item, schema.items, `${jsonPath}[${index}]`, root, errors);
+            });
+        }
+    }
+
+    validateObject(value, schema, jsonPath, root, errors) {
+        const properties = schema.properties || {};
+
+        (schema.required || []).forEach(key => {
+            if (!Object.prototype.hasOwnProperty.call(value, key)) {
+                errors.push({ path: SchemaValidator.childPath(jsonPath, key), message: 'is required' });
+            }
+        });
+
+        Object.keys(value).forEach(key => {
+            const childPath = SchemaValidator.childPath(jsonPath, key);
+
+            if (Object.prototype.hasOwnProperty.call(properties, key)) {
+                this.validateNode(value[key], properties[key], childPath, root, errors);
+            } else if (schema.additionalProperties === false) {
+                errors.push({ path: childPath, message: 'is not an allowed property' });
+            } else if (schema.additionalProperties !== undefined) {
+                this.validateNode(value[key], schema.additionalProperties, childPath, root, errors);
+            }
+        });
+    }
+
+    /**
+     * Resolve a local reference such as "#/definitions/service"
+     */
+    resolveRef(ref, root) {
+        if (!ref.startsWith('#')) {
+            throw new Error(`Only local $ref values are supported: ${ref}`);
+        }
+
+        return ref.slice(1).split('/').filter(Boolean).reduce((node, segment) => {
+            const key = segment.replace(/~1/g, '/').replace(/~0/g, '~');
+            if (!node || !Object.prototype.hasOwnProperty.call(node, key)) {
+                throw new Error(`Cannot resolve $ref ${ref}`);
+            }
+            return node[key];
+        }, root);
+    }
+
+    loadJSON(filePath) {
+        return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    }
+
+    /**
+     * Validate one data file or locale overlay against its schema.
+     * Unreadable files are reported as a violation at the root path.
+     */
+    validateFile(dataFile) {
+        const overlayInfo = LocaleOverlay.parseFileName(dataFile);
+        const baseFile = DATA_SCHEMAS[dataFile] ? dataFile : overlayInfo && overlayInfo.dataFile;
+        const schema = this.loadJSON(path.join(this.schemasDir, DATA_SCHEMAS[baseFile]));
+
+        let data;
+        let overlay;
+        try {
+            data = this.loadJSON(path.join(this.dataDir, baseFile));
+            if (baseFile !== dataFile) {
+                overlay = this.loadJSON(path.join(this.dataDir, dataFile));
+            }
+        } catch (error) {
+            return [{ path: '$', message: `could not be read: ${error.message}` }];
+        }
+
+        if (!overlay) {
+            return this.validate(data, schema);
+        }
+
+        const unmatched = LocaleOverlay.findUnmatchedIds(data, overlay).map(entry => ({
+            path: `$.${entry}`,
+            message: `has no matching entry in ${baseFile}`
+        }));
+        return [...unmatched, ...this.validate(LocaleOverlay.merge(data, overlay), schema)];
+    }
+
+    /**
+     * Data files with a schema, followed by their locale overlays
+     */
+    getDataFiles() {
+        const overlays = fs.readdirSync(this.dataDir)
+            .filter(file => {
+                const overlay = LocaleOverlay.parseFileName(file);
+                return overlay && DATA_SCHEMAS[overlay.dataFile];
+            })
+            .sort();
+
+        return [...Object.keys(DATA_SCHEMAS), ...overlays];
+    }
+
+    /**
+     * Validate every data file that has a schema, printing each violation.
+     * Returns true when all files are valid.
+     */
+    validateAll(options = {}) {
+        const quiet = Boolean(options.quiet);
+        let total = 0;
+
+        if (!quiet) console.log('🔍 Validating content data against schemas...\n');
+
+        this.getDataFiles().forEach(dataFile => {
+            const errors = this.validateFile(dataFile);
+            total += errors.length;
+
+            if (errors.length > 0) {
+                console.error(`❌ ${dataFile}: ${errors.length} violation(s)`);
+                errors.forEach(error => console.error(`  • ${error.path} ${error.message}`));
+            } else if (!quiet) {
+                console.log(`✅ ${dataFile}`);
+            }
+        });
+
+        if (total > 0) {
+            console.error(`\n❌ Schema validation failed with ${total} violation(s)`);
+        } else if (!quiet) {
+            console.log('\n✅ All content data matches its schema');
+        }
+
+        return total === 0;
+    }
+
+    static childPath(parent, key) {
+        return /^[A-Za-z_$][\w$]*$/.test(key) ? `${parent}.${key}` : `${parent}[${JSON.stringify(key)}]`;
+    }
+
+    static typeOf(value) {
+        if (value === null) return 'null';
+        if (Array.isArray(value)) return 'array';
+        if (Number.isInteger(value)) return 'integer';
+        return typeof value;
+    }
+
+    static matchesType(value, type) {
+        const actual = SchemaValidator.typeOf(value);
+        return actual === type || (type === 'number' && actual === 'integer');
+    }
+
+    static equal(a, b) {
+        return JSON.stringify(a) === JSON.stringify(b);
+    }
+}
+
+SchemaValidator.KEYWORDS = [
+    '$ref', 'type', 'enum', 'const', 'anyOf', 'required', 'properties', 'additionalProperties',
+    'items', 'minItems', 'maxItems', 'uniqueItems', 'minLength', 'maxLength', 'pattern',
+    'minimum', 'maximum', 'format'
+];
+
+SchemaValidator.DATA_SCHEMAS = DATA_SCHEMAS;
+
+// CLI interface
+if (require.main === module) {
+    const validator = new SchemaValidator();
+    const dataFile = process.argv[2];
+
+    if (dataFile) {
+        if (!validator.getDataFiles().includes(dataFile)) {
+            console.error(`No schema for ${dataFile}. Known files: ${validator.getDataFiles().join(', ')}`);
+            process.exit(1);
+        }
+
+        const errors = validator.validateFile(dataFile);
+        errors.forEach(error => console.error(`  • ${error.path} ${error.message}`));
+        console.log(errors.length === 0 ? `✅ ${dataFile} matches its schema` : `❌ ${dataFile}: ${errors.length} violation(s)`);
+        process.exit(errors.length === 0 ? 0 : 1);
+    }
+
+    process.exit(validator.validateAll() ? 0 : 1);
+}
+
+module.exports = SchemaValidator;
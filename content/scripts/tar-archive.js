@@ -0,0 +1,135 @@
+/**
+ * Tar Archive
+ * Reads and writes gzip-compressed POSIX ustar archives of regular files,
+ * enough to move backups between machines without external tools. The
+ * archives can also be unpacked with tar -xzf.
+ */
+
+const zlib = require('zlib');
+
+const BLOCK_SIZE = 512;
+const NAME_LENGTH = 100;
+const PREFIX_LENGTH = 155;
+
+class TarArchive {
+    /**
+     * Compressed archive of entries { name, content, mtime } where content
+     * is a Buffer or string and mtime an optional Date
+     */
+    static create(entries) {
+        const blocks = [];
+        entries.forEach(entry => {
+            const content = Buffer.isBuffer(entry.content) ? entry.content : Buffer.from(entry.content);
+            blocks.push(TarArchive.createHeader(entry.name, content.length, entry.mtime || new Date()));
+            blocks.push(content);
+            const padding = (BLOCK_SIZE - (content.length % BLOCK_SIZE)) % BLOCK_SIZE;
+            if (padding > 0) blocks.push(Buffer.alloc(padding));
+        });
+        // Two empty blocks mark the end of the archive
+        blocks.push(Buffer.alloc(BLOCK_SIZE * 2));
+        return zlib.gzipSync(Buffer.concat(blocks));
+    }
+
+    /**
+     * Entries { name, content } of the regular files in a compressed archive
+     */
+    static extract(archive) {
+        let data;
+        try {
+            data = zlib.gunzipSync(archive);
+        } catch (error) {
+            throw new Error(`Not a gzip archive: ${error.message}`);
+        }
+
+        const entries = [];
+        let offset = 0;
+        while (offset + BLOCK_SIZE <= data.length) {
+            const header = data.subarray(offset, offset + BLOCK_SIZE);
+            if (header.every(byte => byte === 0)) break;
+
+            if (TarArchive.readOctal(header, 148, 8) !== TarArchive.checksum(header)) {
+                throw new Error(`Corrupted tar header at byte ${offset}`);
+            }
+
+            const size = TarArchive.readOctal(header, 124, 12);
+            const type = String.fromCharCode(header[156]);
+            const name = TarArchive.readString(header, 0, NAME_LENGTH);
+            const prefix = TarArchive.readString(header, 345, PREFIX_LENGTH);
+            offset += BLOCK_SIZE;
+
+            if (offset + size > data.length) {
+                throw new Error(`Archive is truncated in ${name}`);
+            }
+            // Directories, links and extended headers carry nothing to restore
+            if (type === '0' || type === '\0') {
+                entries.push({
+                    name: prefix ? `${prefix}/${name}` : name,
+                    content: Buffer.from(data.subarray(offset, offset + size))
+                });
+            }
+            offset += Math.ceil(size / BLOCK_SIZE) * BLOCK_SIZE;
+        }
+        return entries;
+    }
+
+    static createHeader(name, size, mtime) {
+        const header = Buffer.alloc(BLOCK_SIZE);
+        const [prefix, shortName] = TarArchive.splitName(name);
+
+        header.write(shortName, 0, NAME_LENGTH, 'utf8');
+        TarArchive.writeOctal(header, 0o644, 100, 8);
+        TarArchive.writeOctal(header, 0, 108, 8);
+        TarArchive.writeOctal(header, 0, 116, 8);
+        TarArchive.writeOctal(header, size, 124, 12);
+        TarArchive.writeOctal(header, Math.floor(mtime.getTime() / 1000), 136, 12);
+        header.write('0', 156, 1, 'ascii');
+        header.write('ustar\0', 257, 6, 'ascii');
+        header.write('00', 263, 2, 'ascii');
+        header.write(prefix, 345, PREFIX_LENGTH, 'utf8');
+
+        // The checksum is computed with its own field filled with spaces
+        header.write(`${TarArchive.checksum(header).toString(8).padStart(6, '0')}\0 `, 148, 8, 'ascii');
+        return header;
+    }
+
+    /**
+     * ustar keeps names over 100 bytes as a directory prefix and a name
+     */
+    static splitName(name) {
+        if (Buffer.byteLength(name) <= NAME_LENGTH) return ['', name];
+
+        const parts = name.split('/');
+        for (let index = 1; index < parts.length; index++) {
+            const prefix = parts.slice(0, index).join('/');
+            const rest = parts.slice(index).join('/');
+            if (Buffer.byteLength(prefix) <= PREFIX_LENGTH && Buffer.byteLength(rest) <= NAME_LENGTH) {
+                return [prefix, rest];
+            }
+        }
+        throw new Error(`Path is too long for a tar archive: ${name}`);
+    }
+
+    static checksum(header) {
+        let sum = 0;
+        for (let index = 0; index < BLOCK_SIZE; index++) {
+            sum += index >= 148 && index < 156 ? 32 : header[index];
+        }
+        return sum;
+    }
+
+    static writeOctal(header, value, offset, length) {
+        header.write(`${value.toString(8).padStart(length - 1, '0')}\0`, offset, length, 'ascii');
+    }
+
+    static readOctal(header, offset, length) {
+        return parseInt(TarArchive.readString(header, offset, length).trim() || '0', 8);
+    }
+
+    static readString(header, offset, length) {
+        const field = header.subarray(offset, offset + length);
+        const end = field.indexOf(0);
+        return field.subarray(0, end === -1 ? length : end).toString('utf8');
+    }
+}
+
+module.exports = TarArchive;
@@ -0,0 +1,382 @@
+/**
+ * Template Engine
+ * Renders content templates with variables, loops, conditionals and partials
+ *
+ * Syntax:
+ *   {{service.name}}                  HTML-escaped value (dotted lookups)
+ *   {{{analyticsCode}}}               Raw, unescaped value
+ *   {{#each service.features}}...{{/each}}
+ *                                     Loop; inside, {{this}}, {{@index}},
+ *                                     {{@first}} and {{@last}} are available
+ *   {{#if service.image}}...{{else}}...{{/if}}
+ *   {{#unless list}}...{{/unless}}
+ *   {{> header-template}}             Partial, rendered with the current context
+ *   {{join service.keywords ", "}}    Helper call (see registerHelper); arguments
+ *                                     are paths, "strings" or numbers
+ *   {{{json schema 4}}}               JSON for <script> blocks
+ *   {{! comment }}
+ *
+ * Looking up a variable that is not defined throws a TemplateError naming the
+ * template and line. Conditionals treat undefined variables as false.
+ */
+
+class TemplateError extends Error {
+    constructor(message, templateName, line) {
+        super(`${templateName}:${line}: ${message}`);
+        this.name = 'TemplateError';
+        this.templateName = templateName;
+        this.line = line;
+    }
+}
+
+const TAG_PATTERN = /\{\{\{\s*([\s\S]*?)\s*\}\}\}|\{\{\s*([\s\S]*?)\s*\}\}/g;
+const BLOCK_TYPES = ['each', 'if', 'unless'];
+
+class TemplateEngine {
+    constructor(options = {}) {
+        this.partials = {};
+        this.helpers = {
+            // JSON for embedding in <script> blocks; "<" is escaped so the
+            // value cannot close the surrounding script element
+            json: (value, indent) => JSON.stringify(value, null, indent).replace(/</g, '\\u003c'),
+            join: (list, separator = ', ') => (list || []).join(separator)
+        };
+        this.cache = {};
+
+        Object.entries(options.partials || {}).forEach(([name, source]) => {
+            this.registerPartial(name, source);
+        });
+    }
+
+    registerHelper(name, fn) {
+        this.helpers[name] = fn;
+        return this;
+    }
+
+    registerPartial(name, source, options = {}) {
+        const templateName = options.templateName || name;
+        this.partials[name] = { templateName, nodes: this.compile(source, templateName, options.firstLine || 1) };
+        return this;
+    }
+
+    /**
+     * Register every <template id="..."> block of a file (content-blocks.html)
+     * as a partial named after its id
+     */
+    registerPartialsFromBlocks(source, fileName = 'content-blocks.html') {
+        const regex = /<template id="([^"]+)">([\s\S]*?)<\/template>/g;
+        let match;
+
+        while ((match = regex.exec(source)) !== null) {
+            const bodyOffset = match.index + match[0].indexOf('>') + 1;
+            const leadingLines = match[2].match(/^\s*\n/);
+            const firstLine = source.slice(0, bodyOffset).split('\n').length +
+                (leadingLines ? leadingLines[0].split('\n').length - 1 : 0);
+
+            this.registerPartial(match[1], TemplateEngine.dedent(match[2]), {
+                templateName: `${fileName}#${match[1]}`,
+                firstLine
+            });
+        }
+
+        return this;
+    }
+
+    render(source, data, templateName = 'template') {
+        if (!this.cache[templateName] || this.cache[templateName].source !== source) {
+            this.cache[templateName] = { source, nodes: this.compile(source, templateName) };
+        }
+
+        return this.renderNodes(this.cache[templateName].nodes, [data], {}, templateName);
+    }
+
+    /**
+     * Parse a template into a tree of text, value, partial and block nodes
+     */
+    compile(source, templateName, firstLine = 1) {
+        const tokens = this.tokenize(source, templateName, firstLine);
+        const root = [];
+        // Each entry holds an open block and the node list tags are added to
+        const stack = [{ block: null, target: root }];
+
+        tokens.forEach(token => {
+            const current = stack[stack.length - 1];
+
+            if (token.type === 'open') {
+                const block = { type: 'block', name: token.name, expression: token.expression, line: token.line, children: [], inverse: null };
+                current.target.push(block);
+                stack.push({ block, target: block.children });
+            } else if (token.type === 'else') {
+                if (!current.block || current.block.inverse) {
+                    throw new TemplateError('Unexpected {{else}}', templateName, token.line);
+                }
+                current.block.inverse = [];
+                current.target = current.block.inverse;
+            } else if (token.type === 'close') {
+                if (!current.block || current.block.name !== token.name) {
+                    const expected = current.block ? `{{/${current.block.name}}} for line ${current.block.line}` : 'no open block';
+                    throw new TemplateError(`Unexpected {{/${token.name}}}, expected ${expected}`, templateName, token.line);
+                }
+                stack.pop();
+            } else if (token.type !== 'comment') {
+                current.target.push(token);
+            }
+        });
+
+        if (stack.length > 1) {
+            const unclosed = stack[stack.length - 1].block;
+            throw new TemplateError(`Unclosed {{#${unclosed.name}}}`, templateName, unclosed.line);
+        }
+
+        return root;
+    }
+
+    tokenize(source, templateName, firstLine) {
+        const tokens = [];
+        let lastIndex = 0;
+        let line = firstLine;
+        let match;
+
+        const pushText = text => {
+            if (text) tokens.push({ type: 'text', value: text });
+            line += (text.match(/\n/g) || []).length;
+        };
+
+        TAG_PATTERN.lastIndex = 0;
+        while ((match = TAG_PATTERN.exec(source)) !== null) {
+            pushText(source.slice(lastIndex, match.index));
+            tokens.push(this.parseTag(match[1] !== undefined ? match[1] : match[2], match[1] !== undefined, line, templateName));
+            line += (match[0].match(/\n/g) || []).length;
+            lastIndex = TAG_PATTERN.lastIndex;
+        }
+        pushText(source.slice(lastIndex));
+
+        this.stripStandaloneLines(tokens);
+        return tokens;
+    }
+
+    parseTag(content, raw, line, templateName) {
+        if (raw) {
+            return Object.assign({ type: 'value', raw: true, line }, this.parseExpression(content, line, templateName));
+        }
+
+        const prefix = content.charAt(0);
+        const rest = content.slice(1).trim();
+
+        if (prefix === '!') return { type: 'comment', line };
+        if (prefix === '>') return { type: 'partial', name: rest, line };
+        if (content === 'else') return { type: 'else', line };
+
+        if (prefix === '#' || prefix === '/') {
+            const [name, ...args] = rest.split(/\s+/);
+            if (!BLOCK_TYPES.includes(name)) {
+                throw new TemplateError(`Unknown block helper "${name}"`, templateName, line);
+            }
+            if (prefix === '/') return { type: 'close', name, line };
+            if (args.length === 0) {
+                throw new TemplateError(`{{#${name}}} needs an expression`, templateName, line);
+            }
+            return { type: 'open', name, expression: args.join(' '), line };
+        }
+
+        return Object.assign({ type: 'value', raw: false, line }, this.parseExpression(content, line, templateName));
+    }
+
+    /**
+     * Split "helper arg "literal"" into a path or a helper call
+     */
+    parseExpression(content, line, templateName) {
+        const parts = content.match(/"[^"]*"|'[^']*'|\S+/g) || [];
+        if (parts.length === 0) {
+            throw new TemplateError('Empty tag', templateName, line);
+        }
+
+        if (parts.length === 1) {
+            return { path: parts[0] };
+        }
+
+        if (!this.helpers[parts[0]]) {
+            throw new TemplateError(`Unknown helper "${parts[0]}"`, templateName, line);
+        }
+
+        return {
+            helper: parts[0],
+            args: parts.slice(1).map(part => {
+                if (/^["']/.test(part)) return { literal: part.slice(1, -1) };
+                if (/^-?\d+(\.\d+)?$/.test(part)) return { literal: Number(part) };
+                return { path: part };
+            })
+        };
+    }
+
+    /**
+     * Block, else and comment tags alone on a line do not leave an empty
+     * line in the output. A partial alone on a line is indented to match.
+     */
+    stripStandaloneLines(tokens) {
+        const standalone = ['open', 'close', 'else', 'comment', 'partial'];
+
+        tokens.forEach((token, index) => {
+            if (!standalone.includes(token.type)) return;
+
+            const before = tokens[index - 1];
+            const after = tokens[index + 1];
+            const beforeText = before ? (before.type === 'text' ? before.value : null) : '';
+            const afterText = after ? (after.type === 'text' ? after.value : null) : '';
+
+            if (beforeText === null || afterText === null) return;
+            if (!/(^|\n)[ \t]*$/.test(beforeText) || !/^[ \t]*(\r?\n|$)/.test(afterText)) return;
+            // At the very start of the template only strip when followed by a newline
+            if (index === 0 && !/^[ \t]*\r?\n/.test(afterText)) return;
+
+            if (token.type === 'partial') {
+                token.indent = beforeText.match(/[ \t]*$/)[0];
+                if (before) before.value = beforeText.slice(0, beforeText.length - token.indent.length);
+                return;
+            }
+
+            if (before) before.value = beforeText.replace(/[ \t]*$/, '');
+            if (after) after.value = afterText.replace(/^[ \t]*(\r?\n)?/, '');
+        });
+    }
+
+    renderNodes(nodes, contexts, frame, templateName) {
+        return nodes.map(node => {
+            switch (node.type) {
+                case 'text':
+                    return node.value;
+                case 'value': {
+                    const value = node.helper
+                        ? this.callHelper(node, contexts, frame, templateName)
+                        : this.lookup(node.path, contexts, frame, templateName, node.line, true);
+                    const output = value === null || value === undefined ? '' : String(value);
+                    return node.raw ? output : TemplateEngine.escapeHTML(output);
+                }
+                case 'partial':
+                    return this.renderPartial(node, contexts, frame, templateName);
+                case 'block':
+                    return this.renderBlock(node, contexts, frame, templateName);
+                default:
+                    return '';
+            }
+        }).join('');
+    }
+
+    renderBlock(node, contexts, frame, templateName) {
+        if (node.name === 'each') {
+            const list = this.lookup(node.expression, contexts, frame, templateName, node.line, true);
+            if (list !== null && !Array.isArray(list)) {
+                throw new TemplateError(`{{#each ${node.expression}}} expects a list`, templateName, node.line);
+            }
+
+            if (!list || list.length === 0) {
+                return node.inverse ? this.renderNodes(node.inverse, contexts, frame, templateName) : '';
+            }
+
+            return list.map((item, index) => this.renderNodes(node.children, [item, ...contexts], {
+                index,
+                first: index === 0,
+                last: index === list.length - 1
+            }, templateName)).join('');
+        }
+
+        const value = this.lookup(node.expression, contexts, frame, templateName, node.line, false);
+        const truthy = Array.isArray(value) ? value.length > 0 : Boolean(value);
+        const show = node.name === 'if' ? truthy : !truthy;
+
+        if (show) {
+            return this.renderNodes(node.children, contexts, frame, templateName);
+        }
+        return node.inverse ? this.renderNodes(node.inverse, contexts, frame, templateName) : '';
+    }
+
+    renderPartial(node, contexts, frame, templateName) {
+        const partial = this.partials[node.name];
+        if (!partial) {
+            throw new TemplateError(`Unknown partial "${node.name}"`, templateName, node.line);
+        }
+
+        const output = this.renderNodes(partial.nodes, contexts, frame, partial.templateName);
+        if (node.indent === undefined) {
+            return output;
+        }
+
+        // Standalone partial: indent every line and let the template's own
+        // line break end the last one
+        return output
+            .replace(/\r?\n$/, '')
+            .replace(/(^|\n)(?=[^\r\n])/g, `$1${node.indent}`);
+    }
+
+    callHelper(node, contexts, frame, templateName) {
+        const args = node.args.map(arg => (arg.literal !== undefined
+            ? arg.literal
+            : this.lookup(arg.path, contexts, frame, templateName, node.line, true)));
+        return this.helpers[node.helper](...args);
+    }
+
+    /**
+     * Resolve a dotted path against the innermost context that defines its
+     * first segment, falling back to enclosing contexts
+     */
+    lookup(path, contexts, frame, templateName, line, required) {
+        if (path === 'this' || path === '.') {
+            return contexts[0];
+        }
+
+        if (path.startsWith('@')) {
+            const key = path.slice(1);
+            if (!(key in frame)) {
+                if (!required) return undefined;
+                throw new TemplateError(`"${path}" is only available inside {{#each}}`, templateName, line);
+            }
+            return frame[key];
+        }
+
+        const segments = path.replace(/^this\./, '').split('.');
+        const scope = path.startsWith('this.')
+            ? contexts[0]
+            : contexts.find(context => context !== null && typeof context === 'object' && segments[0] in context);
+
+        let value = scope;
+        for (const segment of segments) {
+            if (value === null || value === undefined || typeof value !== 'object' || !(segment in value)) {
+                if (!required) return undefined;
+                throw new TemplateError(`Missing variable "${path}"`, templateName, line);
+            }
+            value = value[segment];
+        }
+
+        if (value === undefined && required) {
+            throw new TemplateError(`Missing variable "${path}"`, templateName, line);
+        }
+
+        return value;
+    }
+
+    /**
+     * Remove surrounding blank lines and the indentation shared by all lines
+     */
+    static dedent(text) {
+        const lines = text.replace(/^\s*\n/, '').replace(/\s+$/, '').split('\n');
+        const indents = lines
+            .filter(line => line.trim() !== '')
+            .map(line => line.match(/^[ \t]*/)[0].length);
+        const common = indents.length > 0 ? Math.min(...indents) : 0;
+
+        return lines.map(line => line.slice(Math.min(common, line.match(/^[ \t]*/)[0].length))).join('\n');
+    }
+
+    static escapeHTML(value) {
+        return value
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#39;');
+    }
+}
+
+TemplateEngine.TemplateError = TemplateError;
+
+module.exports = TemplateEngine;
@@ -6,10 +6,14 @@
 const fs = require('fs');
 const path = require('path');
 const { JSDOM } = require('jsdom');
+const BuildCache = require('./build-cache');
+const DryRun = require('./dry-run');
 
 class HTMLAccessibilityEnhancer {
-    constructor(publicDir = './public') {
+    constructor(publicDir = './public', options = {}) {
         this.publicDir = publicDir;
+        this.cache = options.cache || null;
+        this.dryRun = options.dryRun || new DryRun();
         this.processedFiles = [];
     }
 
@@ -22,7 +26,17 @@ class HTMLAccessibilityEnhancer {
                 await this.enhanceFile(file);
             }
 
-            console.log(`Successfully enhanced ${this.processedFiles.length} files`);
+            if (this.dryRun.enabled) {
+                this.dryRun.printSummary();
+            } else {
+                console.log(`Successfully enhanced ${this.processedFiles.length} files`);
+            }
+
+            if (this.cache) {
+                this.cache.save();
+                this.cache.printReport();
+            }
+
             return this.processedFiles;
         } catch (error) {
             console.error('Error enhancing files:', error);
@@ -53,6 +67,13 @@ class HTMLAccessibilityEnhancer {
             console.log(`Processing: ${filePath}`);
             
             const html = fs.readFileSync(filePath, 'utf8');
+            const inputHash = this.cache ? this.cache.hashContent(html) : null;
+
+            if (this.cache && this.cache.isFresh('accessibility', filePath, inputHash)) {
+                console.log(`↺ Cached: ${filePath}`);
+                return;
+            }
+
             const dom = new JSDOM(html);
             const document = dom.window.document;
 
@@ -69,12 +90,20 @@ class HTMLAccessibilityEnhancer {
             this.enhanceHeadings(document);
             this.enhanceLinks(document);
 
-            // Write the enhanced HTML back to file
+            // Write the enhanced HTML back to file (or preview it in dry-run mode)
             const enhancedHTML = dom.serialize();
-            fs.writeFileSync(filePath, enhancedHTML, 'utf8');
+            const changed = this.dryRun.writeFile(filePath, html, enhancedHTML);
+
+            if (this.cache) {
+                this.cache.record('accessibility', filePath, inputHash);
+            }
             
             this.processedFiles.push(filePath);
-            console.log(`✓ Enhanced: ${filePath}`);
+            if (this.dryRun.enabled) {
+                console.log(changed ? `🔍 Would enhance: ${filePath}` : `- No changes needed: ${filePath}`);
+            } else {
+                console.log(`✓ Enhanced: ${filePath}`);
+            }
         } catch (error) {
             console.error(`Error processing ${filePath}:`, error);
         }
@@ -441,9 +470,12 @@ if (typeof module !== 'undefined' && module.exports) {
 
 // Run if called directly
 if (require.main === module) {
-    const enhancer = new HTMLAccessibilityEnhancer();
+    const dryRun = DryRun.fromArgs();
+    const cache = dryRun.enabled ? null : new BuildCache({ force: process.argv.includes('--force') });
+    const enhancer = new HTMLAccessibilityEnhancer('./public', { cache, dryRun });
     enhancer.enhanceAllFiles()
         .then(files => {
+            if (dryRun.enabled) return;
             console.log('\n✅ Accessibility enhancement completed successfully!');
             console.log(`Enhanced ${files.length} HTML files`);
         })
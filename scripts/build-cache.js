@@ -0,0 +1,214 @@
+#!/usr/bin/env node
+
+/**
+ * Incremental Build Cache
+ * Shared JSON manifest of input hash → output hash per optimization step,
+ * used to skip pages and images that have not changed since the last run
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+class BuildCache {
+    constructor(options = {}) {
+        this.rootDir = options.rootDir || path.join(__dirname, '..');
+        this.cacheFile = options.cacheFile || path.join(this.rootDir, '.build-cache', 'manifest.json');
+        this.force = Boolean(options.force) || process.env.BUILD_CACHE_FORCE === '1';
+        this.manifest = this.loadManifest();
+        this.stats = {};
+    }
+
+    loadManifest() {
+        try {
+            if (fs.existsSync(this.cacheFile)) {
+                const manifest = JSON.parse(fs.readFileSync(this.cacheFile, 'utf8'));
+                if (manifest.version === BuildCache.VERSION) {
+                    return manifest;
+                }
+            }
+        } catch (error) {
+            console.warn(`⚠️  Ignoring unreadable build cache: ${error.message}`);
+        }
+
+        return {
+            version: BuildCache.VERSION,
+            files: {},
+            steps: {}
+        };
+    }
+
+    save() {
+        fs.mkdirSync(path.dirname(this.cacheFile), { recursive: true });
+        fs.writeFileSync(this.cacheFile, JSON.stringify(this.manifest, null, 2));
+    }
+
+    clear() {
+        this.manifest = { version: BuildCache.VERSION, files: {}, steps: {} };
+        if (fs.existsSync(this.cacheFile)) {
+            fs.rmSync(this.cacheFile);
+        }
+    }
+
+    hashContent(content) {
+        return crypto.createHash('sha256').update(content).digest('hex');
+    }
+
+    hashFile(filePath) {
+        try {
+            return this.hashContent(fs.readFileSync(filePath));
+        } catch (error) {
+            return null;
+        }
+    }
+
+    /**
+     * Cache keys are paths relative to the project root so the manifest
+     * stays valid regardless of the working directory
+     */
+    getKey(filePath) {
+        return path.relative(this.rootDir, path.resolve(filePath)).replace(/\\/g, '/');
+    }
+
+    /**
+     * Register the settings a step depends on; changing them drops the
+     * step's entries so everything is reprocessed with the new settings
+     */
+    configureStep(step, settings = {}) {
+        const fingerprint = this.hashContent(JSON.stringify(settings));
+        const current = this.manifest.steps[step];
+
+        if (!current || current.fingerprint !== fingerprint) {
+            this.manifest.steps[step] = { fingerprint, entries: {} };
+        }
+    }
+
+    getStepEntries(step) {
+        if (!this.manifest.steps[step]) {
+            this.configureStep(step);
+        }
+        return this.manifest.steps[step].entries;
+    }
+
+    getStepStats(step) {
+        if (!this.stats[step]) {
+            this.stats[step] = { hits: 0, misses: 0 };
+        }
+        return this.stats[step];
+    }
+
+    /**
+     * Check whether a step can skip an input.
+     * In-place steps (no outputPath) are fresh when the file still holds the
+     * content the step last wrote, or the content a later cached step wrote.
+     * Steps writing elsewhere are fresh when the input hash is unchanged and
+     * the output file still matches what was recorded.
+     */
+    isFresh(step, filePath, inputHash, outputPath = null) {
+        const stats = this.getStepStats(step);
+        const entry = this.getStepEntries(step)[this.getKey(filePath)];
+        let fresh = false;
+
+        if (!this.force && entry && inputHash) {
+            if (outputPath) {
+                fresh = entry.input === inputHash && this.hashFile(outputPath) === entry.output;
+            } else {
+                fresh = entry.output === inputHash || this.manifest.files[this.getKey(filePath)] === inputHash;
+            }
+        }
+
+        if (fresh) {
+            stats.hits++;
+        } else {
+            stats.misses++;
+        }
+
+        return fresh;
+    }
+
+    /**
+     * Record the result of processing an input
+     */
+    record(step, filePath, inputHash, outputPath = null) {
+        const key = this.getKey(filePath);
+        const entries = this.getStepEntries(step);
+        const outputHash = this.hashFile(outputPath || filePath);
+
+        if (!outputPath) {
+            // The file changed outside the cached steps since their last write,
+            // so their entries no longer describe its content
+            const lastWritten = this.manifest.files[key];
+            if (lastWritten && lastWritten !== inputHash) {
+                Object.keys(this.manifest.steps).forEach(otherStep => {
+                    if (otherStep !== step) {
+                        delete this.manifest.steps[otherStep].entries[key];
+                    }
+                });
+            }
+            this.manifest.files[key] = outputHash;
+        }
+
+        entries[key] = {
+            input: inputHash,
+            output: outputHash
+        };
+    }
+
+    printReport() {
+        const steps = Object.keys(this.stats);
+        if (steps.length === 0) return;
+
+        console.log(`\n🗃️  Build cache${this.force ? ' (forced rebuild)' : ''}:`);
+        steps.forEach(step => {
+            const { hits, misses } = this.stats[step];
+            console.log(`   ${step}: ${hits} hits, ${misses} misses`);
+        });
+    }
+
+    printSummary() {
+        const steps = Object.entries(this.manifest.steps);
+
+        console.log(`🗃️  Build cache: ${path.relative(process.cwd(), this.cacheFile)}\n`);
+        if (steps.length === 0) {
+            console.log('Cache is empty.');
+            return;
+        }
+
+        steps.forEach(([step, data]) => {
+            console.log(`   ${step}: ${Object.keys(data.entries).length} entries`);
+        });
+    }
+}
+
+BuildCache.VERSION = 1;
+
+// CLI execution
+if (require.main === module) {
+    const cache = new BuildCache();
+    const command = process.argv[2];
+
+    switch (command) {
+        case 'clear':
+            cache.clear();
+            console.log('✅ Build cache cleared');
+            break;
+        case 'report':
+            cache.printSummary();
+            break;
+        default:
+            console.log(`
+Build Cache Usage:
+
+  node build-cache.js <command>
+
+Commands:
+  report    Show cached entries per step
+  clear     Remove the cache manifest
+
+Optimization scripts use the cache automatically; pass --force
+(or set BUILD_CACHE_FORCE=1) to reprocess every file.
+            `);
+    }
+}
+
+module.exports = BuildCache;
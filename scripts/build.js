@@ -2,19 +2,33 @@
 
 /**
  * Build Script for Stone OnePoint Solutions Website
- * This script prepares the website for deployment by processing files
- * according to the specified environment configuration.
+ * This script prepares the website for deployment by copying the source
+ * files into a fresh output directory and applying the optimization steps
+ * enabled in the environment configuration. The source tree is never modified.
  */
 
 const fs = require('fs');
 const path = require('path');
+const AssetOptimizer = require('./optimize-assets');
+const HTMLPipeline = require('./html-pipeline');
+const OgImageGenerator = require('./og-image-generator');
+const SEOSupportingFilesGenerator = require('./seo-supporting-files-generator');
+const SitemapGenerator = require('./sitemap-generator');
 
 class WebsiteBuildTool {
-    constructor(environment = 'production') {
+    constructor(environment = 'production', options = {}) {
         this.environment = environment;
         this.config = this.loadEnvironmentConfig();
-        this.sourceDir = path.join(__dirname, '..', '..', 'onestone', 'www.bayleafhrsolutions.com');
-        this.outputDir = path.join(__dirname, '..', 'public');
+        this.rootDir = path.join(__dirname, '..');
+        this.sourceDir = options.sourceDir || path.join(this.rootDir, 'public');
+        this.outputDir = options.outputDir || path.join(this.rootDir, 'dist');
+        this.warnings = [];
+
+        // Directories copied alongside public/ so the output is self-contained
+        this.staticDirs = [
+            { source: path.join(this.rootDir, 'assets'), target: 'assets' },
+            { source: path.join(this.rootDir, 'error-pages'), target: 'error-pages' }
+        ];
     }
 
     loadEnvironmentConfig() {
@@ -29,31 +43,200 @@ class WebsiteBuildTool {
 
     async build() {
         console.log(`Building website for ${this.environment} environment...`);
-        console.log('Configuration:', JSON.stringify(this.config, null, 2));
-        
-        // Create output directory structure
-        this.createDirectoryStructure();
-        
-        console.log('Build configuration loaded successfully.');
-        console.log('Ready for implementation of build tasks in subsequent tasks.');
+        console.log(`Source: ${path.relative(process.cwd(), this.sourceDir) || '.'}`);
+        console.log(`Output: ${path.relative(process.cwd(), this.outputDir) || '.'}\n`);
+
+        if (!fs.existsSync(this.sourceDir)) {
+            throw new Error(`Source directory not found: ${this.sourceDir}`);
+        }
+
+        this.prepareOutputDirectory();
+        this.copySourceFiles();
+
+        const steps = this.getBuildSteps();
+        const enabledSteps = steps.filter(step => step.enabled);
+
+        console.log(`\nBuild steps (${enabledSteps.length}/${steps.length} enabled):`);
+        steps.forEach(step => {
+            console.log(`  ${step.enabled ? '✓' : '-'} ${step.name}`);
+        });
+
+        for (const step of enabledSteps) {
+            console.log(`\n▶ ${step.name}`);
+            await step.run();
+        }
+
+        if (this.warnings.length > 0) {
+            console.log(`\n⚠️  Build complete with ${this.warnings.length} warning(s): ${this.outputDir}`);
+            this.warnings.forEach(warning => console.log(`  - ${warning}`));
+            return;
+        }
+        console.log(`\n✅ Build complete: ${this.outputDir}`);
     }
 
-    createDirectoryStructure() {
-        const directories = [
-            'pages',
-            'assets/css',
-            'assets/js',
-            'assets/img',
-            'assets/fonts'
+    /**
+     * Build steps in execution order, gated by the environment configuration
+     */
+    getBuildSteps() {
+        const performance = this.config.performance || {};
+        const seo = this.config.seo || {};
+        const htmlPasses = HTMLPipeline.passesForEnvironment(this.config);
+
+        return [
+            {
+                name: 'Social card images',
+                enabled: htmlPasses.includes('social-tags'),
+                run: () => this.runSocialCards()
+            },
+            {
+                name: `HTML transforms (${htmlPasses.join(', ')})`,
+                enabled: htmlPasses.length > 0,
+                run: () => this.runHTMLPipeline(htmlPasses)
+            },
+            {
+                name: 'XML sitemap',
+                enabled: Boolean(seo.sitemapGeneration),
+                run: () => this.runSitemap()
+            },
+            {
+                name: 'robots.txt',
+                enabled: true,
+                run: () => this.runRobotsTxt(Boolean(seo.robotsIndex))
+            },
+            {
+                name: 'CSS and JavaScript optimization',
+                enabled: Boolean(performance.cssMinification || performance.jsMinification || performance.bundling),
+                run: () => this.runAssetOptimization(performance)
+            }
         ];
+    }
+
+    prepareOutputDirectory() {
+        const resolvedOutput = path.resolve(this.outputDir);
+        const protectedDirs = [this.rootDir, this.sourceDir].map(dir => path.resolve(dir));
+
+        if (protectedDirs.includes(resolvedOutput)) {
+            throw new Error(`Refusing to build into ${resolvedOutput}; choose a separate output directory`);
+        }
+
+        fs.rmSync(this.outputDir, { recursive: true, force: true });
+        fs.mkdirSync(this.outputDir, { recursive: true });
+    }
+
+    copySourceFiles() {
+        this.staticDirs.forEach(({ source, target }) => {
+            if (fs.existsSync(source)) {
+                const count = this.copyDirectory(source, path.join(this.outputDir, target));
+                console.log(`Copied ${count} files from ${path.relative(this.rootDir, source)}/`);
+            }
+        });
+
+        // public/ is copied last so its files take precedence
+        const count = this.copyDirectory(this.sourceDir, this.outputDir);
+        console.log(`Copied ${count} files from ${path.relative(this.rootDir, this.sourceDir)}/`);
+    }
+
+    copyDirectory(source, destination) {
+        let count = 0;
+        fs.mkdirSync(destination, { recursive: true });
+
+        fs.readdirSync(source).forEach(item => {
+            const sourcePath = path.join(source, item);
+            const destPath = path.join(destination, item);
+            const stat = fs.statSync(sourcePath);
 
-        directories.forEach(dir => {
-            const fullPath = path.join(this.outputDir, dir);
-            if (!fs.existsSync(fullPath)) {
-                fs.mkdirSync(fullPath, { recursive: true });
-                console.log(`Created directory: ${dir}`);
+            if (stat.isDirectory()) {
+                count += this.copyDirectory(sourcePath, destPath);
+            } else {
+                fs.copyFileSync(sourcePath, destPath);
+                count++;
             }
         });
+
+        return count;
+    }
+
+    /**
+     * Draw the cards the copied card manifest lacks or has outdated, so the
+     * social tags of the output point at current cards
+     */
+    async runSocialCards() {
+        const generator = new OgImageGenerator({
+            publicDir: this.outputDir,
+            assetsDir: path.join(this.outputDir, 'assets'),
+            baseUrl: this.config.baseUrl
+        });
+        const stats = generator.generate();
+        if (stats.unavailable) {
+            this.warnings.push(OgImageGenerator.unavailableMessage());
+        } else if (stats.failed > 0) {
+            this.warnings.push(`${stats.failed} social card(s) could not be drawn`);
+        }
+    }
+
+    async runHTMLPipeline(passes) {
+        const pipeline = new HTMLPipeline(this.outputDir, {
+            baseUrl: this.config.baseUrl,
+            assetsDir: path.join(this.outputDir, 'assets')
+        });
+        pipeline.use(passes);
+        await pipeline.run();
+    }
+
+    /**
+     * lastmod is taken from the source pages, so optimized output does not
+     * count as a change
+     */
+    async runSitemap() {
+        const generator = new SitemapGenerator({
+            publicDir: this.outputDir,
+            sourceDir: this.sourceDir,
+            baseUrl: this.config.baseUrl
+        });
+        generator.generate();
+    }
+
+    async runRobotsTxt(allowIndexing) {
+        if (allowIndexing) {
+            const generator = new SEOSupportingFilesGenerator(this.outputDir, this.config.baseUrl);
+            await generator.generateRobotsTxt();
+            return;
+        }
+
+        // Non-indexed environments (development, staging) must not be crawled
+        const robotsTxt = `# Robots.txt for ${this.environment} environment\nUser-agent: *\nDisallow: /\n`;
+        fs.writeFileSync(path.join(this.outputDir, 'robots.txt'), robotsTxt);
+        console.log('robots.txt: indexing disabled for this environment');
+    }
+
+    async runAssetOptimization(performance) {
+        const assetsDir = path.join(this.outputDir, 'assets');
+        const optimizer = new AssetOptimizer({
+            publicDir: this.outputDir,
+            assetsDir,
+            outputDir: path.join(assetsDir, 'optimized')
+        });
+
+        ['css', 'js'].forEach(dir => {
+            fs.mkdirSync(path.join(optimizer.outputDir, dir), { recursive: true });
+        });
+
+        if (performance.cssMinification) {
+            optimizer.processCSSFiles();
+        }
+
+        if (performance.jsMinification) {
+            optimizer.processJSFiles();
+        }
+
+        if (performance.bundling) {
+            optimizer.createCSSBundles();
+            optimizer.createJSBundles();
+            optimizer.extractCriticalCSS();
+            optimizer.generateAssetManifest();
+        }
+
+        optimizer.printStats();
     }
 }
 
@@ -61,7 +244,10 @@ class WebsiteBuildTool {
 if (require.main === module) {
     const environment = process.argv[2] || 'production';
     const builder = new WebsiteBuildTool(environment);
-    builder.build().catch(console.error);
+    builder.build().catch(error => {
+        console.error('❌ Build failed:', error.message);
+        process.exit(1);
+    });
 }
 
-module.exports = WebsiteBuildTool;
\ No newline at end of file
+module.exports = WebsiteBuildTool;
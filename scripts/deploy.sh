@@ -8,7 +8,7 @@ set -e  # Exit on any error
 # Configuration
 SCRIPT_DIR="$(cd "$(dirname "${BASH_SOURCE[0]}")" && pwd)"
 PROJECT_ROOT="$(dirname "$SCRIPT_DIR")"
-PUBLIC_DIR="$PROJECT_ROOT/public"
+BUILD_DIR="$PROJECT_ROOT/dist"
 
 # Default values
 ENVIRONMENT="production"
@@ -70,8 +70,8 @@ echo "Dry Run: $DRY_RUN"
 echo "=================================================="
 
 # Check if build exists
-if [[ ! -d "$PUBLIC_DIR" ]] || [[ -z "$(ls -A "$PUBLIC_DIR" 2>/dev/null)" ]]; then
-    echo "Error: No build found in $PUBLIC_DIR"
+if [[ ! -d "$BUILD_DIR" ]] || [[ -z "$(ls -A "$BUILD_DIR" 2>/dev/null)" ]]; then
+    echo "Error: No build found in $BUILD_DIR"
     echo "Please run the build script first: node scripts/build.js $ENVIRONMENT"
     exit 1
 fi
@@ -82,7 +82,7 @@ echo "Running pre-deployment validation..."
 # Check for required files
 REQUIRED_FILES=("index.html")
 for file in "${REQUIRED_FILES[@]}"; do
-    if [[ ! -f "$PUBLIC_DIR/$file" ]]; then
+    if [[ ! -f "$BUILD_DIR/$file" ]]; then
         echo "Error: Required file $file not found in build"
         exit 1
     fi
@@ -106,7 +106,7 @@ fi
 echo ""
 echo "=== Deployment Summary ==="
 echo "Environment: $ENVIRONMENT"
-echo "Build Directory: $PUBLIC_DIR"
+echo "Build Directory: $BUILD_DIR"
 echo "Server Configuration: $CONFIG_SOURCE"
 echo "=========================="
 
@@ -117,7 +117,7 @@ else
     echo ""
     echo "Deployment preparation complete!"
     echo "Next steps:"
-    echo "1. Upload contents of $PUBLIC_DIR to your web server"
+    echo "1. Upload contents of $BUILD_DIR to your web server"
     echo "2. Configure your server using files from $CONFIG_SOURCE"
     echo "3. Run post-deployment validation"
 fi
\ No newline at end of file
@@ -0,0 +1,201 @@
+/**
+ * Dry-Run Support for HTML-Mutating Scripts
+ * Routes file writes through one place so a --dry-run flag can print a
+ * unified diff of each pending change instead of touching the file
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+// Above this many line comparisons the changed region is shown as one hunk
+const MAX_LCS_CELLS = 25000000;
+
+class DryRun {
+    constructor(options = {}) {
+        this.enabled = Boolean(options.enabled);
+        this.baseDir = options.baseDir || process.cwd();
+        this.context = options.context !== undefined ? options.context : 3;
+        this.changes = [];
+    }
+
+    /**
+     * Create an instance from command line arguments
+     */
+    static fromArgs(argv = process.argv) {
+        return new DryRun({ enabled: argv.includes('--dry-run') });
+    }
+
+    /**
+     * Write updated content, or print its diff when dry-run is enabled.
+     * Returns true when the content differs from the original.
+     */
+    writeFile(filePath, original, updated) {
+        if (original === updated) return false;
+
+        if (!this.enabled) {
+            fs.writeFileSync(filePath, updated, 'utf8');
+            return true;
+        }
+
+        const name = path.relative(this.baseDir, filePath).replace(/\\/g, '/');
+        const diff = DryRun.createUnifiedDiff(original, updated, {
+            fromFile: `a/${name}`,
+            toFile: `b/${name}`,
+            context: this.context
+        });
+
+        console.log(diff.text);
+        this.changes.push({ file: name, added: diff.added, removed: diff.removed });
+        return true;
+    }
+
+    printSummary() {
+        if (!this.enabled) return;
+
+        const added = this.changes.reduce((sum, change) => sum + change.added, 0);
+        const removed = this.changes.reduce((sum, change) => sum + change.removed, 0);
+
+        console.log('\n🔍 Dry run summary:');
+        console.log(`   Files that would change: ${this.changes.length}`);
+        console.log(`   Lines added: ${added}, lines removed: ${removed}`);
+        console.log('   No files were written.');
+    }
+
+    /**
+     * Build a unified diff (as produced by `diff -u`) between two texts
+     */
+    static createUnifiedDiff(oldText, newText, options = {}) {
+        const context = options.context !== undefined ? options.context : 3;
+        const oldLines = DryRun.splitLines(oldText);
+        const newLines = DryRun.splitLines(newText);
+        const ops = DryRun.diffLines(oldLines, newLines);
+
+        const lines = [`--- ${options.fromFile || 'a'}`, `+++ ${options.toFile || 'b'}`];
+        let added = 0;
+        let removed = 0;
+
+        DryRun.groupHunks(ops, context).forEach(hunk => {
+            const oldCount = hunk.filter(op => op.type !== '+').length;
+            const newCount = hunk.filter(op => op.type !== '-').length;
+            const oldStart = oldCount > 0 ? hunk.find(op => op.type !== '+').oldIndex + 1 : hunk[0].oldIndex;
+            const newStart = newCount > 0 ? hunk.find(op => op.type !== '-').newIndex + 1 : hunk[0].newIndex;
+
+            lines.push(`@@ -${DryRun.formatRange(oldStart, oldCount)} +${DryRun.formatRange(newStart, newCount)} @@`);
+            hunk.forEach(op => {
+                lines.push(`${op.type}${op.line}`);
+                if (op.type === '+') added++;
+                if (op.type === '-') removed++;
+            });
+        });
+
+        return { text: lines.join('\n'), added, removed };
+    }
+
+    static formatRange(start, count) {
+        return count === 1 ? `${start}` : `${start},${count}`;
+    }
+
+    static splitLines(text) {
+        if (text === '') return [];
+
+        const lines = text.split('\n').map(line => line.replace(/\r$/, ''));
+        if (lines.length > 1 && lines[lines.length - 1] === '') {
+            lines.pop();
+        }
+        return lines;
+    }
+
+    /**
+     * Line-level edit script. The common prefix and suffix are trimmed before
+     * running an LCS over the changed middle section.
+     */
+    static diffLines(oldLines, newLines) {
+        let start = 0;
+        while (start < oldLines.length && start < newLines.length && oldLines[start] === newLines[start]) {
+            start++;
+        }
+
+        let oldEnd = oldLines.length;
+        let newEnd = newLines.length;
+        while (oldEnd > start && newEnd > start && oldLines[oldEnd - 1] === newLines[newEnd - 1]) {
+            oldEnd--;
+            newEnd--;
+        }
+
+        const ops = [];
+        for (let i = 0; i < start; i++) {
+            ops.push({ type: ' ', line: oldLines[i], oldIndex: i, newIndex: i });
+        }
+
+        const a = oldLines.slice(start, oldEnd);
+        const b = newLines.slice(start, newEnd);
+
+        if (a.length * b.length > MAX_LCS_CELLS) {
+            a.forEach((line, i) => ops.push({ type: '-', line, oldIndex: start + i, newIndex: start }));
+            b.forEach((line, j) => ops.push({ type: '+', line, oldIndex: oldEnd, newIndex: start + j }));
+        } else {
+            // lengths[i * (m + 1) + j] = LCS length of a[i..] and b[j..]
+            const n = a.length;
+            const m = b.length;
+            const lengths = new Uint32Array((n + 1) * (m + 1));
+            for (let i = n - 1; i >= 0; i--) {
+                for (let j = m - 1; j >= 0; j--) {
+                    lengths[i * (m + 1) + j] = a[i] === b[j]
+                        ? lengths[(i + 1) * (m + 1) + j + 1] + 1
+                        : Math.max(lengths[(i + 1) * (m + 1) + j], lengths[i * (m + 1) + j + 1]);
+                }
+            }
+
+            let i = 0;
+            let j = 0;
+            while (i < n || j < m) {
+                if (i < n && j < m && a[i] === b[j]) {
+                    ops.push({ type: ' ', line: a[i], oldIndex: start + i, newIndex: start + j });
+                    i++;
+                    j++;
+                } else if (i < n && (j === m || lengths[(i + 1) * (m + 1) + j] >= lengths[i * (m + 1) + j + 1])) {
+                    ops.push({ type: '-', line: a[i], oldIndex: start + i, newIndex: start + j });
+                    i++;
+                } else {
+                    ops.push({ type: '+', line: b[j], oldIndex: start + i, newIndex: start + j });
+                    j++;
+                }
+            }
+        }
+
+        for (let i = oldEnd, j = newEnd; i < oldLines.length; i++, j++) {
+            ops.push({ type: ' ', line: oldLines[i], oldIndex: i, newIndex: j });
+        }
+
+        return ops;
+    }
+
+    /**
+     * Split an edit script into hunks with the given lines of context,
+     * merging changes whose context would overlap
+     */
+    static groupHunks(ops, context) {
+        const hunks = [];
+        let current = null;
+        let lastChange = -Infinity;
+
+        ops.forEach((op, index) => {
+            if (op.type === ' ') return;
+
+            const from = Math.max(0, index - context);
+            if (current && from <= lastChange + context + 1) {
+                current.end = index;
+            } else {
+                if (current) hunks.push(current);
+                current = { start: from, end: index };
+            }
+            lastChange = index;
+        });
+
+        if (current) hunks.push(current);
+
+        return hunks.map(hunk => ops.slice(hunk.start, Math.min(ops.length, hunk.end + context + 1)));
+    }
+}
+
+module.exports = DryRun;
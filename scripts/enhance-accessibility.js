@@ -7,10 +7,12 @@
 const fs = require('fs');
 const path = require('path');
 const cheerio = require('cheerio');
+const DryRun = require('./dry-run');
 
 class AccessibilityEnhancer {
-    constructor(publicDir) {
+    constructor(publicDir, options = {}) {
         this.publicDir = publicDir;
+        this.dryRun = options.dryRun || new DryRun();
         this.processedFiles = [];
         this.issues = [];
     }
@@ -27,13 +29,18 @@ class AccessibilityEnhancer {
             try {
                 await this.enhanceFile(file);
                 this.processedFiles.push(file);
-                console.log(`✅ Enhanced: ${file}`);
+                console.log(this.dryRun.enabled ? `🔍 Would enhance: ${file}` : `✅ Enhanced: ${file}`);
             } catch (error) {
                 console.error(`❌ Error processing ${file}:`, error.message);
                 this.issues.push({ file, error: error.message });
             }
         }
         
+        if (this.dryRun.enabled) {
+            this.dryRun.printSummary();
+            return;
+        }
+
         this.generateReport();
     }
 
@@ -77,8 +84,8 @@ class AccessibilityEnhancer {
         // Add focus management
         this.addFocusManagement($);
 
-        // Write the enhanced HTML back to file
-        fs.writeFileSync(filePath, $.html());
+        // Write the enhanced HTML back to file (or preview the change in dry-run mode)
+        this.dryRun.writeFile(filePath, html, $.html());
     }
 
     /**
@@ -447,6 +454,6 @@ module.exports = AccessibilityEnhancer;
 // Run if called directly
 if (require.main === module) {
     const publicDir = path.join(__dirname, '../public');
-    const enhancer = new AccessibilityEnhancer(publicDir);
+    const enhancer = new AccessibilityEnhancer(publicDir, { dryRun: DryRun.fromArgs() });
     enhancer.enhanceAllFiles().catch(console.error);
 }
\ No newline at end of file
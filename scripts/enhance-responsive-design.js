@@ -7,10 +7,12 @@
 const fs = require('fs');
 const path = require('path');
 const cheerio = require('cheerio');
+const DryRun = require('./dry-run');
 
 class ResponsiveDesignEnhancer {
-    constructor(publicDir) {
+    constructor(publicDir, options = {}) {
         this.publicDir = publicDir;
+        this.dryRun = options.dryRun || new DryRun();
         this.processedFiles = [];
         this.issues = [];
         this.breakpoints = {
@@ -35,7 +37,7 @@ class ResponsiveDesignEnhancer {
             try {
                 await this.enhanceFile(file);
                 this.processedFiles.push(file);
-                console.log(`✅ Enhanced responsive design: ${file}`);
+                console.log(this.dryRun.enabled ? `🔍 Would enhance responsive design: ${file}` : `✅ Enhanced responsive design: ${file}`);
             } catch (error) {
                 console.error(`❌ Error processing ${file}:`, error.message);
                 this.issues.push({ file, error: error.message });
@@ -43,6 +45,12 @@ class ResponsiveDesignEnhancer {
         }
         
         await this.createResponsiveCSS();
+
+        if (this.dryRun.enabled) {
+            this.dryRun.printSummary();
+            return;
+        }
+
         this.generateReport();
     }
 
@@ -83,8 +91,8 @@ class ResponsiveDesignEnhancer {
         // Add responsive utility classes
         this.addResponsiveUtilities($);
 
-        // Write the enhanced HTML back to file
-        fs.writeFileSync(filePath, $.html());
+        // Write the enhanced HTML back to file (or preview the change in dry-run mode)
+        this.dryRun.writeFile(filePath, html, $.html());
     }
 
     /**
@@ -621,8 +629,8 @@ class ResponsiveDesignEnhancer {
 `;
 
         const cssPath = path.join(this.publicDir, 'assets/css/responsive-enhancements.css');
-        fs.writeFileSync(cssPath, responsiveCSS);
-        console.log('📝 Created responsive enhancement CSS file');
+        this.dryRun.writeFile(cssPath, fs.existsSync(cssPath) ? fs.readFileSync(cssPath, 'utf8') : '', responsiveCSS);
+        console.log(this.dryRun.enabled ? '🔍 Would create responsive enhancement CSS file' : '📝 Created responsive enhancement CSS file');
         
         // Add CSS link to all HTML files
         const htmlFiles = this.getHtmlFiles();
@@ -634,7 +642,7 @@ class ResponsiveDesignEnhancer {
             // Add CSS link if not already present
             if (!$('link[href*="responsive-enhancements.css"]').length) {
                 $('head').append('<link href="assets/css/responsive-enhancements.css" rel="stylesheet">');
-                fs.writeFileSync(filePath, $.html());
+                this.dryRun.writeFile(filePath, html, $.html());
             }
         }
     }
@@ -703,6 +711,6 @@ module.exports = ResponsiveDesignEnhancer;
 // Run if called directly
 if (require.main === module) {
     const publicDir = path.join(__dirname, '../public');
-    const enhancer = new ResponsiveDesignEnhancer(publicDir);
+    const enhancer = new ResponsiveDesignEnhancer(publicDir, { dryRun: DryRun.fromArgs() });
     enhancer.enhanceAllFiles().catch(console.error);
 }
\ No newline at end of file
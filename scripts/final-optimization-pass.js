@@ -9,6 +9,7 @@
 const fs = require('fs');
 const path = require('path');
 const { execSync } = require('child_process');
+const StructuredDataValidator = require('./structured-data-validator');
 
 class FinalOptimizer {
     constructor() {
@@ -330,28 +331,21 @@ class FinalOptimizer {
     async validateStructuredData() {
         console.log('  📊 Validating structured data...');
         
-        const htmlFiles = this.getAllFiles(this.publicDir, ['.html']);
-        let structuredDataCount = 0;
-        
-        for (const htmlFile of htmlFiles) {
-            try {
-                const content = fs.readFileSync(htmlFile, 'utf8');
-                
-                // Check for JSON-LD structured data
-                if (content.includes('application/ld+json')) {
-                    structuredDataCount++;
-                }
-            } catch (error) {
-                this.results.errors.push(`Structured data validation failed for ${htmlFile}: ${error.message}`);
-            }
+        try {
+            const validator = new StructuredDataValidator({ publicDir: this.publicDir });
+            const report = validator.validateAll();
+            
+            this.results.seo.structuredData = Object.assign({}, report.summary, {
+                pages: report.pages
+                    .filter(page => page.severity === 'error' || page.severity === 'warning')
+                    .map(page => ({ file: page.file, severity: page.severity, issues: page.issues.filter(issue => issue.severity !== 'notice') }))
+            });
+            
+            const summary = report.summary;
+            console.log(`    ${summary.errors > 0 ? '❌' : '✅'} Structured data: ${summary.withStructuredData}/${summary.totalPages} pages have structured data, ${summary.errors} errors, ${summary.warnings} warnings`);
+        } catch (error) {
+            this.results.errors.push(`Structured data validation failed: ${error.message}`);
         }
-        
-        this.results.seo.structuredData = {
-            totalPages: htmlFiles.length,
-            withStructuredData: structuredDataCount
-        };
-        
-        console.log(`    ✅ Structured data: ${structuredDataCount}/${htmlFiles.length} pages have structured data`);
     }
 
     async validateSEOFiles() {
@@ -523,6 +517,17 @@ class FinalOptimizer {
             markdown += `- Pages with descriptions: ${meta.withDescription}/${meta.totalPages}\n\n`;
         }
         
+        if (report.details.seo.structuredData) {
+            const structuredData = report.details.seo.structuredData;
+            markdown += `### Structured Data\n`;
+            markdown += `- Pages with JSON-LD: ${structuredData.withStructuredData}/${structuredData.totalPages}\n`;
+            markdown += `- Errors: ${structuredData.errors}, warnings: ${structuredData.warnings}\n`;
+            structuredData.pages.forEach(page => {
+                markdown += `- ${page.severity === 'error' ? '❌' : '⚠️'} ${page.file}: ${page.issues.map(issue => issue.message).join('; ')}\n`;
+            });
+            markdown += `\n`;
+        }
+        
         if (report.recommendations.length > 0) {
             markdown += `## Recommendations\n\n`;
             report.recommendations.forEach((rec, index) => {
@@ -592,9 +597,10 @@ class FinalOptimizer {
             score += Math.round(((titleRate + descRate) / 2) * 40);
         }
         
-        // Structured data (30 points)
+        // Structured data (30 points), only pages whose JSON-LD has no errors count
         if (this.results.seo.structuredData) {
-            const structuredRate = this.results.seo.structuredData.withStructuredData / this.results.seo.structuredData.totalPages;
+            const structuredData = this.results.seo.structuredData;
+            const structuredRate = (structuredData.withStructuredData - structuredData.pagesWithErrors) / structuredData.totalPages;
             score += Math.round(structuredRate * 30);
         }
         
@@ -650,6 +656,10 @@ class FinalOptimizer {
             recommendations.push(`Fix missing meta tags on ${this.results.seo.metaTags.issues.length} pages`);
         }
         
+        if (this.results.seo.structuredData && this.results.seo.structuredData.pagesWithErrors > 0) {
+            recommendations.push(`Fix structured data errors on ${this.results.seo.structuredData.pagesWithErrors} pages (npm run seo:validate-structured-data)`);
+        }
+        
         if (this.results.seo.supportingFiles && this.results.seo.supportingFiles.status !== 'complete') {
             if (!this.results.seo.supportingFiles.sitemap) recommendations.push('Create XML sitemap');
             if (!this.results.seo.supportingFiles.robots) recommendations.push('Create robots.txt file');
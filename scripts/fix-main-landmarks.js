@@ -6,10 +6,12 @@
 const fs = require('fs');
 const path = require('path');
 const { JSDOM } = require('jsdom');
+const DryRun = require('./dry-run');
 
 class MainLandmarkFixer {
-    constructor(publicDir = './public') {
+    constructor(publicDir = './public', options = {}) {
         this.publicDir = publicDir;
+        this.dryRun = options.dryRun || new DryRun();
         this.processedFiles = [];
     }
 
@@ -22,7 +24,11 @@ class MainLandmarkFixer {
                 await this.fixFile(file);
             }
 
-            console.log(`Successfully fixed ${this.processedFiles.length} files`);
+            if (this.dryRun.enabled) {
+                this.dryRun.printSummary();
+            } else {
+                console.log(`Successfully fixed ${this.processedFiles.length} files`);
+            }
             return this.processedFiles;
         } catch (error) {
             console.error('Error fixing files:', error);
@@ -85,11 +91,11 @@ class MainLandmarkFixer {
             }
 
             if (modified) {
-                // Write the fixed HTML back to file
+                // Write the fixed HTML back to file (or preview it in dry-run mode)
                 const fixedHTML = dom.serialize();
-                fs.writeFileSync(filePath, fixedHTML, 'utf8');
+                this.dryRun.writeFile(filePath, html, fixedHTML);
                 this.processedFiles.push(filePath);
-                console.log(`✓ Fixed: ${filePath}`);
+                console.log(this.dryRun.enabled ? `🔍 Would fix: ${filePath}` : `✓ Fixed: ${filePath}`);
             } else {
                 console.log(`- No changes needed: ${filePath}`);
             }
@@ -220,9 +226,11 @@ if (typeof module !== 'undefined' && module.exports) {
 
 // Run if called directly
 if (require.main === module) {
-    const fixer = new MainLandmarkFixer();
+    const dryRun = DryRun.fromArgs();
+    const fixer = new MainLandmarkFixer('./public', { dryRun });
     fixer.fixAllFiles()
         .then(files => {
+            if (dryRun.enabled) return;
             console.log('\n✅ Main landmark fixes completed successfully!');
             console.log(`Fixed ${files.length} HTML files`);
         })
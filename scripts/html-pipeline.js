@@ -0,0 +1,417 @@
+#!/usr/bin/env node
+
+/**
+ * HTML Transform Pipeline
+ * Parses each page once, runs an ordered list of registered passes on the
+ * shared DOM and writes the result once. Passes reuse the per-document logic
+ * of the existing enhancement scripts.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { JSDOM } = require('jsdom');
+const BuildCache = require('./build-cache');
+const DryRun = require('./dry-run');
+const HTMLAccessibilityEnhancer = require('./apply-accessibility-enhancements');
+const MainLandmarkFixer = require('./fix-main-landmarks');
+const OgImageGenerator = require('./og-image-generator');
+const SEOMetaOptimizer = require('./seo-meta-optimizer');
+const SEOSupportingFilesGenerator = require('./seo-supporting-files-generator');
+const LazyLoadingSetup = require('./setup-lazy-loading');
+const PartialExtractor = require('./partial-extractor');
+const PageRegistry = require('./page-registry');
+const SiteHierarchy = require('./site-hierarchy');
+const StructuredDataGenerator = require('./structured-data-generator');
+
+/**
+ * Built-in pass factories. Each factory receives the pipeline and returns
+ * { description, appliesTo(file), run(document, file), settings } where run
+ * returns true when it modified the document. Optional settings are the
+ * inputs besides the page the pass depends on; changing them invalidates
+ * the build cache.
+ */
+const BUILT_IN_PASSES = {
+    'partials': pipeline => {
+        const extractor = new PartialExtractor({ publicDir: pipeline.publicDir });
+        return {
+            description: 'Shared header/footer from include markers',
+            settings: [extractor.blocksFile, extractor.siteConfigFile].map(file => fs.readFileSync(file, 'utf8')),
+            run: (document, file) => extractor.expandIncludes(document, file.name) > 0
+        };
+    },
+
+    'landmarks': pipeline => {
+        const fixer = new MainLandmarkFixer(pipeline.publicDir);
+        return {
+            description: 'Main, navigation and footer landmarks',
+            run: document => {
+                const results = [
+                    fixer.addMainLandmark(document),
+                    fixer.addNavigationLandmark(document),
+                    fixer.addFooterLandmark(document)
+                ];
+                return results.some(Boolean);
+            }
+        };
+    },
+
+    'skip-nav': pipeline => {
+        const enhancer = new HTMLAccessibilityEnhancer(pipeline.publicDir);
+        return {
+            description: 'Skip navigation links',
+            run: document => {
+                if (document.querySelector('.skip-navigation')) return false;
+                enhancer.addSkipNavigation(document);
+                return true;
+            }
+        };
+    },
+
+    'meta-tags': pipeline => {
+        const registry = pipeline.getPageRegistry();
+        const optimizer = new SEOMetaOptimizer(pipeline.publicDir, pipeline.baseUrl, { registry });
+        return {
+            description: 'Title, meta description, canonical URL, robots and H1',
+            settings: registry.all(),
+            appliesTo: file => !optimizer.shouldSkipFile(path.basename(file.name)),
+            run: (document, file) => {
+                const results = [
+                    optimizer.optimizeTitle(document, file.name),
+                    optimizer.optimizeMetaDescription(document, file.name),
+                    optimizer.addCanonicalUrl(document, file.name),
+                    optimizer.addRobotsDirectives(document, file.name),
+                    optimizer.optimizeH1Structure(document, file.name)
+                ];
+                return results.some(Boolean);
+            }
+        };
+    },
+
+    'social-tags': pipeline => {
+        const registry = pipeline.getPageRegistry();
+        const generator = new SEOSupportingFilesGenerator(pipeline.publicDir, pipeline.baseUrl, { registry, assetsDir: pipeline.assetsDir });
+        return {
+            description: 'Open Graph and Twitter Card meta tags',
+            settings: [registry.all(), OgImageGenerator.loadManifest(path.join(pipeline.assetsDir, 'img', 'og', 'manifest.json'))],
+            appliesTo: file => !generator.shouldSkipFile(path.basename(file.name)),
+            run: (document, file) => {
+                const pageInfo = generator.getPageInfo(document, file.name);
+                const results = [
+                    generator.addOpenGraphTags(document, pageInfo),
+                    generator.addTwitterCardTags(document, pageInfo),
+                    generator.addAdditionalSocialTags(document, pageInfo)
+                ];
+                return results.some(Boolean);
+            }
+        };
+    },
+
+    'lazy-images': pipeline => {
+        const setup = new LazyLoadingSetup({ publicDir: pipeline.publicDir });
+        return {
+            description: 'Lazy loading for images',
+            run: document => {
+                let modified = false;
+
+                document.querySelectorAll('img').forEach(img => {
+                    if (!setup.shouldExcludeImage(img) && setup.convertImageToLazy(img, document)) {
+                        modified = true;
+                    }
+                });
+
+                if (modified && !document.querySelector('script[src*="lazy-loading.js"]')) {
+                    setup.addLazyLoadingScript(document);
+                }
+
+                return modified;
+            }
+        };
+    },
+
+    'breadcrumbs': pipeline => {
+        const registry = pipeline.getPageRegistry();
+        const hierarchy = new SiteHierarchy({ registry });
+        const data = hierarchy.getContentUpdater();
+        return {
+            description: 'Breadcrumb navigation from the site hierarchy',
+            settings: [registry.sections, registry.all(), data.servicesData, data.locationsData],
+            run: (document, file) => hierarchy.applyBreadcrumb(document, file.name)
+        };
+    },
+
+    'structured-data': pipeline => {
+        const registry = pipeline.getPageRegistry();
+        const generator = new StructuredDataGenerator(pipeline.publicDir, pipeline.baseUrl, { registry });
+        const data = generator.getContentUpdater();
+        return {
+            description: 'JSON-LD structured data',
+            settings: [registry.all(), data.servicesData, data.locationsData],
+            appliesTo: file => !generator.shouldSkipFile(path.basename(file.name)),
+            run: (document, file) => {
+                const schemas = generator.generateStructuredDataForPage(file.name, document);
+                if (!schemas) return false;
+
+                const existing = Array.from(document.querySelectorAll('script[type="application/ld+json"]'));
+                const serialized = schemas.map(data => JSON.stringify(data, null, 2));
+
+                const unchanged = existing.length === serialized.length &&
+                    existing.every((script, index) => script.textContent === serialized[index]);
+                if (unchanged) return false;
+
+                existing.forEach(script => script.remove());
+                serialized.forEach(json => {
+                    const script = document.createElement('script');
+                    script.type = 'application/ld+json';
+                    script.textContent = json;
+                    document.head.appendChild(script);
+                });
+                return true;
+            }
+        };
+    }
+};
+
+class HTMLPipeline {
+    constructor(publicDir, options = {}) {
+        this.publicDir = publicDir;
+        this.baseUrl = options.baseUrl || 'https://www.stoneonepointsolutions.in';
+        this.cache = options.cache || null;
+        this.dryRun = options.dryRun || new DryRun();
+        this.excludeDirs = options.excludeDirs || ['assets'];
+        // Site assets; the social tags read the card manifest below it
+        this.assetsDir = options.assetsDir || path.join(__dirname, '../assets');
+        this.registry = Object.assign({}, BUILT_IN_PASSES, options.passFactories || {});
+        this.passes = [];
+        this.stats = {
+            filesProcessed: 0,
+            filesModified: 0,
+            errors: 0,
+            passes: {}
+        };
+    }
+
+    /**
+     * Page registry shared by the SEO passes, so pages without a
+     * pages.json entry are reported once per run
+     */
+    getPageRegistry() {
+        if (!this.pageRegistry) {
+            this.pageRegistry = new PageRegistry({ baseUrl: this.baseUrl });
+        }
+        return this.pageRegistry;
+    }
+
+    /**
+     * Register an additional pass factory under a name
+     */
+    register(name, factory) {
+        this.registry[name] = factory;
+        return this;
+    }
+
+    /**
+     * Select the passes to run, in order
+     */
+    use(passNames) {
+        const unknown = passNames.filter(name => !this.registry[name]);
+        if (unknown.length > 0) {
+            throw new Error(`Unknown HTML pipeline pass(es): ${unknown.join(', ')}. Available: ${Object.keys(this.registry).join(', ')}`);
+        }
+
+        this.passes = passNames.map(name => Object.assign({ name }, this.registry[name](this)));
+        this.passes.forEach(pass => {
+            this.stats.passes[pass.name] = 0;
+        });
+        return this;
+    }
+
+    /**
+     * Resolve the pass list for an environment configuration. An explicit
+     * htmlPipeline.passes list wins; otherwise passes follow the feature flags.
+     */
+    static passesForEnvironment(config) {
+        if (config.htmlPipeline && Array.isArray(config.htmlPipeline.passes)) {
+            return config.htmlPipeline.passes;
+        }
+
+        const performance = config.performance || {};
+        const seo = config.seo || {};
+        const passes = ['partials', 'landmarks', 'skip-nav', 'breadcrumbs'];
+
+        if (seo.openGraph || seo.twitterCards) passes.push('social-tags');
+        if (performance.imageLazyLoading) passes.push('lazy-images');
+        if (seo.structuredData) passes.push('structured-data');
+
+        return passes;
+    }
+
+    getHtmlFiles(dir = this.publicDir) {
+        const files = [];
+
+        fs.readdirSync(dir).forEach(item => {
+            const fullPath = path.join(dir, item);
+            const stat = fs.statSync(fullPath);
+
+            if (stat.isDirectory()) {
+                if (!item.startsWith('.') && !this.excludeDirs.includes(item)) {
+                    files.push(...this.getHtmlFiles(fullPath));
+                }
+            } else if (item.endsWith('.html')) {
+                files.push(fullPath);
+            }
+        });
+
+        return files.sort();
+    }
+
+    /**
+     * Run every selected pass over one page and write it once
+     */
+    processFile(filePath) {
+        const file = {
+            path: filePath,
+            name: path.relative(this.publicDir, filePath).replace(/\\/g, '/')
+        };
+
+        try {
+            const html = fs.readFileSync(filePath, 'utf8');
+            const inputHash = this.cache ? this.cache.hashContent(html) : null;
+
+            if (this.cache && this.cache.isFresh('html-pipeline', filePath, inputHash)) {
+                this.stats.filesProcessed++;
+                return false;
+            }
+
+            const dom = new JSDOM(html);
+            const document = dom.window.document;
+            const applied = [];
+
+            for (const pass of this.passes) {
+                if (pass.appliesTo && !pass.appliesTo(file)) continue;
+
+                if (pass.run(document, file)) {
+                    applied.push(pass.name);
+                    this.stats.passes[pass.name]++;
+                }
+            }
+
+            if (applied.length > 0) {
+                console.log(`  ${this.dryRun.enabled ? '🔍' : '✓'} ${file.name} (${applied.join(', ')})`);
+                this.dryRun.writeFile(filePath, html, dom.serialize());
+                this.stats.filesModified++;
+            }
+
+            if (this.cache) {
+                this.cache.record('html-pipeline', filePath, inputHash);
+            }
+
+            this.stats.filesProcessed++;
+            return applied.length > 0;
+
+        } catch (error) {
+            console.error(`  ✗ ${file.name}: ${error.message}`);
+            this.stats.errors++;
+            return false;
+        }
+    }
+
+    async run() {
+        if (this.passes.length === 0) {
+            throw new Error('No HTML pipeline passes selected');
+        }
+
+        console.log(`🔧 Running HTML pipeline: ${this.passes.map(p => p.name).join(' → ')}\n`);
+
+        if (this.cache) {
+            this.cache.configureStep('html-pipeline', {
+                passes: this.passes.map(p => p.name),
+                baseUrl: this.baseUrl,
+                settings: this.passes.map(p => p.settings || null)
+            });
+        }
+
+        const files = this.getHtmlFiles();
+        files.forEach(filePath => this.processFile(filePath));
+
+        this.printStats();
+        if (this.pageRegistry) {
+            this.pageRegistry.printWarnings();
+        }
+        this.dryRun.printSummary();
+
+        if (this.cache) {
+            this.cache.save();
+            this.cache.printReport();
+        }
+
+        return this.stats;
+    }
+
+    printStats() {
+        console.log('\n📊 HTML Pipeline Results:');
+        console.log(`   Files processed: ${this.stats.filesProcessed}`);
+        console.log(`   Files modified: ${this.stats.filesModified}`);
+        Object.entries(this.stats.passes).forEach(([name, count]) => {
+            console.log(`   ${name}: ${count} files changed`);
+        });
+        console.log(`   Errors: ${this.stats.errors}`);
+    }
+}
+
+HTMLPipeline.BUILT_IN_PASSES = BUILT_IN_PASSES;
+
+// CLI execution
+if (require.main === module) {
+    const args = process.argv.slice(2);
+    const getArg = name => {
+        const index = args.indexOf(`--${name}`);
+        return index !== -1 ? args[index + 1] : null;
+    };
+
+    if (args.includes('--list')) {
+        console.log('Available HTML pipeline passes:\n');
+        Object.entries(BUILT_IN_PASSES).forEach(([name, factory]) => {
+            console.log(`  ${name.padEnd(16)} ${factory(new HTMLPipeline('public')).description}`);
+        });
+        process.exit(0);
+    }
+
+    const environment = getArg('env') || 'production';
+    const configPath = path.join(__dirname, '..', 'config', 'environments', `${environment}.json`);
+    let config;
+    try {
+        config = JSON.parse(fs.readFileSync(configPath, 'utf8'));
+    } catch (error) {
+        console.error(`❌ Failed to load environment config for ${environment}: ${error.message}`);
+        process.exit(1);
+    }
+
+    const publicDir = getArg('public-dir') || path.join(__dirname, '..', 'public');
+    let passes = getArg('passes') ? getArg('passes').split(',') : HTMLPipeline.passesForEnvironment(config);
+
+    // Include markers in the source pages are only expanded in build output
+    if (path.resolve(publicDir) === path.resolve(__dirname, '..', 'public') && passes.includes('partials')) {
+        console.log('ℹ️  Skipping the partials pass: include markers in public/ are expanded by the build\n');
+        passes = passes.filter(name => name !== 'partials');
+    }
+
+    const pipeline = new HTMLPipeline(publicDir, {
+        baseUrl: config.baseUrl,
+        cache: args.includes('--dry-run') ? null : new BuildCache({ force: args.includes('--force') }),
+        dryRun: DryRun.fromArgs(args)
+    });
+
+    try {
+        pipeline.use(passes);
+    } catch (error) {
+        console.error(`❌ ${error.message}`);
+        process.exit(1);
+    }
+
+    pipeline.run().catch(error => {
+        console.error('❌ HTML pipeline failed:', error.message);
+        process.exit(1);
+    });
+}
+
+module.exports = HTMLPipeline;
@@ -9,11 +9,13 @@
 const fs = require('fs');
 const path = require('path');
 const glob = require('glob');
+const DryRun = require('./dry-run');
 
 class HTTPSEnforcer {
-    constructor() {
+    constructor(options = {}) {
         this.publicDir = path.join(__dirname, '../public');
         this.configDir = path.join(__dirname, '../config');
+        this.dryRun = options.dryRun || new DryRun();
         this.results = {
             filesProcessed: 0,
             urlsUpdated: 0,
@@ -57,6 +59,11 @@ class HTTPSEnforcer {
             // Update server configuration files
             await this.updateServerConfigs();
             
+            if (this.dryRun.enabled) {
+                this.dryRun.printSummary();
+                return;
+            }
+
             // Generate report
             this.generateReport();
             
@@ -154,9 +161,8 @@ class HTTPSEnforcer {
                 content = this.addHttpsEnforcement(content, fileType);
             }
             
-            // Write back if changed
-            if (content !== originalContent) {
-                fs.writeFileSync(filePath, content, 'utf8');
+            // Write back if changed (or preview the change in dry-run mode)
+            if (this.dryRun.writeFile(filePath, originalContent, content)) {
                 this.results.filesProcessed++;
             }
             
@@ -453,7 +459,7 @@ module.exports = HTTPSValidator;`;
 
 // CLI Usage
 if (require.main === module) {
-    const enforcer = new HTTPSEnforcer();
+    const enforcer = new HTTPSEnforcer({ dryRun: DryRun.fromArgs() });
     
     // Check if glob is available
     try {
@@ -464,21 +470,7 @@ if (require.main === module) {
     }
     
     enforcer.run().then(() => {
-        enforcer.createValidationScript();
-        console.log('\\n📝 Created HTTPS validation script: scripts/https-validator.js');
-    });
-}
-
-module.exports = HTTPSEnforcer;`;
-
-        fs.writeFileSync(path.join(__dirname, 'https-enforcer.js'), httpsEnforcerScript, 'utf8');
-    }
-}
-
-// CLI Usage
-if (require.main === module) {
-    const enforcer = new HTTPSEnforcer();
-    enforcer.run().then(() => {
+        if (enforcer.dryRun.enabled) return;
         enforcer.createValidationScript();
         console.log('\n📝 Created HTTPS validation script: scripts/https-validator.js');
     });
@@ -0,0 +1,319 @@
+#!/usr/bin/env node
+
+/**
+ * Social Card Generator
+ * Renders a 1200×630 Open Graph card per page: the page title, a label with
+ * its service and city, the logo and the brand colours of site-config.json.
+ * Cards are drawn as SVG and rasterised to PNG with rsvg-convert or
+ * ImageMagick, written to assets/img/og/ and listed in
+ * assets/img/og/manifest.json, which the social tags read. A card is only
+ * redrawn when its SVG (title, label or branding) changes.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { spawnSync } = require('child_process');
+const PageRegistry = require('./page-registry');
+
+const ROOT_DIR = path.join(__dirname, '..');
+const WIDTH = 1200;
+const HEIGHT = 630;
+const PADDING = 80;
+const TITLE_SIZE = 64;
+const TITLE_LINES = 3;
+const FONT = 'Arial, Helvetica, sans-serif';
+
+/**
+ * Rasterisers in order of preference: the command and its arguments to
+ * read SVG from stdin and write a PNG file
+ */
+const RASTERISERS = [
+    { command: 'rsvg-convert', version: ['--version'], args: output => ['--width', String(WIDTH), '--height', String(HEIGHT), '--output', output] },
+    { command: 'magick', version: ['-version'], args: output => ['-background', 'none', 'svg:-', `png:${output}`] },
+    { command: 'convert', version: ['-version'], args: output => ['-background', 'none', 'svg:-', `png:${output}`] }
+];
+
+class OgImageGenerator {
+    /**
+     * @param {Object} options
+     * @param {string} [options.publicDir] Pages to make cards for
+     * @param {string} [options.assetsDir] Site assets; cards go to img/og/ below it
+     * @param {boolean} [options.force] Redraw every card
+     */
+    constructor(options = {}) {
+        this.publicDir = options.publicDir || path.join(ROOT_DIR, 'public');
+        this.assetsDir = options.assetsDir || path.join(ROOT_DIR, 'assets');
+        this.outputDir = path.join(this.assetsDir, 'img', 'og');
+        this.manifestFile = path.join(this.outputDir, 'manifest.json');
+        this.registry = options.registry || new PageRegistry({ baseUrl: options.baseUrl });
+        this.contentUpdater = options.contentUpdater || null;
+        this.force = Boolean(options.force);
+        this.rasteriser = options.rasteriser;
+        // unavailable is set when no rasteriser is installed and nothing could be drawn
+        this.stats = { generated: 0, unchanged: 0, removed: 0, failed: 0, unavailable: false };
+    }
+
+    getContentUpdater() {
+        if (!this.contentUpdater) {
+            // Required here: the content updater loads the SEO scripts that read the card manifest
+            const ContentUpdater = require('../content/scripts/content-updater');
+            this.contentUpdater = new ContentUpdater();
+        }
+        return this.contentUpdater;
+    }
+
+    /**
+     * First rasteriser installed on this machine, or null
+     */
+    findRasteriser() {
+        if (this.rasteriser === undefined) {
+            this.rasteriser = RASTERISERS.find(candidate => {
+                const result = spawnSync(candidate.command, candidate.version, { stdio: 'ignore', timeout: 10000 });
+                return !result.error && result.status === 0;
+            }) || null;
+        }
+        return this.rasteriser;
+    }
+
+    /**
+     * Pages that get a card: indexable registry entries and the generated
+     * service × city pages, with their card title and label
+     */
+    getCards() {
+        const updater = this.getContentUpdater();
+        const services = updater.getServices();
+        const tagline = this.registry.siteConfig.site.tagline;
+        const cards = [];
+
+        this.registry.getIndexablePages()
+            .filter(page => fs.existsSync(path.join(this.publicDir, page.url)))
+            .forEach(page => {
+                const service = this.registry.isServicePage(page) &&
+                    services.find(entry => entry.id === ((page.structuredData || {}).service || page.id));
+                cards.push({ url: page.url, title: page.title, label: service ? service.category : tagline });
+            });
+
+        updater.getLocationPages()
+            .filter(({ url }) => !this.registry.find(url) && fs.existsSync(path.join(this.publicDir, url)))
+            .forEach(({ service, location, url }) => {
+                const strings = updater.getStrings(updater.defaultLocale, {
+                    service: service.name,
+                    city: location.city,
+                    region: location.region
+                });
+                cards.push({ url, title: strings.locationPageTitle, label: `${service.name} · ${location.city}` });
+            });
+
+        return cards;
+    }
+
+    /**
+     * File name of a page's card, relative to assets/img
+     */
+    static getImagePath(url) {
+        return `og/${url.replace(/\.html$/, '').replace(/[^a-z0-9-]+/gi, '-')}.png`;
+    }
+
+    /**
+     * Card image of a page, relative to assets/img, or null when the page
+     * has no card. Reads the manifest of the site's assets.
+     */
+    static findCard(url, assetsDir = path.join(ROOT_DIR, 'assets')) {
+        const manifest = OgImageGenerator.loadManifest(path.join(assetsDir, 'img', 'og', 'manifest.json'));
+        const entry = manifest.pages[url];
+        return entry && fs.existsSync(path.join(assetsDir, 'img', entry.image)) ? entry.image : null;
+    }
+
+    static loadManifest(file) {
+        try {
+            return JSON.parse(fs.readFileSync(file, 'utf8'));
+        } catch (error) {
+            return { pages: {} };
+        }
+    }
+
+    static escapeXML(text) {
+        return String(text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    }
+
+    /**
+     * Break a title into lines that fit the card, shortening the last line
+     * with an ellipsis. Widths are estimated from the font size.
+     */
+    static wrapText(text, fontSize, maxWidth, maxLines) {
+        const maxChars = Math.floor(maxWidth / (fontSize * 0.55));
+        const lines = [];
+        let words = text.split(/\s+/).filter(Boolean);
+
+        while (words.length > 0 && lines.length < maxLines) {
+            let line = words.shift();
+            while (words.length > 0 && `${line} ${words[0]}`.length <= maxChars) {
+                line += ` ${words.shift()}`;
+            }
+            lines.push(line);
+        }
+
+        if (words.length > 0) {
+            const last = lines[lines.length - 1];
+            lines[lines.length - 1] = `${last.slice(0, maxChars - 1).replace(/\s+\S*$/, '')}…`;
+        }
+        return lines;
+    }
+
+    /**
+     * Logo of site-config.json as a data URI, so the SVG has no external
+     * references for the rasteriser to resolve
+     */
+    getLogo() {
+        if (this.logo === undefined) {
+            const file = path.join(ROOT_DIR, this.registry.siteConfig.branding.logo.replace(/^\//, ''));
+            this.logo = fs.existsSync(file)
+                ? `data:image/${path.extname(file).slice(1).replace('jpg', 'jpeg')};base64,${fs.readFileSync(file).toString('base64')}`
+                : null;
+        }
+        return this.logo;
+    }
+
+    renderSvg(card) {
+        const branding = this.registry.siteConfig.branding;
+        const escape = OgImageGenerator.escapeXML;
+        const lines = OgImageGenerator.wrapText(card.title, TITLE_SIZE, WIDTH - PADDING * 2, TITLE_LINES);
+        const titleTop = 250 - (lines.length - 1) * TITLE_SIZE * 0.6;
+        const logo = this.getLogo();
+
+        return [
+            `<svg xmlns="http://www.w3.org/2000/svg" xmlns:xlink="http://www.w3.org/1999/xlink" width="${WIDTH}" height="${HEIGHT}" viewBox="0 0 ${WIDTH} ${HEIGHT}">`,
+            `  <rect width="${WIDTH}" height="${HEIGHT}" fill="${escape(branding.primaryColor)}"/>`,
+            `  <rect width="16" height="${HEIGHT}" fill="${escape(branding.accentColor)}"/>`,
+            `  <text x="${PADDING}" y="${PADDING + 30}" font-family="${FONT}" font-size="28" font-weight="bold" letter-spacing="2" fill="#ffffff" fill-opacity="0.8">${escape(card.label.toUpperCase())}</text>`,
+            ...lines.map((line, index) =>
+                `  <text x="${PADDING}" y="${Math.round(titleTop + index * TITLE_SIZE * 1.2)}" font-family="${FONT}" font-size="${TITLE_SIZE}" font-weight="bold" fill="#ffffff">${escape(line)}</text>`
+            ),
+            `  <rect y="${HEIGHT - 130}" width="${WIDTH}" height="130" fill="#ffffff"/>`,
+            `  <rect y="${HEIGHT - 130}" width="${WIDTH}" height="6" fill="${escape(branding.accentColor)}"/>`,
+            logo
+                ? `  <image x="${PADDING}" y="${HEIGHT - 97}" width="541" height="60" preserveAspectRatio="xMinYMid meet" xlink:href="${logo}"/>`
+                : `  <text x="${PADDING}" y="${HEIGHT - 52}" font-family="${FONT}" font-size="36" font-weight="bold" fill="${escape(branding.primaryColor)}">${escape(this.registry.siteConfig.site.name)}</text>`,
+            `  <text x="${WIDTH - PADDING}" y="${HEIGHT - 55}" text-anchor="end" font-family="${FONT}" font-size="26" fill="${escape(branding.secondaryColor)}">${escape(this.registry.baseUrl.replace(/^https?:\/\//, ''))}</text>`,
+            '</svg>',
+            ''
+        ].join('\n');
+    }
+
+    static unavailableMessage() {
+        const commands = RASTERISERS.map(candidate => candidate.command).join(', ');
+        return `Social cards were not drawn: no SVG rasteriser (${commands}) is installed. Pages keep their current images until rsvg-convert or ImageMagick is available.`;
+    }
+
+    rasterise(svg, output) {
+        const rasteriser = this.findRasteriser();
+        const result = spawnSync(rasteriser.command, rasteriser.args(output), { input: svg, timeout: 60000 });
+        if (result.error || result.status !== 0) {
+            throw new Error(`${rasteriser.command} failed: ${result.error ? result.error.message : String(result.stderr).trim()}`);
+        }
+    }
+
+    /**
+     * Draw the cards whose SVG changed, drop the cards of pages that are
+     * gone and update the manifest
+     */
+    generate() {
+        console.log('🖼️  Generating social card images...');
+
+        if (!this.findRasteriser()) {
+            console.error(`❌ ${OgImageGenerator.unavailableMessage()}`);
+            this.stats.unavailable = true;
+            return this.stats;
+        }
+
+        const manifest = OgImageGenerator.loadManifest(this.manifestFile);
+        const pages = {};
+        fs.mkdirSync(this.outputDir, { recursive: true });
+
+        this.getCards().forEach(card => {
+            const svg = this.renderSvg(card);
+            const hash = crypto.createHash('sha256').update(svg).digest('hex');
+            const image = OgImageGenerator.getImagePath(card.url);
+            const output = path.join(this.assetsDir, 'img', image);
+            const previous = manifest.pages[card.url];
+
+            if (!this.force && previous && previous.hash === hash && previous.image === image && fs.existsSync(output)) {
+                pages[card.url] = previous;
+                this.stats.unchanged++;
+                return;
+            }
+
+            try {
+                this.rasterise(svg, output);
+                pages[card.url] = { image, title: card.title, hash };
+                this.stats.generated++;
+                console.log(`  ✅ ${image}`);
+            } catch (error) {
+                console.error(`  ❌ ${card.url}: ${error.message}`);
+                if (previous) pages[card.url] = previous;
+                this.stats.failed++;
+            }
+        });
+
+        // Cards of pages that no longer exist
+        Object.keys(manifest.pages).filter(url => !pages[url]).forEach(url => {
+            const file = path.join(this.assetsDir, 'img', manifest.pages[url].image);
+            if (fs.existsSync(file)) fs.unlinkSync(file);
+            this.stats.removed++;
+        });
+
+        const sorted = {};
+        Object.keys(pages).sort().forEach(url => {
+            sorted[url] = pages[url];
+        });
+        fs.writeFileSync(this.manifestFile, `${JSON.stringify({ pages: sorted }, null, 2)}\n`);
+
+        console.log(`  ${this.stats.generated} generated, ${this.stats.unchanged} unchanged, ${this.stats.removed} removed${this.stats.failed ? `, ${this.stats.failed} failed` : ''}\n`);
+        return this.stats;
+    }
+}
+
+OgImageGenerator.RASTERISERS = RASTERISERS;
+
+// CLI execution
+if (require.main === module) {
+    const args = process.argv.slice(2);
+    const getArg = name => {
+        const index = args.indexOf(`--${name}`);
+        return index !== -1 ? args[index + 1] : null;
+    };
+
+    if (args.includes('--help')) {
+        console.log(`
+Usage: node scripts/og-image-generator.js [options]
+
+Renders a 1200×630 social card per page into assets/img/og/. Needs
+rsvg-convert (librsvg) or ImageMagick; exits with status 1 when neither is
+installed or a card cannot be drawn.
+
+Options:
+  --public-dir <dir>   Pages to make cards for (default: public/)
+  --force              Redraw every card, not only those whose text changed
+`);
+        process.exit(0);
+    }
+
+    try {
+        const generator = new OgImageGenerator({
+            publicDir: getArg('public-dir') ? path.resolve(getArg('public-dir')) : undefined,
+            force: args.includes('--force')
+        });
+        const stats = generator.generate();
+        if (stats.failed > 0 || stats.unavailable) process.exitCode = 1;
+    } catch (error) {
+        console.error(`❌ ${error.message}`);
+        process.exit(1);
+    }
+}
+
+module.exports = OgImageGenerator;
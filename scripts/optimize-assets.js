@@ -8,6 +8,7 @@
 const fs = require('fs');
 const path = require('path');
 const { execSync } = require('child_process');
+const BuildCache = require('./build-cache');
 
 class AssetOptimizer {
   constructor(options = {}) {
@@ -15,6 +16,7 @@ class AssetOptimizer {
     this.assetsDir = options.assetsDir || 'public/assets';
     this.outputDir = options.outputDir || 'public/assets/optimized';
     this.bundleConfig = options.bundleConfig || this.getDefaultBundleConfig();
+    this.cache = options.cache || null;
     this.stats = {
       cssFiles: { processed: 0, originalSize: 0, minifiedSize: 0 },
       jsFiles: { processed: 0, originalSize: 0, minifiedSize: 0 },
@@ -219,9 +221,19 @@ class AssetOptimizer {
       const outputPath = path.join(outputCssDir, outputFile);
 
       const originalSize = this.getFileSize(inputPath);
+      const inputHash = this.cache ? this.cache.hashFile(inputPath) : null;
+
+      if (this.cache && this.cache.isFresh('assets:css', inputPath, inputHash, outputPath)) {
+        console.log(`  ↺ ${file} (cached)`);
+        continue;
+      }
       
       try {
         this.advancedMinifyCSS(inputPath, outputPath);
+
+        if (this.cache) {
+          this.cache.record('assets:css', inputPath, inputHash, outputPath);
+        }
         
         const minifiedSize = this.getFileSize(outputPath);
         const savings = ((originalSize - minifiedSize) / originalSize * 100).toFixed(1);
@@ -268,9 +280,19 @@ class AssetOptimizer {
       const outputPath = path.join(outputJsDir, outputFile);
 
       const originalSize = this.getFileSize(inputPath);
+      const inputHash = this.cache ? this.cache.hashFile(inputPath) : null;
+
+      if (this.cache && this.cache.isFresh('assets:js', inputPath, inputHash, outputPath)) {
+        console.log(`  ↺ ${file} (cached)`);
+        continue;
+      }
       
       try {
         this.advancedMinifyJS(inputPath, outputPath);
+
+        if (this.cache) {
+          this.cache.record('assets:js', inputPath, inputHash, outputPath);
+        }
         
         const minifiedSize = this.getFileSize(outputPath);
         const savings = ((originalSize - minifiedSize) / originalSize * 100).toFixed(1);
@@ -317,10 +339,20 @@ class AssetOptimizer {
 
         if (bundleContent.length > 0) {
           const combinedContent = bundleContent.join('\n');
-          const minifiedContent = this.minifyCSS(combinedContent);
-          
           const bundlePath = path.join(outputCssDir, bundleConfig.name);
+          const inputHash = this.cache ? this.cache.hashContent(combinedContent) : null;
+
+          if (this.cache && this.cache.isFresh('assets:bundles', bundlePath, inputHash, bundlePath)) {
+            console.log(`  ↺ ${bundleConfig.name} (cached)`);
+            continue;
+          }
+
+          const minifiedContent = this.minifyCSS(combinedContent);
           fs.writeFileSync(bundlePath, minifiedContent);
+
+          if (this.cache) {
+            this.cache.record('assets:bundles', bundlePath, inputHash, bundlePath);
+          }
           
           const bundleSize = this.getFileSize(bundlePath);
           const savings = ((totalSize - bundleSize) / totalSize * 100).toFixed(1);
@@ -366,10 +398,20 @@ class AssetOptimizer {
 
         if (bundleContent.length > 0) {
           const combinedContent = bundleContent.join('\n');
-          const minifiedContent = this.minifyJS(combinedContent);
-          
           const bundlePath = path.join(outputJsDir, bundleConfig.name);
+          const inputHash = this.cache ? this.cache.hashContent(combinedContent) : null;
+
+          if (this.cache && this.cache.isFresh('assets:bundles', bundlePath, inputHash, bundlePath)) {
+            console.log(`  ↺ ${bundleConfig.name} (cached)`);
+            continue;
+          }
+
+          const minifiedContent = this.minifyJS(combinedContent);
           fs.writeFileSync(bundlePath, minifiedContent);
+
+          if (this.cache) {
+            this.cache.record('assets:bundles', bundlePath, inputHash, bundlePath);
+          }
           
           const bundleSize = this.getFileSize(bundlePath);
           const savings = ((totalSize - bundleSize) / totalSize * 100).toFixed(1);
@@ -484,6 +526,11 @@ body{margin:0;font-family:-apple-system,BlinkMacSystemFont,"Segoe UI",Roboto,san
 
     // Print statistics
     this.printStats();
+
+    if (this.cache) {
+      this.cache.save();
+      this.cache.printReport();
+    }
   }
 
   /**
@@ -524,8 +571,10 @@ body{margin:0;font-family:-apple-system,BlinkMacSystemFont,"Segoe UI",Roboto,san
 
 // CLI execution
 if (require.main === module) {
-  const args = process.argv.slice(2);
-  const options = {};
+  const args = process.argv.slice(2).filter(arg => arg !== '--force');
+  const options = {
+    cache: new BuildCache({ force: process.argv.includes('--force') })
+  };
 
   // Parse command line arguments
   for (let i = 0; i < args.length; i += 2) {
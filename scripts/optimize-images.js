@@ -10,6 +10,7 @@
 const fs = require('fs');
 const path = require('path');
 const { execSync } = require('child_process');
+const BuildCache = require('./build-cache');
 
 class ImageOptimizer {
   constructor(options = {}) {
@@ -19,6 +20,7 @@ class ImageOptimizer {
     this.webpQuality = options.webpQuality || 80;
     this.breakpoints = options.breakpoints || [320, 640, 768, 1024, 1200, 1920];
     this.supportedFormats = ['.jpg', '.jpeg', '.png', '.gif', '.bmp', '.tiff'];
+    this.cache = options.cache || null;
     this.stats = {
       processed: 0,
       errors: 0,
@@ -189,6 +191,12 @@ class ImageOptimizer {
   async processImage(inputPath) {
     const outputPath = this.ensureOutputDir(inputPath);
     const originalSize = this.getFileSize(inputPath);
+    const inputHash = this.cache ? this.cache.hashFile(inputPath) : null;
+
+    if (this.cache && this.cache.isFresh('images', inputPath, inputHash, outputPath)) {
+      console.log(`Cached: ${path.relative(process.cwd(), inputPath)}`);
+      return;
+    }
     
     console.log(`Processing: ${path.relative(process.cwd(), inputPath)}`);
     
@@ -224,6 +232,10 @@ class ImageOptimizer {
     if (success) {
       this.stats.processed++;
       this.stats.optimizedSize += this.getFileSize(outputPath);
+
+      if (this.cache) {
+        this.cache.record('images', inputPath, inputHash, outputPath);
+      }
     } else {
       this.stats.errors++;
     }
@@ -280,6 +292,14 @@ class ImageOptimizer {
       fs.mkdirSync(this.outputDir, { recursive: true });
     }
 
+    if (this.cache) {
+      this.cache.configureStep('images', {
+        quality: this.quality,
+        webpQuality: this.webpQuality,
+        breakpoints: this.breakpoints
+      });
+    }
+
     // Get all image files
     const imageFiles = this.getImageFiles(this.inputDir);
     console.log(`Found ${imageFiles.length} images to process\n`);
@@ -300,6 +320,11 @@ class ImageOptimizer {
 
     // Print statistics
     this.printStats();
+
+    if (this.cache) {
+      this.cache.save();
+      this.cache.printReport();
+    }
   }
 
   /**
@@ -334,8 +359,10 @@ class ImageOptimizer {
 
 // CLI execution
 if (require.main === module) {
-  const args = process.argv.slice(2);
-  const options = {};
+  const args = process.argv.slice(2).filter(arg => arg !== '--force');
+  const options = {
+    cache: new BuildCache({ force: process.argv.includes('--force') })
+  };
 
   // Parse command line arguments
   for (let i = 0; i < args.length; i += 2) {
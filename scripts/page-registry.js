@@ -0,0 +1,125 @@
+/**
+ * Page Registry
+ * Page metadata shared by the SEO scripts, read from content/data/pages.json.
+ * Entries are looked up by their URL relative to the public directory and
+ * may override the canonical URL, robots directives, Open Graph image and
+ * schema type of their page. Pages without an entry keep their existing
+ * metadata and are reported.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const DATA_DIR = path.join(__dirname, '../content/data');
+const TITLE_LIMIT = 60;
+
+class PageRegistry {
+    constructor(options = {}) {
+        this.dataFile = options.dataFile || path.join(DATA_DIR, 'pages.json');
+        this.siteConfigFile = options.siteConfigFile || path.join(DATA_DIR, 'site-config.json');
+
+        const data = JSON.parse(fs.readFileSync(this.dataFile, 'utf8'));
+        this.siteConfig = JSON.parse(fs.readFileSync(this.siteConfigFile, 'utf8'));
+        this.baseUrl = options.baseUrl || this.siteConfig.site.baseUrl;
+
+        const site = this.siteConfig.site;
+        this.defaultLocale = site.language;
+        this.locales = site.locales || [site.language];
+
+        this.pages = new Map();
+        [...data.pages, ...data.servicePages].forEach(page => this.pages.set(page.url, page));
+        this.servicePages = new Set(data.servicePages.map(page => page.url));
+        this.sections = data.sections || [];
+        this.unregistered = new Set();
+    }
+
+    /**
+     * Entry of a page, or null. Missing default-locale pages are recorded
+     * for printWarnings(); translations live under /<locale>/ and carry
+     * their own metadata.
+     */
+    get(file) {
+        const url = file.replace(/\\/g, '/');
+        const page = this.pages.get(url);
+        if (!page && !this.isTranslation(url)) {
+            this.unregistered.add(url);
+        }
+        return page || null;
+    }
+
+    /**
+     * Entry of a page without recording it as unregistered
+     */
+    find(file) {
+        return this.pages.get(file.replace(/\\/g, '/')) || null;
+    }
+
+    all() {
+        return Array.from(this.pages.values());
+    }
+
+    isServicePage(page) {
+        return this.servicePages.has(page.url);
+    }
+
+    isTranslation(url) {
+        const locale = url.split('/')[0];
+        return url.includes('/') && locale !== this.defaultLocale && this.locales.includes(locale);
+    }
+
+    /**
+     * Document title: the page title followed by the company name, falling
+     * back to the shorter display name and then the bare title so the
+     * result stays within 60 characters where possible
+     */
+    getTitle(page) {
+        const names = [this.siteConfig.site.name, this.siteConfig.company.displayName];
+        const candidates = names.map(name => `${page.title} - ${name}`);
+        return candidates.find(title => title.length <= TITLE_LIMIT) || page.title;
+    }
+
+    getH1(page) {
+        return page.h1 || page.title;
+    }
+
+    /**
+     * Absolute URL of a site-relative path; absolute URLs are returned as is
+     */
+    resolveUrl(url) {
+        return /^https?:\/\//.test(url) ? url : `${this.baseUrl}/${url.replace(/^\//, '')}`;
+    }
+
+    getCanonicalUrl(page) {
+        return this.resolveUrl(page.canonical || page.url);
+    }
+
+    /**
+     * Open Graph image of a page; relative paths are under assets/img
+     */
+    getImageUrl(page) {
+        if (!page.ogImage) return null;
+        return /^https?:\/\//.test(page.ogImage) ? page.ogImage : this.resolveUrl(`assets/img/${page.ogImage}`);
+    }
+
+    /**
+     * Pages that may appear in the sitemap
+     */
+    getIndexablePages() {
+        return this.all().filter(page => PageRegistry.isIndexable(page));
+    }
+
+    static isIndexable(page) {
+        return !/\bnoindex\b/i.test(page.robots || '');
+    }
+
+    printWarnings() {
+        if (this.unregistered.size === 0) return;
+
+        const files = Array.from(this.unregistered).sort();
+        console.warn(`⚠️  ${files.length} HTML page(s) have no entry in ${path.relative(path.join(__dirname, '..'), this.dataFile)} and keep their existing metadata:`);
+        files.forEach(file => console.warn(`  • ${file}`));
+        console.warn('');
+    }
+}
+
+module.exports = PageRegistry;
@@ -0,0 +1,389 @@
+#!/usr/bin/env node
+
+/**
+ * Shared Header and Footer Extractor
+ * Every legacy page carries its own copy of the header and footer. This
+ * script moves the canonical copy into content/templates/content-blocks.html
+ * as partials and replaces each page's copy with an include marker, which the
+ * "partials" pass of the HTML pipeline expands again at build time.
+ * Pages whose copy deviates from the canonical one are reported and left
+ * unchanged unless --all is given.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { JSDOM } = require('jsdom');
+const DryRun = require('./dry-run');
+const TemplateEngine = require('../content/scripts/template-engine');
+
+// The footer region spans the footer-top and footer-bottom elements
+const REGIONS = [
+    { name: 'site-header-template', title: 'Site Header', pattern: /<header\b[^>]*>[\s\S]*?<\/header>/ },
+    { name: 'site-footer-template', title: 'Site Footer', pattern: /<footer\b[^>]*>[\s\S]*<\/footer>/ }
+];
+
+const MARKER_PATTERN = /^\s*include:\s*([\w-]+)\s*$/;
+const URL_ATTRIBUTES = ['href', 'src', 'data-cfsrc', 'action'];
+
+class PartialExtractor {
+    constructor(options = {}) {
+        const rootDir = path.join(__dirname, '..');
+        this.publicDir = options.publicDir || path.join(rootDir, 'public');
+        this.blocksFile = options.blocksFile || path.join(rootDir, 'content', 'templates', 'content-blocks.html');
+        this.siteConfigFile = options.siteConfigFile || path.join(rootDir, 'content', 'data', 'site-config.json');
+        this.reportFile = options.reportFile || path.join(rootDir, 'reports', 'partials-report.json');
+        this.dryRun = options.dryRun || new DryRun();
+        this.canonicalPage = options.canonicalPage || null;
+        this.includeDeviating = Boolean(options.includeDeviating);
+    }
+
+    static marker(name) {
+        return `<!-- include: ${name} -->`;
+    }
+
+    /**
+     * Legacy pages live at the top level of public/
+     */
+    getHtmlFiles() {
+        return fs.readdirSync(this.publicDir)
+            .filter(file => file.endsWith('.html'))
+            .sort();
+    }
+
+    /**
+     * Find the header and footer of every page and pick the canonical copy
+     * of each: the most common one, or the copy in --canonical <page>
+     */
+    analyze() {
+        const regions = REGIONS.map(region => ({
+            name: region.name,
+            title: region.title,
+            copies: [],
+            included: [],
+            missing: []
+        }));
+
+        this.getHtmlFiles().forEach(file => {
+            const content = fs.readFileSync(path.join(this.publicDir, file), 'utf8');
+
+            REGIONS.forEach((region, index) => {
+                const match = content.match(region.pattern);
+                if (match) {
+                    regions[index].copies.push({ file, html: match[0], normalized: PartialExtractor.normalize(match[0]) });
+                } else if (content.includes(PartialExtractor.marker(region.name))) {
+                    regions[index].included.push(file);
+                } else {
+                    regions[index].missing.push(file);
+                }
+            });
+        });
+
+        regions.forEach(region => this.selectCanonical(region));
+        return regions;
+    }
+
+    selectCanonical(region) {
+        const groups = new Map();
+        region.copies.forEach(copy => {
+            if (!groups.has(copy.normalized)) {
+                groups.set(copy.normalized, []);
+            }
+            groups.get(copy.normalized).push(copy);
+        });
+
+        let matching;
+        if (this.canonicalPage) {
+            const chosen = region.copies.find(copy => copy.file === this.canonicalPage);
+            if (!chosen) {
+                throw new Error(`${this.canonicalPage} has no ${region.title.toLowerCase()} to use as the canonical copy`);
+            }
+            matching = groups.get(chosen.normalized);
+        } else {
+            // Ties go to the group whose first page sorts first
+            matching = Array.from(groups.values()).reduce((best, group) => (
+                !best || group.length > best.length ? group : best
+            ), null);
+        }
+
+        region.canonical = matching ? matching[0] : null;
+        region.matching = matching ? matching.map(copy => copy.file) : [];
+        region.deviating = region.copies
+            .filter(copy => !region.matching.includes(copy.file))
+            .map(copy => {
+                const diff = DryRun.createUnifiedDiff(region.canonical.normalized, copy.normalized, {
+                    fromFile: `${region.canonical.file} (canonical)`,
+                    toFile: copy.file,
+                    context: 0
+                });
+                return { file: copy.file, added: diff.added, removed: diff.removed, diff: diff.text };
+            });
+    }
+
+    /**
+     * One line per tag or text run, with sorted attributes, comments and
+     * whitespace dropped and "../" stripped from URLs, so copies that only
+     * differ in formatting compare equal
+     */
+    static normalize(html) {
+        const fragment = JSDOM.fragment(html);
+        const lines = [];
+
+        const walk = node => {
+            node.childNodes.forEach(child => {
+                if (child.nodeType === 3) {
+                    const text = child.textContent.replace(/\s+/g, ' ').trim();
+                    if (text) lines.push(text);
+                } else if (child.nodeType === 1) {
+                    const tag = child.tagName.toLowerCase();
+                    const attributes = Array.from(child.attributes)
+                        .map(attribute => {
+                            const value = URL_ATTRIBUTES.includes(attribute.name)
+                                ? attribute.value.replace(/^(\.\.\/)+/, '')
+                                : attribute.value.replace(/\s+/g, ' ').trim();
+                            return ` ${attribute.name}="${value}"`;
+                        })
+                        .sort();
+                    lines.push(`<${tag}${attributes.join('')}>`);
+                    walk(child);
+                    lines.push(`</${tag}>`);
+                }
+            });
+        };
+
+        walk(fragment);
+        return lines.join('\n');
+    }
+
+    /**
+     * Turn a page's copy into a partial: relative URLs are prefixed with
+     * {{root}} so the partial also works for pages in subdirectories
+     */
+    static toPartial(html) {
+        if (html.includes('{{')) {
+            throw new Error('Markup contains "{{", which the template engine would interpret');
+        }
+
+        const relative = '(?![a-z][a-z0-9+.-]*:|#|\\/|\\{\\{)(?:\\.\\.\\/)*';
+        return html
+            .replace(/\r\n/g, '\n')
+            .replace(new RegExp(`\\b(${URL_ATTRIBUTES.join('|')})="${relative}([^"]+)"`, 'gi'), '$1="{{root}}$2"')
+            .replace(new RegExp(`url\\((['"]?)${relative}([^)'"]+)\\1\\)`, 'gi'), 'url($1{{root}}$2$1)');
+    }
+
+    /**
+     * Add or replace the partials in content-blocks.html
+     */
+    updateBlocks(regions) {
+        const original = fs.readFileSync(this.blocksFile, 'utf8');
+        const eol = original.includes('\r\n') ? '\r\n' : '\n';
+        let updated = original;
+
+        regions.filter(region => region.canonical).forEach(region => {
+            const body = PartialExtractor.toPartial(region.canonical.html)
+                .split('\n')
+                .map(line => (line ? `    ${line}` : line))
+                .join(eol);
+            const block = `<template id="${region.name}">${eol}${body}${eol}</template>`;
+            const existing = new RegExp(`<template id="${region.name}">[\\s\\S]*?<\\/template>`);
+
+            if (existing.test(updated)) {
+                updated = updated.replace(existing, () => block);
+            } else {
+                updated = `${updated.replace(/\s+$/, '')}${eol}${eol}` +
+                    `<!-- ${region.title} Template (legacy pages, see scripts/partial-extractor.js) -->${eol}${block}`;
+            }
+        });
+
+        return this.dryRun.writeFile(this.blocksFile, original, updated);
+    }
+
+    /**
+     * Replace each page's copy with its include marker. Deviating copies are
+     * only replaced with --all.
+     */
+    replaceInPages(regions) {
+        const replacements = {};
+
+        regions.filter(region => region.canonical).forEach(region => {
+            region.copies
+                .filter(copy => this.includeDeviating || region.matching.includes(copy.file))
+                .forEach(copy => {
+                    replacements[copy.file] = replacements[copy.file] || [];
+                    replacements[copy.file].push({ html: copy.html, marker: PartialExtractor.marker(region.name) });
+                });
+        });
+
+        return Object.keys(replacements).sort().filter(file => {
+            const filePath = path.join(this.publicDir, file);
+            const original = fs.readFileSync(filePath, 'utf8');
+            const updated = replacements[file].reduce((content, replacement) =>
+                content.replace(replacement.html, () => replacement.marker), original);
+
+            return this.dryRun.writeFile(filePath, original, updated);
+        });
+    }
+
+    buildReport(regions) {
+        const report = {
+            generated: new Date().toISOString(),
+            regions: {}
+        };
+
+        regions.forEach(region => {
+            report.regions[region.name] = {
+                canonical: region.canonical ? region.canonical.file : null,
+                matching: region.matching,
+                deviating: region.deviating,
+                alreadyIncluded: region.included,
+                missing: region.missing
+            };
+        });
+
+        return report;
+    }
+
+    printSummary(regions) {
+        regions.forEach(region => {
+            console.log(`\n📄 ${region.title}`);
+            if (!region.canonical) {
+                console.log(`   No copies left to extract (${region.included.length} pages already use the include)`);
+                return;
+            }
+
+            console.log(`   Canonical copy: ${region.canonical.file}`);
+            console.log(`   Matching pages: ${region.matching.length}`);
+            console.log(`   Already included: ${region.included.length}`);
+            console.log(`   Without ${region.title.toLowerCase()}: ${region.missing.length}`);
+            console.log(`   Deviating pages: ${region.deviating.length}`);
+            region.deviating.forEach(page => {
+                console.log(`     ⚠️  ${page.file} (+${page.added} -${page.removed} lines)`);
+            });
+        });
+    }
+
+    /**
+     * Extract the partials and update the pages. With reportOnly the pages
+     * and content-blocks.html are left untouched.
+     */
+    run(options = {}) {
+        console.log('🔍 Comparing page headers and footers...');
+
+        const regions = this.analyze();
+        this.printSummary(regions);
+
+        let pages = [];
+        if (!options.reportOnly) {
+            console.log('');
+            if (this.updateBlocks(regions)) {
+                console.log(`✅ Updated ${path.basename(this.blocksFile)}`);
+            }
+            pages = this.replaceInPages(regions);
+            console.log(`✅ ${this.dryRun.enabled ? 'Would replace' : 'Replaced'} header/footer with include markers in ${pages.length} pages`);
+            if (!this.includeDeviating && regions.some(region => region.deviating.length > 0)) {
+                console.log('ℹ️  Deviating pages were left unchanged; review the report and rerun with --all to replace them too');
+            }
+        }
+
+        const report = this.buildReport(regions);
+        if (!this.dryRun.enabled) {
+            fs.mkdirSync(path.dirname(this.reportFile), { recursive: true });
+            fs.writeFileSync(this.reportFile, JSON.stringify(report, null, 2));
+            console.log(`📋 Report saved: ${path.relative(process.cwd(), this.reportFile)}`);
+        }
+        this.dryRun.printSummary();
+
+        return { regions, pages, report };
+    }
+
+    /**
+     * Template engine with the content-blocks.html partials
+     */
+    getTemplateEngine() {
+        if (!this.templateEngine) {
+            this.templateEngine = new TemplateEngine();
+            this.templateEngine.registerPartialsFromBlocks(fs.readFileSync(this.blocksFile, 'utf8'), 'content-blocks.html');
+        }
+        return this.templateEngine;
+    }
+
+    getSiteConfig() {
+        if (!this.siteConfig) {
+            this.siteConfig = JSON.parse(fs.readFileSync(this.siteConfigFile, 'utf8'));
+        }
+        return this.siteConfig;
+    }
+
+    /**
+     * Replace the include markers of a document with their partials.
+     * pageName is the page path relative to the site root, used for {{root}}.
+     * Returns the number of markers expanded.
+     */
+    expandIncludes(document, pageName) {
+        const walker = document.createTreeWalker(document, document.defaultView.NodeFilter.SHOW_COMMENT);
+        const markers = [];
+        while (walker.nextNode()) {
+            const match = walker.currentNode.data.match(MARKER_PATTERN);
+            if (match) {
+                markers.push({ node: walker.currentNode, name: match[1] });
+            }
+        }
+
+        const engine = this.getTemplateEngine();
+        const context = Object.assign({}, this.getSiteConfig(), {
+            root: '../'.repeat(pageName.split('/').length - 1)
+        });
+
+        markers.forEach(({ node, name }) => {
+            if (!engine.partials[name]) {
+                throw new Error(`Unknown partial "${name}" (not defined in content-blocks.html)`);
+            }
+
+            const template = document.createElement('template');
+            template.innerHTML = engine.render(`{{> ${name}}}`, context, `include:${name}`);
+            node.replaceWith(template.content);
+        });
+
+        return markers.length;
+    }
+}
+
+PartialExtractor.REGIONS = REGIONS;
+
+// CLI execution
+if (require.main === module) {
+    const args = process.argv.slice(2);
+    const canonicalIndex = args.indexOf('--canonical');
+
+    if (args.includes('--help')) {
+        console.log(`
+Usage: node scripts/partial-extractor.js [options]
+
+Moves the shared header and footer of the pages in public/ into
+content/templates/content-blocks.html and replaces them with include markers.
+The HTML pipeline's "partials" pass expands the markers at build time.
+
+Options:
+  --report-only        Only compare the pages and write the report
+  --canonical <page>   Use this page's header and footer as the canonical copy
+                       (default: the most common copy)
+  --all                Also replace copies that deviate from the canonical one
+  --dry-run            Show the changes without writing files
+`);
+        process.exit(0);
+    }
+
+    const extractor = new PartialExtractor({
+        canonicalPage: canonicalIndex !== -1 ? args[canonicalIndex + 1] : null,
+        includeDeviating: args.includes('--all'),
+        dryRun: DryRun.fromArgs(args)
+    });
+
+    try {
+        extractor.run({ reportOnly: args.includes('--report-only') });
+    } catch (error) {
+        console.error(`❌ ${error.message}`);
+        process.exit(1);
+    }
+}
+
+module.exports = PartialExtractor;
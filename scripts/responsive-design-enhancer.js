@@ -7,10 +7,12 @@
 const fs = require('fs');
 const path = require('path');
 const { JSDOM } = require('jsdom');
+const DryRun = require('./dry-run');
 
 class ResponsiveDesignEnhancer {
-    constructor(publicDir = './public') {
+    constructor(publicDir = './public', options = {}) {
         this.publicDir = publicDir;
+        this.dryRun = options.dryRun || new DryRun();
         this.processedFiles = [];
         this.issues = [];
     }
@@ -30,6 +32,11 @@ class ResponsiveDesignEnhancer {
             // Create viewport validation script
             this.createViewportScript();
 
+            if (this.dryRun.enabled) {
+                this.dryRun.printSummary();
+                return this.processedFiles;
+            }
+
             console.log(`Successfully enhanced ${this.processedFiles.length} files`);
             this.generateReport();
             return this.processedFiles;
@@ -100,11 +107,11 @@ class ResponsiveDesignEnhancer {
             }
 
             if (modified) {
-                // Write the enhanced HTML back to file
+                // Write the enhanced HTML back to file (or preview the change in dry-run mode)
                 const enhancedHTML = dom.serialize();
-                fs.writeFileSync(filePath, enhancedHTML, 'utf8');
+                this.dryRun.writeFile(filePath, html, enhancedHTML);
                 this.processedFiles.push(filePath);
-                console.log(`✓ Enhanced: ${filePath}`);
+                console.log(this.dryRun.enabled ? `🔍 Would enhance: ${filePath}` : `✓ Enhanced: ${filePath}`);
             } else {
                 console.log(`- No changes needed: ${filePath}`);
             }
@@ -611,8 +618,8 @@ class ResponsiveDesignEnhancer {
     }
 }`;
 
-        fs.writeFileSync(cssPath, responsiveCSS, 'utf8');
-        console.log('✓ Created responsive enhancements CSS');
+        this.writeFile(cssPath, responsiveCSS);
+        console.log(this.dryRun.enabled ? '🔍 Would create responsive enhancements CSS' : '✓ Created responsive enhancements CSS');
     }
 
     createViewportScript() {
@@ -836,8 +843,13 @@ class ViewportValidator {
 // Initialize viewport validator
 new ViewportValidator();`;
 
-        fs.writeFileSync(scriptPath, viewportScript, 'utf8');
-        console.log('✓ Created viewport validation script');
+        this.writeFile(scriptPath, viewportScript);
+        console.log(this.dryRun.enabled ? '🔍 Would create viewport validation script' : '✓ Created viewport validation script');
+    }
+
+    writeFile(filePath, content) {
+        const original = fs.existsSync(filePath) ? fs.readFileSync(filePath, 'utf8') : '';
+        this.dryRun.writeFile(filePath, original, content);
     }
 
     generateReport() {
@@ -876,9 +888,10 @@ if (typeof module !== 'undefined' && module.exports) {
 
 // Run if called directly
 if (require.main === module) {
-    const enhancer = new ResponsiveDesignEnhancer();
+    const enhancer = new ResponsiveDesignEnhancer(undefined, { dryRun: DryRun.fromArgs() });
     enhancer.enhanceAllFiles()
         .then(files => {
+            if (enhancer.dryRun.enabled) return;
             console.log('\n✅ Responsive design enhancement completed successfully!');
             console.log(`Enhanced ${files.length} HTML files`);
         })
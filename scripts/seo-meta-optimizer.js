@@ -4,76 +4,29 @@
  * SEO Meta Tags and Page Structure Optimizer
  * 
  * This script optimizes meta tags and page structure for all HTML files:
- * - Optimizes title tags to 60 characters maximum
- * - Optimizes meta descriptions to 120-160 characters
+ * - Sets titles, meta descriptions and H1s from the page registry (pages.json)
+ * - Truncates titles to 60 and meta descriptions to 160 characters elsewhere
  * - Ensures proper H1 tag structure (one per page)
- * - Adds canonical URLs to all pages
+ * - Adds canonical URLs and registry robots directives to all pages
  */
 
 const fs = require('fs');
 const path = require('path');
 const { JSDOM } = require('jsdom');
+const BuildCache = require('./build-cache');
+const DryRun = require('./dry-run');
+const PageRegistry = require('./page-registry');
 
 class SEOMetaOptimizer {
-    constructor(publicDir, baseUrl = 'https://www.stoneonepointsolutions.in') {
+    constructor(publicDir, baseUrl = 'https://www.stoneonepointsolutions.in', options = {}) {
         this.publicDir = publicDir;
         this.baseUrl = baseUrl;
+        this.cache = options.cache || null;
+        this.dryRun = options.dryRun || new DryRun();
         this.processedFiles = [];
         this.errors = [];
         
-        // SEO configuration for different page types
-        this.seoConfig = {
-            'index.html': {
-                title: 'Stone OnePoint Solutions Pvt. Ltd. - Leading HR Solutions',
-                description: 'India\'s premier HR solutions partner. Expert temporary staffing, permanent recruitment, payroll management, and training services across Mumbai, Bangalore, Delhi.',
-                h1: 'Leading HR Solutions Provider in India'
-            },
-            'company-profile.html': {
-                title: 'Company Profile - Stone OnePoint Solutions Pvt. Ltd.',
-                description: 'Learn about Stone OnePoint Solutions Pvt. Ltd. - India\'s premier HR solutions partner. Discover our vision, mission, values, and comprehensive HR services.',
-                h1: 'About Stone OnePoint Solutions Pvt. Ltd.'
-            },
-            'contact.html': {
-                title: 'Contact Us - Stone OnePoint Solutions Pvt. Ltd.',
-                description: 'Get in touch with Stone OnePoint Solutions Pvt. Ltd. for professional HR solutions. Contact our offices in Mumbai, Bangalore, Delhi, Kolkata, and Noida.',
-                h1: 'Contact Stone OnePoint Solutions'
-            },
-            'clients.html': {
-                title: 'Our Clients - Stone OnePoint Solutions Pvt. Ltd.',
-                description: 'Discover the diverse portfolio of clients served by Stone OnePoint Solutions Pvt. Ltd. Trusted by leading companies across various industries.',
-                h1: 'Our Valued Clients'
-            },
-            'temporary-staffing.html': {
-                title: 'Temporary Staffing Services - Stone OnePoint Solutions',
-                description: 'Professional temporary staffing solutions to meet your workforce demands. Flexible, reliable, and cost-effective staffing services across India.',
-                h1: 'Temporary Staffing Services'
-            },
-            'permanent-recruitment.html': {
-                title: 'Permanent Recruitment Services - Stone OnePoint Solutions',
-                description: 'Expert permanent recruitment services to find the right talent for your organization. Comprehensive hiring solutions across all industries.',
-                h1: 'Permanent Recruitment Services'
-            },
-            'payroll-outsourcing.html': {
-                title: 'Payroll Management Services - Stone OnePoint Solutions',
-                description: 'Comprehensive payroll outsourcing and management services. Streamline your payroll processes with our expert solutions.',
-                h1: 'Payroll Management Services'
-            },
-            'training.html': {
-                title: 'Training & Development Services - Stone OnePoint Solutions',
-                description: 'Professional training and development programs to enhance your workforce skills. Leadership, soft skills, and technical training solutions.',
-                h1: 'Training and Development Services'
-            },
-            'executive-hiring.html': {
-                title: 'Executive Hiring Services - Stone OnePoint Solutions',
-                description: 'Specialized executive search and hiring services for senior-level positions. Find top-tier talent for your leadership team.',
-                h1: 'Executive Hiring Services'
-            },
-            'bulk-campus-hiring.html': {
-                title: 'Bulk & Campus Hiring Services - Stone OnePoint Solutions',
-                description: 'Efficient bulk and campus hiring solutions for large-scale recruitment needs. Connect with fresh talent from top institutions.',
-                h1: 'Bulk / Campus Hiring Services'
-            }
-        };
+        this.registry = options.registry || new PageRegistry({ baseUrl });
     }
 
     /**
@@ -86,11 +39,30 @@ class SEOMetaOptimizer {
             const files = await this.getHtmlFiles();
             console.log(`📁 Found ${files.length} HTML files to process\n`);
             
+            if (this.cache) {
+                this.cache.configureStep('seo:meta', {
+                    baseUrl: this.baseUrl,
+                    pages: this.registry.all()
+                });
+            }
+
             for (const file of files) {
                 await this.processFile(file);
             }
+
+            this.registry.printWarnings();
             
+            if (this.dryRun.enabled) {
+                this.dryRun.printSummary();
+                return;
+            }
+
             this.generateReport();
+
+            if (this.cache) {
+                this.cache.save();
+                this.cache.printReport();
+            }
             
         } catch (error) {
             console.error('❌ Error processing files:', error.message);
@@ -143,6 +115,14 @@ class SEOMetaOptimizer {
             console.log(`📄 Processing: ${filename}`);
             
             const content = await fs.promises.readFile(filePath, 'utf8');
+            const inputHash = this.cache ? this.cache.hashContent(content) : null;
+
+            if (this.cache && this.cache.isFresh('seo:meta', filePath, inputHash)) {
+                console.log(`  ↺ Unchanged since last run (cached)\n`);
+                this.processedFiles.push({ filename, modified: false, cached: true, status: 'success' });
+                return;
+            }
+
             const dom = new JSDOM(content);
             const document = dom.window.document;
             
@@ -162,6 +142,11 @@ class SEOMetaOptimizer {
             if (this.addCanonicalUrl(document, filename)) {
                 modified = true;
             }
+
+            // Apply robots directives
+            if (this.addRobotsDirectives(document, filename)) {
+                modified = true;
+            }
             
             // Optimize H1 structure
             if (this.optimizeH1Structure(document, filename)) {
@@ -171,11 +156,15 @@ class SEOMetaOptimizer {
             // Save changes if any modifications were made
             if (modified) {
                 const optimizedContent = dom.serialize();
-                await fs.promises.writeFile(filePath, optimizedContent, 'utf8');
-                console.log(`  ✅ Optimized and saved`);
+                this.dryRun.writeFile(filePath, content, optimizedContent);
+                console.log(this.dryRun.enabled ? `  🔍 Would optimize (dry run)` : `  ✅ Optimized and saved`);
             } else {
                 console.log(`  ℹ️  No changes needed`);
             }
+
+            if (this.cache) {
+                this.cache.record('seo:meta', filePath, inputHash);
+            }
             
             this.processedFiles.push({
                 filename,
@@ -195,7 +184,8 @@ class SEOMetaOptimizer {
     }
 
     /**
-     * Optimize title tag to 60 characters maximum
+     * Set the registry title, or keep an unregistered page's title within
+     * 60 characters
      */
     optimizeTitle(document, filename) {
         let titleElement = document.querySelector('title');
@@ -210,15 +200,12 @@ class SEOMetaOptimizer {
         const currentTitle = titleElement.textContent.trim();
         let newTitle = currentTitle;
         
-        // Use predefined title if available
-        if (this.seoConfig[filename]) {
-            newTitle = this.seoConfig[filename].title;
+        const page = this.registry.get(filename);
+        if (page) {
+            newTitle = this.registry.getTitle(page);
         } else if (currentTitle.length > 60) {
             // Truncate and add ellipsis if too long
             newTitle = currentTitle.substring(0, 57) + '...';
-        } else if (!currentTitle || currentTitle.length < 10) {
-            // Generate title from filename if missing or too short
-            newTitle = this.generateTitleFromFilename(filename);
         }
         
         if (newTitle !== currentTitle) {
@@ -231,12 +218,18 @@ class SEOMetaOptimizer {
     }
 
     /**
-     * Optimize meta description to 120-160 characters
+     * Set the registry description, or keep an unregistered page's
+     * description within 160 characters
      */
     optimizeMetaDescription(document, filename) {
         let metaDesc = document.querySelector('meta[name="description"]');
         let modified = false;
+        const page = this.registry.get(filename);
         
+        if (!metaDesc && !page) {
+            return false;
+        }
+
         if (!metaDesc) {
             metaDesc = document.createElement('meta');
             metaDesc.setAttribute('name', 'description');
@@ -247,15 +240,11 @@ class SEOMetaOptimizer {
         const currentDesc = metaDesc.getAttribute('content') || '';
         let newDesc = currentDesc;
         
-        // Use predefined description if available
-        if (this.seoConfig[filename]) {
-            newDesc = this.seoConfig[filename].description;
+        if (page) {
+            newDesc = page.description;
         } else if (currentDesc.length > 160) {
             // Truncate if too long
             newDesc = currentDesc.substring(0, 157) + '...';
-        } else if (!currentDesc || currentDesc.length < 120) {
-            // Generate description if missing or too short
-            newDesc = this.generateDescriptionFromFilename(filename);
         }
         
         if (newDesc !== currentDesc) {
@@ -268,13 +257,14 @@ class SEOMetaOptimizer {
     }
 
     /**
-     * Add canonical URL to all pages
+     * Add canonical URL to all pages; registry entries may point it elsewhere
      */
     addCanonicalUrl(document, filename) {
         let canonicalLink = document.querySelector('link[rel="canonical"]');
         let modified = false;
         
-        const canonicalUrl = `${this.baseUrl}/${filename}`;
+        const page = this.registry.get(filename);
+        const canonicalUrl = page ? this.registry.getCanonicalUrl(page) : `${this.baseUrl}/${filename}`;
         
         if (!canonicalLink) {
             canonicalLink = document.createElement('link');
@@ -293,17 +283,39 @@ class SEOMetaOptimizer {
         return modified;
     }
 
+    /**
+     * Set the robots meta tag of pages whose registry entry has directives
+     */
+    addRobotsDirectives(document, filename) {
+        const page = this.registry.get(filename);
+        if (!page || !page.robots) return false;
+
+        let robotsMeta = document.querySelector('meta[name="robots"]');
+        if (!robotsMeta) {
+            robotsMeta = document.createElement('meta');
+            robotsMeta.setAttribute('name', 'robots');
+            document.head.appendChild(robotsMeta);
+        } else if (robotsMeta.getAttribute('content') === page.robots) {
+            return false;
+        }
+
+        robotsMeta.setAttribute('content', page.robots);
+        console.log(`    🤖 Robots: ${page.robots}`);
+        return true;
+    }
+
     /**
      * Ensure proper H1 tag structure (one per page)
      */
     optimizeH1Structure(document, filename) {
         const h1Elements = document.querySelectorAll('h1');
+        const page = this.registry.get(filename);
         let modified = false;
         
-        if (h1Elements.length === 0) {
+        if (h1Elements.length === 0 && page) {
             // Add H1 if missing
             const h1 = document.createElement('h1');
-            const h1Text = this.seoConfig[filename]?.h1 || this.generateH1FromFilename(filename);
+            const h1Text = this.registry.getH1(page);
             h1.textContent = h1Text;
             
             // Try to insert after page title or at the beginning of main content
@@ -336,10 +348,10 @@ class SEOMetaOptimizer {
             }
         }
         
-        // Update main H1 if we have a predefined one
-        if (h1Elements.length > 0 && this.seoConfig[filename]?.h1) {
+        // Update main H1 from the registry
+        if (h1Elements.length > 0 && page) {
             const mainH1 = h1Elements[0];
-            const newH1Text = this.seoConfig[filename].h1;
+            const newH1Text = this.registry.getH1(page);
             
             if (mainH1.textContent.trim() !== newH1Text) {
                 mainH1.textContent = newH1Text;
@@ -351,37 +363,6 @@ class SEOMetaOptimizer {
         return modified;
     }
 
-    /**
-     * Generate title from filename
-     */
-    generateTitleFromFilename(filename) {
-        const baseName = filename.replace('.html', '');
-        const words = baseName.split('-').map(word => 
-            word.charAt(0).toUpperCase() + word.slice(1)
-        );
-        return `${words.join(' ')} - Stone OnePoint Solutions Pvt. Ltd.`;
-    }
-
-    /**
-     * Generate description from filename
-     */
-    generateDescriptionFromFilename(filename) {
-        const baseName = filename.replace('.html', '');
-        const service = baseName.split('-').join(' ');
-        return `Professional ${service} services by Stone OnePoint Solutions Pvt. Ltd. Expert HR solutions across Mumbai, Bangalore, Delhi, Kolkata, and Noida.`;
-    }
-
-    /**
-     * Generate H1 from filename
-     */
-    generateH1FromFilename(filename) {
-        const baseName = filename.replace('.html', '');
-        const words = baseName.split('-').map(word => 
-            word.charAt(0).toUpperCase() + word.slice(1)
-        );
-        return words.join(' ');
-    }
-
     /**
      * Generate optimization report
      */
@@ -483,7 +464,9 @@ ${this.errors.length > 0 ? this.errors.map(e => `- ${e.filename}: ${e.error}`).j
 // Main execution
 if (require.main === module) {
     const publicDir = path.join(__dirname, '../public');
-    const optimizer = new SEOMetaOptimizer(publicDir);
+    const dryRun = DryRun.fromArgs();
+    const cache = dryRun.enabled ? null : new BuildCache({ force: process.argv.includes('--force') });
+    const optimizer = new SEOMetaOptimizer(publicDir, undefined, { cache, dryRun });
     
     optimizer.processAllFiles().catch(error => {
         console.error('❌ Fatal error:', error);
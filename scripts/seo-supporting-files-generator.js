@@ -4,41 +4,32 @@
  * SEO Supporting Files Generator
  * 
  * This script generates SEO supporting files and adds social media meta tags:
- * - Create XML sitemap with all pages and proper priorities
+ * - Create XML sitemap with all indexable pages (see sitemap-generator.js)
  * - Generate robots.txt file with appropriate directives
  * - Implement Open Graph meta tags for social sharing
  * - Add Twitter Card meta tags
+ * Page titles, descriptions, priorities and images come from the page
+ * registry (content/data/pages.json).
  */
 
 const fs = require('fs');
 const path = require('path');
 const { JSDOM } = require('jsdom');
+const DryRun = require('./dry-run');
+const PageRegistry = require('./page-registry');
+const SitemapGenerator = require('./sitemap-generator');
+const OgImageGenerator = require('./og-image-generator');
 
 class SEOSupportingFilesGenerator {
-    constructor(publicDir, baseUrl = 'https://www.stoneonepointsolutions.in') {
+    constructor(publicDir, baseUrl = 'https://www.stoneonepointsolutions.in', options = {}) {
         this.publicDir = publicDir;
         this.baseUrl = baseUrl;
         this.processedFiles = [];
         this.errors = [];
         
-        // Page priorities and change frequencies for sitemap
-        this.sitemapConfig = {
-            'index.html': { priority: 1.0, changefreq: 'weekly' },
-            'company-profile.html': { priority: 0.9, changefreq: 'monthly' },
-            'contact.html': { priority: 0.9, changefreq: 'monthly' },
-            'clients.html': { priority: 0.8, changefreq: 'monthly' },
-            'temporary-staffing.html': { priority: 0.8, changefreq: 'monthly' },
-            'permanent-recruitment.html': { priority: 0.8, changefreq: 'monthly' },
-            'payroll-outsourcing.html': { priority: 0.8, changefreq: 'monthly' },
-            'training.html': { priority: 0.8, changefreq: 'monthly' },
-            'executive-hiring.html': { priority: 0.8, changefreq: 'monthly' },
-            'bulk-campus-hiring.html': { priority: 0.8, changefreq: 'monthly' },
-            'leadership.html': { priority: 0.7, changefreq: 'monthly' },
-            'information-technology.html': { priority: 0.7, changefreq: 'monthly' }
-        };
-        
-        // Default values for pages not in config
-        this.defaultSitemapConfig = { priority: 0.6, changefreq: 'monthly' };
+        this.registry = options.registry || new PageRegistry({ baseUrl });
+        this.assetsDir = options.assetsDir || path.join(__dirname, '../assets');
+        this.dryRun = options.dryRun || new DryRun();
         
         // Social media configuration
         this.socialConfig = {
@@ -62,14 +53,28 @@ class SEOSupportingFilesGenerator {
             console.log(`📁 Found ${htmlFiles.length} HTML files\n`);
             
             // Generate XML sitemap
-            await this.generateXMLSitemap(htmlFiles);
+            await this.generateXMLSitemap();
             
             // Generate robots.txt
             await this.generateRobotsTxt();
             
+            // Draw the social cards the meta tags point to
+            if (this.dryRun.enabled) {
+                console.log('🔍 Social cards are not drawn in a dry run\n');
+            } else {
+                this.cardStats = new OgImageGenerator({ publicDir: this.publicDir, assetsDir: this.assetsDir, registry: this.registry }).generate();
+            }
+            
             // Add social media meta tags to HTML files
             await this.addSocialMediaMetaTags(htmlFiles);
+
+            this.registry.printWarnings();
             
+            if (this.dryRun.enabled) {
+                this.dryRun.printSummary();
+                return;
+            }
+
             this.generateReport();
             
         } catch (error) {
@@ -114,39 +119,19 @@ class SEOSupportingFilesGenerator {
     }
 
     /**
-     * Generate XML sitemap
+     * Generate the XML sitemap of the indexable pages
      */
-    async generateXMLSitemap(htmlFiles) {
-        console.log('📄 Generating XML sitemap...');
-        
-        const currentDate = new Date().toISOString().split('T')[0];
-        
-        let sitemap = `<?xml version="1.0" encoding="UTF-8"?>
-<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">
-`;
-
-        for (const file of htmlFiles) {
-            const config = this.sitemapConfig[file] || this.defaultSitemapConfig;
-            const url = `${this.baseUrl}/${file}`;
-            
-            sitemap += `  <url>
-    <loc>${url}</loc>
-    <lastmod>${currentDate}</lastmod>
-    <changefreq>${config.changefreq}</changefreq>
-    <priority>${config.priority}</priority>
-  </url>
-`;
-        }
-        
-        sitemap += `</urlset>`;
-        
-        const sitemapPath = path.join(this.publicDir, 'sitemap.xml');
-        await fs.promises.writeFile(sitemapPath, sitemap, 'utf8');
-        
-        console.log(`  ✅ XML sitemap created with ${htmlFiles.length} URLs`);
-        console.log(`  📍 Saved to: sitemap.xml\n`);
-        
-        return sitemapPath;
+    async generateXMLSitemap() {
+        const generator = new SitemapGenerator({
+            publicDir: this.publicDir,
+            baseUrl: this.baseUrl,
+            registry: this.registry,
+            dryRun: this.dryRun
+        });
+        generator.generate();
+        console.log('');
+
+        return path.join(this.publicDir, 'sitemap.xml');
     }
 
     /**
@@ -206,10 +191,15 @@ Disallow: /
 `;
 
         const robotsPath = path.join(this.publicDir, 'robots.txt');
-        await fs.promises.writeFile(robotsPath, robotsTxt, 'utf8');
-        
-        console.log('  ✅ robots.txt created');
-        console.log(`  📍 Saved to: robots.txt\n`);
+        const original = fs.existsSync(robotsPath) ? fs.readFileSync(robotsPath, 'utf8') : '';
+        this.dryRun.writeFile(robotsPath, original, robotsTxt);
+        
+        if (this.dryRun.enabled) {
+            console.log('  🔍 Would write robots.txt (dry run)\n');
+        } else {
+            console.log('  ✅ robots.txt created');
+            console.log(`  📍 Saved to: robots.txt\n`);
+        }
         
         return robotsPath;
     }
@@ -261,8 +251,8 @@ Disallow: /
             // Save changes if any modifications were made
             if (modified) {
                 const optimizedContent = dom.serialize();
-                await fs.promises.writeFile(filePath, optimizedContent, 'utf8');
-                console.log(`  ✅ Added social media meta tags`);
+                this.dryRun.writeFile(filePath, content, optimizedContent);
+                console.log(this.dryRun.enabled ? `  🔍 Would add social media meta tags (dry run)` : `  ✅ Added social media meta tags`);
             } else {
                 console.log(`  ℹ️  No changes needed`);
             }
@@ -285,14 +275,26 @@ Disallow: /
     }
 
     /**
-     * Extract page information for social tags
+     * Extract page information for social tags. Registered pages use their
+     * registry entry; other pages use what the document already has.
      */
     getPageInfo(document, filename) {
+        const page = this.registry.get(filename);
+        if (page) {
+            return {
+                title: this.registry.getTitle(page),
+                description: page.description,
+                url: this.registry.getCanonicalUrl(page),
+                image: this.getPageImage(page, filename),
+                type: this.getPageType(page)
+            };
+        }
+
         const titleElement = document.querySelector('title');
         const descElement = document.querySelector('meta[name="description"]');
         const canonicalElement = document.querySelector('link[rel="canonical"]');
         
-        const title = titleElement ? titleElement.textContent.trim() : this.generateTitleFromFilename(filename);
+        const title = titleElement ? titleElement.textContent.trim() : this.registry.siteConfig.seo.defaultTitle;
         const description = descElement ? descElement.getAttribute('content') : this.socialConfig.defaultDescription;
         const url = canonicalElement ? canonicalElement.getAttribute('href') : `${this.baseUrl}/${filename}`;
         
@@ -300,34 +302,29 @@ Disallow: /
             title,
             description,
             url,
-            image: this.getPageImage(filename),
-            type: this.getPageType(filename)
+            image: this.getPageImage(null, filename),
+            type: this.getPageType(null)
         };
     }
 
     /**
-     * Get appropriate image for the page
+     * Open Graph image of a page: the image of its registry entry (ogImage),
+     * then its generated social card, then the default image
      */
-    getPageImage(filename) {
-        // You can customize this to return specific images for different pages
-        const pageImages = {
-            'index.html': 'https://www.stoneonepointsolutions.in/assets/img/hero-banner.jpg',
-            'company-profile.html': 'https://www.stoneonepointsolutions.in/assets/img/about-us.jpg',
-            'contact.html': 'https://www.stoneonepointsolutions.in/assets/img/contact-us.jpg',
-            'clients.html': 'https://www.stoneonepointsolutions.in/assets/img/our-clients.jpg'
-        };
+    getPageImage(page, filename) {
+        const curated = page && this.registry.getImageUrl(page);
+        if (curated) return curated;
         
-        return pageImages[filename] || this.socialConfig.defaultImage;
+        const card = filename && OgImageGenerator.findCard(filename.replace(/\\/g, '/'), this.assetsDir);
+        if (card) return this.registry.resolveUrl(`assets/img/${card}`);
+        return this.socialConfig.defaultImage;
     }
 
     /**
      * Get page type for Open Graph
      */
-    getPageType(filename) {
-        if (filename === 'index.html') {
-            return 'website';
-        }
-        return 'article';
+    getPageType(page) {
+        return page && page.schemaType === 'WebSite' ? 'website' : 'article';
     }
 
     /**
@@ -438,17 +435,6 @@ Disallow: /
         return modified;
     }
 
-    /**
-     * Generate title from filename
-     */
-    generateTitleFromFilename(filename) {
-        const baseName = filename.replace('.html', '');
-        const words = baseName.split('-').map(word => 
-            word.charAt(0).toUpperCase() + word.slice(1)
-        );
-        return `${words.join(' ')} - Stone OnePoint Solutions Pvt. Ltd.`;
-    }
-
     /**
      * Generate processing report
      */
@@ -463,6 +449,12 @@ Disallow: /
         console.log(`🔧 Modified: ${modified.length} HTML files`);
         console.log(`📄 Generated: sitemap.xml`);
         console.log(`🤖 Generated: robots.txt`);
+        if (this.cardStats) {
+            const cards = this.cardStats;
+            console.log(cards.unavailable
+                ? '⚠️  Social cards: not drawn, no SVG rasteriser is installed'
+                : `🖼️  Social cards: ${cards.generated} generated, ${cards.unchanged} unchanged, ${cards.removed} removed, ${cards.failed} failed`);
+        }
         console.log(`❌ Errors: ${this.errors.length} files\n`);
         
         if (modified.length > 0) {
@@ -587,7 +579,7 @@ ${this.errors.length > 0 ? this.errors.map(e => `- ${e.filename}: ${e.error}`).j
 // Main execution
 if (require.main === module) {
     const publicDir = path.join(__dirname, '../public');
-    const generator = new SEOSupportingFilesGenerator(publicDir);
+    const generator = new SEOSupportingFilesGenerator(publicDir, undefined, { dryRun: DryRun.fromArgs() });
     
     generator.generateAllFiles().catch(error => {
         console.error('❌ Fatal error:', error);
@@ -0,0 +1,523 @@
+#!/usr/bin/env node
+
+/**
+ * SEO Uniqueness Audit
+ * Compares the titles, meta descriptions and H1s of all pages: finds exact
+ * and near-duplicates, estimates the pixel width of titles and descriptions
+ * in search results and writes a ranked list of fixes as JSON and HTML.
+ * Unlike the meta optimizer this only reports; nothing is changed.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { JSDOM } = require('jsdom');
+const PageRegistry = require('./page-registry');
+const SEOMetaOptimizer = require('./seo-meta-optimizer');
+
+// Arial advance widths in 1/1000 em, the font search results are set in
+const CHAR_WIDTHS = {
+    ' ': 278, '!': 278, '"': 355, '#': 556, '$': 556, '%': 889, '&': 667, "'": 191,
+    '(': 333, ')': 333, '*': 389, '+': 584, ',': 278, '-': 333, '.': 278, '/': 278,
+    ':': 278, ';': 278, '<': 584, '=': 584, '>': 584, '?': 556, '@': 1015, '|': 260,
+    A: 667, B: 667, C: 722, D: 722, E: 667, F: 611, G: 778, H: 722, I: 278, J: 500,
+    K: 667, L: 556, M: 833, N: 722, O: 778, P: 667, Q: 778, R: 722, S: 667, T: 611,
+    U: 722, V: 667, W: 944, X: 667, Y: 667, Z: 611,
+    a: 556, b: 556, c: 500, d: 556, e: 556, f: 278, g: 556, h: 556, i: 222, j: 222,
+    k: 500, l: 222, m: 833, n: 556, o: 556, p: 556, q: 556, r: 333, s: 500, t: 278,
+    u: 556, v: 500, w: 722, x: 500, y: 500, z: 500
+};
+const DEFAULT_CHAR_WIDTH = 556;
+
+// Desktop search result limits: text beyond maxWidth is cut off
+const FIELDS = {
+    title: { label: 'title', fontSize: 20, maxWidth: 600, minLength: 30, weight: 1 },
+    description: { label: 'meta description', fontSize: 14, maxWidth: 920, minLength: 70, weight: 0.8 },
+    h1: { label: 'H1', weight: 0.6 }
+};
+
+class SEOUniquenessAudit {
+    constructor(options = {}) {
+        const rootDir = path.join(__dirname, '..');
+        this.publicDir = options.publicDir || path.join(rootDir, 'public');
+        this.reportDir = options.reportDir || path.join(rootDir, 'reports');
+        this.threshold = options.threshold || 0.8;
+        this.registry = options.registry || new PageRegistry();
+        this.optimizer = new SEOMetaOptimizer(this.publicDir, this.registry.baseUrl, { registry: this.registry });
+
+        const { site, company } = this.registry.siteConfig;
+        this.brandNames = [site.name, company.displayName];
+    }
+
+    /**
+     * Estimated rendered width of text in pixels
+     */
+    static measureText(text, fontSize) {
+        const units = Array.from(text).reduce((total, char) => total + (CHAR_WIDTHS[char] || DEFAULT_CHAR_WIDTH), 0);
+        return Math.round(units * fontSize / 1000);
+    }
+
+    /**
+     * Sørensen–Dice coefficient of the character bigrams of two strings
+     */
+    static similarity(a, b) {
+        if (a === b) return 1;
+        if (a.length < 2 || b.length < 2) return 0;
+
+        const bigrams = new Map();
+        for (let i = 0; i < a.length - 1; i++) {
+            const bigram = a.substr(i, 2);
+            bigrams.set(bigram, (bigrams.get(bigram) || 0) + 1);
+        }
+
+        let shared = 0;
+        for (let i = 0; i < b.length - 1; i++) {
+            const bigram = b.substr(i, 2);
+            const count = bigrams.get(bigram) || 0;
+            if (count > 0) {
+                bigrams.set(bigram, count - 1);
+                shared++;
+            }
+        }
+
+        return (2 * shared) / (a.length + b.length - 2);
+    }
+
+    static normalize(text) {
+        return text.toLowerCase().replace(/\s+/g, ' ').trim();
+    }
+
+    /**
+     * Text used for the near-duplicate comparison. The company name that
+     * ends most titles would make every pair of titles look alike.
+     */
+    comparableText(field, text) {
+        let value = SEOUniquenessAudit.normalize(text);
+        if (field === 'title') {
+            this.brandNames.forEach(name => {
+                value = value.split(SEOUniquenessAudit.normalize(name)).join(' ');
+            });
+            value = value.replace(/(\s*[-|:–]\s*)+$/, '').replace(/^(\s*[-|:–]\s*)+/, '').trim();
+        }
+        return value;
+    }
+
+    /**
+     * Title, meta description and H1 of every indexable page. Registered
+     * pages are audited with the values the meta optimizer gives them from
+     * pages.json, other pages with what their HTML contains.
+     */
+    async collectPages() {
+        const files = await this.optimizer.getHtmlFiles();
+        const pages = [];
+        this.skipped = [];
+
+        files.forEach(file => {
+            const html = fs.readFileSync(path.join(this.publicDir, file), 'utf8');
+            const document = new JSDOM(html).window.document;
+            const robots = document.querySelector('meta[name="robots"]');
+            const entry = this.registry.get(file);
+
+            if (/\bnoindex\b/i.test(robots ? robots.getAttribute('content') : (entry && entry.robots) || '')) {
+                this.skipped.push(file);
+                return;
+            }
+
+            if (entry) {
+                pages.push({
+                    file,
+                    registered: true,
+                    title: this.registry.getTitle(entry),
+                    description: entry.description,
+                    h1: this.registry.getH1(entry),
+                    h1Count: 1
+                });
+                return;
+            }
+
+            const title = document.querySelector('title');
+            const description = document.querySelector('meta[name="description"]');
+            const h1s = Array.from(document.querySelectorAll('h1'));
+
+            pages.push({
+                file,
+                registered: false,
+                title: title ? title.textContent.replace(/\s+/g, ' ').trim() : '',
+                description: description ? (description.getAttribute('content') || '').replace(/\s+/g, ' ').trim() : '',
+                h1: h1s.length > 0 ? h1s[0].textContent.replace(/\s+/g, ' ').trim() : '',
+                h1Count: h1s.length
+            });
+        });
+
+        pages.forEach(page => {
+            ['title', 'description'].forEach(field => {
+                page[`${field}Width`] = SEOUniquenessAudit.measureText(page[field], FIELDS[field].fontSize);
+            });
+        });
+
+        return pages;
+    }
+
+    /**
+     * Groups of pages sharing the exact same value of a field
+     */
+    findExactDuplicates(pages, field) {
+        const groups = new Map();
+
+        pages.filter(page => page[field]).forEach(page => {
+            const key = SEOUniquenessAudit.normalize(page[field]);
+            if (!groups.has(key)) groups.set(key, []);
+            groups.get(key).push(page);
+        });
+
+        return Array.from(groups.values()).filter(group => group.length > 1);
+    }
+
+    /**
+     * Clusters of pages whose values are at least `threshold` similar
+     * without being identical. Pairs are joined transitively, so a family
+     * of city pages built from one pattern is reported once.
+     */
+    findNearDuplicates(pages, field) {
+        const candidates = pages.filter(page => page[field]);
+        const texts = candidates.map(page => this.comparableText(field, page[field]));
+        const parent = candidates.map((page, index) => index);
+        const find = index => (parent[index] === index ? index : (parent[index] = find(parent[index])));
+        const scores = [];
+
+        for (let i = 0; i < candidates.length; i++) {
+            for (let j = i + 1; j < candidates.length; j++) {
+                if (SEOUniquenessAudit.normalize(candidates[i][field]) === SEOUniquenessAudit.normalize(candidates[j][field])) continue;
+
+                const score = SEOUniquenessAudit.similarity(texts[i], texts[j]);
+                if (score >= this.threshold) {
+                    parent[find(j)] = find(i);
+                    scores.push({ i, j, score });
+                }
+            }
+        }
+
+        const clusters = new Map();
+        scores.forEach(({ i, score }) => {
+            const root = find(i);
+            if (!clusters.has(root)) clusters.set(root, { members: new Set(), scores: [] });
+            clusters.get(root).scores.push(score);
+        });
+        candidates.forEach((page, index) => {
+            const cluster = clusters.get(find(index));
+            if (cluster) cluster.members.add(page);
+        });
+
+        return Array.from(clusters.values()).map(cluster => ({
+            pages: Array.from(cluster.members),
+            similarity: Math.max(...cluster.scores)
+        }));
+    }
+
+    /**
+     * Where to fix a field: the registry entry for registered pages,
+     * the page itself otherwise
+     */
+    describeFix(field, pages, action) {
+        const registered = pages.filter(page => page.registered).map(page => page.file);
+        const unregistered = pages.filter(page => !page.registered).map(page => page.file);
+        const parts = [];
+
+        if (registered.length > 0) {
+            parts.push(`${action} "${field}" in content/data/pages.json for ${registered.join(', ')}`);
+        }
+        if (unregistered.length > 0) {
+            parts.push(`${action} the ${FIELDS[field].label} of ${unregistered.join(', ')}`);
+        }
+        return parts.join('; ');
+    }
+
+    /**
+     * All issues, highest score first
+     */
+    buildFixes(pages) {
+        const fixes = [];
+        const add = (field, type, score, issue) => {
+            fixes.push(Object.assign({ field, type, score: Math.round(score * FIELDS[field].weight) }, issue));
+        };
+
+        Object.keys(FIELDS).forEach(field => {
+            const label = FIELDS[field].label;
+
+            pages.filter(page => !page[field]).forEach(page => {
+                add(field, 'missing', 100, {
+                    pages: [page.file],
+                    message: `Missing ${label}`,
+                    fix: this.describeFix(field, [page], 'Set')
+                });
+            });
+
+            this.findExactDuplicates(pages, field).forEach(group => {
+                add(field, 'duplicate', 50 + 10 * group.length, {
+                    pages: group.map(page => page.file),
+                    value: group[0][field],
+                    message: `${group.length} pages share the ${label} "${group[0][field]}"`,
+                    fix: this.describeFix(field, group, 'Differentiate')
+                });
+            });
+
+            this.findNearDuplicates(pages, field).forEach(cluster => {
+                add(field, 'near-duplicate', 30 * cluster.similarity + 5 * cluster.pages.length, {
+                    pages: cluster.pages.map(page => page.file),
+                    similarity: Math.round(cluster.similarity * 100) / 100,
+                    values: cluster.pages.map(page => page[field]),
+                    message: `${cluster.pages.length} pages have ${label}s that differ only slightly (up to ${Math.round(cluster.similarity * 100)}% alike)`,
+                    fix: this.describeFix(field, cluster.pages, 'Differentiate')
+                });
+            });
+
+            const { maxWidth, minLength } = FIELDS[field];
+            if (!maxWidth) return;
+
+            pages.filter(page => page[field]).forEach(page => {
+                const width = page[`${field}Width`];
+                if (width > maxWidth) {
+                    add(field, 'truncated', 20 + Math.min(40, (width - maxWidth) / 10), {
+                        pages: [page.file],
+                        value: page[field],
+                        width,
+                        message: `${label} is about ${width}px wide and will be cut off after ${maxWidth}px`,
+                        fix: this.describeFix(field, [page], 'Shorten')
+                    });
+                } else if (page[field].length < minLength) {
+                    add(field, 'short', 10, {
+                        pages: [page.file],
+                        value: page[field],
+                        width,
+                        message: `${label} has only ${page[field].length} characters (at least ${minLength} recommended)`,
+                        fix: this.describeFix(field, [page], 'Expand')
+                    });
+                }
+            });
+        });
+
+        pages.filter(page => page.h1Count > 1).forEach(page => {
+            add('h1', 'multiple', 25, {
+                pages: [page.file],
+                message: `${page.h1Count} H1 elements on the page`,
+                fix: `Keep one H1 in ${page.file}`
+            });
+        });
+
+        return fixes
+            .sort((a, b) => b.score - a.score || a.pages[0].localeCompare(b.pages[0]))
+            .map((fix, index) => Object.assign({ rank: index + 1, severity: SEOUniquenessAudit.severity(fix.score) }, fix));
+    }
+
+    static severity(score) {
+        if (score >= 50) return 'high';
+        if (score >= 25) return 'medium';
+        return 'low';
+    }
+
+    buildReport(pages, fixes) {
+        const count = severity => fixes.filter(fix => fix.severity === severity).length;
+
+        return {
+            generatedAt: new Date().toISOString(),
+            threshold: this.threshold,
+            limits: {
+                title: { fontSize: FIELDS.title.fontSize, maxWidth: FIELDS.title.maxWidth },
+                description: { fontSize: FIELDS.description.fontSize, maxWidth: FIELDS.description.maxWidth }
+            },
+            summary: {
+                pages: pages.length,
+                skippedNoindex: this.skipped.length,
+                fixes: fixes.length,
+                high: count('high'),
+                medium: count('medium'),
+                low: count('low')
+            },
+            fixes,
+            pages
+        };
+    }
+
+    generateHtmlReport(report) {
+        const escape = text => String(text).replace(/[&<>"]/g, char => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' })[char]);
+        const widthCell = (page, field) => {
+            const over = page[`${field}Width`] > FIELDS[field].maxWidth;
+            return `<td class="${over ? 'over' : ''}">${page[`${field}Width`]}px</td>`;
+        };
+
+        return `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>SEO Uniqueness Audit - Stone OnePoint Solutions</title>
+    <style>
+        body { font-family: Arial, sans-serif; margin: 20px; background: #f5f5f5; }
+        .container { max-width: 1200px; margin: 0 auto; background: white; padding: 20px; border-radius: 8px; box-shadow: 0 2px 10px rgba(0,0,0,0.1); }
+        .header { text-align: center; margin-bottom: 30px; }
+        .summary { display: grid; grid-template-columns: repeat(auto-fit, minmax(200px, 1fr)); gap: 20px; margin-bottom: 30px; }
+        .stat-card { background: #f8f9fa; padding: 20px; border-radius: 8px; text-align: center; border-left: 4px solid #007bff; }
+        .stat-card.high { border-left-color: #dc3545; }
+        .stat-card.medium { border-left-color: #ffc107; }
+        .stat-card.low { border-left-color: #28a745; }
+        .stat-number { font-size: 2em; font-weight: bold; margin-bottom: 5px; }
+        .stat-label { color: #666; }
+        .section { margin-bottom: 30px; }
+        .section h2 { color: #333; border-bottom: 2px solid #007bff; padding-bottom: 10px; }
+        table { width: 100%; border-collapse: collapse; margin-top: 15px; }
+        th, td { padding: 12px; text-align: left; border-bottom: 1px solid #ddd; vertical-align: top; }
+        th { background-color: #f8f9fa; font-weight: bold; }
+        .severity-high { color: #dc3545; font-weight: bold; }
+        .severity-medium { color: #e0a800; font-weight: bold; }
+        .severity-low { color: #28a745; font-weight: bold; }
+        .pages-cell { max-width: 300px; word-break: break-all; font-size: 0.9em; }
+        .over { color: #dc3545; font-weight: bold; }
+    </style>
+</head>
+<body>
+    <div class="container">
+        <div class="header">
+            <h1>🔎 SEO Uniqueness Audit</h1>
+            <p>Generated on: ${report.generatedAt}</p>
+        </div>
+
+        <div class="summary">
+            <div class="stat-card">
+                <div class="stat-number">${report.summary.pages}</div>
+                <div class="stat-label">Pages Audited</div>
+            </div>
+            <div class="stat-card high">
+                <div class="stat-number">${report.summary.high}</div>
+                <div class="stat-label">High Priority</div>
+            </div>
+            <div class="stat-card medium">
+                <div class="stat-number">${report.summary.medium}</div>
+                <div class="stat-label">Medium Priority</div>
+            </div>
+            <div class="stat-card low">
+                <div class="stat-number">${report.summary.low}</div>
+                <div class="stat-label">Low Priority</div>
+            </div>
+        </div>
+
+        <div class="section">
+            <h2>🔧 Fixes by Priority</h2>
+            <table>
+                <thead>
+                    <tr><th>#</th><th>Severity</th><th>Field</th><th>Issue</th><th>Pages</th><th>Fix</th></tr>
+                </thead>
+                <tbody>
+                    ${report.fixes.map(fix => `<tr>
+                        <td>${fix.rank}</td>
+                        <td class="severity-${fix.severity}">${fix.severity}</td>
+                        <td>${escape(FIELDS[fix.field].label)}</td>
+                        <td>${escape(fix.message)}</td>
+                        <td class="pages-cell">${fix.pages.map(escape).join('<br>')}</td>
+                        <td>${escape(fix.fix)}</td>
+                    </tr>`).join('\n                    ')}
+                </tbody>
+            </table>
+        </div>
+
+        <div class="section">
+            <h2>📄 Pages</h2>
+            <p>Widths are estimates for Arial at ${FIELDS.title.fontSize}px (titles, ${FIELDS.title.maxWidth}px shown) and ${FIELDS.description.fontSize}px (descriptions, ${FIELDS.description.maxWidth}px shown).</p>
+            <table>
+                <thead>
+                    <tr><th>Page</th><th>Title</th><th>Width</th><th>Description</th><th>Width</th><th>H1</th></tr>
+                </thead>
+                <tbody>
+                    ${report.pages.map(page => `<tr>
+                        <td class="pages-cell">${escape(page.file)}</td>
+                        <td>${escape(page.title)}</td>
+                        ${widthCell(page, 'title')}
+                        <td>${escape(page.description)}</td>
+                        ${widthCell(page, 'description')}
+                        <td>${escape(page.h1)}</td>
+                    </tr>`).join('\n                    ')}
+                </tbody>
+            </table>
+        </div>
+    </div>
+</body>
+</html>
+`;
+    }
+
+    printSummary(report) {
+        console.log('\n📊 SEO Uniqueness Audit Results:');
+        console.log(`   Pages audited: ${report.summary.pages} (${report.summary.skippedNoindex} noindex pages skipped)`);
+        console.log(`   Fixes: ${report.summary.fixes} (🔴 ${report.summary.high} high, 🟡 ${report.summary.medium} medium, 🟢 ${report.summary.low} low)`);
+
+        const top = report.fixes.slice(0, 10);
+        if (top.length > 0) {
+            console.log('\n🔧 Top fixes:');
+            top.forEach(fix => {
+                console.log(`   ${fix.rank}. [${fix.severity}] ${fix.message}`);
+                console.log(`      ${fix.fix}`);
+            });
+        }
+    }
+
+    async run() {
+        console.log('🔎 Auditing titles, meta descriptions and H1s across the site...\n');
+
+        const pages = await this.collectPages();
+        const fixes = this.buildFixes(pages);
+        const report = this.buildReport(pages, fixes);
+
+        fs.mkdirSync(this.reportDir, { recursive: true });
+        const jsonPath = path.join(this.reportDir, 'seo-uniqueness-report.json');
+        const htmlPath = path.join(this.reportDir, 'seo-uniqueness-report.html');
+        fs.writeFileSync(jsonPath, JSON.stringify(report, null, 2));
+        fs.writeFileSync(htmlPath, this.generateHtmlReport(report));
+
+        this.printSummary(report);
+        this.registry.printWarnings();
+        console.log(`\n📄 Reports saved to: ${path.relative(process.cwd(), jsonPath)} and ${path.relative(process.cwd(), htmlPath)}`);
+
+        return report;
+    }
+}
+
+SEOUniquenessAudit.FIELDS = FIELDS;
+
+// CLI execution
+if (require.main === module) {
+    const args = process.argv.slice(2);
+    const getArg = name => {
+        const index = args.indexOf(`--${name}`);
+        return index !== -1 ? args[index + 1] : null;
+    };
+
+    if (args.includes('--help')) {
+        console.log(`
+Usage: node scripts/seo-uniqueness-audit.js [options]
+
+Finds duplicate and near-duplicate titles, meta descriptions and H1s across
+the pages in public/, estimates how wide titles and descriptions render in
+search results and writes a ranked fix list to
+reports/seo-uniqueness-report.json and reports/seo-uniqueness-report.html.
+
+Options:
+  --public-dir <dir>   Pages to audit (default: public/)
+  --threshold <0-1>    Similarity from which values count as near-duplicates
+                       (default: 0.8)
+`);
+        process.exit(0);
+    }
+
+    const threshold = getArg('threshold') ? parseFloat(getArg('threshold')) : undefined;
+    if (threshold !== undefined && !(threshold > 0 && threshold <= 1)) {
+        console.error('❌ --threshold must be a number between 0 and 1');
+        process.exit(1);
+    }
+
+    const audit = new SEOUniquenessAudit({ publicDir: getArg('public-dir') || undefined, threshold });
+
+    audit.run().catch(error => {
+        console.error(`❌ ${error.message}`);
+        process.exit(1);
+    });
+}
+
+module.exports = SEOUniquenessAudit;
@@ -8,6 +8,8 @@
 const fs = require('fs');
 const path = require('path');
 const { JSDOM } = require('jsdom');
+const BuildCache = require('./build-cache');
+const DryRun = require('./dry-run');
 
 class LazyLoadingSetup {
   constructor(options = {}) {
@@ -16,6 +18,8 @@ class LazyLoadingSetup {
     this.excludePatterns = options.excludePatterns || [
       'logo', 'favicon', 'critical', 'above-fold'
     ];
+    this.cache = options.cache || null;
+    this.dryRun = options.dryRun || new DryRun();
     this.stats = {
       filesProcessed: 0,
       imagesConverted: 0,
@@ -202,6 +206,13 @@ class LazyLoadingSetup {
       console.log(`Processing: ${path.relative(process.cwd(), filePath)}`);
       
       const html = fs.readFileSync(filePath, 'utf8');
+      const inputHash = this.cache ? this.cache.hashContent(html) : null;
+
+      if (this.cache && this.cache.isFresh('lazy-loading', filePath, inputHash)) {
+        console.log('  ↺ Unchanged since last run (cached)');
+        return;
+      }
+
       const dom = new JSDOM(html);
       const document = dom.window.document;
       
@@ -219,14 +230,22 @@ class LazyLoadingSetup {
       // Add lazy loading script
       this.addLazyLoadingScript(document);
 
-      // Write back to file
+      // Write back to file (or preview the change in dry-run mode)
       const updatedHtml = dom.serialize();
-      fs.writeFileSync(filePath, updatedHtml);
+      this.dryRun.writeFile(filePath, html, updatedHtml);
+
+      if (this.cache) {
+        this.cache.record('lazy-loading', filePath, inputHash);
+      }
       
       this.stats.filesProcessed++;
       this.stats.imagesConverted += convertedCount;
       
-      console.log(`  ✓ Converted ${convertedCount} images to lazy loading`);
+      if (this.dryRun.enabled) {
+        console.log(`  🔍 Would convert ${convertedCount} images to lazy loading`);
+      } else {
+        console.log(`  ✓ Converted ${convertedCount} images to lazy loading`);
+      }
       
     } catch (error) {
       console.error(`Error processing ${filePath}:`, error.message);
@@ -240,6 +259,10 @@ class LazyLoadingSetup {
   async setup() {
     console.log('🚀 Setting up lazy loading for images...\n');
     
+    if (this.cache) {
+      this.cache.configureStep('lazy-loading', { excludePatterns: this.excludePatterns });
+    }
+
     // Get all HTML files
     const htmlFiles = this.getHtmlFiles(this.publicDir);
     console.log(`Found ${htmlFiles.length} HTML files to process\n`);
@@ -254,8 +277,19 @@ class LazyLoadingSetup {
       this.processHtmlFile(filePath);
     }
 
+    if (this.dryRun.enabled) {
+      console.log(`\nImages that would be converted: ${this.stats.imagesConverted}`);
+      this.dryRun.printSummary();
+      return;
+    }
+
     // Print statistics
     this.printStats();
+
+    if (this.cache) {
+      this.cache.save();
+      this.cache.printReport();
+    }
   }
 
   /**
@@ -288,8 +322,12 @@ if (require.main === module) {
     process.exit(1);
   }
 
-  const args = process.argv.slice(2);
-  const options = {};
+  const args = process.argv.slice(2).filter(arg => arg !== '--force' && arg !== '--dry-run');
+  const dryRun = DryRun.fromArgs();
+  const options = {
+    dryRun,
+    cache: dryRun.enabled ? null : new BuildCache({ force: process.argv.includes('--force') })
+  };
 
   // Parse command line arguments
   for (let i = 0; i < args.length; i += 2) {
@@ -0,0 +1,285 @@
+#!/usr/bin/env node
+
+/**
+ * Site Hierarchy
+ * Parent/child structure of the site, built from content/data: pages.json
+ * entries and sections name their parent, and service × city pages hang
+ * under their service page. Used for the visible breadcrumbs and the
+ * BreadcrumbList structured data; pages that cannot be traced back to the
+ * home page are reported.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const PageRegistry = require('./page-registry');
+
+const ROOT_URL = 'index.html';
+
+class SiteHierarchy {
+    constructor(options = {}) {
+        this.registry = options.registry || new PageRegistry({ baseUrl: options.baseUrl });
+        this.contentUpdater = options.contentUpdater || null;
+        this.nodes = null;
+    }
+
+    /**
+     * Services, locations and location pages from the content data
+     */
+    getContentUpdater() {
+        if (!this.contentUpdater) {
+            // Required here: the content updater loads the structured data generator, which uses this module
+            const ContentUpdater = require('../content/scripts/content-updater');
+            this.contentUpdater = new ContentUpdater();
+        }
+        return this.contentUpdater;
+    }
+
+    /**
+     * Nodes by id: { id, url, label, parent } for every section, registered
+     * page and location page
+     */
+    getNodes() {
+        if (this.nodes) return this.nodes;
+
+        const nodes = new Map();
+        this.registry.sections.forEach(section => {
+            nodes.set(section.id, { id: section.id, url: section.url, label: section.title, parent: section.parent || null });
+        });
+        this.registry.all().forEach(page => {
+            nodes.set(page.id, { id: page.id, url: page.url, label: page.breadcrumb || page.title, parent: page.parent || null });
+        });
+
+        // Service × city pages without an entry of their own sit under their service page
+        this.getContentUpdater().getLocationPages().forEach(({ service, location, url }) => {
+            if (this.registry.find(url)) return;
+
+            const servicePage = this.registry.find(service.url);
+            nodes.set(`${service.id}@${location.id}`, {
+                id: `${service.id}@${location.id}`,
+                url,
+                label: location.city,
+                parent: servicePage ? servicePage.id : null
+            });
+        });
+
+        this.nodes = nodes;
+        return nodes;
+    }
+
+    findNode(file) {
+        const url = file.replace(/\\/g, '/');
+        return Array.from(this.getNodes().values()).find(node => node.url === url) || null;
+    }
+
+    /**
+     * Nodes from the home page down to a page, or null when the page is not
+     * in the hierarchy or its parent chain does not reach the home page
+     */
+    getTrail(file) {
+        const node = this.findNode(file);
+        return node ? this.traceTrail(node).trail : null;
+    }
+
+    /**
+     * Follow the parents of a node. Returns { trail } when the home page is
+     * reached, otherwise { problem, broken } with the node whose parent link
+     * breaks the chain.
+     */
+    traceTrail(node) {
+        const nodes = this.getNodes();
+        const trail = [node];
+
+        for (let current = node; current.url !== ROOT_URL; ) {
+            if (!current.parent) {
+                return { broken: current, problem: current === node ? 'has no parent' : `its ancestor "${current.id}" has no parent` };
+            }
+            const parent = nodes.get(current.parent);
+            if (!parent) {
+                return { broken: current, problem: `parent "${current.parent}" of "${current.id}" does not exist` };
+            }
+            if (trail.includes(parent)) {
+                return { broken: current, problem: `the parents of "${current.id}" form a loop` };
+            }
+            trail.unshift(parent);
+            current = parent;
+        }
+
+        return { trail };
+    }
+
+    /**
+     * Pages without a way up to the home page: files with no place in the
+     * hierarchy and nodes whose parent chain is broken
+     */
+    getOrphans(files) {
+        const orphans = [];
+
+        files.forEach(file => {
+            const node = this.findNode(file);
+            if (!node) {
+                orphans.push({ file, problem: 'not in pages.json or locations.json' });
+                return;
+            }
+            const { problem } = this.traceTrail(node);
+            if (problem) orphans.push({ file, problem });
+        });
+
+        return orphans;
+    }
+
+    /**
+     * Visible breadcrumb navigation for a trail. Links are relative to the
+     * site root, where the pages in the hierarchy live.
+     */
+    renderBreadcrumb(document, trail) {
+        const nav = document.createElement('nav');
+        nav.setAttribute('aria-label', 'breadcrumb');
+        nav.className = 'site-breadcrumb';
+
+        const list = document.createElement('ol');
+        list.className = 'breadcrumb';
+        trail.forEach((node, index) => {
+            const item = document.createElement('li');
+            item.className = 'breadcrumb-item';
+            if (index === trail.length - 1) {
+                item.className += ' active';
+                item.setAttribute('aria-current', 'page');
+                item.textContent = node.label;
+            } else {
+                const link = document.createElement('a');
+                link.href = node.url;
+                link.textContent = node.label;
+                item.appendChild(link);
+            }
+            list.appendChild(item);
+        });
+
+        nav.appendChild(list);
+        return nav;
+    }
+
+    /**
+     * Add or update the breadcrumb of a page: an existing breadcrumb
+     * navigation is replaced, otherwise one is placed at the start of the
+     * main landmark. Returns true when the document changed.
+     */
+    applyBreadcrumb(document, file) {
+        const trail = this.getTrail(file);
+        if (!trail || trail.length < 2) return false;
+
+        const nav = this.renderBreadcrumb(document, trail);
+        const existing = document.querySelector('nav[aria-label="breadcrumb"]');
+        if (existing) {
+            if (existing.querySelector('ol') && existing.querySelector('ol').outerHTML === nav.querySelector('ol').outerHTML) {
+                return false;
+            }
+            existing.replaceWith(nav);
+            return true;
+        }
+
+        const main = document.querySelector('main');
+        if (!main) return false;
+
+        const container = document.createElement('div');
+        container.className = 'container';
+        container.appendChild(nav);
+        main.insertBefore(container, main.firstChild);
+        return true;
+    }
+
+    /**
+     * BreadcrumbList schema of a trail
+     */
+    generateBreadcrumbListSchema(trail) {
+        return {
+            "@context": "https://schema.org",
+            "@type": "BreadcrumbList",
+            "itemListElement": trail.map((node, index) => ({
+                "@type": "ListItem",
+                "position": index + 1,
+                "name": node.label,
+                "item": this.registry.resolveUrl(node.url)
+            }))
+        };
+    }
+
+    /**
+     * Print the hierarchy as a tree, followed by the orphaned pages
+     */
+    printTree(files) {
+        const nodes = Array.from(this.getNodes().values());
+        const root = nodes.find(node => node.url === ROOT_URL);
+        const print = (node, depth) => {
+            console.log(`${'  '.repeat(depth)}• ${node.label} (${node.url})`);
+            nodes.filter(child => child.parent === node.id && child !== root).forEach(child => print(child, depth + 1));
+        };
+
+        console.log('🌳 Site hierarchy\n');
+        if (root) {
+            print(root, 0);
+        } else {
+            console.log(`❌ ${ROOT_URL} has no entry in pages.json`);
+        }
+
+        const orphans = this.getOrphans(files);
+        console.log('');
+        if (orphans.length === 0) {
+            console.log('✅ Every page has a path to the home page');
+            return orphans;
+        }
+
+        console.warn(`⚠️  ${orphans.length} page(s) have no parent in the hierarchy and get no breadcrumb:`);
+        orphans.forEach(orphan => console.warn(`  • ${orphan.file}: ${orphan.problem}`));
+        return orphans;
+    }
+
+    /**
+     * Content pages at the top of a public directory
+     */
+    static getPageFiles(publicDir) {
+        const StructuredDataGenerator = require('./structured-data-generator');
+        const generator = new StructuredDataGenerator(publicDir);
+        return fs.readdirSync(publicDir)
+            .filter(file => file.endsWith('.html') && !generator.shouldSkipFile(file))
+            .sort();
+    }
+}
+
+SiteHierarchy.ROOT_URL = ROOT_URL;
+
+// CLI execution
+if (require.main === module) {
+    const args = process.argv.slice(2);
+    const getArg = name => {
+        const index = args.indexOf(`--${name}`);
+        return index !== -1 ? args[index + 1] : null;
+    };
+
+    if (args.includes('--help')) {
+        console.log(`
+Usage: node scripts/site-hierarchy.js [options]
+
+Prints the site hierarchy built from content/data/pages.json and
+locations.json and lists pages that have no parent in it.
+
+Options:
+  --public-dir <dir>   Pages to check (default: public/)
+  --strict             Exit with status 1 when a page has no parent
+
+Breadcrumbs are added to the pages by the "breadcrumbs" HTML pipeline pass:
+  node scripts/html-pipeline.js --passes breadcrumbs,structured-data
+`);
+        process.exit(0);
+    }
+
+    try {
+        const publicDir = getArg('public-dir') ? path.resolve(getArg('public-dir')) : path.join(__dirname, '../public');
+        const orphans = new SiteHierarchy().printTree(SiteHierarchy.getPageFiles(publicDir));
+        if (orphans.length > 0 && args.includes('--strict')) process.exitCode = 1;
+    } catch (error) {
+        console.error(`❌ ${error.message}`);
+        process.exit(1);
+    }
+}
+
+module.exports = SiteHierarchy;
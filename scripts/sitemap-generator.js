@@ -0,0 +1,493 @@
+#!/usr/bin/env node
+
+/**
+ * Sitemap Generator
+ * Builds sitemap.xml from the HTML pages of a site directory. Pages marked
+ * noindex or naming another page as canonical are left out, translations are
+ * listed with hreflang alternates and the images in each page's content are
+ * added as image:image entries. Sites over the sitemap limits are split into
+ * numbered sitemaps behind a sitemap index.
+ *
+ * lastmod is the date a page's source last changed: the content hash change
+ * log in config/sitemap-lastmod.json when it knows the current content, the
+ * last commit touching the file otherwise, and today for uncommitted changes.
+ * The change log is a local file kept out of git.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { execFileSync } = require('child_process');
+const { JSDOM } = require('jsdom');
+const PageRegistry = require('./page-registry');
+const DryRun = require('./dry-run');
+
+const ROOT_DIR = path.join(__dirname, '..');
+
+// Protocol limits per sitemap file (uncompressed) and images per URL
+const MAX_URLS = 50000;
+const MAX_BYTES = 50 * 1024 * 1024;
+const MAX_IMAGES = 1000;
+
+const EXCLUDED_DIRS = ['assets', 'error-pages'];
+// Site chrome repeats the same images on every page
+const EXCLUDED_REGIONS = 'header, footer, nav, [role="banner"], [role="contentinfo"], [role="navigation"]';
+const DEFAULT_ENTRY = { priority: 0.6, changeFreq: 'monthly' };
+
+class SitemapGenerator {
+    /**
+     * @param {Object} options
+     * @param {string} [options.publicDir] Pages to list; the sitemap is written here
+     * @param {string} [options.sourceDir] Where the pages' sources live, for lastmod (default: publicDir)
+     * @param {Array}  [options.hints] {url, priority, changeFreq} of pages without a registry entry
+     *                 (default: the generated pages of the ContentUpdater)
+     * @param {boolean} [options.updateLog] Record new content hashes in the change log
+     *                 (default: only when listing public/)
+     */
+    constructor(options = {}) {
+        this.publicDir = options.publicDir || path.join(ROOT_DIR, 'public');
+        this.sourceDir = options.sourceDir || this.publicDir;
+        this.registry = options.registry || new PageRegistry({ baseUrl: options.baseUrl });
+        this.baseUrl = (options.baseUrl || this.registry.baseUrl).replace(/\/$/, '');
+        this.defaultLocale = this.registry.defaultLocale;
+        this.locales = this.registry.locales;
+        this.hints = new Map((options.hints || SitemapGenerator.loadHints()).map(hint => [hint.url, hint]));
+        this.logFile = options.logFile || path.join(ROOT_DIR, 'config', 'sitemap-lastmod.json');
+        this.updateLog = options.updateLog !== undefined
+            ? options.updateLog
+            : path.resolve(this.publicDir) === path.join(ROOT_DIR, 'public');
+        this.dryRun = options.dryRun || new DryRun();
+        this.maxUrls = options.maxUrls || MAX_URLS;
+        this.maxBytes = options.maxBytes || MAX_BYTES;
+        this.today = new Date().toISOString().split('T')[0];
+        this.excluded = [];
+    }
+
+    /**
+     * Sitemap settings of the location, blog and job pages
+     */
+    static loadHints() {
+        // Required here: the ContentUpdater uses this generator itself
+        const ContentUpdater = require('../content/scripts/content-updater');
+        return new ContentUpdater().getSitemapHints();
+    }
+
+    /**
+     * HTML pages under the public directory as site-relative paths
+     */
+    getHtmlFiles(dir = this.publicDir, prefix = '') {
+        const files = [];
+
+        fs.readdirSync(dir, { withFileTypes: true }).forEach(entry => {
+            const file = `${prefix}${entry.name}`;
+            if (entry.isDirectory()) {
+                if (!EXCLUDED_DIRS.includes(file)) {
+                    files.push(...this.getHtmlFiles(path.join(dir, entry.name), `${file}/`));
+                }
+            } else if (entry.name.endsWith('.html') && !this.shouldSkipFile(entry.name)) {
+                files.push(file);
+            }
+        });
+
+        return files.sort();
+    }
+
+    /**
+     * Check if file should be skipped
+     */
+    shouldSkipFile(filename) {
+        const skipPatterns = [
+            /^\d+\.html$/,  // Numbered files like 1.html, 2.html
+            /^(bg|shape|section-shape|right-img|help-img|experience-img|download-img|quote-here-img|what-do-img|popular-posts-\d+|owl\.video\.play)\.html$/,
+            /^(fade|backblue)\.html$/
+        ];
+
+        return skipPatterns.some(pattern => pattern.test(filename));
+    }
+
+    /**
+     * Split a site-relative path into its locale and default-locale path
+     */
+    getLocale(file) {
+        const [first, ...rest] = file.split('/');
+        if (rest.length > 0 && first !== this.defaultLocale && this.locales.includes(first)) {
+            return { locale: first, base: rest.join('/') };
+        }
+        return { locale: this.defaultLocale, base: file };
+    }
+
+    getUrl(file) {
+        return `${this.baseUrl}/${file}`;
+    }
+
+    /**
+     * URL compared when matching canonicals: the path without a trailing
+     * index.html. The origin is ignored so pages built for another base URL
+     * are not mistaken for duplicates.
+     */
+    static comparableUrl(url) {
+        const parsed = new URL(url);
+        return `${parsed.pathname.replace(/\/index\.html$/, '/')}${parsed.search}`;
+    }
+
+    /**
+     * Read a page and decide whether it belongs in the sitemap
+     */
+    analyzePage(file) {
+        const { locale, base } = this.getLocale(file);
+        const url = this.getUrl(file);
+        const page = this.registry.find(base);
+        const html = fs.readFileSync(path.join(this.publicDir, file), 'utf8');
+        const document = new JSDOM(html).window.document;
+
+        const robots = document.querySelector('meta[name="robots"]');
+        if ((page && !PageRegistry.isIndexable(page)) || (robots && /\bnoindex\b/i.test(robots.getAttribute('content')))) {
+            return this.exclude(file, 'noindex');
+        }
+
+        const canonicalLink = document.querySelector('link[rel="canonical"]');
+        const canonicals = [canonicalLink && canonicalLink.getAttribute('href')];
+        if (page && page.canonical && locale === this.defaultLocale) {
+            canonicals.push(this.registry.getCanonicalUrl(page));
+        }
+        for (const canonical of canonicals.filter(Boolean)) {
+            const resolved = new URL(canonical, url).href;
+            if (SitemapGenerator.comparableUrl(resolved) !== SitemapGenerator.comparableUrl(url)) {
+                return this.exclude(file, `canonical is ${resolved}`);
+            }
+        }
+
+        const settings = page || this.hints.get(base) || DEFAULT_ENTRY;
+        return {
+            file,
+            base,
+            locale,
+            url,
+            priority: settings.priority,
+            changeFreq: settings.changeFreq,
+            lastModified: this.getLastModified(file),
+            images: this.getImages(document, url)
+        };
+    }
+
+    exclude(file, reason) {
+        this.excluded.push({ file, reason });
+        return null;
+    }
+
+    /**
+     * Absolute URLs of the images in a page's content on this site
+     */
+    getImages(document, pageUrl) {
+        const host = new URL(this.baseUrl).host;
+        const images = new Set();
+
+        document.querySelectorAll('img').forEach(img => {
+            if (img.closest(EXCLUDED_REGIONS)) return;
+
+            const src = (img.getAttribute('data-src') || img.getAttribute('src') || '').trim();
+            if (!src || src.startsWith('data:')) return;
+
+            try {
+                const imageUrl = new URL(src, pageUrl);
+                if (imageUrl.host === host) images.add(imageUrl.href);
+            } catch (error) {
+                // Unparseable src; the link checker reports these
+            }
+        });
+
+        return Array.from(images).slice(0, MAX_IMAGES);
+    }
+
+    /**
+     * Date a page last changed: the change log date while its content hash
+     * is unchanged, otherwise its last commit, otherwise today
+     */
+    getLastModified(file) {
+        const sourcePath = fs.existsSync(path.join(this.sourceDir, file))
+            ? path.join(this.sourceDir, file)
+            : path.join(this.publicDir, file);
+        const hash = crypto.createHash('sha256').update(fs.readFileSync(sourcePath)).digest('hex');
+        const log = this.loadLog();
+        const logged = log.pages[file];
+
+        let lastModified;
+        if (logged && logged.hash === hash) {
+            lastModified = logged.lastModified;
+        } else {
+            lastModified = this.getCommitDate(sourcePath) || this.today;
+        }
+
+        this.seen[file] = { hash, lastModified };
+        return lastModified;
+    }
+
+    loadLog() {
+        if (!this.log) {
+            this.log = fs.existsSync(this.logFile)
+                ? JSON.parse(fs.readFileSync(this.logFile, 'utf8'))
+                : { pages: {} };
+        }
+        return this.log;
+    }
+
+    saveLog() {
+        const log = { pages: this.seen };
+        if (!this.updateLog || this.dryRun.enabled) return;
+        if (JSON.stringify(log) === JSON.stringify(this.loadLog())) return;
+
+        fs.writeFileSync(this.logFile, `${JSON.stringify(log, null, 2)}\n`);
+        console.log(`  📝 Updated ${path.relative(ROOT_DIR, this.logFile)}`);
+    }
+
+    /**
+     * Last commit date of a file that is committed without local changes;
+     * null for modified, untracked or non-git files
+     */
+    getCommitDate(filePath) {
+        const git = this.loadGitHistory();
+        if (!git) return null;
+
+        const file = path.relative(git.root, filePath).replace(/\\/g, '/');
+        return git.modified.has(file) ? null : (git.dates.get(file) || null);
+    }
+
+    /**
+     * Commit dates of every file in the source directory from a single
+     * git log, plus the files with uncommitted changes
+     */
+    loadGitHistory() {
+        if (this.git !== undefined) return this.git;
+
+        const git = args => execFileSync('git', ['-c', 'core.quotePath=false', ...args], {
+            cwd: this.sourceDir,
+            encoding: 'utf8',
+            maxBuffer: 64 * 1024 * 1024,
+            stdio: ['ignore', 'pipe', 'ignore'],
+            timeout: 60000
+        });
+
+        try {
+            const root = git(['rev-parse', '--show-toplevel']).trim();
+            const dates = new Map();
+            git(['log', '--format=%x00%cI', '--name-only', '--', '.']).split('\0').slice(1).forEach(commit => {
+                const [date, ...files] = commit.split('\n');
+                files.filter(Boolean).forEach(file => {
+                    if (!dates.has(file)) dates.set(file, date.slice(0, 10));
+                });
+            });
+            const modified = new Set(git(['status', '--porcelain', '-z', '--untracked-files=all', '--', '.'])
+                .split('\0')
+                .filter(entry => entry.length > 3)
+                .map(entry => entry.slice(3)));
+
+            this.git = { root, dates, modified };
+        } catch (error) {
+            this.git = null;
+        }
+        return this.git;
+    }
+
+    /**
+     * hreflang alternates of each listed page: the listed pages of its
+     * other locales plus x-default
+     */
+    addAlternates(entries) {
+        const groups = new Map();
+        entries.forEach(entry => {
+            if (!groups.has(entry.base)) groups.set(entry.base, []);
+            groups.get(entry.base).push(entry);
+        });
+
+        entries.forEach(entry => {
+            const group = groups.get(entry.base);
+            if (group.length < 2) {
+                entry.alternates = [];
+                return;
+            }
+
+            const fallback = group.find(page => page.locale === this.defaultLocale);
+            entry.alternates = [
+                ...group.map(page => ({ hreflang: page.locale, href: page.url })),
+                ...(fallback ? [{ hreflang: 'x-default', href: fallback.url }] : [])
+            ];
+        });
+    }
+
+    static escapeXML(text) {
+        return String(text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&apos;');
+    }
+
+    renderEntry(entry) {
+        const escape = SitemapGenerator.escapeXML;
+
+        return [
+            '    <url>',
+            `        <loc>${escape(entry.url)}</loc>`,
+            ...entry.alternates.map(alternate => `        <xhtml:link rel="alternate" hreflang="${alternate.hreflang}" href="${escape(alternate.href)}"/>`),
+            `        <lastmod>${entry.lastModified}</lastmod>`,
+            `        <changefreq>${entry.changeFreq}</changefreq>`,
+            `        <priority>${entry.priority}</priority>`,
+            ...entry.images.map(image => `        <image:image>\n            <image:loc>${escape(image)}</image:loc>\n        </image:image>`),
+            '    </url>'
+        ].join('\n');
+    }
+
+    /**
+     * Group rendered entries into sitemaps within the URL and size limits
+     */
+    splitSitemaps(entries) {
+        const header = '<?xml version="1.0" encoding="UTF-8"?>\n' +
+            '<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9" ' +
+            'xmlns:xhtml="http://www.w3.org/1999/xhtml" ' +
+            'xmlns:image="http://www.google.com/schemas/sitemap-image/1.1">\n';
+        const footer = '</urlset>\n';
+        const overhead = Buffer.byteLength(header + footer);
+        const sitemaps = [];
+        let current = { entries: [], parts: [], size: overhead };
+        sitemaps.push(current);
+
+        entries.forEach(entry => {
+            const xml = `${this.renderEntry(entry)}\n`;
+            const size = Buffer.byteLength(xml);
+
+            if (current.entries.length > 0 && (current.entries.length >= this.maxUrls || current.size + size > this.maxBytes)) {
+                current = { entries: [], parts: [], size: overhead };
+                sitemaps.push(current);
+            }
+            current.entries.push(entry);
+            current.parts.push(xml);
+            current.size += size;
+        });
+
+        return sitemaps.map(sitemap => ({
+            entries: sitemap.entries,
+            xml: `${header}${sitemap.parts.join('')}${footer}`
+        }));
+    }
+
+    renderIndex(files) {
+        return [
+            '<?xml version="1.0" encoding="UTF-8"?>',
+            '<sitemapindex xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">',
+            ...files.map(file => [
+                '    <sitemap>',
+                `        <loc>${SitemapGenerator.escapeXML(this.getUrl(file.name))}</loc>`,
+                `        <lastmod>${file.lastModified}</lastmod>`,
+                '    </sitemap>'
+            ].join('\n')),
+            '</sitemapindex>',
+            ''
+        ].join('\n');
+    }
+
+    writeFile(file, content) {
+        const filePath = path.join(this.publicDir, file);
+        const original = fs.existsSync(filePath) ? fs.readFileSync(filePath, 'utf8') : '';
+        this.dryRun.writeFile(filePath, original, content);
+    }
+
+    /**
+     * Numbered sitemaps left over from an earlier, larger run
+     */
+    removeStaleSitemaps(keep) {
+        fs.readdirSync(this.publicDir)
+            .filter(file => /^sitemap-\d+\.xml$/.test(file) && !keep.includes(file))
+            .forEach(file => {
+                if (this.dryRun.enabled) {
+                    console.log(`  🔍 Would remove ${file}`);
+                } else {
+                    fs.unlinkSync(path.join(this.publicDir, file));
+                    console.log(`  🗑️  Removed ${file}`);
+                }
+            });
+    }
+
+    /**
+     * Write sitemap.xml, or sitemap-1.xml, sitemap-2.xml, ... and a
+     * sitemap.xml index when one file would exceed the limits
+     */
+    generate() {
+        console.log('📄 Generating XML sitemap...');
+
+        this.excluded = [];
+        this.seen = {};
+        const entries = this.getHtmlFiles()
+            .map(file => this.analyzePage(file))
+            .filter(Boolean);
+        this.addAlternates(entries);
+
+        const sitemaps = this.splitSitemaps(entries);
+        const files = [];
+
+        if (sitemaps.length === 1) {
+            this.writeFile('sitemap.xml', sitemaps[0].xml);
+        } else {
+            sitemaps.forEach((sitemap, index) => {
+                const name = `sitemap-${index + 1}.xml`;
+                const lastModified = sitemap.entries.reduce((latest, entry) =>
+                    (entry.lastModified > latest ? entry.lastModified : latest), sitemap.entries[0].lastModified);
+                this.writeFile(name, sitemap.xml);
+                files.push({ name, lastModified });
+            });
+            this.writeFile('sitemap.xml', this.renderIndex(files));
+        }
+
+        this.removeStaleSitemaps(files.map(file => file.name));
+        this.saveLog();
+
+        const images = entries.reduce((sum, entry) => sum + entry.images.length, 0);
+        console.log(`  ✅ ${entries.length} URLs and ${images} images${files.length > 0 ? ` in ${files.length} sitemaps behind a sitemap index` : ''}`);
+        if (this.excluded.length > 0) {
+            console.log(`  ⏭️  Left out ${this.excluded.length} page(s):`);
+            this.excluded.forEach(page => console.log(`     • ${page.file} (${page.reason})`));
+        }
+        this.dryRun.printSummary();
+
+        return { urls: entries.length, images, sitemaps: Math.max(files.length, 1), excluded: this.excluded };
+    }
+}
+
+// CLI execution
+if (require.main === module) {
+    const args = process.argv.slice(2);
+    const getArg = name => {
+        const index = args.indexOf(`--${name}`);
+        return index !== -1 ? args[index + 1] : null;
+    };
+
+    if (args.includes('--help')) {
+        console.log(`
+Usage: node scripts/sitemap-generator.js [options]
+
+Writes sitemap.xml for the pages in public/. noindex and non-canonical pages
+are left out; lastmod comes from config/sitemap-lastmod.json and git history.
+Location, blog and job pages use the priorities from their data files.
+
+Options:
+  --public-dir <dir>   Pages to list (default: public/)
+  --base-url <url>     Site URL (default: site.baseUrl in site-config.json)
+  --dry-run            Show the changes without writing anything
+`);
+        process.exit(0);
+    }
+
+    try {
+        const generator = new SitemapGenerator({
+            publicDir: getArg('public-dir') ? path.resolve(getArg('public-dir')) : undefined,
+            baseUrl: getArg('base-url') || undefined,
+            dryRun: DryRun.fromArgs()
+        });
+        generator.generate();
+    } catch (error) {
+        console.error(`❌ ${error.message}`);
+        process.exit(1);
+    }
+}
+
+module.exports = SitemapGenerator;
@@ -13,11 +13,18 @@
 const fs = require('fs');
 const path = require('path');
 const { JSDOM } = require('jsdom');
+const DryRun = require('./dry-run');
+const PageRegistry = require('./page-registry');
+const SiteHierarchy = require('./site-hierarchy');
+
+const DEFAULT_OPENING_HOURS = 'Mo-Fr 09:00-18:00';
 
 class StructuredDataGenerator {
-    constructor(publicDir, baseUrl = 'https://www.stoneonepointsolutions.in') {
+    constructor(publicDir, baseUrl = 'https://www.stoneonepointsolutions.in', options = {}) {
         this.publicDir = publicDir;
         this.baseUrl = baseUrl;
+        this.options = options;
+        this.dryRun = options.dryRun || new DryRun();
         this.processedFiles = [];
         this.errors = [];
         
@@ -162,7 +169,14 @@ class StructuredDataGenerator {
             for (const file of files) {
                 await this.processFile(file);
             }
+
+            this.getPageRegistry().printWarnings();
             
+            if (this.dryRun.enabled) {
+                this.dryRun.printSummary();
+                return;
+            }
+
             this.generateReport();
             
         } catch (error) {
@@ -221,12 +235,18 @@ class StructuredDataGenerator {
             
             let modified = false;
             
+            // Add appropriate structured data based on page metadata
+            const structuredData = this.generateStructuredDataForPage(filename, document);
+            if (!structuredData) {
+                console.log(`  ℹ️  Not in pages.json, existing structured data kept\n`);
+                this.processedFiles.push({ filename, modified, schemasAdded: 0, status: 'skipped' });
+                return;
+            }
+            
             // Remove existing structured data to avoid duplicates
             const existingScripts = document.querySelectorAll('script[type="application/ld+json"]');
             existingScripts.forEach(script => script.remove());
-            
-            // Add appropriate structured data based on page type
-            const structuredData = this.generateStructuredDataForPage(filename);
+            modified = existingScripts.length > 0;
             
             if (structuredData.length > 0) {
                 structuredData.forEach(data => {
@@ -243,8 +263,8 @@ class StructuredDataGenerator {
             // Save changes if any modifications were made
             if (modified) {
                 const optimizedContent = dom.serialize();
-                await fs.promises.writeFile(filePath, optimizedContent, 'utf8');
-                console.log(`  💾 Saved with structured data`);
+                this.dryRun.writeFile(filePath, content, optimizedContent);
+                console.log(this.dryRun.enabled ? `  🔍 Would save structured data (dry run)` : `  💾 Saved with structured data`);
             } else {
                 console.log(`  ℹ️  No structured data added`);
             }
@@ -268,134 +288,249 @@ class StructuredDataGenerator {
     }
 
     /**
-     * Generate structured data based on page type
+     * Generate structured data for a page; null for pages the generator
+     * has no data for, which keep their existing JSON-LD
      */
-    generateStructuredDataForPage(filename) {
-        const schemas = [];
-        
-        // Always add Organization schema to main pages
-        if (this.isMainPage(filename)) {
-            schemas.push(this.generateOrganizationSchema());
+    generateStructuredDataForPage(filename, document = null) {
+        const plan = this.planPage(filename, document);
+        return plan.schemas ? plan.schemas.map(schema => schema.build()) : null;
+    }
+
+    /**
+     * Schemas of a page and the data each comes from. Pages are described
+     * by their pages.json entry or, for service × city pages, by
+     * locations.json and services.json. With the page's document, schemas
+     * of content the page does not show (FAQs) are left out.
+     */
+    planPage(filename, document = null) {
+        const locationPage = this.getContentUpdater().getLocationPages().find(entry => entry.url === filename);
+        if (locationPage) {
+            return this.addBreadcrumbList(this.planLocationPage(filename, locationPage), filename, document);
         }
-        
-        // Add LocalBusiness schema for location-specific pages
-        if (this.isLocationPage(filename)) {
-            const location = this.getLocationFromFilename(filename);
-            if (location) {
-                schemas.push(this.generateLocalBusinessSchema(location));
-            }
+
+        const page = this.getPageRegistry().get(filename);
+        if (!page) {
+            return { reason: 'no entry in pages.json or locations.json; existing JSON-LD kept', schemas: null };
         }
-        
-        // Add Service schema for service pages
-        if (this.isServicePage(filename)) {
-            const service = this.getServiceFromFilename(filename);
-            if (service) {
-                schemas.push(this.generateServiceSchema(service));
+
+        const settings = page.structuredData || {};
+        const isServicePage = this.getPageRegistry().isServicePage(page);
+        const types = settings.schemas || (isServicePage ? ['Service'] : []);
+        const schemas = [];
+        const skipped = [];
+        const source = settings.schemas
+            ? `structuredData.schemas of "${page.id}"`
+            : `default for service pages ("${page.id}" is in servicePages)`;
+
+        types.forEach(type => {
+            if (type === 'Organization') {
+                schemas.push({ type, reason: source, build: () => this.generateOrganizationSchema() });
+            } else if (type === 'Service') {
+                schemas.push(this.planServiceSchema(page, settings, source));
+            } else if (type === 'LocalBusiness') {
+                const location = this.findLocation(settings.location);
+                if (location) {
+                    schemas.push({
+                        type,
+                        reason: `${source}, location "${location.id}" in locations.json`,
+                        build: () => this.generateLocalBusinessSchema(location, {
+                            url: this.getPageRegistry().resolveUrl(page.url),
+                            areaServed: settings.areaServed || location.areasServed,
+                            openingHours: settings.openingHours
+                        })
+                    });
+                } else {
+                    this.warn(`${filename}: LocalBusiness needs structuredData.location to name a location in locations.json`);
+                }
+            }
+        });
+
+        const service = isServicePage ? this.findService(settings.service || page.id) : null;
+        if (service && service.faqs && service.faqs.length > 0) {
+            if (!document || document.querySelector('.service-faq')) {
+                schemas.push({
+                    type: 'FAQPage',
+                    reason: `faqs of service "${service.id}" in services.json`,
+                    build: () => this.generateFAQPageSchema(service.faqs, { url: this.getPageRegistry().resolveUrl(page.url) })
+                });
+            } else {
+                skipped.push({
+                    type: 'FAQPage',
+                    reason: `the page does not show the faqs of service "${service.id}"; regenerate it from the service template`
+                });
             }
         }
-        
-        // Add WebSite schema for homepage
-        if (filename === 'index.html') {
-            schemas.push(this.generateWebSiteSchema());
-        }
-        
-        // Add ContactPage schema for contact page
-        if (filename === 'contact.html') {
-            schemas.push(this.generateContactPageSchema());
-        }
-        
-        // Add AboutPage schema for company profile
-        if (filename === 'company-profile.html') {
-            schemas.push(this.generateAboutPageSchema());
+
+        const pageSchemas = {
+            WebSite: () => this.generateWebSiteSchema(),
+            ContactPage: () => this.generateContactPageSchema(),
+            AboutPage: () => this.generateAboutPageSchema()
+        };
+        if (pageSchemas[page.schemaType]) {
+            schemas.push({ type: page.schemaType, reason: `schemaType of "${page.id}"`, build: pageSchemas[page.schemaType] });
         }
-        
-        return schemas;
+
+        (settings.extra || []).forEach(schema => {
+            schemas.push({
+                type: schema['@type'],
+                reason: `structuredData.extra of "${page.id}"`,
+                build: () => Object.assign({ "@context": "https://schema.org" }, schema)
+            });
+        });
+
+        return this.addBreadcrumbList({ reason: `pages.json entry "${page.id}"`, schemas, skipped }, filename, document);
     }
 
     /**
-     * Check if page is a main page
+     * BreadcrumbList of pages below the home page in the site hierarchy,
+     * once the page shows the breadcrumb
      */
-    isMainPage(filename) {
-        const mainPages = [
-            'index.html',
-            'company-profile.html',
-            'contact.html',
-            'clients.html'
-        ];
-        return mainPages.includes(filename);
+    addBreadcrumbList(plan, filename, document) {
+        const hierarchy = this.getSiteHierarchy();
+        const trail = hierarchy.getTrail(filename);
+        if (!trail || trail.length < 2) return plan;
+
+        const reason = `site hierarchy: ${trail.map(node => node.label).join(' › ')}`;
+        if (document && !document.querySelector('nav[aria-label="breadcrumb"]')) {
+            plan.skipped = (plan.skipped || []).concat({
+                type: 'BreadcrumbList',
+                reason: `the page does not show its breadcrumb yet; run the breadcrumbs pass of the HTML pipeline (${reason})`
+            });
+            return plan;
+        }
+
+        plan.schemas.push({ type: 'BreadcrumbList', reason, build: () => hierarchy.generateBreadcrumbListSchema(trail) });
+        return plan;
     }
 
     /**
-     * Check if page is location-specific
+     * Service schema of a registered page: the services.json service with
+     * the entry's id (or structuredData.service), otherwise the entry itself
      */
-    isLocationPage(filename) {
-        const locationKeywords = ['mumbai', 'bangalore', 'delhi', 'kolkata', 'noida', 'andheri'];
-        return locationKeywords.some(keyword => filename.includes(keyword));
+    planServiceSchema(page, settings, source) {
+        const serviceId = settings.service || page.id;
+        const service = this.findService(serviceId);
+        const url = this.getPageRegistry().resolveUrl(page.url);
+
+        if (service) {
+            return {
+                type: 'Service',
+                reason: `${source}, service "${service.id}" in services.json`,
+                build: () => this.generateServiceSchema(service, {
+                    url,
+                    areaServed: settings.areaServed || service.locations
+                })
+            };
+        }
+
+        return {
+            type: 'Service',
+            reason: `${source}, no service "${serviceId}" in services.json so the entry's title and description are used`,
+            build: () => this.generateServiceSchema({
+                name: page.title,
+                description: page.description,
+                serviceType: settings.serviceType
+            }, {
+                url,
+                areaServed: settings.areaServed || this.getContentUpdater().locationsData.locations.map(location => location.city)
+            })
+        };
+    }
+
+    planLocationPage(filename, locationPage) {
+        const { service, location } = locationPage;
+        const url = this.getPageRegistry().resolveUrl(filename);
+        const reason = `${service.id} × ${location.id} location page (services.json and locations.json)`;
+
+        return {
+            reason,
+            schemas: [
+                {
+                    type: 'LocalBusiness',
+                    reason: `location "${location.id}" in locations.json`,
+                    build: () => this.generateLocalBusinessSchema(location, { url, areaServed: location.areasServed })
+                },
+                {
+                    type: 'Service',
+                    reason: `service "${service.id}" in services.json, served in ${location.city}`,
+                    build: () => this.generateServiceSchema(service, { url, areaServed: [location.city] })
+                }
+            ]
+        };
+    }
+
+    findService(id) {
+        return this.getContentUpdater().getServices().find(service => service.id === id) || null;
+    }
+
+    findLocation(id) {
+        return this.getContentUpdater().locationsData.locations.find(location => location.id === id) || null;
+    }
+
+    warn(message) {
+        if (!this.warnings) this.warnings = new Set();
+        if (!this.warnings.has(message)) {
+            this.warnings.add(message);
+            console.warn(`⚠️  ${message}`);
+        }
     }
 
     /**
-     * Check if page is service-specific
+     * Print the schemas each page gets and why, without changing files
      */
-    isServicePage(filename) {
-        const serviceKeywords = [
-            'temporary-staffing', 'permanent-recruitment', 'payroll', 'training',
-            'executive-hiring', 'bulk-campus-hiring', 'recruitment', 'staffing',
-            'manpower', 'leadership', 'skill-development'
-        ];
-        return serviceKeywords.some(keyword => filename.includes(keyword));
+    async explainAllFiles() {
+        const files = await this.getHtmlFiles();
+
+        for (const file of files) {
+            const content = await fs.promises.readFile(path.join(this.publicDir, file), 'utf8');
+            const plan = this.planPage(file, new JSDOM(content).window.document);
+            console.log(`📄 ${file}: ${plan.reason}`);
+            if (plan.schemas && plan.schemas.length === 0) {
+                console.log('   (no schemas; existing JSON-LD is removed)');
+            }
+            (plan.schemas || []).forEach(schema => {
+                console.log(`   • ${schema.type}: ${schema.reason}`);
+            });
+            (plan.skipped || []).forEach(schema => {
+                console.log(`   – ${schema.type} left out: ${schema.reason}`);
+            });
+        }
+
+        console.log('');
+        this.getPageRegistry().printWarnings();
     }
 
     /**
-     * Get location info from filename
+     * Page registry, created on first use so the JSON-LD helpers used by
+     * the content updater do not need it
      */
-    getLocationFromFilename(filename) {
-        if (filename.includes('mumbai') || filename.includes('andheri')) {
-            return this.companyInfo.locations[0]; // Mumbai
-        }
-        if (filename.includes('bangalore')) {
-            return this.companyInfo.locations[1]; // Bangalore
+    getPageRegistry() {
+        if (!this.registry) {
+            this.registry = this.options.registry || new PageRegistry({ baseUrl: this.baseUrl });
         }
-        if (filename.includes('delhi')) {
-            return this.companyInfo.locations[2]; // Delhi
-        }
-        if (filename.includes('kolkata')) {
-            return this.companyInfo.locations[3]; // Kolkata
-        }
-        if (filename.includes('noida')) {
-            return this.companyInfo.locations[4]; // Noida
+        return this.registry;
+    }
+
+    getSiteHierarchy() {
+        if (!this.siteHierarchy) {
+            this.siteHierarchy = new SiteHierarchy({
+                registry: this.getPageRegistry(),
+                contentUpdater: this.getContentUpdater()
+            });
         }
-        return null;
+        return this.siteHierarchy;
     }
 
     /**
-     * Get service info from filename
+     * Services, locations and location pages from the content data
      */
-    getServiceFromFilename(filename) {
-        if (filename.includes('temporary-staffing')) {
-            return this.companyInfo.services[0];
-        }
-        if (filename.includes('permanent-recruitment')) {
-            return this.companyInfo.services[1];
-        }
-        if (filename.includes('payroll')) {
-            return this.companyInfo.services[2];
-        }
-        if (filename.includes('training') || filename.includes('leadership') || filename.includes('skill-development')) {
-            return this.companyInfo.services[3];
-        }
-        if (filename.includes('executive-hiring')) {
-            return this.companyInfo.services[4];
+    getContentUpdater() {
+        if (!this.contentUpdater) {
+            // Required here: the content updater uses this generator for its pages
+            const ContentUpdater = require('../content/scripts/content-updater');
+            this.contentUpdater = this.options.contentUpdater || new ContentUpdater();
         }
-        if (filename.includes('bulk') || filename.includes('campus')) {
-            return this.companyInfo.services[5];
-        }
-        
-        // Default service for recruitment-related pages
-        if (filename.includes('recruitment') || filename.includes('staffing') || filename.includes('manpower')) {
-            return this.companyInfo.services[1]; // Permanent Recruitment
-        }
-        
-        return null;
+        return this.contentUpdater;
     }
 
     /**
@@ -448,10 +583,12 @@ class StructuredDataGenerator {
     }
 
     /**
-     * Generate LocalBusiness schema
+     * Generate LocalBusiness schema for an office. Options: url of the page,
+     * areaServed (city names) and openingHours, which defaults to the
+     * location's own hours.
      */
-    generateLocalBusinessSchema(location) {
-        return {
+    generateLocalBusinessSchema(location, options = {}) {
+        const schema = {
             "@context": "https://schema.org",
             "@type": "LocalBusiness",
             "name": `${this.companyInfo.name} - ${location.name}`,
@@ -472,18 +609,24 @@ class StructuredDataGenerator {
                 "latitude": location.geo.latitude,
                 "longitude": location.geo.longitude
             },
-            "openingHours": "Mo-Fr 09:00-18:00",
+            "openingHours": options.openingHours || location.openingHours || DEFAULT_OPENING_HOURS,
             "priceRange": "$$",
             "paymentAccepted": "Cash, Credit Card, Bank Transfer",
             "currenciesAccepted": "INR"
         };
+
+        if (options.url) schema.url = options.url;
+        if (options.areaServed) schema.areaServed = options.areaServed;
+        return schema;
     }
 
     /**
-     * Generate Service schema
+     * Generate Service schema. Options: url of the page and areaServed
+     * (city names, defaulting to every office city).
      */
-    generateServiceSchema(service) {
-        return {
+    generateServiceSchema(service, options = {}) {
+        const cities = options.areaServed || this.companyInfo.locations.map(location => location.address.addressLocality);
+        const schema = {
             "@context": "https://schema.org",
             "@type": "Service",
             "name": service.name,
@@ -496,28 +639,10 @@ class StructuredDataGenerator {
                 "telephone": this.companyInfo.telephone,
                 "email": this.companyInfo.email
             },
-            "areaServed": [
-                {
-                    "@type": "City",
-                    "name": "Mumbai"
-                },
-                {
-                    "@type": "City",
-                    "name": "Bangalore"
-                },
-                {
-                    "@type": "City",
-                    "name": "Delhi"
-                },
-                {
-                    "@type": "City",
-                    "name": "Kolkata"
-                },
-                {
-                    "@type": "City",
-                    "name": "Noida"
-                }
-            ],
+            "areaServed": cities.map(city => ({
+                "@type": "City",
+                "name": city
+            })),
             "hasOfferCatalog": {
                 "@type": "OfferCatalog",
                 "name": service.name,
@@ -533,6 +658,140 @@ class StructuredDataGenerator {
                 ]
             }
         };
+
+        if (options.url) schema.url = options.url;
+        return schema;
+    }
+
+    /**
+     * Generate FAQPage schema from { question, answer } entries. Options:
+     * url of the page showing them.
+     */
+    generateFAQPageSchema(faqs, options = {}) {
+        const schema = {
+            "@context": "https://schema.org",
+            "@type": "FAQPage"
+        };
+        if (options.url) schema.url = options.url;
+
+        schema.mainEntity = faqs.map(faq => ({
+            "@type": "Question",
+            "name": faq.question,
+            "acceptedAnswer": {
+                "@type": "Answer",
+                "text": faq.answer
+            }
+        }));
+        return schema;
+    }
+
+    /**
+     * Generate BlogPosting schema for a blog post
+     */
+    generateBlogPostingSchema(post) {
+        const schema = {
+            "@context": "https://schema.org",
+            "@type": "BlogPosting",
+            "headline": post.title,
+            "description": post.description,
+            "url": post.url,
+            "mainEntityOfPage": {
+                "@type": "WebPage",
+                "@id": post.url
+            },
+            "datePublished": post.datePublished,
+            "dateModified": post.dateModified || post.datePublished,
+            "author": {
+                "@type": "Person",
+                "name": post.author
+            },
+            "publisher": {
+                "@type": "Organization",
+                "name": this.companyInfo.name,
+                "logo": {
+                    "@type": "ImageObject",
+                    "url": this.companyInfo.logo
+                }
+            }
+        };
+
+        if (post.image) {
+            schema.image = post.image;
+        }
+        if (post.keywords && post.keywords.length > 0) {
+            schema.keywords = post.keywords.join(', ');
+        }
+
+        return schema;
+    }
+
+    /**
+     * Generate JobPosting schema for a job opening. Openings without a
+     * hiring company are posted under the company's own name.
+     */
+    generateJobPostingSchema(job) {
+        const schema = {
+            "@context": "https://schema.org",
+            "@type": "JobPosting",
+            "title": job.title,
+            "description": job.description,
+            "url": job.url,
+            "identifier": {
+                "@type": "PropertyValue",
+                "name": this.companyInfo.name,
+                "value": job.id
+            },
+            "datePosted": job.datePosted,
+            "validThrough": job.validThrough,
+            "employmentType": job.employmentType,
+            "hiringOrganization": job.company
+                ? {
+                    "@type": "Organization",
+                    "name": job.company
+                }
+                : {
+                    "@type": "Organization",
+                    "name": this.companyInfo.name,
+                    "sameAs": this.companyInfo.url,
+                    "logo": this.companyInfo.logo
+                }
+        };
+
+        if (job.address) {
+            schema.jobLocation = {
+                "@type": "Place",
+                "address": Object.assign({ "@type": "PostalAddress" }, job.address)
+            };
+        }
+        if (job.remote) {
+            schema.jobLocationType = "TELECOMMUTE";
+            schema.applicantLocationRequirements = {
+                "@type": "Country",
+                "name": "India"
+            };
+        }
+        if (job.salary) {
+            const value = { "@type": "QuantitativeValue", "unitText": job.salary.unit };
+            if (job.salary.max) {
+                value.minValue = job.salary.min;
+                value.maxValue = job.salary.max;
+            } else {
+                value.value = job.salary.min;
+            }
+            schema.baseSalary = {
+                "@type": "MonetaryAmount",
+                "currency": job.salary.currency,
+                "value": value
+            };
+        }
+        if (job.industry) {
+            schema.industry = job.industry;
+        }
+        if (job.experience) {
+            schema.experienceRequirements = job.experience;
+        }
+
+        return schema;
     }
 
     /**
@@ -648,7 +907,7 @@ class StructuredDataGenerator {
         console.log('🎉 Structured data generation completed!\n');
         
         // Save report to file
-        const reportPath = path.join(this.publicDir, '../docs/structured-data-report.md');
+        const reportPath = path.join(__dirname, '../docs/structured-data-report.md');
         this.saveReportToFile(reportPath);
     }
 
@@ -671,29 +930,29 @@ Generated on: ${new Date().toISOString()}
 
 ## Schema Types Added
 
+Schemas are chosen from each page's entry in content/data/pages.json
+(\`structuredData\` and \`schemaType\`); service × city pages use
+services.json and locations.json. Run the generator with \`--explain\` to see
+why each page got its schemas. Pages without an entry keep their existing
+structured data.
+
 ### Organization Schema
-- Added to main pages (index, company-profile, contact, clients)
+- Added to pages listing it in \`structuredData.schemas\`
 - Includes company information, contact details, and service catalog
 
 ### LocalBusiness Schema
-- Added to location-specific pages
-- Includes address, geo-coordinates, and local business information
+- Added to location pages and pages naming a \`structuredData.location\`
+- Includes address, geo-coordinates, opening hours and area served
 
 ### Service Schema
-- Added to service-specific pages
-- Includes service descriptions and area served
+- Added to service pages (\`servicePages\` in pages.json)
+- Includes service descriptions and area served from services.json
 
-### WebSite Schema
-- Added to homepage
-- Includes search functionality and publisher information
+### WebSite, ContactPage and AboutPage Schemas
+- Added to pages with the matching \`schemaType\`
 
-### ContactPage Schema
-- Added to contact page
-- Includes contact information and office locations
-
-### AboutPage Schema
-- Added to company profile page
-- Includes company background and organizational details
+### Extra Schemas
+- FAQPage, BreadcrumbList, Course or JobPosting objects from \`structuredData.extra\`
 
 ## Modified Files
 
@@ -729,10 +988,34 @@ To validate the structured data:
 
 // Main execution
 if (require.main === module) {
-    const publicDir = path.join(__dirname, '../public');
-    const generator = new StructuredDataGenerator(publicDir);
+    const args = process.argv.slice(2);
+    const getArg = name => {
+        const index = args.indexOf(`--${name}`);
+        return index !== -1 ? args[index + 1] : null;
+    };
+
+    if (args.includes('--help')) {
+        console.log(`
+Usage: node scripts/structured-data-generator.js [options]
+
+Replaces the JSON-LD of every page in public/ with schemas chosen from
+content/data/pages.json, services.json and locations.json.
+
+Options:
+  --public-dir <dir>   Pages to update (default: public/)
+  --explain            List each page's schemas and where they come from
+                       without changing files
+  --dry-run            Print a diff of each page that would change
+                       without writing files
+`);
+        process.exit(0);
+    }
+
+    const publicDir = getArg('public-dir') ? path.resolve(getArg('public-dir')) : path.join(__dirname, '../public');
+    const generator = new StructuredDataGenerator(publicDir, undefined, { dryRun: DryRun.fromArgs() });
+    const run = args.includes('--explain') ? generator.explainAllFiles() : generator.processAllFiles();
     
-    generator.processAllFiles().catch(error => {
+    run.catch(error => {
         console.error('❌ Fatal error:', error);
         process.exit(1);
     });
@@ -0,0 +1,749 @@
+#!/usr/bin/env node
+
+/**
+ * Structured Data Validator
+ * Checks every application/ld+json block in the public pages offline: JSON
+ * syntax, schema.org types and properties against the bundled definitions
+ * below, Google rich result required and recommended properties, and the
+ * format of URLs, dates, e-mail addresses, phone numbers and addresses.
+ * Each page gets the severity of its worst issue.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { JSDOM } = require('jsdom');
+
+/**
+ * The schema.org types the site uses, with the properties they add to their
+ * parent type. Property values list the accepted kinds: a type name (or any
+ * of its subtypes), or one of the value formats in FORMATS.
+ */
+const TYPES = {
+    Thing: {
+        properties: {
+            name: 'Text',
+            alternateName: 'Text',
+            description: 'Text',
+            url: 'URL',
+            image: ['URL', 'ImageObject'],
+            sameAs: 'URL',
+            identifier: ['Text', 'URL', 'PropertyValue'],
+            mainEntityOfPage: ['URL', 'CreativeWork'],
+            potentialAction: 'Action'
+        }
+    },
+    CreativeWork: {
+        parent: 'Thing',
+        properties: {
+            about: 'Thing',
+            author: ['Person', 'Organization'],
+            publisher: ['Organization', 'Person'],
+            datePublished: 'Date',
+            dateModified: 'Date',
+            headline: 'Text',
+            keywords: 'Text',
+            inLanguage: 'Text',
+            isPartOf: ['CreativeWork', 'URL'],
+            mainEntity: 'Thing',
+            provider: ['Organization', 'Person'],
+            text: 'Text'
+        }
+    },
+    WebSite: { parent: 'CreativeWork' },
+    WebPage: {
+        parent: 'CreativeWork',
+        properties: { breadcrumb: ['BreadcrumbList', 'Text'], lastReviewed: 'Date' }
+    },
+    AboutPage: { parent: 'WebPage' },
+    ContactPage: { parent: 'WebPage' },
+    FAQPage: { parent: 'WebPage' },
+    Question: {
+        parent: 'CreativeWork',
+        properties: { acceptedAnswer: 'Answer', suggestedAnswer: 'Answer', answerCount: 'Number' }
+    },
+    Answer: { parent: 'CreativeWork' },
+    Course: {
+        parent: 'CreativeWork',
+        properties: { courseCode: 'Text', coursePrerequisites: ['Text', 'Course'], educationalCredentialAwarded: 'Text' }
+    },
+    Article: {
+        parent: 'CreativeWork',
+        properties: { articleBody: 'Text', wordCount: 'Number' }
+    },
+    BlogPosting: { parent: 'Article' },
+    MediaObject: {
+        parent: 'CreativeWork',
+        properties: { contentUrl: 'URL', width: ['Number', 'QuantitativeValue'], height: ['Number', 'QuantitativeValue'] }
+    },
+    ImageObject: { parent: 'MediaObject', properties: { caption: 'Text' } },
+    Organization: {
+        parent: 'Thing',
+        properties: {
+            legalName: 'Text',
+            logo: ['URL', 'ImageObject'],
+            email: 'Email',
+            telephone: 'Telephone',
+            address: ['PostalAddress', 'Text'],
+            contactPoint: 'ContactPoint',
+            foundingDate: 'Date',
+            founder: 'Person',
+            numberOfEmployees: 'QuantitativeValue',
+            areaServed: ['Place', 'Text'],
+            hasOfferCatalog: 'OfferCatalog',
+            department: 'Organization'
+        }
+    },
+    LocalBusiness: {
+        parent: 'Organization',
+        properties: {
+            geo: 'GeoCoordinates',
+            hasMap: 'URL',
+            openingHours: 'Text',
+            openingHoursSpecification: 'OpeningHoursSpecification',
+            priceRange: 'Text',
+            paymentAccepted: 'Text',
+            currenciesAccepted: 'Text'
+        }
+    },
+    Person: {
+        parent: 'Thing',
+        properties: { email: 'Email', telephone: 'Telephone', jobTitle: 'Text', worksFor: 'Organization' }
+    },
+    Place: {
+        parent: 'Thing',
+        properties: { address: ['PostalAddress', 'Text'], geo: 'GeoCoordinates', hasMap: 'URL' }
+    },
+    City: { parent: 'Place' },
+    Country: { parent: 'Place' },
+    Intangible: { parent: 'Thing' },
+    Service: {
+        parent: 'Intangible',
+        properties: {
+            serviceType: 'Text',
+            provider: ['Organization', 'Person'],
+            areaServed: ['Place', 'Text'],
+            category: 'Text',
+            hasOfferCatalog: 'OfferCatalog',
+            offers: 'Offer'
+        }
+    },
+    ContactPoint: {
+        parent: 'Intangible',
+        properties: {
+            telephone: 'Telephone',
+            email: 'Email',
+            contactType: 'Text',
+            availableLanguage: 'Text',
+            areaServed: ['Place', 'Text'],
+            hoursAvailable: 'OpeningHoursSpecification'
+        }
+    },
+    PostalAddress: {
+        parent: 'ContactPoint',
+        properties: {
+            streetAddress: 'Text',
+            addressLocality: 'Text',
+            addressRegion: 'Text',
+            postalCode: 'PostalCode',
+            addressCountry: ['CountryCode', 'Country'],
+            postOfficeBoxNumber: 'Text'
+        }
+    },
+    GeoCoordinates: {
+        parent: 'Intangible',
+        properties: { latitude: 'Latitude', longitude: 'Longitude', elevation: 'Number' }
+    },
+    OpeningHoursSpecification: {
+        parent: 'Intangible',
+        properties: { dayOfWeek: 'Text', opens: 'Time', closes: 'Time' }
+    },
+    ItemList: {
+        parent: 'Intangible',
+        properties: { itemListElement: ['ListItem', 'Thing', 'Text'], numberOfItems: 'Number', itemListOrder: 'Text' }
+    },
+    OfferCatalog: { parent: 'ItemList' },
+    ListItem: {
+        parent: 'Intangible',
+        properties: { item: ['Thing', 'URL'], position: 'Number' }
+    },
+    BreadcrumbList: { parent: 'ItemList' },
+    Offer: {
+        parent: 'Intangible',
+        properties: { itemOffered: ['Service', 'Thing'], price: 'Number', priceCurrency: 'CurrencyCode', availability: 'URL' }
+    },
+    PropertyValue: {
+        parent: 'Intangible',
+        properties: { propertyID: 'Text', value: ['Text', 'Number'] }
+    },
+    QuantitativeValue: {
+        parent: 'Intangible',
+        properties: { value: 'Number', minValue: 'Number', maxValue: 'Number', unitCode: 'Text', unitText: 'Text' }
+    },
+    MonetaryAmount: {
+        parent: 'Intangible',
+        properties: { currency: 'CurrencyCode', value: ['Number', 'QuantitativeValue'], minValue: 'Number', maxValue: 'Number' }
+    },
+    JobPosting: {
+        parent: 'Intangible',
+        properties: {
+            title: 'Text',
+            datePosted: 'Date',
+            validThrough: 'Date',
+            employmentType: 'EmploymentType',
+            hiringOrganization: 'Organization',
+            jobLocation: 'Place',
+            jobLocationType: 'Text',
+            applicantLocationRequirements: 'Place',
+            baseSalary: 'MonetaryAmount',
+            industry: 'Text',
+            experienceRequirements: 'Text',
+            directApply: 'Boolean'
+        }
+    },
+    Action: {
+        parent: 'Thing',
+        properties: { target: ['EntryPoint', 'URL'] }
+    },
+    SearchAction: {
+        parent: 'Action',
+        // query-input is a Google extension for the sitelinks search box
+        properties: { 'query-input': 'Text' }
+    },
+    EntryPoint: {
+        parent: 'Intangible',
+        properties: { urlTemplate: 'Text' }
+    }
+};
+
+/**
+ * Google rich result requirements. Missing required properties make a
+ * block ineligible (error); missing recommended ones are notices. Types
+ * without an entry use the nearest ancestor's. Rules apply to top-level
+ * items only, unless marked nested (parts such as the address of an item).
+ */
+const RICH_RESULTS = {
+    Organization: {
+        feature: 'Organization',
+        recommended: ['name', 'url', 'logo', 'address', 'telephone', 'email', 'sameAs']
+    },
+    LocalBusiness: {
+        feature: 'Local business',
+        required: ['name', 'address'],
+        recommended: ['telephone', 'url', 'geo', 'image', 'priceRange', 'openingHoursSpecification']
+    },
+    PostalAddress: {
+        feature: 'Address',
+        nested: true,
+        recommended: ['streetAddress', 'addressLocality', 'addressRegion', 'postalCode', 'addressCountry']
+    },
+    GeoCoordinates: {
+        feature: 'Geo coordinates',
+        nested: true,
+        required: ['latitude', 'longitude']
+    },
+    Article: {
+        feature: 'Article',
+        recommended: ['headline', 'image', 'datePublished', 'dateModified', 'author']
+    },
+    JobPosting: {
+        feature: 'Job posting',
+        required: ['title', 'description', 'datePosted', 'hiringOrganization', 'jobLocation'],
+        recommended: ['validThrough', 'employmentType', 'baseSalary', 'identifier'],
+        // Remote jobs name where applicants may live instead of a location
+        exempt: {
+            jobLocation: node => node.jobLocationType === 'TELECOMMUTE' && Boolean(node.applicantLocationRequirements)
+        }
+    },
+    WebSite: {
+        feature: 'Site name',
+        required: ['name', 'url']
+    },
+    Service: {
+        feature: 'Service',
+        recommended: ['name', 'description', 'provider']
+    },
+    FAQPage: {
+        feature: 'FAQ',
+        required: ['mainEntity']
+    },
+    Question: {
+        feature: 'FAQ',
+        nested: true,
+        required: ['name', 'acceptedAnswer']
+    },
+    Answer: {
+        feature: 'FAQ',
+        nested: true,
+        required: ['text']
+    },
+    BreadcrumbList: {
+        feature: 'Breadcrumb',
+        required: ['itemListElement']
+    },
+    Course: {
+        feature: 'Course info',
+        required: ['name', 'description'],
+        recommended: ['provider']
+    }
+};
+
+const EMPLOYMENT_TYPES = ['FULL_TIME', 'PART_TIME', 'CONTRACTOR', 'TEMPORARY', 'INTERN', 'VOLUNTEER', 'PER_DIEM', 'OTHER'];
+
+/**
+ * Value formats: each returns null when the value is fine, otherwise the
+ * severity and message of the problem
+ */
+const FORMATS = {
+    Text: value => (typeof value === 'string' || typeof value === 'number'
+        ? null
+        : { severity: 'warning', message: 'should be text' }),
+    URL: value => {
+        if (typeof value !== 'string') return { severity: 'error', message: 'should be a URL' };
+        try {
+            const url = new URL(value);
+            if (!/^https?:$/.test(url.protocol)) return { severity: 'error', message: `"${value}" is not an http(s) URL` };
+            if (url.protocol === 'http:') return { severity: 'warning', message: `"${value}" should use https` };
+            return null;
+        } catch (error) {
+            return { severity: 'error', message: `"${value}" is not an absolute URL` };
+        }
+    },
+    Date: value => (typeof value === 'string' && isIsoDate(value)
+        ? null
+        : { severity: 'error', message: `"${value}" is not an ISO 8601 date` }),
+    Time: value => (typeof value === 'string' && /^([01]\d|2[0-3]):[0-5]\d(:[0-5]\d)?$/.test(value)
+        ? null
+        : { severity: 'error', message: `"${value}" is not a hh:mm time` }),
+    Number: value => (isNumeric(value) ? null : { severity: 'error', message: `"${value}" is not a number` }),
+    Boolean: value => (typeof value === 'boolean' ? null : { severity: 'warning', message: 'should be true or false' }),
+    Latitude: value => (isNumeric(value) && Math.abs(Number(value)) <= 90
+        ? null
+        : { severity: 'error', message: `"${value}" is not a latitude between -90 and 90` }),
+    Longitude: value => (isNumeric(value) && Math.abs(Number(value)) <= 180
+        ? null
+        : { severity: 'error', message: `"${value}" is not a longitude between -180 and 180` }),
+    Email: value => (typeof value === 'string' && /^(mailto:)?[^\s@]+@[^\s@]+\.[^\s@]+$/.test(value)
+        ? null
+        : { severity: 'error', message: `"${value}" is not an e-mail address` }),
+    Telephone: value => {
+        const text = String(value);
+        const digits = text.replace(/\D/g, '');
+        if (!/^\+?[\d\s().-]+$/.test(text) || digits.length < 7 || digits.length > 15) {
+            return { severity: 'error', message: `"${text}" is not a phone number` };
+        }
+        if (!text.startsWith('+')) {
+            return { severity: 'warning', message: `"${text}" should be in international format, e.g. +91 ...` };
+        }
+        return null;
+    },
+    PostalCode: value => (/^[A-Za-z0-9][A-Za-z0-9 -]{1,9}$/.test(String(value))
+        ? null
+        : { severity: 'error', message: `"${value}" is not a postal code` }),
+    CountryCode: value => (typeof value === 'string' && /^[A-Z]{2}$/.test(value)
+        ? null
+        : { severity: 'warning', message: `"${value}" should be a two-letter ISO 3166-1 country code` }),
+    CurrencyCode: value => (typeof value === 'string' && /^[A-Z]{3}$/.test(value)
+        ? null
+        : { severity: 'warning', message: `"${value}" should be a three-letter ISO 4217 currency code` }),
+    EmploymentType: value => (EMPLOYMENT_TYPES.includes(value)
+        ? null
+        : { severity: 'error', message: `"${value}" is not one of ${EMPLOYMENT_TYPES.join(', ')}` })
+};
+
+// Postal code patterns of the countries the site has offices in
+const POSTAL_CODES = {
+    IN: /^[1-9]\d{5}$/
+};
+
+const SEVERITIES = ['error', 'warning', 'notice'];
+
+function isNumeric(value) {
+    return (typeof value === 'number' && isFinite(value)) ||
+        (typeof value === 'string' && value.trim() !== '' && isFinite(Number(value)));
+}
+
+/**
+ * ISO 8601 date or date-time; reduced precision (2010, 2010-05) is allowed
+ */
+function isIsoDate(value) {
+    const match = value.match(/^(\d{4})(?:-(\d{2})(?:-(\d{2})(?:T\d{2}:\d{2}(?::\d{2}(?:\.\d+)?)?(?:Z|[+-]\d{2}:?\d{2})?)?)?)?$/);
+    if (!match) return false;
+
+    const month = match[2] ? Number(match[2]) : 1;
+    const day = match[3] ? Number(match[3]) : 1;
+    const date = new Date(Date.UTC(Number(match[1]), month - 1, day));
+    return date.getUTCMonth() === month - 1 && date.getUTCDate() === day;
+}
+
+class StructuredDataValidator {
+    constructor(options = {}) {
+        this.publicDir = options.publicDir || path.join(__dirname, '..', 'public');
+        this.reportsDir = options.reportsDir || path.join(__dirname, '..', 'reports');
+        this.types = options.types || TYPES;
+        this.richResults = options.richResults || RICH_RESULTS;
+    }
+
+    /**
+     * HTML pages under the public directory, relative to it
+     */
+    getHtmlFiles(dir = this.publicDir, prefix = '') {
+        const files = [];
+
+        fs.readdirSync(dir, { withFileTypes: true }).forEach(entry => {
+            const file = `${prefix}${entry.name}`;
+            if (entry.isDirectory()) {
+                if (file !== 'assets') files.push(...this.getHtmlFiles(path.join(dir, entry.name), `${file}/`));
+            } else if (entry.name.endsWith('.html')) {
+                files.push(file);
+            }
+        });
+
+        return files.sort();
+    }
+
+    /**
+     * Whether a type is the expected type or one of its subtypes
+     */
+    isSubtype(type, expected) {
+        for (let current = type; current; current = this.types[current] && this.types[current].parent) {
+            if (current === expected) return true;
+        }
+        return false;
+    }
+
+    /**
+     * Accepted kinds of a property on a type, looked up through its parents
+     */
+    getPropertyKinds(type, property) {
+        for (let current = type; current; current = this.types[current].parent) {
+            const properties = this.types[current].properties || {};
+            if (Object.prototype.hasOwnProperty.call(properties, property)) {
+                return [].concat(properties[property]);
+            }
+        }
+        return null;
+    }
+
+    getRichResultRules(type) {
+        for (let current = type; current; current = this.types[current].parent) {
+            if (this.richResults[current]) return this.richResults[current];
+        }
+        return null;
+    }
+
+    /**
+     * Validate the JSON-LD of one page
+     */
+    validateHtml(html, file) {
+        const document = new JSDOM(html).window.document;
+        const scripts = Array.from(document.querySelectorAll('script[type="application/ld+json"]'));
+        const page = { file, blocks: scripts.length, types: [], issues: [] };
+        const faqPages = [];
+
+        scripts.forEach((script, index) => {
+            const report = (severity, location, message) => {
+                page.issues.push({ severity, block: index + 1, path: location, message });
+            };
+
+            let data;
+            try {
+                data = JSON.parse(script.textContent);
+            } catch (error) {
+                report('error', '', `Invalid JSON: ${error.message}`);
+                return;
+            }
+
+            [].concat(data).forEach((root, rootIndex) => {
+                const location = Array.isArray(data) ? `[${rootIndex}]` : '';
+                if (!root || typeof root !== 'object') {
+                    report('error', location, 'JSON-LD must be an object');
+                    return;
+                }
+                if (!/^https?:\/\/schema\.org\/?$/.test(root['@context'] || '')) {
+                    report('error', location, '@context should be "https://schema.org"');
+                }
+
+                const nodes = Array.isArray(root['@graph']) ? root['@graph'] : [root];
+                nodes.forEach((node, nodeIndex) => {
+                    const nodePath = root['@graph'] ? `${location}@graph[${nodeIndex}]` : location;
+                    this.validateNode(node, null, nodePath, report, page.types);
+                    if (node && [].concat(node['@type']).includes('FAQPage')) {
+                        faqPages.push({ node, report, location: nodePath || 'FAQPage' });
+                    }
+                });
+            });
+        });
+
+        faqPages.forEach(faqPage => this.checkVisibleFaqs(document, faqPage.node, faqPage.location, faqPage.report));
+
+        page.severity = StructuredDataValidator.getSeverity(page.issues);
+        return page;
+    }
+
+    /**
+     * Questions and answers shown in the page's FAQ accordion, with the
+     * text of each normalised
+     */
+    getVisibleFaqs(document) {
+        return Array.from(document.querySelectorAll('.accordion-item')).map(item => ({
+            question: StructuredDataValidator.normalizeText(item.querySelector('.accordion-title')),
+            answer: StructuredDataValidator.normalizeText(item.querySelector('.accordion-content'))
+        })).filter(faq => faq.question);
+    }
+
+    /**
+     * Google requires FAQPage markup to match the questions and answers
+     * visible on the page; any difference is an error
+     */
+    checkVisibleFaqs(document, node, location, report) {
+        const visible = this.getVisibleFaqs(document);
+        const questions = [].concat(node.mainEntity || []).filter(question => question && typeof question === 'object');
+
+        if (visible.length === 0) {
+            report('error', location, 'FAQPage markup but no FAQ accordion (.accordion-item) on the page');
+            return;
+        }
+
+        questions.forEach((question, index) => {
+            const name = StructuredDataValidator.normalizeText(question.name, document);
+            const shown = visible.find(faq => faq.question === name);
+            const questionPath = `${location}.mainEntity[${index}]`;
+
+            if (!shown) {
+                report('error', questionPath, `Question "${name}" is not shown on the page`);
+                return;
+            }
+            const answer = question.acceptedAnswer && StructuredDataValidator.normalizeText(question.acceptedAnswer.text, document);
+            if (answer && answer !== shown.answer) {
+                report('error', `${questionPath}.acceptedAnswer`, `Answer to "${name}" differs from the one shown on the page`);
+            }
+        });
+
+        const names = questions.map(question => StructuredDataValidator.normalizeText(question.name, document));
+        visible.filter(faq => !names.includes(faq.question)).forEach(faq => {
+            report('error', location, `Question "${faq.question}" is shown on the page but missing from the FAQPage markup`);
+        });
+    }
+
+    /**
+     * Whitespace-normalised text of an element, or of a string that may
+     * contain HTML (answers in JSON-LD may use basic markup)
+     */
+    static normalizeText(value, document) {
+        if (!value) return '';
+        let text = typeof value.textContent === 'string' ? value.textContent : String(value);
+        if (typeof value === 'string') {
+            const element = document.createElement('div');
+            element.innerHTML = value;
+            text = element.textContent;
+        }
+        return text.replace(/\s+/g, ' ').trim();
+    }
+
+    validateFile(file) {
+        return this.validateHtml(fs.readFileSync(path.join(this.publicDir, file), 'utf8'), file);
+    }
+
+    /**
+     * Validate an object against its @type: known properties, value kinds
+     * and rich result requirements, then its nested objects
+     */
+    validateNode(node, expected, location, report, types) {
+        const nodeTypes = [].concat(node['@type'] || []);
+        const label = location || nodeTypes[0] || 'item';
+
+        if (nodeTypes.length === 0) {
+            if (!node['@id'] || Object.keys(node).some(key => !key.startsWith('@'))) {
+                report(expected ? 'warning' : 'error', label, `Missing @type${expected ? `; expected ${expected.join(' or ')}` : ''}`);
+            }
+            return;
+        }
+
+        const type = nodeTypes.find(candidate => this.types[candidate]);
+        if (!type) {
+            report('warning', label, `Unknown type "${nodeTypes.join(', ')}"; its properties were not checked`);
+            return;
+        }
+        if (!expected) types.push(type);
+
+        if (expected && !expected.some(kind => this.isSubtype(type, kind))) {
+            report('warning', label, `${type} found where ${expected.join(' or ')} is expected`);
+        }
+
+        Object.keys(node).forEach(property => {
+            if (property.startsWith('@')) return;
+
+            const propertyPath = location ? `${location}.${property}` : `${type}.${property}`;
+            const kinds = this.getPropertyKinds(type, property);
+            if (!kinds) {
+                report('warning', propertyPath, `"${property}" is not defined for ${type}`);
+                return;
+            }
+
+            const values = [].concat(node[property]);
+            if (values.length === 0 || values.some(value => value === '' || value === null)) {
+                report('warning', propertyPath, 'Empty value');
+                return;
+            }
+            values.forEach((value, index) => {
+                const valuePath = Array.isArray(node[property]) ? `${propertyPath}[${index}]` : propertyPath;
+                this.validateValue(value, kinds, valuePath, report, types);
+            });
+        });
+
+        this.checkRichResults(node, type, location || type, report, Boolean(expected));
+        this.checkPostalCode(node, type, location || type, report);
+    }
+
+    validateValue(value, kinds, location, report, types) {
+        const typeKinds = kinds.filter(kind => this.types[kind]);
+        const formatKinds = kinds.filter(kind => FORMATS[kind]);
+
+        if (value && typeof value === 'object') {
+            if (typeKinds.length === 0) {
+                report('warning', location, `should be ${formatKinds.join(' or ')}, not an object`);
+                return;
+            }
+            this.validateNode(value, typeKinds, location, report, types);
+            return;
+        }
+
+        if (formatKinds.length === 0) {
+            report('warning', location, `should be a ${typeKinds.join(' or ')} object`);
+            return;
+        }
+
+        // Report the problem of the closest matching format
+        const problems = formatKinds.map(kind => FORMATS[kind](value));
+        if (problems.every(Boolean)) {
+            const problem = problems.find(candidate => candidate.severity === 'warning') || problems[0];
+            report(problem.severity, location, problem.message);
+        }
+    }
+
+    checkRichResults(node, type, location, report, nested) {
+        const rules = this.getRichResultRules(type);
+        if (!rules || (nested && !rules.nested)) return;
+
+        const exempt = rules.exempt || {};
+        const missing = properties => properties.filter(property =>
+            (node[property] === undefined || node[property] === '') && !(exempt[property] && exempt[property](node))
+        );
+
+        missing(rules.required || []).forEach(property => {
+            report('error', location, `Missing "${property}", required for ${rules.feature} rich results`);
+        });
+        missing(rules.recommended || []).forEach(property => {
+            report('notice', location, `Missing "${property}", recommended for ${rules.feature} rich results`);
+        });
+    }
+
+    checkPostalCode(node, type, location, report) {
+        if (!this.isSubtype(type, 'PostalAddress') || !node.postalCode) return;
+
+        const country = typeof node.addressCountry === 'string' ? node.addressCountry : null;
+        const pattern = POSTAL_CODES[country];
+        if (pattern && !pattern.test(String(node.postalCode))) {
+            report('error', `${location}.postalCode`, `"${node.postalCode}" is not a valid ${country} postal code`);
+        }
+    }
+
+    static getSeverity(issues) {
+        return SEVERITIES.find(severity => issues.some(issue => issue.severity === severity)) || 'ok';
+    }
+
+    /**
+     * Validate every page; pages without JSON-LD are counted but not listed
+     */
+    validateAll() {
+        const files = this.getHtmlFiles();
+        const pages = files.map(file => this.validateFile(file)).filter(page => page.blocks > 0);
+        const count = severity => pages.reduce((sum, page) =>
+            sum + page.issues.filter(issue => issue.severity === severity).length, 0);
+
+        return {
+            timestamp: new Date().toISOString(),
+            summary: {
+                totalPages: files.length,
+                withStructuredData: pages.length,
+                blocks: pages.reduce((sum, page) => sum + page.blocks, 0),
+                errors: count('error'),
+                warnings: count('warning'),
+                notices: count('notice'),
+                pagesWithErrors: pages.filter(page => page.severity === 'error').length
+            },
+            pages
+        };
+    }
+
+    printSummary(report, options = {}) {
+        const icons = { error: '❌', warning: '⚠️ ', notice: 'ℹ️ ', ok: '✅' };
+        const summary = report.summary;
+
+        console.log('📊 Structured Data Validation');
+        console.log('=============================\n');
+        console.log(`Pages with JSON-LD: ${summary.withStructuredData}/${summary.totalPages} (${summary.blocks} blocks)`);
+        console.log(`Errors: ${summary.errors}, warnings: ${summary.warnings}, notices: ${summary.notices}\n`);
+
+        report.pages.forEach(page => {
+            const issues = page.issues.filter(issue => options.verbose || issue.severity !== 'notice');
+            console.log(`${icons[page.severity]} ${page.file}${page.types.length > 0 ? ` (${page.types.join(', ')})` : ''}`);
+            issues.forEach(issue => {
+                console.log(`   ${icons[issue.severity]} block ${issue.block}${issue.path ? ` ${issue.path}` : ''}: ${issue.message}`);
+            });
+        });
+    }
+
+    run(options = {}) {
+        const report = this.validateAll();
+        this.printSummary(report, options);
+
+        fs.mkdirSync(this.reportsDir, { recursive: true });
+        const reportPath = path.join(this.reportsDir, 'structured-data-report.json');
+        fs.writeFileSync(reportPath, JSON.stringify(report, null, 2));
+        console.log(`\n📄 Report saved to: ${path.relative(process.cwd(), reportPath)}`);
+
+        return report;
+    }
+}
+
+StructuredDataValidator.TYPES = TYPES;
+StructuredDataValidator.RICH_RESULTS = RICH_RESULTS;
+StructuredDataValidator.FORMATS = FORMATS;
+
+// CLI execution
+if (require.main === module) {
+    const args = process.argv.slice(2);
+    const getArg = name => {
+        const index = args.indexOf(`--${name}`);
+        return index !== -1 ? args[index + 1] : null;
+    };
+
+    if (args.includes('--help')) {
+        console.log(`
+Usage: node scripts/structured-data-validator.js [options]
+
+Validates the JSON-LD in public/ without network access and writes
+reports/structured-data-report.json. Exits with status 1 when a page has
+errors (invalid JSON, missing required properties, malformed values).
+
+Options:
+  --public-dir <dir>   Pages to validate (default: public/)
+  --verbose            Also list notices (missing recommended properties)
+`);
+        process.exit(0);
+    }
+
+    try {
+        const validator = new StructuredDataValidator({
+            publicDir: getArg('public-dir') ? path.resolve(getArg('public-dir')) : undefined
+        });
+        const report = validator.run({ verbose: args.includes('--verbose') });
+        if (report.summary.errors > 0) process.exitCode = 1;
+    } catch (error) {
+        console.error(`❌ ${error.message}`);
+        process.exit(1);
+    }
+}
+
+module.exports = StructuredDataValidator;
@@ -8,12 +8,14 @@
 const fs = require('fs');
 const path = require('path');
 const { JSDOM } = require('jsdom');
+const DryRun = require('./dry-run');
 
 class AssetReferenceUpdater {
   constructor(options = {}) {
     this.publicDir = options.publicDir || 'public';
     this.optimizedDir = options.optimizedDir || 'public/assets/optimized';
     this.assetManifestPath = options.assetManifestPath || 'public/assets/optimized/asset-manifest.json';
+    this.dryRun = options.dryRun || new DryRun();
     this.stats = {
       filesProcessed: 0,
       referencesUpdated: 0,
@@ -286,14 +288,18 @@ class AssetReferenceUpdater {
       // Add performance optimizations
       this.addPerformanceOptimizations(document);
 
-      // Write back to file
+      // Write back to file (or preview the change in dry-run mode)
       const updatedHtml = dom.serialize();
-      fs.writeFileSync(filePath, updatedHtml);
+      this.dryRun.writeFile(filePath, html, updatedHtml);
       
       this.stats.filesProcessed++;
       this.stats.referencesUpdated += totalUpdates;
       
-      console.log(`  ✓ Updated ${totalUpdates} asset references`);
+      if (this.dryRun.enabled) {
+        console.log(`  🔍 Would update ${totalUpdates} asset references`);
+      } else {
+        console.log(`  ✓ Updated ${totalUpdates} asset references`);
+      }
       
     } catch (error) {
       console.error(`Error processing ${filePath}:`, error.message);
@@ -321,6 +327,12 @@ class AssetReferenceUpdater {
       this.processHtmlFile(filePath);
     }
 
+    if (this.dryRun.enabled) {
+      console.log(`\nReferences that would be updated: ${this.stats.referencesUpdated}`);
+      this.dryRun.printSummary();
+      return;
+    }
+
     // Print statistics
     this.printStats();
   }
@@ -357,8 +369,8 @@ if (require.main === module) {
     process.exit(1);
   }
 
-  const args = process.argv.slice(2);
-  const options = {};
+  const args = process.argv.slice(2).filter(arg => arg !== '--dry-run');
+  const options = { dryRun: DryRun.fromArgs() };
 
   // Parse command line arguments
   for (let i = 0; i < args.length; i += 2) {
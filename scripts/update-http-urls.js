@@ -8,10 +8,12 @@
 
 const fs = require('fs');
 const path = require('path');
+const DryRun = require('./dry-run');
 
 class HTTPSUpdater {
-    constructor() {
-        this.publicDir = path.join(__dirname, '../public');
+    constructor(options = {}) {
+        this.publicDir = options.publicDir || path.join(__dirname, '../public');
+        this.dryRun = options.dryRun || new DryRun();
         this.results = {
             filesProcessed: 0,
             urlsUpdated: 0,
@@ -78,12 +80,12 @@ class HTTPSUpdater {
                 const { content: updatedContent, updateCount } = this.updateHttpUrls(originalContent);
 
                 if (updateCount > 0) {
-                    fs.writeFileSync(filePath, updatedContent, 'utf8');
+                    this.dryRun.writeFile(filePath, originalContent, updatedContent);
                     this.results.filesProcessed++;
                     this.results.urlsUpdated += updateCount;
                     
                     const relativePath = path.relative(this.publicDir, filePath);
-                    console.log(`✅ Updated ${updateCount} URL(s) in: ${relativePath}`);
+                    console.log(`${this.dryRun.enabled ? '🔍 Would update' : '✅ Updated'} ${updateCount} URL(s) in: ${relativePath}`);
                 }
 
             } catch (error) {
@@ -92,6 +94,12 @@ class HTTPSUpdater {
             }
         }
 
+        if (this.dryRun.enabled) {
+            console.log(`\nURLs that would be updated: ${this.results.urlsUpdated}`);
+            this.dryRun.printSummary();
+            return;
+        }
+
         this.generateReport();
     }
 
@@ -121,7 +129,7 @@ class HTTPSUpdater {
 
 // Run the updater
 if (require.main === module) {
-    const updater = new HTTPSUpdater();
+    const updater = new HTTPSUpdater({ dryRun: DryRun.fromArgs() });
     updater.processFiles();
 }
 
@@ -0,0 +1,526 @@
+#!/usr/bin/env node
+
+/**
+ * Test Suite for the Backup Manager
+ * Tests the content-addressed store of content/scripts/backup-manager.js
+ * against a temporary copy of a small site.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const BackupManager = require('../content/scripts/backup-manager');
+const TarArchive = require('../content/scripts/tar-archive');
+
+class BackupManagerTest {
+    constructor() {
+        this.testResults = {
+            passed: 0,
+            failed: 0,
+            total: 0,
+            details: []
+        };
+        this.tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'backup-manager-test-'));
+    }
+
+    /**
+     * Run all backup manager tests
+     */
+    async runAllTests() {
+        console.log('🧪 Running Backup Manager Tests\n');
+
+        try {
+            this.testVerify();
+            this.testDeduplication();
+            this.testBackupIds();
+            this.testPruning();
+            this.testSourcePaths();
+            this.testImport();
+            this.testRestoreOldest();
+            this.testRetentionPlan();
+            this.testSnapshotRetention();
+            this.testCleanupDryRun();
+
+            this.displayTestResults();
+            return this.testResults.failed === 0;
+
+        } catch (error) {
+            console.error('❌ Test suite failed:', error.stack);
+            return false;
+        } finally {
+            fs.rmSync(this.tempDir, { recursive: true, force: true });
+        }
+    }
+
+    /**
+     * Fresh site with one data file, one template and one page, and a
+     * manager for it
+     */
+    createSite(name, options = {}) {
+        const siteDir = path.join(this.tempDir, name);
+        const contentDir = path.join(siteDir, 'content');
+        const publicDir = path.join(siteDir, 'public');
+        fs.mkdirSync(path.join(contentDir, 'data'), { recursive: true });
+        fs.mkdirSync(path.join(contentDir, 'templates'), { recursive: true });
+        fs.mkdirSync(publicDir, { recursive: true });
+        fs.writeFileSync(path.join(contentDir, 'data', 'services.json'), '{"services": []}\n');
+        fs.writeFileSync(path.join(contentDir, 'templates', 'page-template.html'), '<main>{{title}}</main>\n');
+        fs.writeFileSync(path.join(publicDir, 'index.html'), '<h1>Home</h1>\n');
+
+        const manager = new BackupManager({ contentDir, publicDir, mirrors: [], ...options });
+        return { siteDir, contentDir, publicDir, manager };
+    }
+
+    /**
+     * Run a manager call without its console output
+     */
+    quietly(callback) {
+        const log = console.log;
+        const error = console.error;
+        console.log = () => {};
+        console.error = () => {};
+        try {
+            return callback();
+        } finally {
+            console.log = log;
+            console.error = error;
+        }
+    }
+
+    createBackup(manager, description) {
+        return this.quietly(() => manager.createBackup(description));
+    }
+
+    countObjects(manager) {
+        if (!fs.existsSync(manager.objectsDir)) return 0;
+        return fs.readdirSync(manager.objectsDir)
+            .reduce((count, prefix) => count + fs.readdirSync(path.join(manager.objectsDir, prefix)).length, 0);
+    }
+
+    /**
+     * Test that verify finds missing and altered objects
+     */
+    testVerify() {
+        console.log('🔍 Testing backup verification...');
+
+        const { manager } = this.createSite('verify');
+        const backupId = this.createBackup(manager, 'Verified backup');
+        this.assert(this.quietly(() => manager.verifyBackup(backupId)), 'An intact backup should verify');
+
+        const manifest = manager.readManifest(backupId);
+        const services = manifest.files.find(file => file.path === 'data/services.json');
+        const index = manifest.files.find(file => file.path === 'public/index.html');
+        fs.writeFileSync(manager.getObjectPath(services.hash), '{"services": ["tampered"]}\n');
+        fs.unlinkSync(manager.getObjectPath(index.hash));
+
+        const { missing, altered } = manager.checkBackup(manifest);
+        this.assert(
+            JSON.stringify(missing) === '["public/index.html"]',
+            `A deleted object should be reported missing (got ${JSON.stringify(missing)})`
+        );
+        this.assert(
+            JSON.stringify(altered) === '["data/services.json"]',
+            `A changed object should be reported altered (got ${JSON.stringify(altered)})`
+        );
+        this.assert(!this.quietly(() => manager.verifyBackup(backupId)), 'A damaged backup should fail verification');
+        this.assert(!this.quietly(() => manager.restoreBackup(backupId)), 'A damaged backup should not be restored');
+    }
+
+    /**
+     * Test that identical content is stored once, within a backup and
+     * across backups
+     */
+    testDeduplication() {
+        console.log('🧬 Testing deduplication...');
+
+        const { contentDir, publicDir, manager } = this.createSite('dedup');
+        fs.writeFileSync(path.join(publicDir, 'copy.html'), '<h1>Home</h1>\n');
+
+        const firstId = this.createBackup(manager, 'First backup');
+        const first = manager.readManifest(firstId);
+        this.assert(first.files.length === 4, 'Every file should be listed in the manifest');
+        this.assert(this.countObjects(manager) === 3, 'Files with the same content should share one object');
+        this.assert(first.addedFiles === 3, `Only distinct contents should count as added (got ${first.addedFiles})`);
+
+        const secondId = this.createBackup(manager, 'Unchanged backup');
+        const second = manager.readManifest(secondId);
+        this.assert(second.addedSize === 0 && second.addedFiles === 0, 'A backup of unchanged files should store nothing');
+        this.assert(manager.versions.versions[0].added === 0, 'versions.json should record the bytes added');
+
+        fs.writeFileSync(path.join(contentDir, 'data', 'services.json'), '{"services": ["roofing"]}\n');
+        const thirdId = this.createBackup(manager, 'Changed backup');
+        const third = manager.readManifest(thirdId);
+        this.assert(third.addedFiles === 1, `Only the changed file should be stored (got ${third.addedFiles})`);
+        this.assert(this.countObjects(manager) === 4, 'The store should hold one more object after a change');
+    }
+
+    /**
+     * Test that backups made within the same millisecond get distinct ids
+     */
+    testBackupIds() {
+        console.log('🆔 Testing backup ids...');
+
+        const { contentDir, manager } = this.createSite('ids', { retention: { keepLast: 10 } });
+        const RealDate = Date;
+        const frozen = new RealDate('2026-10-18T10:00:00.000Z');
+        // Every backup below is made at the same instant
+        global.Date = class extends RealDate {
+            constructor(...args) {
+                super(...(args.length > 0 ? args : [frozen]));
+            }
+        };
+
+        let ids;
+        try {
+            ids = ['first', 'second', 'third'].map(name => {
+                fs.writeFileSync(path.join(contentDir, 'data', 'services.json'), `{"services": ["${name}"]}\n`);
+                return this.createBackup(manager, `${name} backup`);
+            });
+        } finally {
+            global.Date = RealDate;
+        }
+
+        this.assert(
+            JSON.stringify(ids) === JSON.stringify([
+                'backup-2026-10-18T10-00-00-000Z',
+                'backup-2026-10-18T10-00-00-000Z-2',
+                'backup-2026-10-18T10-00-00-000Z-3'
+            ]),
+            `Backups made in the same millisecond should get numbered ids (got ${JSON.stringify(ids)})`
+        );
+        this.assert(manager.versions.versions.length === 3, 'Each backup should have its own entry in versions.json');
+        this.assert(
+            ids.every((id, index) => manager.readManifest(id).description === `${['first', 'second', 'third'][index]} backup`),
+            'No manifest should be overwritten by a later backup'
+        );
+    }
+
+    /**
+     * Test that removing backups deletes only the objects no remaining
+     * backup refers to
+     */
+    testPruning() {
+        console.log('🧹 Testing object pruning...');
+
+        const { contentDir, manager } = this.createSite('prune', { retention: { keepLast: 10 } });
+        const servicesPath = path.join(contentDir, 'data', 'services.json');
+
+        const firstId = this.createBackup(manager, 'First backup');
+        fs.writeFileSync(servicesPath, '{"services": ["roofing"]}\n');
+        const secondId = this.createBackup(manager, 'Second backup');
+        const firstHash = manager.readManifest(firstId).files.find(file => file.path === 'data/services.json').hash;
+        const secondHash = manager.readManifest(secondId).files.find(file => file.path === 'data/services.json').hash;
+
+        const freed = manager.removeBackups([manager.findVersion(firstId)]);
+        this.assert(freed === '{"services": []}\n'.length, `Only the unshared object should be freed (freed ${freed} bytes)`);
+        this.assert(!manager.hasObject(firstHash), 'An object only the removed backup used should be deleted');
+        this.assert(manager.hasObject(secondHash), 'Objects of the remaining backup should be kept');
+        this.assert(manager.readManifest(firstId) === null, 'The manifest of a removed backup should be deleted');
+        this.assert(this.quietly(() => manager.verifyBackup(secondId)), 'The remaining backup should still verify');
+        this.assert(manager.pruneObjects() === 0, 'Pruning again should free nothing');
+    }
+
+    /**
+     * Test that manifest paths cannot point outside their source directory
+     */
+    testSourcePaths() {
+        console.log('🧭 Testing manifest path resolution...');
+
+        const { contentDir, publicDir, manager } = this.createSite('paths');
+        this.assert(
+            manager.resolveSourcePath('data/services.json') === path.join(contentDir, 'data', 'services.json') &&
+            manager.resolveSourcePath('public/blog/post.html') === path.join(publicDir, 'blog', 'post.html'),
+            'Manifest paths should resolve into their source directory'
+        );
+
+        ['public/../../escaped.txt', 'data/../templates/page-template.html', 'data/..', 'templates/.', 'other/file.txt', 'data']
+            .forEach(manifestPath => {
+                let error = null;
+                try {
+                    manager.resolveSourcePath(manifestPath);
+                } catch (caught) {
+                    error = caught;
+                }
+                this.assert(error !== null, `${manifestPath} should be rejected`);
+            });
+    }
+
+    /**
+     * Test that exported backups import into another store and that
+     * archives with paths leading out of the site are rejected
+     */
+    testImport() {
+        console.log('📦 Testing backup import...');
+
+        const source = this.createSite('export');
+        const target = this.createSite('import');
+        const backupId = this.createBackup(source.manager, 'Exported backup');
+        const archiveFile = path.join(this.tempDir, `${backupId}.tar.gz`);
+        this.quietly(() => source.manager.exportBackup(backupId, archiveFile));
+
+        this.assert(this.quietly(() => target.manager.importBackup(archiveFile)) === backupId, 'An exported backup should import');
+        this.assert(this.quietly(() => target.manager.verifyBackup(backupId)), 'An imported backup should verify');
+
+        const hash = content => crypto.createHash('sha256').update(content).digest('hex');
+        const payload = Buffer.from('escaped\n');
+        const maliciousArchive = (id, filePath) => {
+            const manifest = Buffer.from(JSON.stringify({
+                id,
+                timestamp: new Date().toISOString(),
+                description: 'Malicious backup',
+                algorithm: 'sha256',
+                files: [{ path: filePath, size: payload.length, hash: hash(payload), modified: new Date().toISOString() }],
+                totalSize: payload.length
+            }));
+            const sums = `${hash(manifest)}  manifest.json\n${hash(payload)}  ${filePath}\n`;
+            const archive = path.join(this.tempDir, 'malicious.tar.gz');
+            fs.writeFileSync(archive, TarArchive.create([
+                { name: `${id}/manifest.json`, content: manifest },
+                { name: `${id}/SHA256SUMS`, content: sums },
+                { name: `${id}/${filePath}`, content: payload }
+            ]));
+            return archive;
+        };
+
+        [
+            ['backup-evil', 'public/../../escaped.txt'],
+            ['backup-evil', 'public/./index.html'],
+            ['backup-evil', `public/${path.join(this.tempDir, 'escaped.txt')}`],
+            ['..', 'public/escaped.html']
+        ].forEach(([id, filePath]) => {
+            const archive = maliciousArchive(id, filePath);
+            this.assert(this.quietly(() => target.manager.importBackup(archive)) === null, `An archive with ${id}/${filePath} should be rejected`);
+        });
+
+        this.assert(
+            !fs.existsSync(path.join(target.siteDir, 'escaped.txt')) && !fs.existsSync(path.join(this.tempDir, 'escaped.txt')),
+            'A rejected archive should write nothing outside the site'
+        );
+        this.assert(
+            target.manager.versions.versions.length === 1 && !target.manager.hasObject(hash(payload)),
+            'A rejected archive should add nothing to the store'
+        );
+    }
+
+    /**
+     * Test restoring the oldest backup when the pre-restore snapshot would
+     * push it out of keepLast
+     */
+    testRestoreOldest() {
+        console.log('⏪ Testing restore of the oldest backup...');
+
+        const { contentDir, manager } = this.createSite('restore', { retention: { keepLast: 3 } });
+        const servicesPath = path.join(contentDir, 'data', 'services.json');
+
+        const oldestId = this.createBackup(manager, 'First backup');
+        fs.writeFileSync(servicesPath, '{"services": ["roofing"]}\n');
+        this.createBackup(manager, 'Second backup');
+        fs.writeFileSync(servicesPath, '{"services": ["roofing", "siding"]}\n');
+        this.createBackup(manager, 'Third backup');
+
+        let restored = false;
+        let error = null;
+        try {
+            restored = this.quietly(() => manager.restoreBackup(oldestId));
+        } catch (caught) {
+            error = caught;
+        }
+        this.assert(restored && error === null, `Restoring the oldest backup should succeed${error ? ` (${error.message})` : ''}`);
+        this.assert(fs.readFileSync(servicesPath, 'utf8') === '{"services": []}\n', 'The oldest backup should be restored');
+        this.assert(
+            manager.findVersion(oldestId) && this.quietly(() => manager.verifyBackup(oldestId)),
+            'The restored backup should survive its pre-restore snapshot'
+        );
+
+        this.assert(this.quietly(() => manager.rollbackRestore()), 'The restore should roll back');
+        this.assert(
+            fs.readFileSync(servicesPath, 'utf8') === '{"services": ["roofing", "siding"]}\n',
+            'Rolling back should bring back the files from before the restore'
+        );
+    }
+
+    /**
+     * Ids a retention policy expires for backups made at the given times,
+     * with ids backup-0, backup-1, ... in the order given
+     */
+    planExpired(manager, timestamps, policy) {
+        manager.versions.versions = timestamps.map((timestamp, index) => ({
+            id: `backup-${index}`,
+            timestamp,
+            description: `Backup ${index}`
+        }));
+        return manager.planRetention(policy)
+            .filter(entry => entry.reasons.length === 0)
+            .map(entry => entry.version.id);
+    }
+
+    /**
+     * Test which backups keepLast, the daily, weekly and monthly buckets and
+     * pins keep
+     */
+    testRetentionPlan() {
+        console.log('🗓️  Testing the retention plan...');
+
+        const { manager } = this.createSite('retention');
+        const expect = (actual, expected, message) => {
+            this.assert(JSON.stringify(actual) === JSON.stringify(expected), `${message} (got ${JSON.stringify(actual)})`);
+        };
+
+        const recent = ['2026-10-18T10:00:00Z', '2026-10-18T09:00:00Z', '2026-10-18T08:00:00Z', '2026-10-17T12:00:00Z'];
+        expect(this.planExpired(manager, recent, { keepLast: 2 }), ['backup-2', 'backup-3'], 'keepLast should keep the newest backups');
+        expect(this.planExpired(manager, recent, { keepLast: 0 }), ['backup-1', 'backup-2', 'backup-3'], 'The newest backup should always be kept');
+        expect(
+            this.planExpired(manager, recent.slice().reverse(), { keepLast: 1 }),
+            ['backup-2', 'backup-1', 'backup-0'],
+            'Backups should be ordered by time, not by their place in versions.json'
+        );
+
+        expect(
+            this.planExpired(manager, ['2026-10-18T10:00:00Z', '2026-10-18T08:00:00Z', '2026-10-17T12:00:00Z', '2026-10-15T12:00:00Z'], { keepLast: 1, daily: 2 }),
+            ['backup-1', 'backup-3'],
+            'daily should keep the newest backup of each of the most recent days'
+        );
+
+        // 2026-10-18 is a Sunday, its week starts on Monday 2026-10-12
+        this.assert(
+            BackupManager.getWeekStart(new Date('2026-10-18T23:00:00Z')) === '2026-10-12' &&
+            BackupManager.getWeekStart(new Date('2026-10-12T00:00:00Z')) === '2026-10-12',
+            'Weeks should start on Monday'
+        );
+        expect(
+            this.planExpired(manager, ['2026-10-14T12:00:00Z', '2026-10-08T12:00:00Z', '2026-10-06T12:00:00Z', '2026-09-30T12:00:00Z'], { keepLast: 1, weekly: 2 }),
+            ['backup-2', 'backup-3'],
+            'weekly should keep the newest backup of each of the most recent weeks'
+        );
+        expect(
+            this.planExpired(manager, ['2026-10-01T12:00:00Z', '2026-09-20T12:00:00Z', '2026-09-02T12:00:00Z', '2026-08-15T12:00:00Z'], { keepLast: 1, monthly: 2 }),
+            ['backup-2', 'backup-3'],
+            'monthly should keep the newest backup of each of the most recent months'
+        );
+        expect(
+            this.planExpired(manager, ['2026-10-18T10:00:00Z', '2026-10-11T10:00:00Z', '2026-09-10T10:00:00Z', '2026-09-01T10:00:00Z'], { keepLast: 1, daily: 1, weekly: 2, monthly: 2 }),
+            ['backup-3'],
+            'Buckets should add up, each keeping its own backups'
+        );
+
+        manager.versions.versions[3].pinned = true;
+        manager.versions.versions[3].label = 'launch';
+        const pinned = manager.planRetention({ keepLast: 1 }).find(entry => entry.version.id === 'backup-3');
+        expect(pinned.reasons, ['pinned as "launch"'], 'Pinned backups should be kept whatever their age');
+    }
+
+    /**
+     * Test that a pre-restore snapshot expires nothing, while the next
+     * regular backup applies the retention policy again
+     */
+    testSnapshotRetention() {
+        console.log('📸 Testing retention around pre-restore snapshots...');
+
+        const { contentDir, manager } = this.createSite('snapshot', { retention: { keepLast: 1 } });
+        const restoredId = this.createBackup(manager, 'Restored backup');
+        fs.writeFileSync(path.join(contentDir, 'data', 'services.json'), '{"services": ["roofing"]}\n');
+
+        this.quietly(() => manager.restoreBackup(restoredId));
+        const snapshot = manager.versions.versions.find(version => version.restore);
+        this.assert(
+            snapshot && manager.findVersion(restoredId) && manager.versions.versions.length === 2,
+            'A pre-restore snapshot should not expire the backup it was taken for'
+        );
+
+        const latestId = this.createBackup(manager, 'Regular backup');
+        this.assert(
+            manager.versions.versions.length === 1 && manager.versions.versions[0].id === latestId,
+            'The next regular backup should apply the retention policy'
+        );
+    }
+
+    /**
+     * Test that cleanup --dry-run only lists what it would delete
+     */
+    testCleanupDryRun() {
+        console.log('🧹 Testing cleanup --dry-run...');
+
+        const { contentDir, manager } = this.createSite('cleanup', { retention: { keepLast: 10 } });
+        const servicesPath = path.join(contentDir, 'data', 'services.json');
+        const ids = ['first', 'second', 'third'].map(name => {
+            fs.writeFileSync(servicesPath, `{"services": ["${name}"]}\n`);
+            return this.createBackup(manager, `${name} backup`);
+        });
+
+        const snapshot = () => JSON.stringify({
+            versions: fs.readFileSync(manager.versionsFile, 'utf8'),
+            manifests: fs.readdirSync(manager.manifestsDir).sort(),
+            objects: this.countObjects(manager)
+        });
+        const before = snapshot();
+
+        const expired = this.quietly(() => manager.cleanupOldBackups({ keepLast: 1 }, { dryRun: true }));
+        this.assert(
+            JSON.stringify(expired.slice().sort()) === JSON.stringify(ids.slice(0, 2).sort()),
+            'A dry run should list the backups it would delete'
+        );
+        this.assert(snapshot() === before && manager.versions.versions.length === 3, 'A dry run should delete nothing');
+
+        this.quietly(() => manager.cleanupOldBackups({ keepLast: 1 }));
+        this.assert(
+            manager.versions.versions.length === 1 && fs.readdirSync(manager.manifestsDir).length === 1 && this.countObjects(manager) === 3,
+            'A real cleanup should delete the listed backups and their objects'
+        );
+    }
+
+    /**
+     * Assert helper function
+     */
+    assert(condition, message) {
+        this.testResults.total++;
+
+        if (condition) {
+            this.testResults.passed++;
+            this.testResults.details.push({ status: 'PASS', message });
+        } else {
+            this.testResults.failed++;
+            this.testResults.details.push({ status: 'FAIL', message });
+            console.log(`  ❌ ${message}`);
+        }
+    }
+
+    /**
+     * Display test results
+     */
+    displayTestResults() {
+        console.log('\n' + '='.repeat(60));
+        console.log('🧪 TEST RESULTS SUMMARY');
+        console.log('='.repeat(60));
+
+        console.log(`\nTotal Tests: ${this.testResults.total}`);
+        console.log(`Passed: ${this.testResults.passed}`);
+        console.log(`Failed: ${this.testResults.failed}`);
+
+        if (this.testResults.failed > 0) {
+            console.log('\n❌ Failed Tests:');
+            this.testResults.details
+                .filter(test => test.status === 'FAIL')
+                .forEach(test => console.log(`  - ${test.message}`));
+        }
+
+        console.log(`\nOverall Status: ${this.testResults.failed === 0 ? 'PASSED' : 'FAILED'}`);
+        console.log('\n' + '='.repeat(60));
+    }
+}
+
+// CLI Usage
+if (require.main === module) {
+    const tester = new BackupManagerTest();
+
+    tester.runAllTests()
+        .then(success => {
+            process.exit(success ? 0 : 1);
+        })
+        .catch(error => {
+            console.error('❌ Test execution failed:', error.message);
+            process.exit(1);
+        });
+}
+
+module.exports = BackupManagerTest;
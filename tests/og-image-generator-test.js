@@ -0,0 +1,267 @@
+#!/usr/bin/env node
+
+/**
+ * Test Suite for the Social Card Generator
+ * Tests the SVG layout of scripts/og-image-generator.js and when cards are
+ * redrawn, with a stand-in rasteriser so no rsvg-convert or ImageMagick is
+ * needed.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const OgImageGenerator = require('../scripts/og-image-generator');
+
+class OgImageGeneratorTest {
+    constructor() {
+        this.testResults = {
+            passed: 0,
+            failed: 0,
+            total: 0,
+            details: []
+        };
+        this.tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'og-image-test-'));
+    }
+
+    /**
+     * Run all social card tests
+     */
+    runAllTests() {
+        console.log('🧪 Running Social Card Generator Tests\n');
+
+        try {
+            this.testImagePaths();
+            this.testWrapText();
+            this.testRenderSvg();
+            this.testRedraws();
+            this.testMissingRasteriser();
+
+            this.displayTestResults();
+            return this.testResults.failed === 0;
+
+        } catch (error) {
+            console.error('❌ Test suite failed:', error.stack);
+            return false;
+        } finally {
+            fs.rmSync(this.tempDir, { recursive: true, force: true });
+        }
+    }
+
+    /**
+     * Generator for a temporary assets directory whose cards are the given
+     * list. The stand-in rasteriser writes the SVG itself as the image.
+     */
+    createGenerator(name, cards, options = {}) {
+        const assetsDir = path.join(this.tempDir, name, 'assets');
+        const generator = new OgImageGenerator({
+            publicDir: path.join(this.tempDir, name, 'public'),
+            assetsDir,
+            rasteriser: {
+                command: process.execPath,
+                args: output => ['-e', `require('fs').writeFileSync(${JSON.stringify(output)}, require('fs').readFileSync(0))`]
+            },
+            ...options
+        });
+        generator.getCards = () => cards;
+        generator.drawn = [];
+        const rasterise = generator.rasterise.bind(generator);
+        generator.rasterise = (svg, output) => {
+            generator.drawn.push(path.basename(output));
+            rasterise(svg, output);
+        };
+        return generator;
+    }
+
+    /**
+     * Run a generator without its console output
+     */
+    quietly(callback) {
+        const log = console.log;
+        const error = console.error;
+        console.log = () => {};
+        console.error = () => {};
+        try {
+            return callback();
+        } finally {
+            console.log = log;
+            console.error = error;
+        }
+    }
+
+    /**
+     * Test the card file names derived from page URLs
+     */
+    testImagePaths() {
+        console.log('📁 Testing card paths...');
+
+        [
+            ['index.html', 'og/index.png'],
+            ['permanent-recruitment-in-delhi.html', 'og/permanent-recruitment-in-delhi.png'],
+            ['hi/index.html', 'og/hi-index.png'],
+            ['blog/HR trends & tips.html', 'og/blog-HR-trends-tips.png']
+        ].forEach(([url, expected]) => {
+            const actual = OgImageGenerator.getImagePath(url);
+            this.assert(actual === expected, `${url} should get ${expected} (got ${actual})`);
+        });
+    }
+
+    /**
+     * Test breaking titles into lines
+     */
+    testWrapText() {
+        console.log('↩️  Testing title wrapping...');
+
+        // 55% of a 20px font: 10 characters per line of 110px
+        const wrap = (text, maxLines = 3) => OgImageGenerator.wrapText(text, 20, 110, maxLines);
+        this.assert(JSON.stringify(wrap('Payroll')) === '["Payroll"]', 'A short title should stay on one line');
+        this.assert(JSON.stringify(wrap('  HR   Payroll  ')) === '["HR Payroll"]', 'Extra whitespace should be collapsed');
+        const wrapped = wrap('Temporary staffing in New Delhi');
+        this.assert(
+            JSON.stringify(wrapped) === '["Temporary","staffing","in…"]',
+            `A long title should wrap and end in an ellipsis (got ${JSON.stringify(wrapped)})`
+        );
+        const lines = wrap('One two three four five six seven eight nine ten', 2);
+        this.assert(
+            lines.length === 2 && lines.every(line => line.length <= 10) && lines[1].endsWith('…'),
+            `Lines should fit the width and be limited in number (got ${JSON.stringify(lines)})`
+        );
+        this.assert(JSON.stringify(wrap('Recruitment', 1)) === '["Recruitment"]', 'A single word longer than a line should be kept whole');
+    }
+
+    /**
+     * Test the SVG of a card
+     */
+    testRenderSvg() {
+        console.log('🎨 Testing card SVG...');
+
+        const generator = this.createGenerator('svg', []);
+        const branding = generator.registry.siteConfig.branding;
+        const svg = generator.renderSvg({ title: 'Pay & <HR> "Audit"', label: 'Finance · Delhi' });
+
+        this.assert(svg.startsWith('<svg ') && /width="1200" height="630"/.test(svg), 'The card should be a 1200×630 SVG');
+        this.assert(svg.includes('Pay &amp; &lt;HR&gt; &quot;Audit&quot;'), 'The title should be escaped');
+        this.assert(svg.includes('>FINANCE · DELHI</text>'), 'The label should be shown in capitals');
+        this.assert(
+            svg.includes(`fill="${branding.primaryColor}"`) && svg.includes(`fill="${branding.accentColor}"`),
+            'The card should use the branding colours of site-config.json'
+        );
+        this.assert(
+            svg.includes(generator.registry.baseUrl.replace(/^https?:\/\//, '')),
+            'The card should show the site address'
+        );
+
+        const longTitle = 'Comprehensive temporary staffing and contract workforce management solutions for growing companies across India';
+        const titleLines = generator.renderSvg({ title: longTitle, label: 'Staffing' }).match(/font-size="64"/g) || [];
+        this.assert(titleLines.length === 3, `A long title should be drawn on at most three lines (got ${titleLines.length})`);
+    }
+
+    /**
+     * Test that only cards whose SVG changed are redrawn, and that cards of
+     * removed pages are deleted
+     */
+    testRedraws() {
+        console.log('🔁 Testing card redraws...');
+
+        const cards = [
+            { url: 'index.html', title: 'Stone OnePoint Solutions', label: 'HR solutions' },
+            { url: 'payroll.html', title: 'Payroll Management', label: 'Finance' }
+        ];
+        const first = this.createGenerator('redraw', cards);
+        const firstStats = this.quietly(() => first.generate());
+        this.assert(firstStats.generated === 2 && first.drawn.length === 2, 'Every card should be drawn the first time');
+        const manifest = OgImageGenerator.loadManifest(first.manifestFile);
+        this.assert(
+            manifest.pages['payroll.html'] && manifest.pages['payroll.html'].image === 'og/payroll.png' &&
+            /^[0-9a-f]{64}$/.test(manifest.pages['payroll.html'].hash),
+            'The manifest should list each card with its image and hash'
+        );
+        this.assert(
+            OgImageGenerator.findCard('payroll.html', first.assetsDir) === 'og/payroll.png' &&
+            OgImageGenerator.findCard('missing.html', first.assetsDir) === null,
+            'findCard should return the card of a page, or null'
+        );
+
+        const unchanged = this.createGenerator('redraw', cards);
+        const unchangedStats = this.quietly(() => unchanged.generate());
+        this.assert(
+            unchangedStats.unchanged === 2 && unchanged.drawn.length === 0,
+            'Cards whose title did not change should not be redrawn'
+        );
+
+        const retitled = this.createGenerator('redraw', [cards[0], { ...cards[1], title: 'Payroll Outsourcing' }]);
+        this.quietly(() => retitled.generate());
+        this.assert(JSON.stringify(retitled.drawn) === '["payroll.png"]', `Only the retitled card should be redrawn (drew ${JSON.stringify(retitled.drawn)})`);
+
+        const removed = this.createGenerator('redraw', [cards[0]]);
+        const removedStats = this.quietly(() => removed.generate());
+        this.assert(
+            removedStats.removed === 1 && !fs.existsSync(path.join(removed.outputDir, 'payroll.png')) &&
+            !OgImageGenerator.loadManifest(removed.manifestFile).pages['payroll.html'],
+            'The card of a removed page should be deleted'
+        );
+
+        const forced = this.createGenerator('redraw', [cards[0]], { force: true });
+        this.quietly(() => forced.generate());
+        this.assert(forced.drawn.length === 1, '--force should redraw unchanged cards');
+    }
+
+    /**
+     * Test that a missing rasteriser is reported and changes nothing
+     */
+    testMissingRasteriser() {
+        console.log('🚫 Testing a machine without a rasteriser...');
+
+        const cards = [{ url: 'index.html', title: 'Stone OnePoint Solutions', label: 'HR solutions' }];
+        const generator = this.createGenerator('unavailable', cards, { rasteriser: null });
+        const stats = this.quietly(() => generator.generate());
+        this.assert(stats.unavailable === true && stats.generated === 0, 'Generating without a rasteriser should be reported');
+        this.assert(!fs.existsSync(generator.manifestFile), 'Nothing should be written without a rasteriser');
+    }
+
+    /**
+     * Assert helper function
+     */
+    assert(condition, message) {
+        this.testResults.total++;
+
+        if (condition) {
+            this.testResults.passed++;
+            this.testResults.details.push({ status: 'PASS', message });
+        } else {
+            this.testResults.failed++;
+            this.testResults.details.push({ status: 'FAIL', message });
+            console.log(`  ❌ ${message}`);
+        }
+    }
+
+    /**
+     * Display test results
+     */
+    displayTestResults() {
+        console.log('\n' + '='.repeat(60));
+        console.log('🧪 TEST RESULTS SUMMARY');
+        console.log('='.repeat(60));
+
+        console.log(`\nTotal Tests: ${this.testResults.total}`);
+        console.log(`Passed: ${this.testResults.passed}`);
+        console.log(`Failed: ${this.testResults.failed}`);
+
+        if (this.testResults.failed > 0) {
+            console.log('\n❌ Failed Tests:');
+            this.testResults.details
+                .filter(test => test.status === 'FAIL')
+                .forEach(test => console.log(`  - ${test.message}`));
+        }
+
+        console.log(`\nOverall Status: ${this.testResults.failed === 0 ? 'PASSED' : 'FAILED'}`);
+        console.log('\n' + '='.repeat(60));
+    }
+}
+
+// CLI Usage
+if (require.main === module) {
+    const tester = new OgImageGeneratorTest();
+    process.exit(tester.runAllTests() ? 0 : 1);
+}
+
+module.exports = OgImageGeneratorTest;
@@ -0,0 +1,270 @@
+#!/usr/bin/env node
+
+/**
+ * Test Suite for the Schema Validator
+ * Tests the JSON Schema keywords supported by
+ * content/scripts/schema-validator.js and validates the content data files
+ * against content/schemas.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const SchemaValidator = require('../content/scripts/schema-validator');
+
+const DATA_DIR = path.join(__dirname, '..', 'content', 'data');
+
+class SchemaValidatorTest {
+    constructor() {
+        this.testResults = {
+            passed: 0,
+            failed: 0,
+            total: 0,
+            details: []
+        };
+        this.validator = new SchemaValidator();
+    }
+
+    /**
+     * Run all schema validator tests
+     */
+    runAllTests() {
+        console.log('🧪 Running Schema Validator Tests\n');
+
+        try {
+            this.testKeywords();
+            this.testReferences();
+            this.testSchemaErrors();
+            this.testDataFiles();
+            this.testInvalidDataFile();
+
+            this.displayTestResults();
+            return this.testResults.failed === 0;
+
+        } catch (error) {
+            console.error('❌ Test suite failed:', error.stack);
+            return false;
+        }
+    }
+
+    /**
+     * Assert that a value produces exactly the expected "path message" errors
+     */
+    assertErrors(value, schema, expected, message) {
+        const errors = this.validator.validate(value, schema).map(error => `${error.path} ${error.message}`);
+        this.assert(
+            JSON.stringify(errors) === JSON.stringify(expected),
+            `${message} (got ${JSON.stringify(errors)})`
+        );
+    }
+
+    /**
+     * Test the validation keywords one by one
+     */
+    testKeywords() {
+        console.log('🔤 Testing keywords...');
+
+        const service = {
+            type: 'object',
+            required: ['id', 'name'],
+            additionalProperties: false,
+            properties: {
+                id: { type: 'string', pattern: '^[a-z0-9-]+$' },
+                name: { type: 'string', minLength: 1, maxLength: 20 },
+                status: { enum: ['active', 'draft'] },
+                priority: { type: 'number', minimum: 0, maximum: 1 },
+                published: { type: 'string', format: 'date' },
+                contact: { type: 'string', format: 'email' },
+                url: { type: 'string', format: 'uri' },
+                tags: { type: 'array', items: { type: 'string' }, minItems: 1, maxItems: 2, uniqueItems: true },
+                labels: { type: 'object', additionalProperties: { type: 'string' } }
+            }
+        };
+
+        this.assertErrors(
+            { id: 'payroll', name: 'Payroll', status: 'active', priority: 0.8, published: '2026-02-28', contact: 'hr@example.com', url: 'https://example.com/a', tags: ['hr'], labels: { 'en-IN': 'Payroll' } },
+            service, [], 'A valid object should have no errors'
+        );
+        this.assertErrors({ name: 'Payroll' }, service, ['$.id is required'], 'Missing required properties should be reported');
+        this.assertErrors({ id: 'payroll', name: 'Payroll', extra: true }, service, ['$.extra is not an allowed property'],
+            'additionalProperties false should reject unknown properties');
+        this.assertErrors({ id: 'Pay Roll', name: '' }, service, [
+            '$.id "Pay Roll" does not match pattern ^[a-z0-9-]+$',
+            '$.name should not be empty'
+        ], 'pattern and minLength should be checked');
+        this.assertErrors({ id: 'a', name: 'b', status: 'archived', priority: 2 }, service, [
+            '$.status should be one of "active", "draft", got "archived"',
+            '$.priority should be <= 1, got 2'
+        ], 'enum and maximum should be checked');
+        this.assertErrors({ id: 'a', name: 'b', published: '2026-02-30', contact: 'hr@', url: 'example.com' }, service, [
+            '$.published "2026-02-30" is not a valid date',
+            '$.contact "hr@" is not a valid email',
+            '$.url "example.com" is not a valid uri'
+        ], 'Formats should be checked');
+        this.assertErrors({ id: 'a', name: 'b', tags: ['hr', 'hr', 'it'] }, service, [
+            '$.tags should have at most 2 item(s), got 3',
+            '$.tags[1] duplicates an earlier item: "hr"'
+        ], 'maxItems and uniqueItems should be checked');
+        this.assertErrors({ id: 'a', name: 'b', tags: [3], labels: { 'en-IN': 4 } }, service, [
+            '$.tags[0] should be string, got integer',
+            '$.labels["en-IN"] should be string, got integer'
+        ], 'Item and additionalProperties schemas should apply, with bracketed paths for unusual keys');
+        this.assertErrors('payroll', service, ['$ should be object, got string'], 'A type mismatch should stop further checks');
+        this.assertErrors(3, { type: 'number' }, [], 'Integers should count as numbers');
+    }
+
+    /**
+     * Test local $ref and anyOf
+     */
+    testReferences() {
+        console.log('🔗 Testing $ref and anyOf...');
+
+        const schema = {
+            definitions: {
+                link: {
+                    anyOf: [
+                        { type: 'string', format: 'uri' },
+                        { type: 'object', required: ['href'], properties: { href: { type: 'string' } } }
+                    ]
+                }
+            },
+            type: 'array',
+            items: { $ref: '#/definitions/link' }
+        };
+
+        this.assertErrors(['https://example.com', { href: '/contact' }], schema, [], 'Values matching one of the forms should pass');
+        this.assertErrors(['/contact', {}], schema, [
+            '$[0] does not match any of the allowed forms',
+            '$[1] does not match any of the allowed forms'
+        ], 'Values matching none of the forms should be reported once');
+    }
+
+    /**
+     * Test that schemas the validator cannot fully check are refused
+     */
+    testSchemaErrors() {
+        console.log('🚫 Testing unsupported schemas...');
+
+        [
+            [{ type: 'string', oneOf: [] }, /Unsupported schema keyword "oneOf"/],
+            [{ $ref: 'other.json#/definitions/x' }, /Only local \$ref values are supported/],
+            [{ $ref: '#/definitions/missing' }, /Cannot resolve \$ref/]
+        ].forEach(([schema, pattern]) => {
+            let error = null;
+            try {
+                this.validator.validate('value', schema);
+            } catch (caught) {
+                error = caught;
+            }
+            this.assert(error && pattern.test(error.message), `${JSON.stringify(schema)} should be refused`);
+        });
+    }
+
+    /**
+     * Test that the content data files match their schemas
+     */
+    testDataFiles() {
+        console.log('📂 Testing content/data...');
+
+        this.validator.getDataFiles().forEach(dataFile => {
+            const errors = this.validator.validateFile(dataFile);
+            this.assert(
+                errors.length === 0,
+                `${dataFile} should match its schema${errors.length > 0 ? ` (${errors[0].path} ${errors[0].message})` : ''}`
+            );
+        });
+    }
+
+    /**
+     * Test that a broken data file is reported with the path of the problem
+     */
+    testInvalidDataFile() {
+        console.log('💥 Testing an invalid data file...');
+
+        const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'schema-validator-test-'));
+        try {
+            Object.keys(SchemaValidator.DATA_SCHEMAS).forEach(dataFile => {
+                fs.copyFileSync(path.join(DATA_DIR, dataFile), path.join(tempDir, dataFile));
+            });
+            const services = JSON.parse(fs.readFileSync(path.join(tempDir, 'services.json'), 'utf8'));
+            const [firstKey] = Object.keys(services);
+            services[firstKey] = 'not what the schema expects';
+            fs.writeFileSync(path.join(tempDir, 'services.json'), JSON.stringify(services));
+            fs.writeFileSync(path.join(tempDir, 'jobs.json'), '{ "jobs": [');
+
+            const validator = new SchemaValidator({ dataDir: tempDir });
+            const serviceErrors = validator.validateFile('services.json');
+            const jobErrors = validator.validateFile('jobs.json');
+            this.assert(
+                serviceErrors.length > 0 && serviceErrors[0].path.startsWith(SchemaValidator.childPath('$', firstKey)),
+                `A changed data file should fail at the changed path (got ${JSON.stringify(serviceErrors[0])})`
+            );
+            this.assert(
+                jobErrors.length === 1 && jobErrors[0].path === '$' && /could not be read/.test(jobErrors[0].message),
+                'An unreadable data file should be reported at the root'
+            );
+
+            const log = console.log;
+            const error = console.error;
+            console.log = () => {};
+            console.error = () => {};
+            let valid;
+            try {
+                valid = validator.validateAll();
+            } finally {
+                console.log = log;
+                console.error = error;
+            }
+            this.assert(valid === false, 'validateAll should fail when a file is invalid');
+        } finally {
+            fs.rmSync(tempDir, { recursive: true, force: true });
+        }
+    }
+
+    /**
+     * Assert helper function
+     */
+    assert(condition, message) {
+        this.testResults.total++;
+
+        if (condition) {
+            this.testResults.passed++;
+            this.testResults.details.push({ status: 'PASS', message });
+        } else {
+            this.testResults.failed++;
+            this.testResults.details.push({ status: 'FAIL', message });
+            console.log(`  ❌ ${message}`);
+        }
+    }
+
+    /**
+     * Display test results
+     */
+    displayTestResults() {
+        console.log('\n' + '='.repeat(60));
+        console.log('🧪 TEST RESULTS SUMMARY');
+        console.log('='.repeat(60));
+
+        console.log(`\nTotal Tests: ${this.testResults.total}`);
+        console.log(`Passed: ${this.testResults.passed}`);
+        console.log(`Failed: ${this.testResults.failed}`);
+
+        if (this.testResults.failed > 0) {
+            console.log('\n❌ Failed Tests:');
+            this.testResults.details
+                .filter(test => test.status === 'FAIL')
+                .forEach(test => console.log(`  - ${test.message}`));
+        }
+
+        console.log(`\nOverall Status: ${this.testResults.failed === 0 ? 'PASSED' : 'FAILED'}`);
+        console.log('\n' + '='.repeat(60));
+    }
+}
+
+// CLI Usage
+if (require.main === module) {
+    const tester = new SchemaValidatorTest();
+    process.exit(tester.runAllTests() ? 0 : 1);
+}
+
+module.exports = SchemaValidatorTest;
@@ -0,0 +1,227 @@
+#!/usr/bin/env node
+
+/**
+ * Test Suite for the Template Engine
+ * Tests escaping, partials, blocks and error reporting of
+ * content/scripts/template-engine.js, and that every template in
+ * content/templates compiles.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const TemplateEngine = require('../content/scripts/template-engine');
+
+const TEMPLATES_DIR = path.join(__dirname, '..', 'content', 'templates');
+
+class TemplateEngineTest {
+    constructor() {
+        this.testResults = {
+            passed: 0,
+            failed: 0,
+            total: 0,
+            details: []
+        };
+    }
+
+    /**
+     * Run all template engine tests
+     */
+    runAllTests() {
+        console.log('🧪 Running Template Engine Tests\n');
+
+        try {
+            this.testEscaping();
+            this.testPartials();
+            this.testBlocks();
+            this.testErrors();
+            this.testSiteTemplates();
+
+            this.displayTestResults();
+            return this.testResults.failed === 0;
+
+        } catch (error) {
+            console.error('❌ Test suite failed:', error.stack);
+            return false;
+        }
+    }
+
+    /**
+     * Assert that a template renders to the expected output
+     */
+    assertRender(engine, source, data, expected, message) {
+        const output = engine.render(source, data);
+        this.assert(output === expected, `${message} (got ${JSON.stringify(output)})`);
+    }
+
+    /**
+     * Assert that rendering throws a TemplateError with the given message
+     */
+    assertTemplateError(callback, expected, message) {
+        let error = null;
+        try {
+            callback();
+        } catch (caught) {
+            error = caught;
+        }
+        this.assert(
+            error instanceof TemplateEngine.TemplateError && error.message === expected,
+            `${message} (got ${error ? JSON.stringify(error.message) : 'no error'})`
+        );
+    }
+
+    /**
+     * Test that values are HTML-escaped unless they use triple braces
+     */
+    testEscaping() {
+        console.log('🔐 Testing escaping...');
+
+        const engine = new TemplateEngine();
+        const data = { company: { name: '<b>Stone & "OnePoint"</b> \'HR\'' }, count: 0 };
+
+        this.assertRender(engine, '{{company.name}}', data,
+            '&lt;b&gt;Stone &amp; &quot;OnePoint&quot;&lt;/b&gt; &#39;HR&#39;',
+            'Double braces should escape &, <, >, " and \'');
+        this.assertRender(engine, '<a title="{{company.name}}">', data,
+            '<a title="&lt;b&gt;Stone &amp; &quot;OnePoint&quot;&lt;/b&gt; &#39;HR&#39;">',
+            'Escaped values should be safe inside attributes');
+        this.assertRender(engine, '{{{company.name}}}', data, data.company.name, 'Triple braces should not escape');
+        this.assertRender(engine, '{{count}}', data, '0', 'Falsy values should still be rendered');
+        this.assertRender(engine, '<script>{{{json value}}}</script>', { value: { text: '</script><script>alert(1)' } },
+            '<script>{"text":"\\u003c/script>\\u003cscript>alert(1)"}</script>',
+            'The json helper should not let a value close its script element');
+        this.assertRender(engine, '{{join tags ", "}}', { tags: ['<HR>', 'Payroll'] }, '&lt;HR&gt;, Payroll', 'Helper output should be escaped');
+    }
+
+    /**
+     * Test registered partials and partials from content-blocks.html
+     */
+    testPartials() {
+        console.log('🧩 Testing partials...');
+
+        const engine = new TemplateEngine({ partials: { greeting: 'Hello {{name}}' } });
+        this.assertRender(engine, '<p>{{> greeting}}</p>', { name: '<Asha>' }, '<p>Hello &lt;Asha&gt;</p>',
+            'A partial should render with the current context and escape its values');
+
+        engine.registerPartialsFromBlocks([
+            '<!-- Shared blocks -->',
+            '<template id="card">',
+            '    <li>{{title}}</li>',
+            '</template>',
+            '<template id="card-list">',
+            '    <ul>{{#each cards}}{{> card}}{{/each}}</ul>',
+            '</template>'
+        ].join('\n'));
+        this.assert(Object.keys(engine.partials).join(',') === 'greeting,card,card-list', 'Every <template> block should become a partial');
+        this.assertRender(engine, '{{> card-list}}', { cards: [{ title: 'Payroll' }, { title: 'R&D' }] },
+            '<ul><li>Payroll</li><li>R&amp;D</li></ul>',
+            'Partials should nest and see the loop item as their context');
+
+        this.assertTemplateError(
+            () => engine.render('{{> card}}', {}, 'page.html'),
+            'content-blocks.html#card:3: Missing variable "title"',
+            'Errors inside a block partial should name the block and its line in content-blocks.html'
+        );
+    }
+
+    /**
+     * Test loops and conditionals
+     */
+    testBlocks() {
+        console.log('🔁 Testing blocks...');
+
+        const engine = new TemplateEngine();
+        this.assertRender(engine, '{{#each items}}{{@index}}:{{this}}{{#unless @last}}, {{/unless}}{{/each}}', { items: ['a', 'b', 'c'] },
+            '0:a, 1:b, 2:c', 'each should provide this, @index and @last');
+        this.assertRender(engine, '{{#if image}}<img src="{{image}}">{{else}}none{{/if}}', {}, 'none',
+            'if should treat an undefined variable as false');
+        this.assertRender(engine, '{{#if list}}yes{{else}}no{{/if}}', { list: [] }, 'no', 'if should treat an empty list as false');
+        this.assertRender(engine, '{{! note }}kept', {}, 'kept', 'Comments should render nothing');
+    }
+
+    /**
+     * Test that mistakes are reported with the template name and line
+     */
+    testErrors() {
+        console.log('🚨 Testing error reporting...');
+
+        const engine = new TemplateEngine();
+        this.assertTemplateError(() => engine.render('<h1>\n\n{{service.name}}</h1>', {}, 'service.html'),
+            'service.html:3: Missing variable "service.name"', 'A missing variable should be reported with its line');
+        this.assertTemplateError(() => engine.render('{{> footer}}', {}, 'page.html'),
+            'page.html:1: Unknown partial "footer"', 'An unknown partial should be reported');
+        this.assertTemplateError(() => engine.render('{{#each list}}\n{{/if}}', { list: [] }, 'page.html'),
+            'page.html:2: Unexpected {{/if}}, expected {{/each}} for line 1', 'A mismatched block should be reported');
+        this.assertTemplateError(() => engine.render('{{#if a}}', {}, 'page.html'),
+            'page.html:1: Unclosed {{#if}}', 'An unclosed block should be reported');
+    }
+
+    /**
+     * Test that the site's own templates and blocks compile
+     */
+    testSiteTemplates() {
+        console.log('📄 Testing content/templates...');
+
+        const engine = new TemplateEngine();
+        fs.readdirSync(TEMPLATES_DIR).filter(file => file.endsWith('.html')).forEach(file => {
+            const source = fs.readFileSync(path.join(TEMPLATES_DIR, file), 'utf8');
+            let error = null;
+            try {
+                if (file === 'content-blocks.html') {
+                    engine.registerPartialsFromBlocks(source);
+                } else {
+                    engine.compile(source, file);
+                }
+            } catch (caught) {
+                error = caught;
+            }
+            this.assert(error === null, `${file} should compile${error ? ` (${error.message})` : ''}`);
+        });
+    }
+
+    /**
+     * Assert helper function
+     */
+    assert(condition, message) {
+        this.testResults.total++;
+
+        if (condition) {
+            this.testResults.passed++;
+            this.testResults.details.push({ status: 'PASS', message });
+        } else {
+            this.testResults.failed++;
+            this.testResults.details.push({ status: 'FAIL', message });
+            console.log(`  ❌ ${message}`);
+        }
+    }
+
+    /**
+     * Display test results
+     */
+    displayTestResults() {
+        console.log('\n' + '='.repeat(60));
+        console.log('🧪 TEST RESULTS SUMMARY');
+        console.log('='.repeat(60));
+
+        console.log(`\nTotal Tests: ${this.testResults.total}`);
+        console.log(`Passed: ${this.testResults.passed}`);
+        console.log(`Failed: ${this.testResults.failed}`);
+
+        if (this.testResults.failed > 0) {
+            console.log('\n❌ Failed Tests:');
+            this.testResults.details
+                .filter(test => test.status === 'FAIL')
+                .forEach(test => console.log(`  - ${test.message}`));
+        }
+
+        console.log(`\nOverall Status: ${this.testResults.failed === 0 ? 'PASSED' : 'FAILED'}`);
+        console.log('\n' + '='.repeat(60));
+    }
+}
+
+// CLI Usage
+if (require.main === module) {
+    const tester = new TemplateEngineTest();
+    process.exit(tester.runAllTests() ? 0 : 1);
+}
+
+module.exports = TemplateEngineTest;